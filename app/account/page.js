@@ -0,0 +1,686 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import Link from 'next/link'
+import { formatMoney } from '@/lib/currency'
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.75rem',
+  border: '1px solid rgb(221, 221, 221)',
+  borderRadius: '4px',
+  fontSize: '1rem',
+  backgroundColor: 'hsl(214, 15%, 15%)',
+  color: 'white'
+}
+
+const panelStyle = {
+  backgroundColor: 'hsl(214, 15%, 15%)',
+  padding: '1rem',
+  borderRadius: '8px',
+  marginBottom: '1.5rem',
+  border: '1px solid rgb(221, 221, 221)'
+}
+
+// Matches MAX_PAUSE_DAYS in lib/pauses.js
+const MAX_PAUSE_DAYS = 90
+
+const formatDate = (timestamp) => new Date(timestamp * 1000).toLocaleDateString()
+
+// YYYY-MM-DD for a date input, `days` from today
+const toDateInput = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+
+// Subscription overview for email - throws with the API's error message
+const fetchAccount = async (email) => {
+  const response = await fetch(`/api/stripe/account?email=${encodeURIComponent(email)}`)
+  const data = await response.json()
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to load your subscription')
+  }
+
+  return data
+}
+
+export default function AccountPage() {
+  const [email, setEmail] = useState('')
+  const [account, setAccount] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [actionLoading, setActionLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [message, setMessage] = useState('')
+
+  // Cancellation form
+  const [showCancelForm, setShowCancelForm] = useState(false)
+  const [feedbackOptions, setFeedbackOptions] = useState([])
+  const [feedback, setFeedback] = useState('')
+  const [comment, setComment] = useState('')
+  const [cancelImmediately, setCancelImmediately] = useState(false)
+  const [retentionOffer, setRetentionOffer] = useState(null)
+
+  // Pause form
+  const [showPauseForm, setShowPauseForm] = useState(false)
+  const [resumeDate, setResumeDate] = useState('')
+
+  // 🔑 Sign-in link session (see lib/account-auth.js)
+  const [signedInEmail, setSignedInEmail] = useState(null)
+  const [signInEnabled, setSignInEnabled] = useState(false)
+
+  useEffect(() => {
+    fetch('/api/stripe/cancel-subscription')
+      .then(res => res.json())
+      .then(data => setFeedbackOptions(data.feedbackOptions || []))
+      .catch(() => setFeedbackOptions([]))
+
+    if (new URLSearchParams(window.location.search).get('signIn') === 'expired') {
+      setError('That sign-in link has expired - please ask for a new one')
+    }
+
+    // Coming back from a sign-in link: show that customer's account straight away
+    fetch('/api/stripe/sign-in')
+      .then(res => res.json())
+      .then(data => {
+        setSignInEnabled(!!data.enabled)
+        setSignedInEmail(data.email || null)
+        if (!data.email) return
+
+        setEmail(data.email)
+        return fetchAccount(data.email)
+          .then(setAccount)
+          .catch(err => setError(err.message))
+      })
+      .catch(() => setSignedInEmail(null))
+  }, [])
+
+  const loadAccount = async () => {
+    if (!email) {
+      setError('Please enter your email address')
+      return
+    }
+
+    setLoading(true)
+    setError('')
+
+    try {
+      setAccount(await fetchAccount(email))
+    } catch (err) {
+      setAccount(null)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // 🎁 Offer something to stay before cancelling - only once per attempt
+  const handleConfirmCancel = async () => {
+    setActionLoading(true)
+    setError('')
+
+    try {
+      const params = new URLSearchParams({ email })
+      if (feedback) params.set('feedback', feedback)
+
+      const response = await fetch(`/api/stripe/retention-offer?${params}`)
+      const data = await response.json()
+
+      if (response.ok && data.offer) {
+        setRetentionOffer(data.offer)
+        setActionLoading(false)
+        return
+      }
+    } catch (err) {
+      // No offer - carry on with the cancellation
+    }
+
+    await handleCancel()
+  }
+
+  const respondToOffer = async (accept) => {
+    setActionLoading(true)
+    setError('')
+    let result = null
+
+    try {
+      const response = await fetch('/api/stripe/retention-offer', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          email: email,
+          offerId: retentionOffer.id,
+          feedback: feedback || null,
+          accept
+        }),
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to apply the offer')
+      }
+      result = data
+    } catch (err) {
+      if (accept) {
+        setError(err.message)
+        setActionLoading(false)
+        return
+      }
+      // A failed decline still shouldn't block the cancellation
+    }
+
+    setRetentionOffer(null)
+
+    if (!accept) {
+      await handleCancel()
+      return
+    }
+
+    setMessage(result.timing === 'period_end'
+      ? `🎉 Thanks for staying! Your new plan starts on ${formatDate(result.effectiveAt)}.`
+      : '🎉 Thanks for staying! The offer has been applied to your subscription.')
+    setShowCancelForm(false)
+    setFeedback('')
+    setComment('')
+    setCancelImmediately(false)
+    setActionLoading(false)
+    await loadAccount()
+  }
+
+  const handleCancel = async () => {
+    setActionLoading(true)
+    setError('')
+    setMessage('')
+
+    try {
+      const response = await fetch('/api/stripe/cancel-subscription', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          email: email,
+          immediately: cancelImmediately,
+          feedback: feedback || null,
+          comment: comment || null
+        }),
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to cancel your subscription')
+      }
+
+      setMessage(cancelImmediately
+        ? 'Your subscription has been cancelled.'
+        : `Your subscription will end on ${formatDate(data.endsAt)}. You keep access until then.`)
+      setShowCancelForm(false)
+      setFeedback('')
+      setComment('')
+      setCancelImmediately(false)
+
+      if (cancelImmediately) {
+        setAccount(null)
+      } else {
+        await loadAccount()
+      }
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setActionLoading(false)
+    }
+  }
+
+  const handleReactivate = async () => {
+    setActionLoading(true)
+    setError('')
+    setMessage('')
+
+    try {
+      const response = await fetch('/api/stripe/reactivate-subscription', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email: email }),
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to reactivate your subscription')
+      }
+
+      setMessage('🎉 Welcome back! Your subscription will renew as normal.')
+      await loadAccount()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setActionLoading(false)
+    }
+  }
+
+  const handlePause = async () => {
+    setActionLoading(true)
+    setError('')
+    setMessage('')
+
+    try {
+      const response = await fetch('/api/stripe/pause-subscription', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          email: email,
+          // Resume at the start of the chosen day (UTC)
+          resumesAt: Math.floor(new Date(resumeDate).getTime() / 1000)
+        }),
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to pause your subscription')
+      }
+
+      setMessage(`⏸️ Your subscription is paused until ${formatDate(data.pauseCollection.resumesAt)}.`)
+      setShowPauseForm(false)
+      setResumeDate('')
+      await loadAccount()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setActionLoading(false)
+    }
+  }
+
+  const handleResume = async () => {
+    setActionLoading(true)
+    setError('')
+    setMessage('')
+
+    try {
+      const response = await fetch('/api/stripe/resume-subscription', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email: email }),
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to resume your subscription')
+      }
+
+      setMessage('▶️ Your subscription has been resumed.')
+      await loadAccount()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setActionLoading(false)
+    }
+  }
+
+  const handleSendSignInLink = async () => {
+    if (!email) {
+      setError('Please enter your email address')
+      return
+    }
+
+    setActionLoading(true)
+    setError('')
+    setMessage('')
+
+    try {
+      const response = await fetch('/api/stripe/sign-in', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email: email, next: '/account' }),
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to send a sign-in link')
+      }
+
+      setMessage(`📧 If ${email} has a subscription, a sign-in link is on its way. It works for 15 minutes.`)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setActionLoading(false)
+    }
+  }
+
+  const handleSignOut = async () => {
+    await fetch('/api/stripe/sign-in', { method: 'DELETE' }).catch(() => null)
+    setSignedInEmail(null)
+    setAccount(null)
+    setMessage('')
+  }
+
+  // 💳 Payment methods, invoices and billing details live in the Stripe portal.
+  // Without a sign-in this is Stripe's portal login page instead.
+  const handleOpenPortal = async () => {
+    setActionLoading(true)
+    setError('')
+
+    try {
+      const response = await fetch('/api/stripe/portal-session', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email: email }),
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to open the billing portal')
+      }
+
+      window.location.href = data.url
+    } catch (err) {
+      setError(err.message)
+      setActionLoading(false)
+    }
+  }
+
+  const formatPrice = (amount, currency) => {
+    return formatMoney(amount, currency)
+  }
+
+  const cancellationScheduled = account && (account.cancelAtPeriodEnd || account.cancelAt)
+
+  return (
+    <div className="container">
+      <div className="card">
+        <h1>Your Account</h1>
+
+        {/* Email lookup */}
+        <div style={{ marginBottom: '2rem', marginTop: '1rem' }}>
+          <label htmlFor="email" style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold' }}>
+            Email Address
+          </label>
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <input
+              type="email"
+              id="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && loadAccount()}
+              placeholder="The email you subscribed with"
+              style={inputStyle}
+            />
+            <button className="button" onClick={loadAccount} disabled={loading}>
+              {loading ? 'Loading...' : 'Look Up'}
+            </button>
+          </div>
+          {signedInEmail ? (
+            <p style={{ marginTop: '0.5rem', fontSize: '0.9rem', color: '#D0D0D0' }}>
+              🔑 Signed in as {signedInEmail} -{' '}
+              <button onClick={handleSignOut} style={{ background: 'none', border: 'none', padding: 0, color: '#635bff', cursor: 'pointer' }}>
+                Sign out
+              </button>
+            </p>
+          ) : signInEnabled && (
+            <p style={{ marginTop: '0.5rem', fontSize: '0.9rem', color: '#D0D0D0' }}>
+              Seeing or changing your subscription needs a sign-in link -{' '}
+              <button onClick={handleSendSignInLink} disabled={actionLoading} style={{ background: 'none', border: 'none', padding: 0, color: '#635bff', cursor: 'pointer' }}>
+                email me a sign-in link
+              </button>
+            </p>
+          )}
+        </div>
+
+        {message && (
+          <div style={{
+            color: '#155724',
+            backgroundColor: '#d4edda',
+            padding: '0.75rem',
+            borderRadius: '4px',
+            marginBottom: '1rem'
+          }}>
+            {message}
+          </div>
+        )}
+
+        {error && (
+          <div style={{
+            color: '#dc3545',
+            backgroundColor: '#f8d7da',
+            padding: '0.75rem',
+            borderRadius: '4px',
+            marginBottom: '1rem'
+          }}>
+            {error}
+          </div>
+        )}
+
+        {account && (
+          <div style={panelStyle}>
+            <h4 style={{ margin: '0 0 0.75rem 0', color: '#FFFFFF' }}>Subscription</h4>
+            <p style={{ marginBottom: '0.5rem' }}>
+              <strong>{account.plan.productName}</strong> - {formatPrice(account.plan.amount, account.plan.currency)} per {account.plan.interval}
+              {account.plan.quantity > 1 && ` × ${account.plan.quantity} servers`}
+            </p>
+            {account.addons?.length > 0 && (
+              <p style={{ marginBottom: '0.5rem', color: '#D0D0D0' }}>
+                🧩 Add-ons: {account.addons.map(addon => `${addon.name} (${formatPrice(addon.amount, addon.currency)})`).join(', ')}
+              </p>
+            )}
+            <p style={{ marginBottom: '0.5rem', color: '#D0D0D0' }}>
+              Status: <strong>{account.status}</strong>
+              {account.status === 'trialing' && account.trialEnd && ` (free trial until ${formatDate(account.trialEnd)})`}
+            </p>
+
+            {account.pauseCollection ? (
+              <p style={{ marginBottom: '0.5rem', color: '#3b82f6' }}>
+                ⏸️ Paused until {formatDate(account.pauseCollection.resumesAt)} - you won&apos;t be charged until then
+                {account.pausedEntitlements === 'revoke'
+                  ? ' and premium features are unavailable while paused'
+                  : ' and you keep your premium features'}
+              </p>
+            ) : cancellationScheduled ? (
+              <p style={{ marginBottom: '0.5rem', color: '#ff9900' }}>
+                📅 Cancels on {formatDate(account.cancelAt || account.currentPeriodEnd)} - you keep access until then
+              </p>
+            ) : (
+              <p style={{ marginBottom: '0.5rem', color: '#D0D0D0' }}>
+                Renews on {formatDate(account.currentPeriodEnd)}
+              </p>
+            )}
+
+            {account.pendingChange && !cancellationScheduled && (
+              <p style={{ marginBottom: '0.5rem', color: '#D0D0D0' }}>
+                ⏳ A plan change is scheduled for {formatDate(account.pendingChange.effectiveAt)}
+              </p>
+            )}
+
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', marginTop: '1rem' }}>
+              {account.pauseCollection ? (
+                <button className="button" onClick={handleResume} disabled={actionLoading}>
+                  {actionLoading ? 'Resuming...' : 'Resume Now'}
+                </button>
+              ) : cancellationScheduled ? (
+                <button className="button" onClick={handleReactivate} disabled={actionLoading}>
+                  {actionLoading ? 'Reactivating...' : 'Keep My Subscription'}
+                </button>
+              ) : (
+                <>
+                  <Link href="/checkout" className="button">
+                    Change Plan
+                  </Link>
+                  {account.status === 'active' && !showPauseForm && (
+                    <button
+                      className="button"
+                      onClick={() => {
+                        setShowPauseForm(true)
+                        setShowCancelForm(false)
+                      }}
+                      style={{ backgroundColor: 'hsl(214, 15%, 21%)' }}
+                    >
+                      Pause Subscription
+                    </button>
+                  )}
+                  {!showCancelForm && (
+                    <button
+                      className="button"
+                      onClick={() => {
+                        setShowCancelForm(true)
+                        setShowPauseForm(false)
+                      }}
+                      style={{ backgroundColor: '#6c757d' }}
+                    >
+                      Cancel Subscription
+                    </button>
+                  )}
+                </>
+              )}
+              <button
+                className="button"
+                onClick={handleOpenPortal}
+                disabled={actionLoading}
+                style={{ backgroundColor: 'hsl(214, 15%, 21%)' }}
+              >
+                Billing &amp; Invoices
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Pause form */}
+        {account && showPauseForm && !account.pauseCollection && (
+          <div style={panelStyle}>
+            <h4 style={{ margin: '0 0 0.75rem 0', color: '#FFFFFF' }}>Pause your subscription</h4>
+            <p style={{ marginBottom: '1rem', color: '#D0D0D0' }}>
+              Take a break for up to {MAX_PAUSE_DAYS} days. You won&apos;t be charged while paused, and billing
+              restarts automatically on the date you choose.
+              {account.pausedEntitlements === 'revoke' && ' Premium features are unavailable while paused.'}
+            </p>
+
+            <label htmlFor="resume-date" style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold' }}>
+              Resume on
+            </label>
+            <input
+              type="date"
+              id="resume-date"
+              value={resumeDate}
+              min={toDateInput(1)}
+              max={toDateInput(MAX_PAUSE_DAYS)}
+              onChange={(e) => setResumeDate(e.target.value)}
+              style={{ ...inputStyle, marginBottom: '1rem' }}
+            />
+
+            <div style={{ display: 'flex', gap: '1rem' }}>
+              <button className="button" onClick={handlePause} disabled={actionLoading || !resumeDate}>
+                {actionLoading ? 'Pausing...' : 'Pause Subscription'}
+              </button>
+              <button
+                className="button"
+                onClick={() => setShowPauseForm(false)}
+                style={{ backgroundColor: '#6c757d' }}
+              >
+                Never Mind
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Save offer shown before the cancellation goes through */}
+        {account && showCancelForm && retentionOffer && (
+          <div style={{ ...panelStyle, border: '1px solid #22c55e' }}>
+            <h4 style={{ margin: '0 0 0.5rem 0', color: '#22c55e' }}>🎁 Before you go: {retentionOffer.title}</h4>
+            <p style={{ marginBottom: '1rem', color: '#D0D0D0' }}>
+              {retentionOffer.description}
+              {retentionOffer.type === 'downgrade' && ` Just ${formatPrice(retentionOffer.amount, account.plan.currency)} per ${retentionOffer.interval}.`}
+            </p>
+            <div style={{ display: 'flex', gap: '1rem' }}>
+              <button
+                className="button"
+                onClick={() => respondToOffer(true)}
+                disabled={actionLoading}
+                style={{ backgroundColor: actionLoading ? '#ccc' : '#22c55e' }}
+              >
+                {actionLoading ? 'Please wait...' : 'Accept Offer'}
+              </button>
+              <button
+                className="button"
+                onClick={() => respondToOffer(false)}
+                disabled={actionLoading}
+                style={{ backgroundColor: '#6c757d' }}
+              >
+                No Thanks, Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Cancellation form - the answers are sent to Stripe with the cancellation */}
+        {account && showCancelForm && !retentionOffer && !cancellationScheduled && (
+          <div style={panelStyle}>
+            <h4 style={{ margin: '0 0 0.75rem 0', color: '#FFFFFF' }}>We&apos;re sorry to see you go</h4>
+
+            <label htmlFor="feedback" style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold' }}>
+              Why are you cancelling?
+            </label>
+            <select
+              id="feedback"
+              value={feedback}
+              onChange={(e) => setFeedback(e.target.value)}
+              style={{ ...inputStyle, marginBottom: '1rem' }}
+            >
+              <option value="">Prefer not to say</option>
+              {feedbackOptions.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+
+            <label htmlFor="comment" style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold' }}>
+              Anything else you&apos;d like to tell us? (optional)
+            </label>
+            <textarea
+              id="comment"
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              maxLength={500}
+              rows={3}
+              style={{ ...inputStyle, marginBottom: '1rem', resize: 'vertical' }}
+            />
+
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '1rem', color: '#D0D0D0' }}>
+              <input
+                type="checkbox"
+                checked={cancelImmediately}
+                onChange={(e) => setCancelImmediately(e.target.checked)}
+              />
+              Cancel immediately instead of at the end of the billing period (no refund for the remaining time)
+            </label>
+
+            <div style={{ display: 'flex', gap: '1rem' }}>
+              <button
+                className="button"
+                onClick={handleConfirmCancel}
+                disabled={actionLoading}
+                style={{ backgroundColor: actionLoading ? '#ccc' : '#dc3545' }}
+              >
+                {actionLoading ? 'Cancelling...' : 'Confirm Cancellation'}
+              </button>
+              <button
+                className="button"
+                onClick={() => setShowCancelForm(false)}
+                style={{ backgroundColor: '#6c757d' }}
+              >
+                Never Mind
+              </button>
+            </div>
+          </div>
+        )}
+
+        <Link href="/" style={{ color: '#635bff' }}>
+          ← Back to Home
+        </Link>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,67 @@
+import { NextResponse } from 'next/server'
+import { findCurrentSubscription } from '@/lib/customer-lookup'
+import { getAuthorizedEmail, SIGN_IN_REQUIRED } from '@/lib/account-auth'
+import { getPendingPlanChange } from '@/lib/plan-changes'
+import { getPausedEntitlementPolicy } from '@/lib/pauses'
+import { getBaseItem, getAddonItems } from '@/lib/addons'
+
+const ACCOUNT_STATUSES = ['active', 'trialing', 'past_due', 'unpaid', 'paused']
+
+// Subscription overview for the account page
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const email = searchParams.get('email')
+
+    if (!email) {
+      return NextResponse.json({ error: 'Missing email' }, { status: 400 })
+    }
+
+    // 🔑 Only the signed-in customer can see their subscription (see lib/account-auth.js)
+    const signedInEmail = getAuthorizedEmail(request, email)
+    if (!signedInEmail) {
+      return NextResponse.json(SIGN_IN_REQUIRED, { status: 401 })
+    }
+
+    const { customer, subscription } = await findCurrentSubscription(signedInEmail, { statuses: ACCOUNT_STATUSES })
+    if (!subscription) {
+      return NextResponse.json({ error: 'No subscription found for this email' }, { status: 404 })
+    }
+
+    const baseItem = getBaseItem(subscription)
+    const price = baseItem.price
+
+    return NextResponse.json({
+      customerId: customer.id,
+      subscriptionId: subscription.id,
+      status: subscription.status,
+      plan: {
+        priceId: price.id,
+        productName: price.product.name,
+        interval: price.recurring.interval,
+        amount: price.unit_amount,
+        currency: price.currency,
+        quantity: baseItem.quantity
+      },
+      addons: getAddonItems(subscription).map(item => ({
+        name: item.price.product.name,
+        amount: item.price.unit_amount,
+        currency: item.price.currency
+      })),
+      currentPeriodEnd: subscription.current_period_end,
+      trialEnd: subscription.trial_end,
+      cancelAtPeriodEnd: subscription.cancel_at_period_end,
+      cancelAt: subscription.cancel_at,
+      cancellationFeedback: subscription.cancellation_details?.feedback || null,
+      pauseCollection: subscription.pause_collection
+        ? { behavior: subscription.pause_collection.behavior, resumesAt: subscription.pause_collection.resumes_at }
+        : null,
+      pausedEntitlements: getPausedEntitlementPolicy(),
+      pendingChange: await getPendingPlanChange(subscription)
+    })
+
+  } catch (error) {
+    console.error('Account lookup error:', error)
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
@@ -0,0 +1,68 @@
+import { NextResponse } from 'next/server'
+import { findCurrentSubscription } from '@/lib/customer-lookup'
+import { getAuthorizedEmail, SIGN_IN_REQUIRED } from '@/lib/account-auth'
+import { cancelSubscription, isValidFeedback, CANCELLATION_FEEDBACK } from '@/lib/cancellations'
+
+const CANCELLABLE_STATUSES = ['active', 'trialing', 'past_due', 'unpaid', 'paused']
+
+// Feedback options for the cancellation form
+export async function GET() {
+  return NextResponse.json({
+    feedbackOptions: Object.entries(CANCELLATION_FEEDBACK).map(([value, label]) => ({ value, label }))
+  })
+}
+
+// Body: { email, immediately?, feedback?, comment? } - cancels at period end by default
+export async function POST(request) {
+  try {
+    const { email, immediately = false, feedback, comment } = await request.json()
+
+    if (!email) {
+      return NextResponse.json({ error: 'Missing email' }, { status: 400 })
+    }
+
+    if (feedback && !isValidFeedback(feedback)) {
+      return NextResponse.json(
+        { error: `feedback must be one of: ${Object.keys(CANCELLATION_FEEDBACK).join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+      return NextResponse.json({ error: 'comment must be a string' }, { status: 400 })
+    }
+
+    // 🔑 Only the signed-in customer can change their billing (see lib/account-auth.js)
+    const signedInEmail = getAuthorizedEmail(request, email)
+    if (!signedInEmail) {
+      return NextResponse.json(SIGN_IN_REQUIRED, { status: 401 })
+    }
+
+    const { subscription } = await findCurrentSubscription(signedInEmail, { statuses: CANCELLABLE_STATUSES })
+    if (!subscription) {
+      return NextResponse.json({ error: 'No active subscription found' }, { status: 404 })
+    }
+
+    if (!immediately && subscription.cancel_at_period_end) {
+      return NextResponse.json({ error: 'Your subscription is already set to cancel' }, { status: 400 })
+    }
+
+    const result = await cancelSubscription(subscription, {
+      immediately: !!immediately,
+      feedback,
+      comment
+    })
+
+    return NextResponse.json({
+      subscriptionId: result.id,
+      status: result.status,
+      cancelAtPeriodEnd: result.cancel_at_period_end,
+      // When access ends - now for an immediate cancellation
+      endsAt: immediately ? result.ended_at || result.canceled_at : result.current_period_end
+    })
+
+  } catch (error) {
+    console.error('Subscription cancellation error:', error)
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
@@ -0,0 +1,167 @@
+import { NextResponse } from 'next/server'
+import { stripe } from '@/lib/stripe-server'
+import { findCurrentSubscription } from '@/lib/customer-lookup'
+import { getAuthorizedEmail, SIGN_IN_REQUIRED } from '@/lib/account-auth'
+import { applyPlanChange, cancelPendingPlanChange, getPendingPlanChange } from '@/lib/plan-changes'
+import { validateQuantity } from '@/lib/seats'
+import { getBaseItem, getAddonItems, isAddonPrice } from '@/lib/addons'
+
+function describePlan(price) {
+  return {
+    priceId: price.id,
+    productId: price.product.id,
+    productName: price.product.name,
+    interval: price.recurring.interval,
+    currency: price.currency
+  }
+}
+
+// Current plan and any downgrade waiting for the end of the period
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const email = searchParams.get('email')
+
+    if (!email) {
+      return NextResponse.json({ error: 'Missing email' }, { status: 400 })
+    }
+
+    // 🔑 Only the signed-in customer can see their plan (see lib/account-auth.js)
+    const signedInEmail = getAuthorizedEmail(request, email)
+    if (!signedInEmail) {
+      return NextResponse.json(SIGN_IN_REQUIRED, { status: 401 })
+    }
+
+    const { subscription } = await findCurrentSubscription(signedInEmail)
+    if (!subscription) {
+      return NextResponse.json({ error: 'No active subscription found' }, { status: 404 })
+    }
+
+    return NextResponse.json({
+      subscriptionId: subscription.id,
+      status: subscription.status,
+      currentPlan: describePlan(getBaseItem(subscription).price),
+      quantity: getBaseItem(subscription).quantity,
+      addons: getAddonItems(subscription).map(item => ({
+        priceId: item.price.id,
+        productId: item.price.product.id,
+        name: item.price.product.name
+      })),
+      currentPeriodEnd: subscription.current_period_end,
+      pendingChange: await getPendingPlanChange(subscription)
+    })
+
+  } catch (error) {
+    console.error('Subscription lookup error:', error)
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
+
+// Body: { email, priceId, quantity? } - upgrades apply now with proration,
+// downgrades at period end. quantity (servers) defaults to the current one.
+export async function POST(request) {
+  try {
+    const { email, priceId, quantity } = await request.json()
+
+    if (!email || !priceId) {
+      return NextResponse.json(
+        { error: 'Missing required fields: email or priceId' },
+        { status: 400 }
+      )
+    }
+
+    if (quantity !== undefined) {
+      const quantityError = validateQuantity(quantity)
+      if (quantityError) {
+        return NextResponse.json({ error: quantityError }, { status: 400 })
+      }
+    }
+
+    // 🔑 Only the signed-in customer can change their billing (see lib/account-auth.js)
+    const signedInEmail = getAuthorizedEmail(request, email)
+    if (!signedInEmail) {
+      return NextResponse.json(SIGN_IN_REQUIRED, { status: 401 })
+    }
+
+    const { subscription } = await findCurrentSubscription(signedInEmail)
+    if (!subscription) {
+      return NextResponse.json({ error: 'No active subscription found' }, { status: 404 })
+    }
+
+    let newPrice
+    try {
+      newPrice = await stripe.prices.retrieve(priceId, { expand: ['product'] })
+    } catch (priceError) {
+      return NextResponse.json({ error: 'Price not found' }, { status: 400 })
+    }
+
+    if (!newPrice.active || !newPrice.recurring || isAddonPrice(newPrice)) {
+      return NextResponse.json({ error: 'This plan is not available' }, { status: 400 })
+    }
+
+    const baseItem = getBaseItem(subscription)
+
+    if (newPrice.id === baseItem.price.id) {
+      return NextResponse.json({ error: 'You are already on this plan' }, { status: 400 })
+    }
+
+    // A subscription is billed in one currency for its whole life
+    if (newPrice.currency !== baseItem.price.currency) {
+      return NextResponse.json(
+        { error: `Your subscription is billed in ${baseItem.price.currency.toUpperCase()} - pick a plan in that currency` },
+        { status: 400 }
+      )
+    }
+
+    const result = await applyPlanChange(subscription, newPrice, { quantity })
+
+    return NextResponse.json({
+      subscriptionId: subscription.id,
+      type: result.type,
+      timing: result.timing,
+      effectiveAt: result.effectiveAt,
+      previousPlan: describePlan(baseItem.price),
+      newPlan: describePlan(newPrice),
+      quantity: quantity ?? baseItem.quantity,
+      // Set when the prorated charge needs 3D Secure - the change applies once it's confirmed
+      clientSecret: result.clientSecret
+    })
+
+  } catch (error) {
+    console.error('Subscription change error:', error)
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
+
+// Body: { email } - drop a scheduled downgrade and stay on the current plan
+export async function DELETE(request) {
+  try {
+    const { email } = await request.json()
+
+    if (!email) {
+      return NextResponse.json({ error: 'Missing email' }, { status: 400 })
+    }
+
+    // 🔑 Only the signed-in customer can change their billing (see lib/account-auth.js)
+    const signedInEmail = getAuthorizedEmail(request, email)
+    if (!signedInEmail) {
+      return NextResponse.json(SIGN_IN_REQUIRED, { status: 401 })
+    }
+
+    const { subscription } = await findCurrentSubscription(signedInEmail)
+    if (!subscription) {
+      return NextResponse.json({ error: 'No active subscription found' }, { status: 404 })
+    }
+
+    const cancelled = await cancelPendingPlanChange(subscription)
+    if (!cancelled) {
+      return NextResponse.json({ error: 'No plan change is scheduled' }, { status: 404 })
+    }
+
+    return NextResponse.json({ subscriptionId: subscription.id, cancelled: true })
+
+  } catch (error) {
+    console.error('Pending change cancellation error:', error)
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
@@ -0,0 +1,177 @@
+import { NextResponse } from 'next/server'
+import { stripe } from '@/lib/stripe-server'
+import { getCustomerByEmail } from '@/lib/storage'
+import { retrieveLiveCustomer } from '@/lib/customer-lookup'
+import { getProductTrial, isEligibleForTrial } from '@/lib/trials'
+import { isAutomaticTaxEnabled } from '@/lib/tax'
+import { validateQuantity } from '@/lib/seats'
+import { isAddonPrice, retrieveAddonPrices, validateAddonPrices } from '@/lib/addons'
+import { isLifetimePrice } from '@/lib/lifetime'
+
+// Abandoned sessions expire after an hour (Stripe's minimum is 30 minutes)
+const SESSION_LIFETIME_SECONDS = 60 * 60
+
+// Hosted Checkout alternative to create-subscription. Same body and the same
+// 409 for customers who already subscribe; returns { url } to redirect to.
+export async function POST(request) {
+  try {
+    const { priceId, planType, email, productName, promoCodeId, quantity = 1, addonPriceIds = [] } = await request.json()
+
+    if (!priceId || !planType || !email) {
+      return NextResponse.json(
+        { error: 'Missing required fields: priceId, planType, or email' },
+        { status: 400 }
+      )
+    }
+
+    const quantityError = validateQuantity(quantity)
+    if (quantityError) {
+      return NextResponse.json({ error: quantityError }, { status: 400 })
+    }
+
+    let customer = null
+    let previousSubscriptions = []
+    const existingCustomer = await getCustomerByEmail(email)
+
+    if (existingCustomer && existingCustomer.stripeCustomerId) {
+      customer = await retrieveLiveCustomer(existingCustomer.stripeCustomerId, 'create-checkout-session')
+    }
+
+    if (customer) {
+      const customerSubscriptions = await stripe.subscriptions.list({
+        customer: customer.id,
+        status: 'all',
+        limit: 100
+      })
+      previousSubscriptions = customerSubscriptions.data
+
+      const activeSubscription = previousSubscriptions.find(sub => ['active', 'trialing'].includes(sub.status))
+
+      if (activeSubscription) {
+        // The checkout page offers a plan change instead (see change-subscription).
+        // The plan itself is only shown to the signed-in customer.
+        return NextResponse.json({
+          error: 'You already have an active subscription',
+          details: {
+            hasActiveSubscription: true,
+            canChangePlan: true
+          }
+        }, { status: 409 })
+      }
+
+      if (previousSubscriptions.some(sub => sub.status === 'past_due')) {
+        return NextResponse.json({
+          error: 'You have a subscription with payment issues that needs to be resolved first',
+          details: {
+            hasProblematicSubscription: true,
+            subscriptionId: previousSubscriptions.find(sub => sub.status === 'past_due').id
+          }
+        }, { status: 409 })
+      }
+    } else {
+      // Created up front (rather than by Checkout) so it carries the same name and metadata
+      customer = await stripe.customers.create({
+        email: email,
+        name: email.split('@')[0],
+        metadata: {
+          plan: planType,
+          product: productName || 'Unknown'
+        }
+      })
+    }
+
+    const price = await stripe.prices.retrieve(priceId, { expand: ['product'] })
+
+    // 💱 Stripe bills a customer in one currency once they've paid in it
+    if (customer.currency && customer.currency !== price.currency) {
+      return NextResponse.json({
+        error: `Your account is billed in ${customer.currency.toUpperCase()} - please choose prices in that currency`,
+        details: { customerCurrency: customer.currency }
+      }, { status: 400 })
+    }
+
+    // ♾️ LIFETIME: Bought with a one-off payment instead (see create-lifetime-purchase)
+    if (isLifetimePrice(price)) {
+      return NextResponse.json({ error: 'Lifetime access is a one-off purchase, not a plan' }, { status: 400 })
+    }
+
+    // 🧩 ADD-ONS: Extra items on the same subscription
+    if (isAddonPrice(price)) {
+      return NextResponse.json({ error: 'Add-ons can only be bought with a plan' }, { status: 400 })
+    }
+
+    let addonPrices
+    try {
+      addonPrices = await retrieveAddonPrices(addonPriceIds)
+    } catch (addonError) {
+      return NextResponse.json({ error: 'Add-on not found' }, { status: 400 })
+    }
+
+    const addonError = validateAddonPrices(price, addonPrices)
+    if (addonError) {
+      return NextResponse.json({ error: addonError }, { status: 400 })
+    }
+
+    // 🎁 FREE TRIAL: Trial settings come from the product, never from the client
+    const trial = getProductTrial(price.product)
+    const startTrial = trial && isEligibleForTrial(previousSubscriptions)
+
+    const appUrl = process.env.APP_URL || new URL(request.url).origin
+    const metadata = {
+      plan: planType,
+      product: productName || 'Unknown'
+    }
+
+    const sessionConfig = {
+      mode: 'subscription',
+      customer: customer.id,
+      line_items: [{ price: priceId, quantity }, ...addonPrices.map(addonPrice => ({ price: addonPrice.id, quantity: 1 }))],
+      success_url: `${appUrl}/success?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${appUrl}/checkout?canceled=true`,
+      expires_at: Math.floor(Date.now() / 1000) + SESSION_LIFETIME_SECONDS,
+      metadata,
+      subscription_data: { metadata },
+      // 🧾 Stripe's page collects the billing address and an optional VAT ID,
+      // and saves both on the customer for renewals
+      billing_address_collection: 'required',
+      tax_id_collection: { enabled: true },
+      customer_update: { address: 'auto', name: 'auto' }
+    }
+
+    if (isAutomaticTaxEnabled()) {
+      sessionConfig.automatic_tax = { enabled: true }
+    }
+
+    if (startTrial) {
+      sessionConfig.subscription_data.trial_period_days = trial.days
+      sessionConfig.subscription_data.trial_settings = { end_behavior: { missing_payment_method: 'cancel' } }
+      sessionConfig.subscription_data.metadata.trial_requires_payment_method = String(trial.paymentMethodRequired)
+      // Card-less trials skip card entry entirely
+      sessionConfig.payment_method_collection = trial.paymentMethodRequired ? 'always' : 'if_required'
+    }
+
+    // A code validated on our page is applied up front; otherwise customers can enter one on Stripe's page
+    if (promoCodeId) {
+      sessionConfig.discounts = [{ promotion_code: promoCodeId }]
+      console.log(`🎫 Applying promo code: ${promoCodeId}`)
+    } else {
+      sessionConfig.allow_promotion_codes = true
+    }
+
+    const session = await stripe.checkout.sessions.create(sessionConfig)
+    console.log(`🛒 Created Checkout Session ${session.id} for customer ${customer.id}${startTrial ? ` with a ${trial.days}-day trial` : ''}`)
+
+    return NextResponse.json({
+      sessionId: session.id,
+      url: session.url,
+      customerId: customer.id
+    })
+
+  } catch (error) {
+    console.error('Checkout Session creation error:', error)
+    return NextResponse.json(
+      { error: error.message },
+      { status: 500 }
+    )
+  }
+}
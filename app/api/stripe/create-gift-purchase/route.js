@@ -0,0 +1,129 @@
+import { NextResponse } from 'next/server'
+import { stripe } from '@/lib/stripe-server'
+import { getCustomerByEmail, createGift } from '@/lib/storage'
+import { retrieveLiveCustomer } from '@/lib/customer-lookup'
+import { getAuthorizedEmail } from '@/lib/account-auth'
+import { normalizeBillingDetails, validateBillingDetails } from '@/lib/billing-details'
+import { isAutomaticTaxEnabled, saveCustomerBillingDetails, describeTaxError } from '@/lib/tax'
+import { generateGiftCode, validateGiftPurchase, createGiftPaymentIntent, createGiftCheckoutSession } from '@/lib/gifts'
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+// Body: { priceId, months, email, recipientEmail, message, billingDetails, hosted }
+// - buy `months` of a tier's monthly price as a gift. priceId must be the
+// monthly price; recipientEmail optionally limits who can redeem the code.
+// Returns the gift code with a PaymentIntent clientSecret, or { url } of a
+// Stripe Checkout Session when hosted is true. The code becomes redeemable
+// once the payment_intent.succeeded webhook arrives.
+export async function POST(request) {
+  try {
+    const { priceId, email, recipientEmail, message, billingDetails, hosted = false, ...body } = await request.json()
+    const months = parseInt(body.months, 10)
+
+    if (!priceId || !months || !email) {
+      return NextResponse.json(
+        { error: 'Missing required fields: priceId, months or email' },
+        { status: 400 }
+      )
+    }
+
+    if (recipientEmail && !EMAIL_PATTERN.test(recipientEmail)) {
+      return NextResponse.json({ error: 'Please enter a valid recipient email' }, { status: 400 })
+    }
+
+    // 🧾 TAX: Stripe's hosted page collects the address itself
+    if (!hosted && (isAutomaticTaxEnabled() || billingDetails)) {
+      const billingError = validateBillingDetails(billingDetails)
+      if (billingError) {
+        return NextResponse.json({ error: billingError }, { status: 400 })
+      }
+    }
+
+    const price = await stripe.prices.retrieve(priceId, { expand: ['product'] })
+    const giftError = validateGiftPurchase(price, months)
+    if (giftError) {
+      return NextResponse.json({ error: giftError }, { status: 400 })
+    }
+
+    let customer = null
+    let customerCreated = false
+    const existingCustomer = await getCustomerByEmail(email)
+
+    if (existingCustomer && existingCustomer.stripeCustomerId) {
+      customer = await retrieveLiveCustomer(existingCustomer.stripeCustomerId, 'create-gift-purchase')
+    }
+
+    if (!customer) {
+      customer = await stripe.customers.create({
+        email: email,
+        name: email.split('@')[0],
+        metadata: {
+          plan: 'gift',
+          product: price.product.name
+        }
+      })
+      customerCreated = true
+    }
+
+    const code = generateGiftCode()
+    const gift = {
+      code,
+      productId: price.product.id,
+      productName: price.product.name,
+      priceId: price.id,
+      months,
+      currency: price.currency,
+      amount: price.unit_amount * months,
+      buyerEmail: email,
+      buyerCustomerId: customer.id,
+      recipientEmail: recipientEmail ? recipientEmail.trim().toLowerCase() : null,
+      message: message ? String(message).slice(0, 500) : null
+    }
+
+    if (hosted) {
+      const appUrl = process.env.APP_URL || new URL(request.url).origin
+      const session = await createGiftCheckoutSession(customer, price, months, code, appUrl)
+      await createGift({ ...gift, checkoutSessionId: session.id, paymentIntentId: null })
+
+      return NextResponse.json({
+        code,
+        sessionId: session.id,
+        url: session.url,
+        customerId: customer.id
+      })
+    }
+
+    // 🧾 TAX: Only a customer created just now or the signed-in one gets these
+    // billing details - anyone else updates theirs in the Billing Portal
+    if (billingDetails && (customerCreated || getAuthorizedEmail(request, email))) {
+      await saveCustomerBillingDetails(customer.id, normalizeBillingDetails(billingDetails))
+    }
+
+    const { paymentIntent, tax } = await createGiftPaymentIntent(customer, price, months, code)
+    await createGift({ ...gift, paymentIntentId: paymentIntent.id })
+
+    return NextResponse.json({
+      code,
+      paymentIntentId: paymentIntent.id,
+      clientSecret: paymentIntent.client_secret,
+      customerId: customer.id,
+      // What the payment actually comes to, tax included
+      amountDue: paymentIntent.amount,
+      currency: paymentIntent.currency,
+      tax
+    })
+
+  } catch (error) {
+    console.error('Gift purchase error:', error)
+
+    const taxError = describeTaxError(error)
+    if (taxError) {
+      return NextResponse.json({ error: taxError }, { status: 400 })
+    }
+
+    return NextResponse.json(
+      { error: error.message },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,129 @@
+import { NextResponse } from 'next/server'
+import { stripe } from '@/lib/stripe-server'
+import { getCustomerByEmail } from '@/lib/storage'
+import { retrieveLiveCustomer } from '@/lib/customer-lookup'
+import { getAuthorizedEmail } from '@/lib/account-auth'
+import { normalizeBillingDetails, validateBillingDetails } from '@/lib/billing-details'
+import { isAutomaticTaxEnabled, saveCustomerBillingDetails, describeTaxError } from '@/lib/tax'
+import {
+  isLifetimePrice,
+  findPaidLifetimePayment,
+  createLifetimePaymentIntent,
+  createLifetimeCheckoutSession
+} from '@/lib/lifetime'
+
+// Body: { priceId, email, billingDetails, hosted } - the one-off Lifetime
+// purchase. Returns a PaymentIntent clientSecret for the checkout page, or
+// { url } of a Stripe Checkout Session when hosted is true. Access is granted
+// by the payment_intent.succeeded webhook.
+export async function POST(request) {
+  try {
+    const { priceId, email, billingDetails, hosted = false } = await request.json()
+
+    if (!priceId || !email) {
+      return NextResponse.json(
+        { error: 'Missing required fields: priceId or email' },
+        { status: 400 }
+      )
+    }
+
+    // 🧾 TAX: Stripe's hosted page collects the address itself
+    if (!hosted && (isAutomaticTaxEnabled() || billingDetails)) {
+      const billingError = validateBillingDetails(billingDetails)
+      if (billingError) {
+        return NextResponse.json({ error: billingError }, { status: 400 })
+      }
+    }
+
+    const price = await stripe.prices.retrieve(priceId, { expand: ['product'] })
+    if (!isLifetimePrice(price) || !price.active) {
+      return NextResponse.json({ error: 'That price is not a lifetime purchase' }, { status: 400 })
+    }
+
+    let customer = null
+    let customerCreated = false
+    const existingCustomer = await getCustomerByEmail(email)
+
+    if (existingCustomer?.lifetime) {
+      return NextResponse.json({
+        error: 'You already have lifetime access',
+        details: { hasLifetimeAccess: true }
+      }, { status: 409 })
+    }
+
+    if (existingCustomer && existingCustomer.stripeCustomerId) {
+      customer = await retrieveLiveCustomer(existingCustomer.stripeCustomerId, 'create-lifetime-purchase')
+    }
+
+    // The webhook for an earlier purchase may not have been stored yet
+    if (customer && await findPaidLifetimePayment(customer.id)) {
+      return NextResponse.json({
+        error: 'You already have lifetime access',
+        details: { hasLifetimeAccess: true }
+      }, { status: 409 })
+    }
+
+    if (!customer) {
+      customer = await stripe.customers.create({
+        email: email,
+        name: email.split('@')[0],
+        metadata: {
+          plan: 'lifetime',
+          product: price.product.name
+        }
+      })
+      customerCreated = true
+    }
+
+    // 💱 Stripe bills a customer in one currency once they've paid in it
+    if (customer.currency && customer.currency !== price.currency) {
+      return NextResponse.json({
+        error: `Your account is billed in ${customer.currency.toUpperCase()} - please choose prices in that currency`,
+        details: { customerCurrency: customer.currency }
+      }, { status: 400 })
+    }
+
+    if (hosted) {
+      const appUrl = process.env.APP_URL || new URL(request.url).origin
+      const session = await createLifetimeCheckoutSession(customer, price, appUrl)
+
+      return NextResponse.json({
+        sessionId: session.id,
+        url: session.url,
+        customerId: customer.id
+      })
+    }
+
+    // 🧾 TAX: Only a customer created just now or the signed-in one gets these
+    // billing details - anyone else updates theirs in the Billing Portal
+    if (billingDetails && (customerCreated || getAuthorizedEmail(request, email))) {
+      await saveCustomerBillingDetails(customer.id, normalizeBillingDetails(billingDetails))
+    }
+
+    const { paymentIntent, tax, resumed } = await createLifetimePaymentIntent(customer, price)
+
+    return NextResponse.json({
+      paymentIntentId: paymentIntent.id,
+      clientSecret: paymentIntent.client_secret,
+      customerId: customer.id,
+      resumed,
+      // What the payment actually comes to, tax included
+      amountDue: paymentIntent.amount,
+      currency: paymentIntent.currency,
+      tax
+    })
+
+  } catch (error) {
+    console.error('Lifetime purchase error:', error)
+
+    const taxError = describeTaxError(error)
+    if (taxError) {
+      return NextResponse.json({ error: taxError }, { status: 400 })
+    }
+
+    return NextResponse.json(
+      { error: error.message },
+      { status: 500 }
+    )
+  }
+}
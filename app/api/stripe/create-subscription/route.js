@@ -1,10 +1,18 @@
 import { NextResponse } from 'next/server'
 import { stripe } from '@/lib/stripe-server'
 import { getCustomerByEmail } from '@/lib/storage'
+import { retrieveLiveCustomer } from '@/lib/customer-lookup'
+import { getAuthorizedEmail } from '@/lib/account-auth'
+import { getProductTrial, isEligibleForTrial, createCardTrialSetupIntent } from '@/lib/trials'
+import { normalizeBillingDetails, validateBillingDetails } from '@/lib/billing-details'
+import { isAutomaticTaxEnabled, saveCustomerBillingDetails, summarizeInvoiceTax, describeTaxError } from '@/lib/tax'
+import { validateQuantity } from '@/lib/seats'
+import { getBaseItem, isAddonPrice, retrieveAddonPrices, validateAddonPrices } from '@/lib/addons'
+import { isLifetimePrice } from '@/lib/lifetime'
 
 export async function POST(request) {
   try {
-    const { priceId, planType, email, productName, promoCodeId } = await request.json() // Add promoCodeId
+    const { priceId, planType, email, productName, promoCodeId, billingDetails, quantity = 1, addonPriceIds = [] } = await request.json() // Add promoCodeId
 
     if (!priceId || !planType || !email) {
       return NextResponse.json(
@@ -13,32 +21,73 @@ export async function POST(request) {
       )
     }
 
+    // 🖥️ SEATS: quantity is the number of premium servers
+    const quantityError = validateQuantity(quantity)
+    if (quantityError) {
+      return NextResponse.json({ error: quantityError }, { status: 400 })
+    }
+
+    // 🧾 TAX: Stripe Tax needs the customer's billing address up front
+    const automaticTax = isAutomaticTaxEnabled()
+    if (automaticTax || billingDetails) {
+      const billingError = validateBillingDetails(billingDetails)
+      if (billingError) {
+        return NextResponse.json({ error: billingError }, { status: 400 })
+      }
+    }
+
     // Check if customer already exists
-    let customer
+    let customer = null
+    let customerCreated = false
+    let previousSubscriptions = []
     const existingCustomer = await getCustomerByEmail(email)
 
     if (existingCustomer && existingCustomer.stripeCustomerId) {
-      customer = await stripe.customers.retrieve(existingCustomer.stripeCustomerId)
+      customer = await retrieveLiveCustomer(existingCustomer.stripeCustomerId, 'create-subscription')
+    }
 
-      // Check for existing active subscriptions
-      const activeSubscriptions = await stripe.subscriptions.list({
+    if (customer) {
+      // Check for existing active (or trialing) subscriptions
+      const customerSubscriptions = await stripe.subscriptions.list({
         customer: customer.id,
-        status: 'active',
-        limit: 10
+        status: 'all',
+        limit: 100
       })
+      previousSubscriptions = customerSubscriptions.data
 
-      if (activeSubscriptions.data.length > 0) {
-        const activeSubscription = activeSubscriptions.data[0]
-        const currentPrice = await stripe.prices.retrieve(activeSubscription.items.data[0].price.id)
-        const currentProduct = await stripe.products.retrieve(currentPrice.product)
+      const activeSubscription = previousSubscriptions.find(sub => ['active', 'trialing'].includes(sub.status))
 
+      // 🔄 RESUME TRIAL: A trial started without finishing card entry - let them add it now
+      if (activeSubscription?.status === 'trialing' &&
+        !activeSubscription.default_payment_method &&
+        activeSubscription.pending_setup_intent &&
+        getBaseItem(activeSubscription)?.price?.id === priceId) {
+        const setupIntent = await stripe.setupIntents.retrieve(activeSubscription.pending_setup_intent)
+
+        if (setupIntent.status === 'requires_payment_method') {
+          console.log(`🔄 Resuming card entry for trialing subscription: ${activeSubscription.id}`)
+          return NextResponse.json({
+            subscriptionId: activeSubscription.id,
+            clientSecret: setupIntent.client_secret,
+            intentType: 'setup',
+            customerId: customer.id,
+            resumed: true,
+            trial: {
+              endsAt: activeSubscription.trial_end,
+              paymentMethodRequired: activeSubscription.metadata?.trial_requires_payment_method !== 'false'
+            }
+          })
+        }
+      }
+
+      if (activeSubscription) {
+        // The checkout page offers a plan change instead (see change-subscription).
+        // The plan itself is only shown to the signed-in customer.
         return NextResponse.json({
           error: 'You already have an active subscription',
           details: {
-            currentPlan: currentProduct.name,
-            currentInterval: currentPrice.recurring.interval,
-            subscriptionId: activeSubscription.id,
-            hasActiveSubscription: true
+            hasActiveSubscription: true,
+            canChangePlan: true
           }
         }, { status: 409 })
       }
@@ -50,10 +99,13 @@ export async function POST(request) {
         limit: 10
       })
 
-      // Look for an incomplete subscription with the same price
+      // Look for an incomplete subscription with the same price, server count and add-ons
       const matchingIncomplete = incompleteSubscriptions.data.find(sub => {
-        const subPriceId = sub.items.data[0]?.price?.id
-        return subPriceId === priceId
+        const baseItem = getBaseItem(sub)
+        const subAddonPriceIds = sub.items.data.filter(item => item !== baseItem).map(item => item.price.id).sort()
+        return baseItem?.price?.id === priceId &&
+          baseItem.quantity === quantity &&
+          subAddonPriceIds.join(',') === [...new Set(addonPriceIds)].sort().join(',')
       })
 
       if (matchingIncomplete) {
@@ -108,14 +160,99 @@ export async function POST(request) {
           product: productName || 'Unknown'
         }
       })
+      customerCreated = true
+    }
+
+    const price = await stripe.prices.retrieve(priceId, { expand: ['product'] })
+
+    // 💱 Stripe bills a customer in one currency once they've paid in it
+    if (customer.currency && customer.currency !== price.currency) {
+      return NextResponse.json({
+        error: `Your account is billed in ${customer.currency.toUpperCase()} - please choose prices in that currency`,
+        details: { customerCurrency: customer.currency }
+      }, { status: 400 })
+    }
+
+    // ♾️ LIFETIME: Bought with a one-off payment instead (see create-lifetime-purchase)
+    if (isLifetimePrice(price)) {
+      return NextResponse.json({ error: 'Lifetime access is a one-off purchase, not a plan' }, { status: 400 })
+    }
+
+    // 🧩 ADD-ONS: Extra items on the same subscription
+    if (isAddonPrice(price)) {
+      return NextResponse.json({ error: 'Add-ons can only be bought with a plan' }, { status: 400 })
+    }
+
+    let addonPrices
+    try {
+      addonPrices = await retrieveAddonPrices(addonPriceIds)
+    } catch (addonError) {
+      return NextResponse.json({ error: 'Add-on not found' }, { status: 400 })
+    }
+
+    const addonError = validateAddonPrices(price, addonPrices)
+    if (addonError) {
+      return NextResponse.json({ error: addonError }, { status: 400 })
+    }
+
+    // 🧾 TAX: Only a customer created just now or the signed-in one gets these
+    // billing details - anyone else updates theirs in the Billing Portal
+    if (billingDetails && (customerCreated || getAuthorizedEmail(request, email))) {
+      await saveCustomerBillingDetails(customer.id, normalizeBillingDetails(billingDetails))
+    }
+
+    // 🎁 FREE TRIAL: Trial settings come from the product, never from the client
+    const trial = getProductTrial(price.product)
+    const startTrial = trial && isEligibleForTrial(previousSubscriptions)
+
+    if (trial && !startTrial) {
+      console.log(`🎁 Customer ${customer.id} has subscribed before - no free trial`)
+    }
+
+    // 💳 CARD TRIAL: No subscription (and no access) until the card is saved -
+    // startCardTrial creates it once the SetupIntent succeeds
+    if (startTrial && trial.paymentMethodRequired) {
+      if (promoCodeId) {
+        const promotionCode = await stripe.promotionCodes.retrieve(promoCodeId)
+        if (!promotionCode.active) {
+          return NextResponse.json({ error: 'This promo code is no longer active' }, { status: 400 })
+        }
+      }
+
+      const setupIntent = await createCardTrialSetupIntent(customer.id, {
+        priceId,
+        quantity,
+        addonPriceIds: addonPrices.map(addonPrice => addonPrice.id),
+        promoCodeId,
+        planType,
+        productName,
+        trial
+      })
+
+      console.log(`🎁 Waiting for a card before starting a ${trial.days}-day trial for customer ${customer.id} (${setupIntent.id})`)
+
+      return NextResponse.json({
+        subscriptionId: null,
+        setupIntentId: setupIntent.id,
+        clientSecret: setupIntent.client_secret,
+        intentType: 'setup',
+        customerId: customer.id,
+        resumed: false,
+        freeSubscription: false,
+        trial: {
+          days: trial.days,
+          endsAt: Math.floor(Date.now() / 1000) + trial.days * 24 * 60 * 60,
+          paymentMethodRequired: true
+        }
+      })
     }
 
     // Create new subscription (only if no valid incomplete found)
-    console.log(`🆕 Creating new subscription for customer ${customer.id}`)
+    console.log(`🆕 Creating new subscription for customer ${customer.id}${startTrial ? ` with a ${trial.days}-day trial` : ''}`)
 
     const subscriptionConfig = {
       customer: customer.id,
-      items: [{ price: priceId }],
+      items: [{ price: priceId, quantity }, ...addonPrices.map(addonPrice => ({ price: addonPrice.id }))],
       payment_behavior: 'default_incomplete',
       payment_settings: { save_default_payment_method: 'on_subscription' },
       expand: ['latest_invoice.payment_intent'],
@@ -125,6 +262,18 @@ export async function POST(request) {
       }
     }
 
+    if (automaticTax) {
+      subscriptionConfig.automatic_tax = { enabled: true }
+    }
+
+    if (startTrial) {
+      subscriptionConfig.trial_period_days = trial.days
+      // No card by the end of the trial = no subscription, rather than an unpaid invoice
+      subscriptionConfig.trial_settings = { end_behavior: { missing_payment_method: 'cancel' } }
+      subscriptionConfig.metadata.trial_requires_payment_method = String(trial.paymentMethodRequired)
+      subscriptionConfig.expand.push('pending_setup_intent')
+    }
+
     // Add promo code if provided
     if (promoCodeId) {
       subscriptionConfig.promotion_code = promoCodeId
@@ -133,6 +282,36 @@ export async function POST(request) {
 
     const subscription = await stripe.subscriptions.create(subscriptionConfig)
 
+    // 🎁 TRIAL: Nothing to pay yet - collect a card for later with a SetupIntent
+    if (subscription.status === 'trialing') {
+      let setupIntent = subscription.pending_setup_intent
+
+      if (!setupIntent) {
+        // The setup_intent.succeeded webhook attaches the card to the subscription
+        setupIntent = await stripe.setupIntents.create({
+          customer: customer.id,
+          usage: 'off_session',
+          metadata: { subscription_id: subscription.id }
+        })
+      }
+
+      console.log(`🎁 Trial started: ${subscription.id} (ends ${new Date(subscription.trial_end * 1000).toISOString()})`)
+
+      return NextResponse.json({
+        subscriptionId: subscription.id,
+        clientSecret: setupIntent.client_secret,
+        intentType: 'setup',
+        customerId: customer.id,
+        resumed: false,
+        freeSubscription: false,
+        trial: {
+          days: trial.days,
+          endsAt: subscription.trial_end,
+          paymentMethodRequired: trial.paymentMethodRequired
+        }
+      })
+    }
+
     // 🆕 NEW: Handle free subscriptions (100% discount from promo codes)
     if (subscription.status === 'active') {
       // Subscription is already active (no payment required due to 100% discount)
@@ -204,11 +383,21 @@ export async function POST(request) {
       clientSecret: subscription.latest_invoice.payment_intent.client_secret,
       customerId: customer.id,
       resumed: false,
-      freeSubscription: false
+      freeSubscription: false,
+      // What the first invoice actually came to, tax included
+      amountDue: subscription.latest_invoice.amount_due,
+      currency: subscription.latest_invoice.currency,
+      tax: summarizeInvoiceTax(subscription.latest_invoice)
     })
 
   } catch (error) {
     console.error('Subscription creation error:', error)
+
+    const taxError = describeTaxError(error)
+    if (taxError) {
+      return NextResponse.json({ error: taxError }, { status: 400 })
+    }
+
     return NextResponse.json(
       { error: error.message },
       { status: 500 }
@@ -0,0 +1,71 @@
+import { NextResponse } from 'next/server'
+import { findCurrentSubscription } from '@/lib/customer-lookup'
+import { getAuthorizedEmail, SIGN_IN_REQUIRED } from '@/lib/account-auth'
+import { pauseSubscription, isPaused, PAUSE_BEHAVIORS, MAX_PAUSE_DAYS } from '@/lib/pauses'
+
+const DAY_SECONDS = 24 * 60 * 60
+
+// Body: { email, resumesAt, behavior? } - resumesAt is a unix timestamp
+export async function POST(request) {
+  try {
+    const { email, resumesAt, behavior = 'void' } = await request.json()
+
+    if (!email || !resumesAt) {
+      return NextResponse.json(
+        { error: 'Missing required fields: email or resumesAt' },
+        { status: 400 }
+      )
+    }
+
+    if (!PAUSE_BEHAVIORS.includes(behavior)) {
+      return NextResponse.json(
+        { error: `behavior must be one of: ${PAUSE_BEHAVIORS.join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    const now = Math.floor(Date.now() / 1000)
+    if (!Number.isInteger(resumesAt) || resumesAt <= now || resumesAt > now + MAX_PAUSE_DAYS * DAY_SECONDS) {
+      return NextResponse.json(
+        { error: `The resume date must be in the next ${MAX_PAUSE_DAYS} days` },
+        { status: 400 }
+      )
+    }
+
+    // 🔑 Only the signed-in customer can change their billing (see lib/account-auth.js)
+    const signedInEmail = getAuthorizedEmail(request, email)
+    if (!signedInEmail) {
+      return NextResponse.json(SIGN_IN_REQUIRED, { status: 401 })
+    }
+
+    const { subscription } = await findCurrentSubscription(signedInEmail, { statuses: ['active'] })
+    if (!subscription) {
+      return NextResponse.json({ error: 'No active subscription found' }, { status: 404 })
+    }
+
+    if (isPaused(subscription)) {
+      return NextResponse.json({ error: 'Your subscription is already paused' }, { status: 400 })
+    }
+
+    if (subscription.cancel_at_period_end || subscription.cancel_at) {
+      return NextResponse.json(
+        { error: 'Your subscription is set to cancel - reactivate it before pausing' },
+        { status: 400 }
+      )
+    }
+
+    const paused = await pauseSubscription(subscription, { resumesAt, behavior })
+
+    return NextResponse.json({
+      subscriptionId: paused.id,
+      pauseCollection: {
+        behavior: paused.pause_collection.behavior,
+        resumesAt: paused.pause_collection.resumes_at
+      }
+    })
+
+  } catch (error) {
+    console.error('Subscription pause error:', error)
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
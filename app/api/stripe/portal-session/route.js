@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server'
+import { findStripeCustomerByEmail } from '@/lib/customer-lookup'
+import { getAuthorizedEmail, SIGN_IN_REQUIRED } from '@/lib/account-auth'
+import { createPortalSession, getPortalLoginUrl } from '@/lib/billing-portal'
+
+// Body: { email } - a one-off Billing Portal URL that brings the customer back
+// to the account page. Only a customer signed in as that email gets a session;
+// anyone else is sent to the portal's login page, which checks the email itself.
+export async function POST(request) {
+  try {
+    const { email } = await request.json()
+
+    if (!email) {
+      return NextResponse.json({ error: 'Missing email' }, { status: 400 })
+    }
+
+    const appUrl = process.env.APP_URL || new URL(request.url).origin
+    const returnUrl = `${appUrl}/account`
+
+    const signedInEmail = getAuthorizedEmail(request, email)
+    if (!signedInEmail) {
+      const loginUrl = await getPortalLoginUrl(returnUrl)
+      if (!loginUrl) {
+        return NextResponse.json(SIGN_IN_REQUIRED, { status: 401 })
+      }
+
+      return NextResponse.json({ url: loginUrl, loginPage: true })
+    }
+
+    const customer = await findStripeCustomerByEmail(signedInEmail)
+    if (!customer) {
+      return NextResponse.json({ error: 'No customer found for this email' }, { status: 404 })
+    }
+
+    const session = await createPortalSession(customer.id, returnUrl)
+
+    return NextResponse.json({ url: session.url })
+
+  } catch (error) {
+    console.error('Portal session error:', error)
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
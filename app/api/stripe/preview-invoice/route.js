@@ -0,0 +1,116 @@
+import { NextResponse } from 'next/server'
+import { stripe } from '@/lib/stripe-server'
+import { findCurrentSubscription } from '@/lib/customer-lookup'
+import { getAuthorizedEmail } from '@/lib/account-auth'
+import { previewSubscriptionInvoice } from '@/lib/invoice-preview'
+import { getProductTrial, isEligibleForTrial } from '@/lib/trials'
+import { isCompleteAddress, normalizeBillingDetails, validateBillingDetails } from '@/lib/billing-details'
+import { describeTaxError } from '@/lib/tax'
+import { validateQuantity } from '@/lib/seats'
+import { getBaseItem, isAddonPrice, retrieveAddonPrices, validateAddonPrices } from '@/lib/addons'
+
+// Body: { priceId, email?, promoCodeId?, quantity?, billingDetails?, addonPriceIds? }
+// Previews a plan change when the signed-in email already has a subscription,
+// otherwise the first invoice of a new one. Tax is included once a billing address is given.
+export async function POST(request) {
+  try {
+    const { priceId, email, promoCodeId, quantity = 1, billingDetails, addonPriceIds = [] } = await request.json()
+
+    if (!priceId) {
+      return NextResponse.json({ error: 'Missing priceId' }, { status: 400 })
+    }
+
+    const quantityError = validateQuantity(quantity)
+    if (quantityError) {
+      return NextResponse.json({ error: quantityError }, { status: 400 })
+    }
+
+    if (billingDetails && isCompleteAddress(billingDetails.address)) {
+      const billingError = validateBillingDetails(billingDetails)
+      if (billingError) {
+        return NextResponse.json({ error: billingError }, { status: 400 })
+      }
+    }
+
+    let price
+    try {
+      price = await stripe.prices.retrieve(priceId, { expand: ['product'] })
+    } catch (priceError) {
+      return NextResponse.json({ error: 'Price not found' }, { status: 400 })
+    }
+
+    if (!price.active || !price.recurring || isAddonPrice(price)) {
+      return NextResponse.json({ error: 'This plan is not available' }, { status: 400 })
+    }
+
+    let addonPrices
+    try {
+      addonPrices = await retrieveAddonPrices(addonPriceIds)
+    } catch (addonError) {
+      return NextResponse.json({ error: 'Add-on not found' }, { status: 400 })
+    }
+
+    const addonError = validateAddonPrices(price, addonPrices)
+    if (addonError) {
+      return NextResponse.json({ error: addonError }, { status: 400 })
+    }
+
+    // 🔑 Plan changes are only previewed for the signed-in customer - anyone
+    // else sees what a new subscription would cost
+    const signedInEmail = email ? getAuthorizedEmail(request, email) : null
+    const { customer, subscription } = signedInEmail
+      ? await findCurrentSubscription(signedInEmail)
+      : { customer: null, subscription: null }
+
+    if (subscription &&
+      getBaseItem(subscription).price.id === price.id &&
+      getBaseItem(subscription).quantity === quantity) {
+      return NextResponse.json({ error: 'You are already on this plan' }, { status: 400 })
+    }
+
+    const preview = await previewSubscriptionInvoice({
+      customerId: customer?.id || null,
+      subscription,
+      price,
+      promoCodeId: promoCodeId || null,
+      quantity,
+      // Only new subscriptions pick add-ons here - existing ones follow the plan
+      addonPrices: subscription ? [] : addonPrices,
+      // A half-filled address is ignored rather than failing the whole preview
+      billingDetails: isCompleteAddress(billingDetails?.address) ? normalizeBillingDetails(billingDetails) : null
+    })
+
+    // A new subscription with a trial pays nothing today - the preview is what
+    // the first charge will look like once the trial ends
+    let trial = null
+    if (!subscription) {
+      const productTrial = getProductTrial(price.product)
+      const previousSubscriptions = customer
+        ? (await stripe.subscriptions.list({ customer: customer.id, status: 'all', limit: 100 })).data
+        : []
+
+      if (productTrial && isEligibleForTrial(previousSubscriptions)) {
+        trial = productTrial
+        preview.dueToday = 0
+        preview.nextBillingDate = Math.floor(Date.now() / 1000) + productTrial.days * 24 * 60 * 60
+      }
+    }
+
+    return NextResponse.json({ ...preview, trial })
+
+  } catch (error) {
+    console.error('Invoice preview error:', error)
+
+    const taxError = describeTaxError(error)
+    if (taxError) {
+      return NextResponse.json({ error: taxError }, { status: 400 })
+    }
+
+    // Usually an invalid or inapplicable promotion code
+    if (error.type === 'StripeInvalidRequestError') {
+      return NextResponse.json({ error: error.message }, { status: 400 })
+    }
+
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
@@ -1,8 +1,20 @@
 import { NextResponse } from 'next/server'
 import { stripe } from '@/lib/stripe-server'
-
-export async function GET() {
+import { getProductTrial } from '@/lib/trials'
+import { resolveCurrency, SUPPORTED_CURRENCIES } from '@/lib/currency'
+import { isAddonProduct, isCompatibleAddon } from '@/lib/addons'
+import { isLifetimeProduct } from '@/lib/lifetime'
+import { GIFT_MONTHS } from '@/lib/gifts'
+
+// ?currency= overrides the currency picked from the browser's Accept-Language
+export async function GET(request) {
   try {
+    const { searchParams } = new URL(request.url)
+    const currency = resolveCurrency({
+      override: searchParams.get('currency'),
+      acceptLanguage: request.headers.get('accept-language')
+    })
+
     // Fetch all active products
     const products = await stripe.products.list({
       active: true,
@@ -21,19 +33,30 @@ export async function GET() {
       products.data.map(async (product) => {
         const productPrices = prices.data.filter(price => price.product === product.id)
 
-        // Organize prices by interval
-        const pricesByInterval = {}
+        // Organize prices by currency, then interval
+        const pricesByCurrency = {}
         productPrices.forEach(price => {
-          if (price.recurring) {
+          if (price.recurring && SUPPORTED_CURRENCIES.includes(price.currency)) {
             const intervalKey = price.recurring.interval === 'month' ? 'monthly' :
               price.recurring.interval === 'year' ? 'yearly' :
                 price.recurring.interval
 
-            pricesByInterval[intervalKey] = {
+            pricesByCurrency[price.currency] = pricesByCurrency[price.currency] || {}
+            pricesByCurrency[price.currency][intervalKey] = {
               id: price.id,
               amount: price.unit_amount,
+              currency: price.currency,
               interval: price.recurring.interval
             }
+          } else if (!price.recurring && SUPPORTED_CURRENCIES.includes(price.currency)) {
+            // One-off prices (the lifetime purchase) are listed as 'lifetime'
+            pricesByCurrency[price.currency] = pricesByCurrency[price.currency] || {}
+            pricesByCurrency[price.currency].lifetime = {
+              id: price.id,
+              amount: price.unit_amount,
+              currency: price.currency,
+              interval: null
+            }
           }
         })
 
@@ -72,14 +95,30 @@ export async function GET() {
           name: product.name,
           description: product.description,
           features: features,
-          prices: pricesByInterval,
+          // Prices in the selected currency, plus every currency for switching
+          prices: pricesByCurrency[currency] || {},
+          pricesByCurrency,
+          trial: getProductTrial(product),
           metadata: product.metadata
         }
       })
     )
 
+    // 🧩 Add-ons are listed under each tier they can be bought with
+    const addons = productsWithPrices.filter(product => isAddonProduct(product))
+    // ♾️ The lifetime purchase is offered on its own rather than as a tier
+    const lifetime = productsWithPrices.find(product => isLifetimeProduct(product))
+    const tiers = productsWithPrices
+      .filter(product => !isAddonProduct(product) && !isLifetimeProduct(product))
+      .map(product => ({
+        ...product,
+        addons: addons
+          .filter(addon => isCompatibleAddon(addon, product.metadata?.tier))
+          .map(({ id, name, description, features, prices, pricesByCurrency }) => ({ id, name, description, features, prices, pricesByCurrency }))
+      }))
+
     // Sort products by priority if available
-    productsWithPrices.sort((a, b) => {
+    tiers.sort((a, b) => {
       const priorityA = parseInt(a.metadata?.priority || 999)
       const priorityB = parseInt(b.metadata?.priority || 999)
       return priorityA - priorityB
@@ -90,7 +129,23 @@ export async function GET() {
     //   console.log(`  - ${product.name}: ${product.features.length} features`)
     // })
 
-    return NextResponse.json({ products: productsWithPrices })
+    return NextResponse.json({
+      currency,
+      currencies: SUPPORTED_CURRENCIES.filter(code => tiers.some(product => product.pricesByCurrency[code])),
+      products: tiers,
+      lifetime: lifetime
+        ? {
+          id: lifetime.id,
+          name: lifetime.name,
+          description: lifetime.description,
+          features: lifetime.features,
+          servers: parseInt(lifetime.metadata?.servers || 1, 10),
+          pricesByCurrency: lifetime.pricesByCurrency
+        }
+        : null,
+      // 🎁 How many months of a tier's monthly price can be bought as a gift
+      giftMonths: GIFT_MONTHS
+    })
 
   } catch (error) {
     console.error('Error fetching products:', error)
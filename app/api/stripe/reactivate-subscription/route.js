@@ -0,0 +1,46 @@
+import { NextResponse } from 'next/server'
+import { findCurrentSubscription } from '@/lib/customer-lookup'
+import { getAuthorizedEmail, SIGN_IN_REQUIRED } from '@/lib/account-auth'
+import { reactivateSubscription } from '@/lib/cancellations'
+
+// Body: { email } - keep a subscription that's set to cancel at period end.
+// Subscriptions that have already ended need a new checkout instead.
+export async function POST(request) {
+  try {
+    const { email } = await request.json()
+
+    if (!email) {
+      return NextResponse.json({ error: 'Missing email' }, { status: 400 })
+    }
+
+    // 🔑 Only the signed-in customer can change their billing (see lib/account-auth.js)
+    const signedInEmail = getAuthorizedEmail(request, email)
+    if (!signedInEmail) {
+      return NextResponse.json(SIGN_IN_REQUIRED, { status: 401 })
+    }
+
+    const { subscription } = await findCurrentSubscription(signedInEmail, { statuses: ['active', 'trialing', 'past_due'] })
+    if (!subscription) {
+      return NextResponse.json(
+        { error: 'No subscription to reactivate - please start a new one from the checkout page' },
+        { status: 404 }
+      )
+    }
+
+    const reactivated = await reactivateSubscription(subscription)
+    if (!reactivated) {
+      return NextResponse.json({ error: 'Your subscription is not set to cancel' }, { status: 400 })
+    }
+
+    return NextResponse.json({
+      subscriptionId: reactivated.id,
+      status: reactivated.status,
+      cancelAtPeriodEnd: reactivated.cancel_at_period_end,
+      currentPeriodEnd: reactivated.current_period_end
+    })
+
+  } catch (error) {
+    console.error('Subscription reactivation error:', error)
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
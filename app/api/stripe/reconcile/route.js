@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server'
+import { isAdminRequest } from '@/lib/admin-auth'
+import { reconcileWithStripe } from '@/lib/reconcile'
+
+// Report drift between local storage and Stripe without changing anything
+export async function GET(request) {
+  if (!isAdminRequest(request)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  const { searchParams } = new URL(request.url)
+  const customerId = searchParams.get('customer_id')
+
+  try {
+    const report = await reconcileWithStripe({ customerIds: customerId ? [customerId] : null })
+    return NextResponse.json(report)
+  } catch (error) {
+    console.error('Reconciliation error:', error)
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
+
+// Body: { apply?: boolean, customerIds?: string[] }
+export async function POST(request) {
+  if (!isAdminRequest(request)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  const { apply = false, customerIds = null } = await request.json().catch(() => ({}))
+
+  if (customerIds !== null && (!Array.isArray(customerIds) || customerIds.some(id => typeof id !== 'string'))) {
+    return NextResponse.json({ error: 'customerIds must be an array of customer IDs' }, { status: 400 })
+  }
+
+  try {
+    const report = await reconcileWithStripe({ apply: apply === true, customerIds })
+    return NextResponse.json(report)
+  } catch (error) {
+    console.error('Reconciliation error:', error)
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
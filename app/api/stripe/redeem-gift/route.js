@@ -0,0 +1,169 @@
+import { NextResponse } from 'next/server'
+import { stripe } from '@/lib/stripe-server'
+import {
+  getCustomerByEmail,
+  getGift,
+  markGiftPaid,
+  claimGiftForRedemption,
+  recordGiftSubscription,
+  completeGiftRedemption,
+  releaseGiftRedemption
+} from '@/lib/storage'
+import { retrieveLiveCustomer } from '@/lib/customer-lookup'
+import { normalizeGiftCode, createGiftSubscription, findGiftSubscription } from '@/lib/gifts'
+
+// The webhook may not have landed yet when the buyer passes the code straight
+// on - check the payment with Stripe before turning the recipient away
+async function confirmGiftPayment(gift) {
+  let paymentIntent = null
+
+  if (gift.paymentIntentId) {
+    paymentIntent = await stripe.paymentIntents.retrieve(gift.paymentIntentId)
+  } else if (gift.checkoutSessionId) {
+    const session = await stripe.checkout.sessions.retrieve(gift.checkoutSessionId, {
+      expand: ['payment_intent']
+    })
+    paymentIntent = session.payment_intent
+  }
+
+  if (paymentIntent?.status !== 'succeeded') return gift
+
+  return await markGiftPaid(gift.code, {
+    paymentIntentId: paymentIntent.id,
+    amount: paymentIntent.amount_received
+  }) || await getGift(gift.code)
+}
+
+// Body: { code, email } - redeem a gift code, starting a subscription for the
+// gifted months on the recipient's account
+export async function POST(request) {
+  try {
+    const { email, ...body } = await request.json()
+    const code = normalizeGiftCode(body.code)
+
+    if (!code || !email) {
+      return NextResponse.json(
+        { error: 'Missing required fields: code or email' },
+        { status: 400 }
+      )
+    }
+
+    let gift = await getGift(code)
+    if (!gift) {
+      return NextResponse.json({ error: 'Gift code not found' }, { status: 404 })
+    }
+
+    if (gift.recipientEmail && gift.recipientEmail !== email.trim().toLowerCase()) {
+      return NextResponse.json({ error: 'This gift is for a different email address' }, { status: 403 })
+    }
+
+    if (gift.status === 'pending') {
+      gift = await confirmGiftPayment(gift)
+    }
+
+    switch (gift.status) {
+      case 'pending':
+        return NextResponse.json({ error: 'This gift hasn\'t been paid for yet' }, { status: 400 })
+      case 'redeemed':
+        return NextResponse.json({ error: 'This gift has already been redeemed' }, { status: 409 })
+      case 'revoked':
+        return NextResponse.json({ error: 'This gift is no longer valid' }, { status: 410 })
+    }
+
+    // An existing account is checked before claiming, so turning it away
+    // doesn't tie the code up
+    let customer = null
+    const existingCustomer = await getCustomerByEmail(email)
+
+    if (existingCustomer && existingCustomer.stripeCustomerId) {
+      customer = await retrieveLiveCustomer(existingCustomer.stripeCustomerId, 'redeem-gift')
+    }
+
+    if (customer) {
+      const subscriptions = await stripe.subscriptions.list({
+        customer: customer.id,
+        status: 'all',
+        limit: 100
+      })
+
+      if (subscriptions.data.some(sub => ['active', 'trialing'].includes(sub.status))) {
+        return NextResponse.json({
+          error: 'You already have an active subscription - gifts can only start a new one',
+          details: { hasActiveSubscription: true }
+        }, { status: 409 })
+      }
+
+      // 💱 Stripe bills a customer in one currency once they've paid in it
+      if (customer.currency && customer.currency !== gift.currency) {
+        return NextResponse.json({
+          error: `Your account is billed in ${customer.currency.toUpperCase()} and this gift is in ${gift.currency.toUpperCase()}`,
+          details: { customerCurrency: customer.currency }
+        }, { status: 400 })
+      }
+    }
+
+    const claimed = await claimGiftForRedemption(code, email)
+    if (!claimed) {
+      return NextResponse.json({ error: 'This gift is already being redeemed' }, { status: 409 })
+    }
+
+    let subscription
+    try {
+      // ♻️ A redemption that stalled after creating the subscription is
+      // finished with it rather than creating a second one
+      subscription = await findGiftSubscription(claimed)
+
+      if (!subscription) {
+        // 👤 New recipients only get a customer once the code is theirs. A retry
+        // after a failed redemption gets the same customer back.
+        if (!customer) {
+          customer = await stripe.customers.create({
+            email: email,
+            name: email.split('@')[0],
+            metadata: {
+              plan: `${gift.productId}_month`,
+              product: gift.productName
+            }
+          }, {
+            idempotencyKey: `gift-recipient-${code}-${email}`
+          })
+        }
+
+        subscription = await createGiftSubscription(claimed, customer)
+        await recordGiftSubscription(code, subscription.id)
+      }
+    } catch (error) {
+      await releaseGiftRedemption(code, error)
+      throw error
+    }
+
+    // The caller's own earlier attempt may have created their customer too
+    const redeemedByCaller = subscription.customer === customer?.id ||
+      subscription.metadata?.gift_recipient === email
+
+    await completeGiftRedemption(code, {
+      email: redeemedByCaller ? email : subscription.metadata?.gift_recipient || null,
+      customerId: subscription.customer,
+      subscriptionId: subscription.id
+    })
+
+    if (!redeemedByCaller) {
+      return NextResponse.json({ error: 'This gift has already been redeemed' }, { status: 409 })
+    }
+
+    return NextResponse.json({
+      subscriptionId: subscription.id,
+      customerId: subscription.customer,
+      productName: gift.productName,
+      months: gift.months,
+      endsAt: subscription.cancel_at
+    })
+
+  } catch (error) {
+    console.error('Gift redemption error:', error)
+    return NextResponse.json(
+      { error: error.message },
+      { status: 500 }
+    )
+  }
+}
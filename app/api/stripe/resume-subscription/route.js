@@ -0,0 +1,38 @@
+import { NextResponse } from 'next/server'
+import { findCurrentSubscription } from '@/lib/customer-lookup'
+import { getAuthorizedEmail, SIGN_IN_REQUIRED } from '@/lib/account-auth'
+import { resumeSubscription, isPaused } from '@/lib/pauses'
+
+// Body: { email } - resume a paused subscription before its resume date
+export async function POST(request) {
+  try {
+    const { email } = await request.json()
+
+    if (!email) {
+      return NextResponse.json({ error: 'Missing email' }, { status: 400 })
+    }
+
+    // 🔑 Only the signed-in customer can change their billing (see lib/account-auth.js)
+    const signedInEmail = getAuthorizedEmail(request, email)
+    if (!signedInEmail) {
+      return NextResponse.json(SIGN_IN_REQUIRED, { status: 401 })
+    }
+
+    const { subscription } = await findCurrentSubscription(signedInEmail, { statuses: ['active'] })
+    if (!subscription || !isPaused(subscription)) {
+      return NextResponse.json({ error: 'No paused subscription found' }, { status: 404 })
+    }
+
+    const resumed = await resumeSubscription(subscription)
+
+    return NextResponse.json({
+      subscriptionId: resumed.id,
+      status: resumed.status,
+      currentPeriodEnd: resumed.current_period_end
+    })
+
+  } catch (error) {
+    console.error('Subscription resume error:', error)
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
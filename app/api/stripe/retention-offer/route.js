@@ -0,0 +1,121 @@
+import { NextResponse } from 'next/server'
+import { findCurrentSubscription } from '@/lib/customer-lookup'
+import { getAuthorizedEmail, SIGN_IN_REQUIRED } from '@/lib/account-auth'
+import { findRetentionOffer, acceptRetentionOffer, getOfferById } from '@/lib/retention-offers'
+import { isValidFeedback } from '@/lib/cancellations'
+import { recordRetentionOfferOutcome } from '@/lib/storage'
+
+const RETAINABLE_STATUSES = ['active', 'trialing']
+
+function publicOffer(offer) {
+  return {
+    id: offer.id,
+    type: offer.type,
+    title: offer.title,
+    description: offer.description,
+    ...(offer.type === 'downgrade' ? { amount: offer.amount, interval: offer.interval } : {})
+  }
+}
+
+// The save offer to show the signed-in customer for ?email=&feedback= before
+// cancelling, or { offer: null }
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const email = searchParams.get('email')
+    const feedback = searchParams.get('feedback') || null
+
+    if (!email) {
+      return NextResponse.json({ error: 'Missing email' }, { status: 400 })
+    }
+
+    if (feedback && !isValidFeedback(feedback)) {
+      return NextResponse.json({ error: 'Invalid feedback reason' }, { status: 400 })
+    }
+
+    // 🔑 Offers (and the 'shown' count) are only for the signed-in customer
+    const signedInEmail = getAuthorizedEmail(request, email)
+    if (!signedInEmail) {
+      return NextResponse.json(SIGN_IN_REQUIRED, { status: 401 })
+    }
+
+    const { subscription } = await findCurrentSubscription(signedInEmail, { statuses: RETAINABLE_STATUSES })
+    if (!subscription || subscription.cancel_at_period_end) {
+      return NextResponse.json({ offer: null })
+    }
+
+    const offer = await findRetentionOffer(subscription, feedback)
+    if (!offer) {
+      return NextResponse.json({ offer: null })
+    }
+
+    await recordRetentionOfferOutcome(offer.id, feedback, 'shown')
+    return NextResponse.json({ offer: publicOffer(offer) })
+
+  } catch (error) {
+    console.error('Retention offer lookup error:', error)
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
+
+// Body: { email, offerId, feedback?, accept } - applies an accepted offer to
+// the subscription; either way the response is counted
+export async function POST(request) {
+  try {
+    const { email, offerId, feedback = null, accept } = await request.json()
+
+    if (!email || !offerId || typeof accept !== 'boolean') {
+      return NextResponse.json(
+        { error: 'Missing required fields: email, offerId or accept' },
+        { status: 400 }
+      )
+    }
+
+    if (feedback && !isValidFeedback(feedback)) {
+      return NextResponse.json({ error: 'Invalid feedback reason' }, { status: 400 })
+    }
+
+    // Only configured offers are counted
+    if (!getOfferById(offerId)) {
+      return NextResponse.json({ error: 'Unknown offer' }, { status: 400 })
+    }
+
+    // 🔑 Only the signed-in customer can change their billing or respond to
+    // their offer (see lib/account-auth.js)
+    const signedInEmail = getAuthorizedEmail(request, email)
+    if (!signedInEmail) {
+      return NextResponse.json(SIGN_IN_REQUIRED, { status: 401 })
+    }
+
+    if (!accept) {
+      await recordRetentionOfferOutcome(offerId, feedback, 'declined')
+      return NextResponse.json({ offerId, accepted: false })
+    }
+
+    const { subscription } = await findCurrentSubscription(signedInEmail, { statuses: RETAINABLE_STATUSES })
+    if (!subscription) {
+      return NextResponse.json({ error: 'No active subscription found' }, { status: 404 })
+    }
+
+    // Re-check eligibility so an offer can't be claimed just by knowing its ID
+    const offer = await findRetentionOffer(subscription, feedback)
+    if (!offer || offer.id !== offerId) {
+      return NextResponse.json({ error: 'This offer is not available for your subscription' }, { status: 400 })
+    }
+
+    const result = await acceptRetentionOffer(subscription, offer)
+    await recordRetentionOfferOutcome(offerId, feedback, 'accepted')
+
+    return NextResponse.json({
+      offerId,
+      accepted: true,
+      subscriptionId: subscription.id,
+      timing: result.timing,
+      effectiveAt: result.effectiveAt
+    })
+
+  } catch (error) {
+    console.error('Retention offer error:', error)
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
@@ -0,0 +1,18 @@
+import { NextResponse } from 'next/server'
+import { isAdminRequest } from '@/lib/admin-auth'
+import { getRetentionOfferReport } from '@/lib/retention-offers'
+
+// How often each save offer is shown, accepted and declined, per cancellation reason
+export async function GET(request) {
+  if (!isAdminRequest(request)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const offers = await getRetentionOfferReport()
+    return NextResponse.json({ offers })
+  } catch (error) {
+    console.error('Retention offer stats error:', error)
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
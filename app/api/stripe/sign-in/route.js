@@ -0,0 +1,61 @@
+import { NextResponse } from 'next/server'
+import { findStripeCustomerByEmail } from '@/lib/customer-lookup'
+import { isAccountAuthEnabled, createSignInToken, getSessionEmail, clearSessionCookie, safeNextPath } from '@/lib/account-auth'
+import { sendEmail } from '@/lib/email'
+
+// Who's signed in on this browser - { email } (null when nobody is) and
+// whether signing in is set up at all
+export async function GET(request) {
+  return NextResponse.json({
+    email: getSessionEmail(request),
+    enabled: isAccountAuthEnabled()
+  })
+}
+
+// Body: { email, next? } - emails a sign-in link to the customer with that
+// email, which brings them back to `next` (the account page by default). The
+// response is the same whether or not they're a customer.
+export async function POST(request) {
+  try {
+    if (!isAccountAuthEnabled()) {
+      return NextResponse.json({ error: 'Signing in isn\'t set up on this server' }, { status: 503 })
+    }
+
+    const { email, next } = await request.json()
+
+    if (!email) {
+      return NextResponse.json({ error: 'Missing email' }, { status: 400 })
+    }
+
+    const customer = await findStripeCustomerByEmail(email.trim())
+
+    if (customer?.email) {
+      const appUrl = process.env.APP_URL || new URL(request.url).origin
+      const params = new URLSearchParams({
+        token: createSignInToken(customer.email),
+        next: safeNextPath(next)
+      })
+
+      await sendEmail({
+        to: customer.email,
+        subject: 'Your sign-in link',
+        text: `Open this link within 15 minutes to manage your subscription:\n\n${appUrl}/api/stripe/sign-in/verify?${params}\n\nIf you didn't ask to sign in, you can ignore this email.`
+      })
+    } else {
+      console.log(`🔑 Sign-in link requested for ${email}, but there's no customer with that email`)
+    }
+
+    return NextResponse.json({ sent: true })
+
+  } catch (error) {
+    console.error('Sign-in link error:', error)
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
+
+// Sign out
+export async function DELETE() {
+  const response = NextResponse.json({ signedOut: true })
+  clearSessionCookie(response)
+  return response
+}
@@ -0,0 +1,19 @@
+import { NextResponse } from 'next/server'
+import { verifySignInToken, setSessionCookie, safeNextPath } from '@/lib/account-auth'
+
+// Where the emailed sign-in link points: starts the session and sends the
+// customer on to the page they came from
+export async function GET(request) {
+  const { searchParams } = new URL(request.url)
+  const appUrl = process.env.APP_URL || new URL(request.url).origin
+
+  const email = verifySignInToken(searchParams.get('token'))
+  if (!email) {
+    return NextResponse.redirect(`${appUrl}/account?signIn=expired`)
+  }
+
+  const response = NextResponse.redirect(`${appUrl}${safeNextPath(searchParams.get('next'))}`)
+  setSessionCookie(response, email)
+  console.log(`🔑 ${email} signed in`)
+  return response
+}
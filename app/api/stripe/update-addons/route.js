@@ -0,0 +1,71 @@
+import { NextResponse } from 'next/server'
+import { findCurrentSubscription } from '@/lib/customer-lookup'
+import { getAuthorizedEmail, SIGN_IN_REQUIRED } from '@/lib/account-auth'
+import { getPendingPlanChange } from '@/lib/plan-changes'
+import { getBaseItem, getAddonItems, retrieveAddonPrices, validateAddonPrices, updateSubscriptionAddons } from '@/lib/addons'
+
+// Body: { email, addonPriceIds } - the full list of add-ons the subscription
+// should have. New ones are charged the prorated amount now; removed ones are
+// credited on the next invoice.
+export async function POST(request) {
+  try {
+    const { email, addonPriceIds } = await request.json()
+
+    if (!email || !Array.isArray(addonPriceIds)) {
+      return NextResponse.json(
+        { error: 'Missing required fields: email or addonPriceIds' },
+        { status: 400 }
+      )
+    }
+
+    // 🔑 Only the signed-in customer can change their billing (see lib/account-auth.js)
+    const signedInEmail = getAuthorizedEmail(request, email)
+    if (!signedInEmail) {
+      return NextResponse.json(SIGN_IN_REQUIRED, { status: 401 })
+    }
+
+    const { subscription } = await findCurrentSubscription(signedInEmail)
+    if (!subscription) {
+      return NextResponse.json({ error: 'No active subscription found' }, { status: 404 })
+    }
+
+    let addonPrices
+    try {
+      addonPrices = await retrieveAddonPrices(addonPriceIds)
+    } catch (addonError) {
+      return NextResponse.json({ error: 'Add-on not found' }, { status: 400 })
+    }
+
+    const addonError = validateAddonPrices(getBaseItem(subscription).price, addonPrices)
+    if (addonError) {
+      return NextResponse.json({ error: addonError }, { status: 400 })
+    }
+
+    const currentPriceIds = getAddonItems(subscription).map(item => item.price.id).sort()
+    if (currentPriceIds.join(',') === addonPrices.map(price => price.id).sort().join(',')) {
+      return NextResponse.json({ error: 'Your add-ons are already up to date' }, { status: 400 })
+    }
+
+    // The scheduled plan would overwrite the add-ons when it takes effect
+    if (await getPendingPlanChange(subscription)) {
+      return NextResponse.json(
+        { error: 'You have a plan change scheduled - keep your current plan first to change add-ons' },
+        { status: 409 }
+      )
+    }
+
+    const result = await updateSubscriptionAddons(subscription, addonPrices)
+
+    return NextResponse.json({
+      subscriptionId: subscription.id,
+      added: result.added.map(price => ({ priceId: price.id, name: price.product.name })),
+      removed: result.removed.map(item => ({ priceId: item.price.id, name: item.price.product.name })),
+      // Set when the prorated charge needs 3D Secure - the change applies once it's confirmed
+      clientSecret: result.clientSecret
+    })
+
+  } catch (error) {
+    console.error('Add-on update error:', error)
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
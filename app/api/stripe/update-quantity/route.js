@@ -0,0 +1,66 @@
+import { NextResponse } from 'next/server'
+import { findCurrentSubscription } from '@/lib/customer-lookup'
+import { getAuthorizedEmail, SIGN_IN_REQUIRED } from '@/lib/account-auth'
+import { changeSubscriptionQuantity, getPendingPlanChange } from '@/lib/plan-changes'
+import { validateQuantity } from '@/lib/seats'
+import { getBaseItem } from '@/lib/addons'
+
+// Body: { email, quantity } - change the number of premium servers on the
+// current plan. Extra servers are charged the prorated amount now; removed
+// ones are credited on the next invoice.
+export async function POST(request) {
+  try {
+    const { email, quantity } = await request.json()
+
+    if (!email || quantity === undefined) {
+      return NextResponse.json(
+        { error: 'Missing required fields: email or quantity' },
+        { status: 400 }
+      )
+    }
+
+    const quantityError = validateQuantity(quantity)
+    if (quantityError) {
+      return NextResponse.json({ error: quantityError }, { status: 400 })
+    }
+
+    // 🔑 Only the signed-in customer can change their billing (see lib/account-auth.js)
+    const signedInEmail = getAuthorizedEmail(request, email)
+    if (!signedInEmail) {
+      return NextResponse.json(SIGN_IN_REQUIRED, { status: 401 })
+    }
+
+    const { subscription } = await findCurrentSubscription(signedInEmail)
+    if (!subscription) {
+      return NextResponse.json({ error: 'No active subscription found' }, { status: 404 })
+    }
+
+    if (getBaseItem(subscription).quantity === quantity) {
+      return NextResponse.json({ error: `You already have ${quantity} server${quantity === 1 ? '' : 's'}` }, { status: 400 })
+    }
+
+    // The scheduled plan would overwrite the new quantity when it takes effect
+    if (await getPendingPlanChange(subscription)) {
+      return NextResponse.json(
+        { error: 'You have a plan change scheduled - keep your current plan first, or change servers along with your plan' },
+        { status: 409 }
+      )
+    }
+
+    const result = await changeSubscriptionQuantity(subscription, quantity)
+
+    return NextResponse.json({
+      subscriptionId: subscription.id,
+      previousQuantity: result.previousQuantity,
+      quantity,
+      timing: 'immediate',
+      effectiveAt: Math.floor(Date.now() / 1000),
+      // Set when the prorated charge needs 3D Secure - the change applies once it's confirmed
+      clientSecret: result.clientSecret
+    })
+
+  } catch (error) {
+    console.error('Quantity change error:', error)
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
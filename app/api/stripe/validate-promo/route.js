@@ -1,5 +1,13 @@
 import { NextResponse } from 'next/server'
 import { stripe } from '@/lib/stripe-server'
+import { formatMoney } from '@/lib/currency'
+
+// Fixed-amount coupons are in the coupon's own currency
+function describeDiscount(coupon) {
+  return coupon.percent_off
+    ? `${coupon.percent_off}% off`
+    : `${formatMoney(coupon.amount_off, coupon.currency)} off`
+}
 
 export async function POST(request) {
   try {
@@ -36,7 +44,7 @@ export async function POST(request) {
       // No email restriction - anyone can use it
       return NextResponse.json({
         valid: true,
-        discount: coupon.percent_off ? `${coupon.percent_off}% off` : `${coupon.amount_off / 100} off`,
+        discount: describeDiscount(coupon),
         message: 'Promo code is valid!',
         promoCodeId: promoCodeObj.id,
         // 🆕 NEW: Return coupon details for price calculation
@@ -61,7 +69,7 @@ export async function POST(request) {
     // All checks passed
     return NextResponse.json({
       valid: true,
-      discount: coupon.percent_off ? `${coupon.percent_off}% off` : `${coupon.amount_off / 100} off`,
+      discount: describeDiscount(coupon),
       message: 'Promo code is valid for your email!',
       promoCodeId: promoCodeObj.id,
       // 🆕 NEW: Return coupon details for price calculation
@@ -0,0 +1,49 @@
+import { NextResponse } from 'next/server'
+import { stripe } from '@/lib/stripe-server'
+
+// Used by the success page after Stripe Checkout redirects back
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const sessionId = searchParams.get('session_id')
+
+    if (!sessionId) {
+      return NextResponse.json(
+        { error: 'Missing session_id' },
+        { status: 400 }
+      )
+    }
+
+    const session = await stripe.checkout.sessions.retrieve(sessionId, {
+      expand: ['subscription']
+    })
+
+    console.log(`🛒 Checkout Session ${sessionId} status: ${session.status} (${session.payment_status})`)
+
+    return NextResponse.json({
+      status: session.status,
+      // 'payment' for the lifetime and gift purchases
+      mode: session.mode,
+      gift_code: session.metadata?.gift === 'true' ? session.metadata.gift_code : null,
+      payment_status: session.payment_status,
+      subscription_id: session.subscription?.id || null,
+      subscription_status: session.subscription?.status || null,
+      trial_end: session.subscription?.trial_end || null
+    })
+
+  } catch (error) {
+    console.error('Checkout Session verification error:', error)
+
+    if (error.code === 'resource_missing') {
+      return NextResponse.json(
+        { error: 'Checkout session not found' },
+        { status: 404 }
+      )
+    }
+
+    return NextResponse.json(
+      { error: error.message },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server'
+import { getGift } from '@/lib/storage'
+import { normalizeGiftCode } from '@/lib/gifts'
+
+// Used by the redeem page to show what a code is for before redeeming it.
+// Who bought it and for whom stays private.
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const code = normalizeGiftCode(searchParams.get('code'))
+
+    if (!code) {
+      return NextResponse.json(
+        { error: 'Missing code' },
+        { status: 400 }
+      )
+    }
+
+    const gift = await getGift(code)
+    if (!gift) {
+      return NextResponse.json({ error: 'Gift code not found' }, { status: 404 })
+    }
+
+    return NextResponse.json({
+      code: gift.code,
+      // A redemption in progress still reads as available to everyone else
+      status: gift.status === 'redeeming' ? 'available' : gift.status,
+      productName: gift.productName,
+      months: gift.months,
+      message: gift.message,
+      forSpecificRecipient: !!gift.recipientEmail,
+      redeemedAt: gift.redeemedAt || null
+    })
+
+  } catch (error) {
+    console.error('Gift verification error:', error)
+    return NextResponse.json(
+      { error: error.message },
+      { status: 500 }
+    )
+  }
+}
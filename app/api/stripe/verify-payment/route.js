@@ -19,6 +19,10 @@ export async function GET(request) {
     return NextResponse.json({
       status: paymentIntent.status,
       subscription_id: paymentIntent.metadata?.subscription_id,
+      // One-off lifetime purchases (see create-lifetime-purchase)
+      lifetime: paymentIntent.metadata?.lifetime === 'true',
+      // Gift purchases (see create-gift-purchase)
+      gift_code: paymentIntent.metadata?.gift === 'true' ? paymentIntent.metadata.gift_code : null
     })
 
   } catch (error) {
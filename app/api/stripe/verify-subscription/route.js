@@ -1,18 +1,32 @@
 import { NextResponse } from 'next/server'
 import { stripe } from '@/lib/stripe-server'
+import { isCardTrialSetupIntent, startCardTrial } from '@/lib/trials'
 
 export async function GET(request) {
   try {
     const { searchParams } = new URL(request.url)
-    const subscriptionId = searchParams.get('subscription_id')
+    let subscriptionId = searchParams.get('subscription_id')
+    // Set by Stripe after card entry for a trial that needs a card
+    const setupIntentId = searchParams.get('setup_intent')
 
-    if (!subscriptionId) {
+    if (!subscriptionId && !setupIntentId) {
       return NextResponse.json(
         { error: 'Missing subscription_id' },
         { status: 400 }
       )
     }
 
+    // 💳 CARD TRIAL: The trial starts once the card is saved - don't wait for the webhook
+    if (!subscriptionId) {
+      const setupIntent = await stripe.setupIntents.retrieve(setupIntentId)
+      const trialSubscription = isCardTrialSetupIntent(setupIntent) ? await startCardTrial(setupIntent) : null
+
+      if (!trialSubscription) {
+        return NextResponse.json({ status: setupIntent.status, setup_intent: setupIntent.id })
+      }
+      subscriptionId = trialSubscription.id
+    }
+
     // Retrieve the subscription object
     const subscription = await stripe.subscriptions.retrieve(subscriptionId)
 
@@ -25,6 +39,7 @@ export async function GET(request) {
       customer_id: subscription.customer,
       current_period_end: subscription.current_period_end,
       cancel_at_period_end: subscription.cancel_at_period_end,
+      trial_end: subscription.trial_end,
     })
 
   } catch (error) {
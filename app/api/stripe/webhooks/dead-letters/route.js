@@ -0,0 +1,51 @@
+import { NextResponse } from 'next/server'
+import { isAdminRequest } from '@/lib/admin-auth'
+import { getDeadLetters } from '@/lib/storage'
+import { replayDeadLetter, processWebhookQueue } from '@/lib/webhooks/queue'
+
+// List events that exhausted their retries
+export async function GET(request) {
+  if (!isAdminRequest(request)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  const deadLetters = Object.values(await getDeadLetters())
+    .sort((a, b) => a.deadLetteredAt.localeCompare(b.deadLetteredAt))
+    .map(({ event, ...deadLetter }) => deadLetter)
+
+  return NextResponse.json({ deadLetters })
+}
+
+// Replay one dead-lettered event ({ eventId }) or all of them ({ all: true })
+export async function POST(request) {
+  if (!isAdminRequest(request)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { eventId, all } = await request.json()
+
+    if (!eventId && !all) {
+      return NextResponse.json({ error: 'Provide an eventId or all: true' }, { status: 400 })
+    }
+
+    const eventIds = all ? Object.keys(await getDeadLetters()) : [eventId]
+    const replayed = []
+
+    for (const id of eventIds) {
+      if (await replayDeadLetter(id)) replayed.push(id)
+    }
+
+    if (!all && replayed.length === 0) {
+      return NextResponse.json({ error: 'Dead letter not found' }, { status: 404 })
+    }
+
+    const results = await processWebhookQueue()
+
+    return NextResponse.json({ replayed, results })
+
+  } catch (error) {
+    console.error('Dead letter replay error:', error)
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
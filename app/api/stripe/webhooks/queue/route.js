@@ -0,0 +1,32 @@
+import { NextResponse } from 'next/server'
+import { isAdminRequest } from '@/lib/admin-auth'
+import { getQueuedWebhookEvents } from '@/lib/storage'
+import { processWebhookQueue } from '@/lib/webhooks/queue'
+
+// Show what's waiting in the webhook queue
+export async function GET(request) {
+  if (!isAdminRequest(request)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  const queued = Object.values(await getQueuedWebhookEvents())
+    .sort((a, b) => a.enqueuedAt.localeCompare(b.enqueuedAt))
+    .map(({ event, ...item }) => item)
+
+  return NextResponse.json({ queued })
+}
+
+// Run the worker now (e.g. from a cron job)
+export async function POST(request) {
+  if (!isAdminRequest(request)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const results = await processWebhookQueue()
+    return NextResponse.json({ results })
+  } catch (error) {
+    console.error('Webhook queue processing error:', error)
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
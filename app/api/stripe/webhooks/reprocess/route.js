@@ -0,0 +1,59 @@
+import { NextResponse } from 'next/server'
+import { stripe } from '@/lib/stripe-server'
+import { isAdminRequest } from '@/lib/admin-auth'
+import { getProcessedEvent, getSkippedEventListeners } from '@/lib/storage'
+import { processStripeEvent } from '@/lib/webhooks/process-event'
+
+// Look up an event's entry in the processed-events ledger
+export async function GET(request) {
+  if (!isAdminRequest(request)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  const { searchParams } = new URL(request.url)
+  const eventId = searchParams.get('event_id')
+
+  if (!eventId) {
+    return NextResponse.json({ error: 'Missing event_id' }, { status: 400 })
+  }
+
+  const record = await getProcessedEvent(eventId)
+  if (!record) {
+    return NextResponse.json({ error: 'Event not found in ledger' }, { status: 404 })
+  }
+
+  return NextResponse.json({ event: record })
+}
+
+// Force an event to run through the webhook handlers again, even if the
+// ledger says it already succeeded. If a replay left listeners out, only
+// those run (see lib/webhooks/process-event.js).
+export async function POST(request) {
+  if (!isAdminRequest(request)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { eventId } = await request.json()
+
+    if (!eventId) {
+      return NextResponse.json({ error: 'Missing required field: eventId' }, { status: 400 })
+    }
+
+    // Always re-fetch from Stripe so we never trust a caller-supplied payload
+    const event = await stripe.events.retrieve(eventId)
+    const skippedListeners = getSkippedEventListeners(await getProcessedEvent(eventId))
+    const result = await processStripeEvent(event, { force: skippedListeners.length === 0 })
+
+    return NextResponse.json({ reprocessed: result.status === 'processed', skippedListeners, event: result.record })
+
+  } catch (error) {
+    console.error('Event reprocess error:', error)
+
+    if (error.code === 'resource_missing') {
+      return NextResponse.json({ error: 'Event not found' }, { status: 404 })
+    }
+
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
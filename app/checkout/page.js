@@ -2,50 +2,191 @@
 
 import { useState, useEffect } from 'react'
 import { Elements } from '@stripe/react-stripe-js'
-import { stripePromise } from '@/lib/stripe'
+import { stripePromise, checkoutMode } from '@/lib/stripe'
 import CheckoutForm from '@/components/CheckoutForm'
+import { formatMoney } from '@/lib/currency'
+import { BILLING_COUNTRIES, taxIdTypeForCountry, isCompleteAddress } from '@/lib/billing-details'
+import { MIN_SERVERS, MAX_SERVERS } from '@/lib/seats'
+
+const billingInputStyle = {
+  width: '100%',
+  padding: '0.75rem',
+  border: '1px solid rgb(221, 221, 221)',
+  borderRadius: '4px',
+  fontSize: '1rem',
+  backgroundColor: 'hsl(214, 15%, 15%)',
+  color: 'white',
+  marginBottom: '0.5rem'
+}
 
 export default function CheckoutPage() {
   const [products, setProducts] = useState([])
   const [selectedProduct, setSelectedProduct] = useState('')
   const [selectedInterval, setSelectedInterval] = useState('monthly')
+  const [quantity, setQuantity] = useState(1)
+  const [selectedAddons, setSelectedAddons] = useState([])
   const [clientSecret, setClientSecret] = useState('')
   const [productsLoading, setProductsLoading] = useState(true)
+  const [currency, setCurrency] = useState('')
+  const [currencies, setCurrencies] = useState([])
+  // ♾️ LIFETIME: The one-off purchase, offered next to the subscription tiers
+  const [lifetimeProduct, setLifetimeProduct] = useState(null)
+  // 'subscription', 'lifetime' or 'gift'
+  const [purchaseType, setPurchaseType] = useState('subscription')
+  // 🎁 GIFT: Months of a tier's monthly price, bought for someone else
+  const [giftMonthOptions, setGiftMonthOptions] = useState([])
+  const [giftMonths, setGiftMonths] = useState(null)
+  const [recipientEmail, setRecipientEmail] = useState('')
+  const [giftMessage, setGiftMessage] = useState('')
   const [subscriptionLoading, setSubscriptionLoading] = useState(false)
   const [error, setError] = useState('')
   const [email, setEmail] = useState('')
   const [existingSubscription, setExistingSubscription] = useState(null)
+  const [intentType, setIntentType] = useState('payment')
+  const [subscriptionId, setSubscriptionId] = useState('')
+  const [trialInfo, setTrialInfo] = useState(null)
+  const [changeLoading, setChangeLoading] = useState(false)
+  const [changeResult, setChangeResult] = useState(null)
+  // 🔑 Plan changes need a sign-in link (see lib/account-auth.js)
+  const [signInRequired, setSignInRequired] = useState(false)
 
   // NEW: Promo code state
   const [promoCode, setPromoCode] = useState("")
   const [promoValidation, setPromoValidation] = useState(null)
   const [promoMessage, setPromoMessage] = useState("")
   const [validatedPromoCodeId, setValidatedPromoCodeId] = useState(null)
-  const [validatedCoupon, setValidatedCoupon] = useState(null)
+
+  // Exact amounts from Stripe's invoice preview for the current selection
+  const [preview, setPreview] = useState(null)
+  const [previewLoading, setPreviewLoading] = useState(false)
+  const [previewError, setPreviewError] = useState('')
+  const [checkedEmail, setCheckedEmail] = useState('')
+
+  // 🧾 TAX: Billing address and optional VAT ID for Stripe Tax
+  const [billingDetails, setBillingDetails] = useState({
+    name: '',
+    taxId: '',
+    address: { line1: '', line2: '', city: '', state: '', postal_code: '', country: '' }
+  })
+  const [taxDetails, setTaxDetails] = useState(null)
+  const [chargeInfo, setChargeInfo] = useState(null)
 
   // Fetch products on component mount
   useEffect(() => {
     fetchProducts()
   }, [])
 
-  // 🔄 RESET CLIENT SECRET when user changes selection
+  // 🛒 Back from Stripe Checkout without paying
   useEffect(() => {
-    if (clientSecret) {
-      console.log('🔄 User changed selection, resetting checkout session')
-      setClientSecret('')
-      setError('')
-      setExistingSubscription(null)
+    if (new URLSearchParams(window.location.search).get('canceled') === 'true') {
+      setError('Checkout was cancelled - no payment was taken')
+    }
+  }, [])
+
+  // 🔑 Back from a sign-in link: fill in the signed-in email
+  useEffect(() => {
+    fetch('/api/stripe/sign-in')
+      .then(res => res.json())
+      .then(data => data.email && setEmail(current => current || data.email))
+      .catch(() => null)
+  }, [])
+
+  // 🧾 TAX: Re-price with tax once the billing address has stopped changing
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setTaxDetails(isCompleteAddress(billingDetails.address) ? billingDetails : null)
+    }, 500)
+
+    return () => clearTimeout(timer)
+  }, [billingDetails])
+
+  // 🧾 PREVIEW: Ask Stripe what the current selection will actually cost
+  const selectedPriceId = products.find(p => p.id === selectedProduct)?.prices[selectedInterval]?.id
+  const currentPriceId = existingSubscription?.currentPriceId
+  const currentQuantity = existingSubscription?.currentQuantity
+
+  // 🧩 ADD-ONS: Only ones the selected tier offers count, priced for the selected interval
+  const selectedAddonPriceIds = (products.find(p => p.id === selectedProduct)?.addons || [])
+    .filter(addon => selectedAddons.includes(addon.id))
+    .map(addon => addon.prices[selectedInterval]?.id)
+    .filter(Boolean)
+  // Stable keys for effect dependencies and comparisons
+  const addonKey = [...selectedAddonPriceIds].sort().join(',')
+  const currentAddonKey = [...(existingSubscription?.currentAddonPriceIds || [])].sort().join(',')
+
+  useEffect(() => {
+    if (purchaseType !== 'subscription' || !selectedPriceId || (selectedPriceId === currentPriceId && quantity === currentQuantity)) {
+      setPreview(null)
+      setPreviewError('')
+      return
+    }
+
+    let cancelled = false
+
+    const fetchPreview = async () => {
+      setPreviewLoading(true)
+      setPreviewError('')
+
+      try {
+        const response = await fetch('/api/stripe/preview-invoice', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            priceId: selectedPriceId,
+            quantity,
+            // Add-ons on an existing subscription follow the plan change
+            addonPriceIds: currentPriceId ? [] : addonKey.split(',').filter(Boolean),
+            email: checkedEmail || undefined,
+            // Plan changes don't take promo codes
+            promoCodeId: currentPriceId ? null : validatedPromoCodeId,
+            // Existing subscriptions are already taxed for the address on file
+            billingDetails: currentPriceId ? null : taxDetails
+          })
+        })
+
+        const data = await response.json()
+        if (cancelled) return
+
+        if (response.ok) {
+          setPreview(data)
+        } else {
+          setPreview(null)
+          setPreviewError(data.error || 'Unable to preview pricing')
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setPreview(null)
+          setPreviewError('Unable to preview pricing')
+        }
+      } finally {
+        if (!cancelled) setPreviewLoading(false)
+      }
+    }
+
+    fetchPreview()
+
+    // Drop responses for a selection the user has already moved on from
+    return () => {
+      cancelled = true
     }
-  }, [selectedProduct, selectedInterval]) // Reset when product or interval changes
+  }, [purchaseType, selectedPriceId, currentPriceId, quantity, currentQuantity, addonKey, checkedEmail, validatedPromoCodeId, taxDetails])
 
   const fetchProducts = async () => {
     try {
       setProductsLoading(true)
+      // The server picks a currency from the browser's language
       const response = await fetch('/api/stripe/products')
       const data = await response.json()
 
       if (response.ok) {
         setProducts(data.products)
+        setCurrency(data.currency)
+        setCurrencies(data.currencies)
+        setLifetimeProduct(data.lifetime || null)
+        setGiftMonthOptions(data.giftMonths || [])
+        setGiftMonths(data.giftMonths?.[0] || null)
         if (data.products.length > 0) {
           setSelectedProduct(data.products[0].id)
         }
@@ -65,7 +206,6 @@ export default function CheckoutPage() {
       setPromoValidation(null)
       setPromoMessage('')
       setValidatedPromoCodeId(null)
-      setValidatedCoupon(null) // 🆕 NEW: Clear coupon info
       return
     }
 
@@ -96,49 +236,185 @@ export default function CheckoutPage() {
         setPromoValidation('valid')
         setPromoMessage(result.message)
         setValidatedPromoCodeId(result.promoCodeId)
-        setValidatedCoupon(result.coupon) // 🆕 NEW: Store coupon info
       } else {
         setPromoValidation('invalid')
         setPromoMessage(result.error)
         setValidatedPromoCodeId(null)
-        setValidatedCoupon(null) // 🆕 NEW: Clear coupon info
-      }
+        }
     } catch (error) {
       setPromoValidation('invalid')
       setPromoMessage('Failed to validate promo code')
       setValidatedPromoCodeId(null)
-      setValidatedCoupon(null) // 🆕 NEW: Clear coupon info
     }
   }
 
-  // 🆕 NEW: Add function to calculate discounted price
-  const calculateDiscountedPrice = (originalAmount) => {
-    if (!validatedCoupon) return originalAmount
-
-    if (validatedCoupon.percent_off) {
-      // Percentage discount
-      const discountAmount = Math.round(originalAmount * (validatedCoupon.percent_off / 100))
-      return originalAmount - discountAmount
-    } else if (validatedCoupon.amount_off) {
-      // Fixed amount discount
-      const discountedPrice = originalAmount - validatedCoupon.amount_off
-      return Math.max(0, discountedPrice) // Don't go below 0
+  // 🔁 CHANGE MODE: Look up an existing subscription so we can offer a plan change.
+  // Only a signed-in customer's plan is shown; conflict is set when checkout
+  // found a subscription for this email, so the visitor is asked to sign in.
+  const loadExistingSubscription = async ({ conflict = false } = {}) => {
+    if (!email) return
+    setCheckedEmail(email)
+
+    try {
+      const response = await fetch(`/api/stripe/change-subscription?email=${encodeURIComponent(email)}`)
+      const data = await response.json()
+
+      if (!response.ok) {
+        setExistingSubscription(null)
+        if (conflict) {
+          setSignInRequired(!!data.details?.signInRequired)
+          setError(data.details?.signInRequired
+            ? 'You already have a subscription - sign in to change your plan'
+            : data.error || 'You already have an active subscription')
+        }
+        return
+      }
+
+      setExistingSubscription({
+        subscriptionId: data.subscriptionId,
+        status: data.status,
+        currentPlan: data.currentPlan.productName,
+        currentInterval: data.currentPlan.interval,
+        currentPriceId: data.currentPlan.priceId,
+        currentProductId: data.currentPlan.productId,
+        currentQuantity: data.quantity,
+        currentAddonPriceIds: (data.addons || []).map(addon => addon.priceId),
+        currentPeriodEnd: data.currentPeriodEnd,
+        pendingChange: data.pendingChange
+      })
+      setQuantity(data.quantity)
+      setSelectedAddons((data.addons || []).map(addon => addon.productId))
+
+      // Plan changes have to stay in the currency the subscription is billed in
+      if (data.currentPlan.currency) switchCurrency(data.currentPlan.currency)
+    } catch (err) {
+      setExistingSubscription(null)
+      if (conflict) setError('You already have an active subscription')
     }
+  }
+
+  const handleChangeSubscription = async () => {
+    const product = products.find(p => p.id === selectedProduct)
+    const selectedPrice = product?.prices[selectedInterval]
+    if (!selectedPrice) return
 
-    return originalAmount
+    setChangeLoading(true)
+    setError('')
+    setSignInRequired(false)
+    setChangeResult(null)
+
+    // POSTs a change and confirms any prorated charge that needs 3D Secure
+    const submitChange = async (endpoint, body) => {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email: email, ...body }),
+      })
+
+      const data = await response.json()
+
+      if (!response.ok) {
+        setSignInRequired(!!data.details?.signInRequired)
+        throw new Error(data.error || 'Failed to change plan')
+      }
+
+      if (data.clientSecret) {
+        const stripe = await stripePromise
+        const { error: confirmError } = await stripe.confirmCardPayment(data.clientSecret)
+        if (confirmError) {
+          throw new Error(`Your plan wasn't changed: ${confirmError.message}`)
+        }
+      }
+
+      return data
+    }
+
+    try {
+      if (selectedPrice.id !== currentPriceId) {
+        // Add-ons carry over to the new plan on the server
+        setChangeResult(await submitChange('/api/stripe/change-subscription', { priceId: selectedPrice.id, quantity }))
+      } else {
+        // Same plan: update the number of servers and/or the add-ons
+        const messages = []
+
+        if (quantity !== currentQuantity) {
+          await submitChange('/api/stripe/update-quantity', { quantity })
+          messages.push(`You now have ${quantity} premium server${quantity === 1 ? '' : 's'}.`)
+        }
+
+        if (addonKey !== currentAddonKey) {
+          const data = await submitChange('/api/stripe/update-addons', { addonPriceIds: selectedAddonPriceIds })
+          if (data.added.length > 0) messages.push(`Added ${data.added.map(addon => addon.name).join(', ')}.`)
+          if (data.removed.length > 0) messages.push(`Removed ${data.removed.map(addon => addon.name).join(', ')}.`)
+        }
+
+        setChangeResult({ message: messages.join(' ') })
+      }
+
+      await loadExistingSubscription()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setChangeLoading(false)
+    }
   }
 
-  // 🆕 NEW: Add function to get discount amount for display
-  const getDiscountAmount = (originalAmount) => {
-    if (!validatedCoupon) return 0
+  const cancelPendingChange = async () => {
+    setChangeLoading(true)
+    setError('')
+    setSignInRequired(false)
+
+    try {
+      const response = await fetch('/api/stripe/change-subscription', {
+        method: 'DELETE',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email: email }),
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        setSignInRequired(!!data.details?.signInRequired)
+        throw new Error(data.error || 'Failed to cancel the scheduled change')
+      }
 
-    if (validatedCoupon.percent_off) {
-      return Math.round(originalAmount * (validatedCoupon.percent_off / 100))
-    } else if (validatedCoupon.amount_off) {
-      return Math.min(validatedCoupon.amount_off, originalAmount)
+      setChangeResult(null)
+      await loadExistingSubscription()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setChangeLoading(false)
     }
+  }
+
+  const sendSignInLink = async () => {
+    setChangeLoading(true)
+
+    try {
+      const response = await fetch('/api/stripe/sign-in', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email: email, next: '/checkout' }),
+      })
 
-    return 0
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to send a sign-in link')
+      }
+
+      setSignInRequired(false)
+      setError('')
+      setChangeResult({ message: `We've emailed a sign-in link to ${email}. Open it, then make your change again.` })
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setChangeLoading(false)
+    }
   }
 
   const handleCreateSubscription = async () => {
@@ -154,6 +430,7 @@ export default function CheckoutPage() {
 
     setSubscriptionLoading(true)
     setError('')
+    setSignInRequired(false)
     setExistingSubscription(null)
 
     try {
@@ -164,17 +441,30 @@ export default function CheckoutPage() {
         throw new Error(`${selectedInterval} pricing not available for this product`)
       }
 
-      const response = await fetch('/api/stripe/create-subscription', {
+      // Stripe's hosted page collects the address itself
+      if (checkoutMode !== 'hosted' && !isCompleteAddress(billingDetails.address)) {
+        throw new Error('Please enter your billing address')
+      }
+
+      // Hosted mode hands off to Stripe Checkout instead of the embedded form
+      const endpoint = checkoutMode === 'hosted'
+        ? '/api/stripe/create-checkout-session'
+        : '/api/stripe/create-subscription'
+
+      const response = await fetch(endpoint, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
           priceId: selectedPrice.id,
+          addonPriceIds: selectedAddonPriceIds,
           planType: `${selectedProduct}_${selectedInterval}`,
           email: email,
           productName: product.name,
-          promoCodeId: validatedPromoCodeId
+          quantity,
+          promoCodeId: validatedPromoCodeId,
+          billingDetails: checkoutMode === 'hosted' ? undefined : billingDetails
         }),
       })
 
@@ -182,14 +472,23 @@ export default function CheckoutPage() {
 
       if (!response.ok) {
         if (response.status === 409 && data.details?.hasActiveSubscription) {
-          setExistingSubscription(data.details)
-          setError(`You already have an active ${data.details.currentPlan} subscription (${data.details.currentInterval}ly billing).`)
+          // Offer a plan change instead of blocking
+          await loadExistingSubscription({ conflict: true })
+        } else if (data.details?.customerCurrency) {
+          // Show prices in the currency this customer is already billed in
+          switchCurrency(data.details.customerCurrency)
+          throw new Error(data.error)
         } else {
           throw new Error(data.error || 'Failed to create subscription')
         }
         return
       }
 
+      if (data.url) {
+        window.location.href = data.url
+        return
+      }
+
       if (data.freeSubscription) {
         console.log('🎉 Free subscription activated!')
         // Redirect to success page with subscription info
@@ -197,6 +496,10 @@ export default function CheckoutPage() {
         return
       }
 
+      setIntentType(data.intentType || 'payment')
+      setSubscriptionId(data.subscriptionId)
+      setTrialInfo(data.trial || null)
+      setChargeInfo(data.tax ? { amountDue: data.amountDue, currency: data.currency, tax: data.tax } : null)
       setClientSecret(data.clientSecret)
     } catch (err) {
       setError(err.message)
@@ -205,9 +508,142 @@ export default function CheckoutPage() {
     }
   }
 
+  // ♾️ LIFETIME: One-off PaymentIntent (or hosted Checkout) instead of a subscription
+  const handleCreateLifetimePurchase = async () => {
+    if (!email) {
+      setError('Please enter your email address')
+      return
+    }
+
+    const lifetimePrice = lifetimeProduct?.pricesByCurrency?.[currency]?.lifetime
+    if (!lifetimePrice) {
+      setError(`Lifetime access isn't available in ${currency.toUpperCase()}`)
+      return
+    }
+
+    setSubscriptionLoading(true)
+    setError('')
+
+    try {
+      if (checkoutMode !== 'hosted' && !isCompleteAddress(billingDetails.address)) {
+        throw new Error('Please enter your billing address')
+      }
+
+      const response = await fetch('/api/stripe/create-lifetime-purchase', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          priceId: lifetimePrice.id,
+          email: email,
+          hosted: checkoutMode === 'hosted',
+          billingDetails: checkoutMode === 'hosted' ? undefined : billingDetails
+        }),
+      })
+
+      const data = await response.json()
+
+      if (!response.ok) {
+        if (data.details?.customerCurrency) {
+          switchCurrency(data.details.customerCurrency)
+        }
+        throw new Error(data.error || 'Failed to start the purchase')
+      }
+
+      if (data.url) {
+        window.location.href = data.url
+        return
+      }
+
+      setIntentType('payment')
+      setSubscriptionId('')
+      setTrialInfo(null)
+      setChargeInfo({ amountDue: data.amountDue, currency: data.currency, tax: data.tax })
+      setClientSecret(data.clientSecret)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSubscriptionLoading(false)
+    }
+  }
+
+  // 🎁 GIFT: One-off payment for the gifted months - the code comes back once it's paid
+  const handleCreateGiftPurchase = async () => {
+    if (!email) {
+      setError('Please enter your email address')
+      return
+    }
+
+    const monthlyPrice = selectedProductData?.prices.monthly
+    if (!monthlyPrice) {
+      setError('Please select a plan')
+      return
+    }
+
+    setSubscriptionLoading(true)
+    setError('')
+
+    try {
+      if (checkoutMode !== 'hosted' && !isCompleteAddress(billingDetails.address)) {
+        throw new Error('Please enter your billing address')
+      }
+
+      const response = await fetch('/api/stripe/create-gift-purchase', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          priceId: monthlyPrice.id,
+          months: giftMonths,
+          email: email,
+          recipientEmail: recipientEmail || undefined,
+          message: giftMessage || undefined,
+          hosted: checkoutMode === 'hosted',
+          billingDetails: checkoutMode === 'hosted' ? undefined : billingDetails
+        }),
+      })
+
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to start the purchase')
+      }
+
+      if (data.url) {
+        window.location.href = data.url
+        return
+      }
+
+      setIntentType('payment')
+      setSubscriptionId('')
+      setTrialInfo(null)
+      setChargeInfo({ amountDue: data.amountDue, currency: data.currency, tax: data.tax })
+      setClientSecret(data.clientSecret)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSubscriptionLoading(false)
+    }
+  }
+
+  const handlePurchaseTypeChange = (newPurchaseType) => {
+    handlePlanChange()
+    setPurchaseType(newPurchaseType)
+    // Gifts are bought in months of the monthly price
+    if (newPurchaseType === 'gift') setSelectedInterval('monthly')
+  }
+
   // 🔄 HANDLE PLAN CHANGE - Reset checkout and show change message
   const handlePlanChange = (newProduct, newInterval) => {
     if (clientSecret) {
+      console.log('🔄 User changed selection, resetting checkout session')
+      setClientSecret('')
+      setExistingSubscription(null)
+      setTrialInfo(null)
+      setChargeInfo(null)
+
       // Show a brief message about resetting
       setError('Plan changed - please continue to payment with your new selection')
       setTimeout(() => setError(''), 3000) // Clear message after 3 seconds
@@ -217,15 +653,53 @@ export default function CheckoutPage() {
     if (newInterval !== undefined) setSelectedInterval(newInterval)
   }
 
-  const formatPrice = (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'GBP',
-    }).format(amount / 100)
+  // 💱 CURRENCY: Every product carries its prices in all currencies, so switching is local
+  const switchCurrency = (newCurrency) => {
+    setCurrency(newCurrency)
+    setProducts(current => current.map(product => ({
+      ...product,
+      prices: product.pricesByCurrency?.[newCurrency] || {},
+      addons: (product.addons || []).map(addon => ({
+        ...addon,
+        prices: addon.pricesByCurrency?.[newCurrency] || {}
+      }))
+    })))
+  }
+
+  const handleCurrencyChange = (newCurrency) => {
+    if (clientSecret) {
+      console.log('💱 User changed currency, resetting checkout session')
+      setClientSecret('')
+      setTrialInfo(null)
+      setChargeInfo(null)
+    }
+    switchCurrency(newCurrency)
+  }
+
+  // 🖥️ SEATS: One premium server per unit, on any tier
+  const handleQuantityChange = (newQuantity) => {
+    if (!Number.isInteger(newQuantity)) return
+    handlePlanChange()
+    setQuantity(Math.min(MAX_SERVERS, Math.max(MIN_SERVERS, newQuantity)))
+  }
+
+  const handleAddonToggle = (addonId) => {
+    handlePlanChange()
+    setSelectedAddons(current => current.includes(addonId)
+      ? current.filter(id => id !== addonId)
+      : [...current, addonId])
+  }
+
+  const updateBillingAddress = (field, value) => {
+    setBillingDetails(current => ({ ...current, address: { ...current.address, [field]: value } }))
+  }
+
+  const formatPrice = (amount, priceCurrency = currency) => {
+    return formatMoney(amount, priceCurrency)
   }
 
   const getYearlySavings = (product) => {
-    if (!product.prices.monthly || !product.prices.yearly) return '£0'
+    if (!product.prices.monthly || !product.prices.yearly) return formatPrice(0)
     const monthlyTotal = product.prices.monthly.amount * 12
     const yearlyPrice = product.prices.yearly.amount
     const savings = monthlyTotal - yearlyPrice
@@ -279,7 +753,7 @@ export default function CheckoutPage() {
             <div style={{ fontSize: '4rem', marginBottom: '1rem' }}>🚀</div>
             <h2 style={{ color: '#635bff', marginBottom: '1rem' }}>Exciting Plans Are On The Way</h2>
             <p style={{ fontSize: '1.1rem', color: '#666', marginBottom: '2rem', lineHeight: '1.6' }}>
-              We're putting the finishing touches on our subscription plans.
+              We&apos;re putting the finishing touches on our subscription plans.
               Check back soon for amazing features and competitive pricing!
             </p>
             <div style={{
@@ -340,6 +814,30 @@ export default function CheckoutPage() {
 
 
   const selectedProductData = products.find(p => p.id === selectedProduct)
+  const isCurrentSelection = existingSubscription?.currentPriceId === selectedProductData?.prices[selectedInterval]?.id &&
+    quantity === (existingSubscription?.currentQuantity ?? quantity) &&
+    addonKey === currentAddonKey
+  // Add-ons can only be picked on the current plan - a plan change carries them over
+  const addonsLocked = !!existingSubscription && selectedPriceId !== currentPriceId
+
+  const isSubscription = purchaseType === 'subscription'
+  const isLifetime = purchaseType === 'lifetime'
+  const isGift = purchaseType === 'gift'
+  const lifetimePrice = lifetimeProduct?.pricesByCurrency?.[currency]?.lifetime
+  const giftPrice = isGift ? selectedProductData?.prices.monthly : null
+  const canPurchase = isLifetime ? !!lifetimePrice : isGift ? !!giftPrice && !!giftMonths : !!selectedProduct
+
+  // "Plus Tier (monthly)" for a price ID from the loaded catalog
+  const describePrice = (priceId) => {
+    for (const product of products) {
+      for (const prices of Object.values(product.pricesByCurrency || { [currency]: product.prices })) {
+        for (const [interval, price] of Object.entries(prices)) {
+          if (price.id === priceId) return `${product.name} (${interval})`
+        }
+      }
+    }
+    return 'a new plan'
+  }
 
   return (
     <div className="container">
@@ -357,6 +855,7 @@ export default function CheckoutPage() {
               id="email"
               value={email}
               onChange={(e) => setEmail(e.target.value)}
+              onBlur={() => loadExistingSubscription()}
               placeholder="Enter your email"
               style={{
                 width: '100%',
@@ -372,8 +871,8 @@ export default function CheckoutPage() {
           </div>
         )}
 
-        {/* Promo Code Input */}
-        {!clientSecret && (
+        {/* Promo Code Input - subscriptions only */}
+        {!clientSecret && isSubscription && (
           <div style={{ marginBottom: "2rem" }}>
             <label
               htmlFor="promo-code"
@@ -443,8 +942,82 @@ export default function CheckoutPage() {
           </div>
         )}
 
-        {/* Existing Subscription Warning */}
-        {existingSubscription && (
+        {/* Billing Address - Stripe Tax works out the rate from it */}
+        {!clientSecret && (!existingSubscription || !isSubscription) && checkoutMode !== 'hosted' && (
+          <div style={{ marginBottom: '2rem' }}>
+            <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold' }}>
+              Billing Address
+            </label>
+            <input
+              type="text"
+              value={billingDetails.name}
+              onChange={(e) => setBillingDetails(current => ({ ...current, name: e.target.value }))}
+              placeholder="Name or company (optional)"
+              style={billingInputStyle}
+            />
+            <select
+              value={billingDetails.address.country}
+              onChange={(e) => updateBillingAddress('country', e.target.value)}
+              style={billingInputStyle}
+            >
+              <option value="">Select country</option>
+              {Object.entries(BILLING_COUNTRIES).map(([code, name]) => (
+                <option key={code} value={code}>{name}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={billingDetails.address.line1}
+              onChange={(e) => updateBillingAddress('line1', e.target.value)}
+              placeholder="Address line 1"
+              style={billingInputStyle}
+            />
+            <input
+              type="text"
+              value={billingDetails.address.line2}
+              onChange={(e) => updateBillingAddress('line2', e.target.value)}
+              placeholder="Address line 2 (optional)"
+              style={billingInputStyle}
+            />
+            <div style={{ display: 'flex', gap: '0.5rem' }}>
+              <input
+                type="text"
+                value={billingDetails.address.city}
+                onChange={(e) => updateBillingAddress('city', e.target.value)}
+                placeholder="City"
+                style={billingInputStyle}
+              />
+              {billingDetails.address.country === 'US' && (
+                <input
+                  type="text"
+                  value={billingDetails.address.state}
+                  onChange={(e) => updateBillingAddress('state', e.target.value)}
+                  placeholder="State"
+                  style={billingInputStyle}
+                />
+              )}
+              <input
+                type="text"
+                value={billingDetails.address.postal_code}
+                onChange={(e) => updateBillingAddress('postal_code', e.target.value)}
+                placeholder={billingDetails.address.country === 'US' ? 'ZIP code' : 'Postcode'}
+                style={billingInputStyle}
+              />
+            </div>
+            {taxIdTypeForCountry(billingDetails.address.country) && (
+              <input
+                type="text"
+                value={billingDetails.taxId}
+                onChange={(e) => setBillingDetails(current => ({ ...current, taxId: e.target.value.toUpperCase() }))}
+                placeholder="VAT ID (optional, for businesses)"
+                style={billingInputStyle}
+              />
+            )}
+          </div>
+        )}
+
+        {/* Existing Subscription - offer a plan change */}
+        {existingSubscription && isSubscription && (
           <div style={{
             color: '#856404',
             backgroundColor: '#fff3cd',
@@ -453,33 +1026,147 @@ export default function CheckoutPage() {
             marginBottom: '1rem',
             border: '1px solid #ffeaa7'
           }}>
-            <h4 style={{ margin: '0 0 0.5rem 0' }}>Existing Subscription Found</h4>
+            <h4 style={{ margin: '0 0 0.5rem 0' }}>Change Your Plan</h4>
             <p style={{ margin: '0 0 1rem 0' }}>
-              You already have an active <strong>{existingSubscription.currentPlan}</strong> subscription
-              with <strong>{existingSubscription.currentInterval}ly</strong> billing.
+              You&apos;re on <strong>{existingSubscription.currentPlan}</strong> with
+              <strong> {existingSubscription.currentInterval}ly</strong> billing
+              {existingSubscription.currentQuantity > 1 && <> for <strong>{existingSubscription.currentQuantity} servers</strong></>}.
             </p>
             <p style={{ margin: 0, fontSize: '0.9rem' }}>
-              To change your plan, please use the customer portal or contact support.
+              Pick a new plan below. Upgrades apply straight away and you&apos;re only charged the prorated difference;
+              downgrades take effect at the end of your current billing period.
             </p>
+            {existingSubscription.pendingChange && (
+              <div style={{ marginTop: '1rem', fontSize: '0.9rem' }}>
+                ⏳ Switching to <strong>{describePrice(existingSubscription.pendingChange.priceId)}</strong> on{' '}
+                {new Date(existingSubscription.pendingChange.effectiveAt * 1000).toLocaleDateString()}.{' '}
+                <button
+                  type="button"
+                  onClick={cancelPendingChange}
+                  disabled={changeLoading}
+                  style={{ background: 'none', border: 'none', color: '#635bff', textDecoration: 'underline', cursor: 'pointer', padding: 0 }}
+                >
+                  Keep my current plan
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {changeResult && (
+          <div style={{
+            color: '#166534',
+            backgroundColor: '#dcfce7',
+            padding: '1rem',
+            borderRadius: '4px',
+            marginBottom: '1rem'
+          }}>
+            {changeResult.message
+              ? `✅ ${changeResult.message}`
+              : changeResult.timing === 'immediate'
+                ? `✅ You're now on ${changeResult.newPlan.productName} (${changeResult.newPlan.interval}ly).`
+                : `✅ You'll switch to ${changeResult.newPlan.productName} (${changeResult.newPlan.interval}ly) on ${new Date(changeResult.effectiveAt * 1000).toLocaleDateString()}.`}
+          </div>
+        )}
+
+        {/* Purchase Type - subscription, the one-off lifetime purchase or a gift */}
+        {!clientSecret && (lifetimeProduct || giftMonthOptions.length > 0) && (
+          <div style={{ display: 'flex', gap: '0.5rem', marginTop: '1rem' }}>
+            {[
+              ['subscription', 'Subscription'],
+              ...(lifetimeProduct ? [['lifetime', '♾️ Lifetime']] : []),
+              ...(giftMonthOptions.length > 0 ? [['gift', '🎁 Gift']] : [])
+            ].map(([type, label]) => (
+              <button
+                key={type}
+                type="button"
+                onClick={() => handlePurchaseTypeChange(type)}
+                style={{
+                  flex: 1,
+                  padding: '0.75rem',
+                  borderRadius: '8px',
+                  border: purchaseType === type ? '2px solid #635bff' : '1px solid #ddd',
+                  backgroundColor: 'hsl(214, 15%, 15%)',
+                  color: '#FFFFFF',
+                  fontWeight: 'bold',
+                  cursor: 'pointer'
+                }}
+              >
+                {label}
+              </button>
+            ))}
           </div>
         )}
 
         {/* Product Selection */}
         <div className="product-selector" style={{ marginBottom: '2rem', marginTop: '1rem' }}>
-          <h3 style={{ marginBottom: '0.5rem' }}>Select Plan</h3>
-          {products.map((product) => (
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem' }}>
+            <h3 style={{ margin: 0 }}>{isLifetime ? 'Lifetime Access' : isGift ? 'Choose a Gift' : 'Select Plan'}</h3>
+            {currencies.length > 1 && (
+              <select
+                value={currency}
+                onChange={(e) => handleCurrencyChange(e.target.value)}
+                disabled={!!existingSubscription && !isGift}
+                title={existingSubscription && !isGift ? 'Your subscription is billed in this currency' : 'Currency'}
+                style={{ padding: '0.25rem 0.5rem', borderRadius: '4px' }}
+              >
+                {currencies.map((code) => (
+                  <option key={code} value={code}>{code.toUpperCase()}</option>
+                ))}
+              </select>
+            )}
+          </div>
+          {isLifetime && lifetimeProduct && (
+            <div style={{
+              border: '2px solid #635bff',
+              borderRadius: '8px',
+              padding: '1.5rem',
+              margin: '1rem 0',
+              backgroundColor: 'hsl(214, 15%, 15%)'
+            }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+                <div style={{ flex: 1 }}>
+                  <h4 style={{ margin: '0 0 0.5rem 0', color: '#FFFFFF' }}>{lifetimeProduct.name}</h4>
+                  <p style={{ color: '#B0B0B0', marginBottom: '1rem', fontSize: '0.9rem' }}>
+                    {lifetimeProduct.description}
+                  </p>
+                  <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+                    {lifetimeProduct.features.map((feature, index) => (
+                      <li key={index} style={{ padding: '0.25rem 0', color: '#D0D0D0', fontSize: '0.9rem' }}>
+                        <span style={{ color: '#22c55e', marginRight: '0.5rem' }}>✓</span>
+                        {feature}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+                <div style={{ textAlign: 'right', marginLeft: '1rem' }}>
+                  <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: '#FFFFFF' }}>
+                    {lifetimePrice ? formatPrice(lifetimePrice.amount) : 'N/A'}
+                  </div>
+                  <div style={{ fontSize: '0.8rem', color: '#B0B0B0' }}>
+                    one-off, for {lifetimeProduct.servers} server{lifetimeProduct.servers === 1 ? '' : 's'}
+                  </div>
+                </div>
+              </div>
+              {existingSubscription && (
+                <div style={{ fontSize: '0.8rem', color: '#ff9900', marginTop: '1rem' }}>
+                  Your {existingSubscription.currentPlan} subscription keeps renewing - cancel it from your account once you&apos;ve bought lifetime access.
+                </div>
+              )}
+            </div>
+          )}
+          {!isLifetime && products.map((product) => (
             <div
               key={product.id}
               className={`product-option ${selectedProduct === product.id ? 'selected' : ''}`}
-              onClick={() => !existingSubscription && handlePlanChange(product.id, undefined)}
+              onClick={() => handlePlanChange(product.id, undefined)}
               style={{
                 border: selectedProduct === product.id ? '2px solid #635bff' : '1px solid #ddd',
                 borderRadius: '8px',
                 padding: '1.5rem',
                 margin: '1rem 0',
-                cursor: existingSubscription ? 'not-allowed' : 'pointer',
+                cursor: 'pointer',
                 backgroundColor: selectedProduct === product.id ? 'hsl(214, 15%, 15%)' : 'hsl(214, 15%, 15%)',
-                opacity: existingSubscription ? 0.6 : 1,
                 transition: 'all 0.2s ease',
                 position: 'relative'
               }}
@@ -501,7 +1188,14 @@ export default function CheckoutPage() {
               )}
               <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
                 <div style={{ flex: 1 }}>
-                  <h4 style={{ margin: '0 0 0.5rem 0', color: '#FFFFFF' }}>{product.name}</h4>
+                  <h4 style={{ margin: '0 0 0.5rem 0', color: '#FFFFFF' }}>
+                    {product.name}
+                    {isSubscription && existingSubscription?.currentProductId === product.id && (
+                      <span style={{ marginLeft: '0.5rem', fontSize: '0.75rem', color: '#22c55e' }}>
+                        (current plan)
+                      </span>
+                    )}
+                  </h4>
                   <p style={{ color: '#B0B0B0', marginBottom: '1rem', fontSize: '0.9rem' }}>
                     {product.description}
                   </p>
@@ -519,30 +1213,18 @@ export default function CheckoutPage() {
                   </ul>
                 </div>
                 <div style={{ textAlign: 'right', marginLeft: '1rem' }}>
-                  {product.prices[selectedInterval] && validatedCoupon ? (
-                    // Show discounted price
-                    <div>
-                      <div style={{
-                        fontSize: '1rem',
-                        color: '#B0B0B0',
-                        textDecoration: 'line-through'
-                      }}>
-                        {formatPrice(product.prices[selectedInterval].amount)}
-                      </div>
-                      <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: '#22c55e' }}>
-                        {formatPrice(calculateDiscountedPrice(product.prices[selectedInterval].amount))}
-                      </div>
-                    </div>
-                  ) : (
-                    // Show regular price
-                    <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: '#FFFFFF' }}>
-                      {product.prices[selectedInterval] ?
-                        formatPrice(product.prices[selectedInterval].amount) : 'N/A'}
-                    </div>
-                  )}
+                  <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: '#FFFFFF' }}>
+                    {product.prices[selectedInterval] ?
+                      formatPrice(product.prices[selectedInterval].amount) : 'N/A'}
+                  </div>
                   <div style={{ fontSize: '0.8rem', color: '#B0B0B0' }}>
-                    per {selectedInterval === 'monthly' ? 'month' : 'year'}
+                    {isGift ? 'per month' : `per server per ${selectedInterval === 'monthly' ? 'month' : 'year'}`}
                   </div>
+                  {product.trial && !isGift && (
+                    <div style={{ fontSize: '0.8rem', color: '#3b82f6', fontWeight: 'bold', marginTop: '0.25rem' }}>
+                      🎁 {product.trial.days} days free
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
@@ -550,45 +1232,29 @@ export default function CheckoutPage() {
         </div>
 
         {/* Billing Interval Selection */}
-        {selectedProductData && (
+        {selectedProductData && isSubscription && (
           <div className="interval-selector" style={{ marginBottom: '2rem' }}>
             <h3 style={{ marginBottom: '0.5rem' }}>Billing Frequency</h3>
             <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap' }}>
               {selectedProductData.prices.monthly && (
                 <div
                   className={`interval-option ${selectedInterval === 'monthly' ? 'selected' : ''}`}
-                  onClick={() => !existingSubscription && handlePlanChange(undefined, 'monthly')}
+                  onClick={() => handlePlanChange(undefined, 'monthly')}
                   style={{
                     border: selectedInterval === 'monthly' ? '2px solid #635bff' : '1px solid #ddd',
                     borderRadius: '8px',
                     padding: '1rem',
-                    cursor: existingSubscription ? 'not-allowed' : 'pointer',
+                    cursor: 'pointer',
                     backgroundColor: selectedInterval === 'monthly' ? 'hsl(214, 15%, 15%)' : 'hsl(214, 15%, 15%)',
-                    opacity: existingSubscription ? 0.6 : 1,
                     flex: '1',
                     minWidth: '200px',
                     textAlign: 'center'
                   }}
                 >
                   <div style={{ fontWeight: 'bold', marginBottom: '0.5rem', color: '#FFFFFF' }}>Monthly</div>
-                  {validatedCoupon ? (
-                    <div>
-                      <div style={{
-                        fontSize: '0.9rem',
-                        color: '#B0B0B0',
-                        textDecoration: 'line-through'
-                      }}>
-                        {formatPrice(selectedProductData.prices.monthly.amount)}
-                      </div>
-                      <div style={{ fontSize: '1.2rem', color: '#22c55e' }}>
-                        {formatPrice(calculateDiscountedPrice(selectedProductData.prices.monthly.amount))}
-                      </div>
-                    </div>
-                  ) : (
-                    <div style={{ fontSize: '1.2rem', color: '#FFFFFF' }}>
-                      {formatPrice(selectedProductData.prices.monthly.amount)}
-                    </div>
-                  )}
+                  <div style={{ fontSize: '1.2rem', color: '#FFFFFF' }}>
+                    {formatPrice(selectedProductData.prices.monthly.amount)}
+                  </div>
                   <div style={{ fontSize: '0.8rem', color: '#B0B0B0' }}>per month</div>
                 </div>
               )}
@@ -596,14 +1262,13 @@ export default function CheckoutPage() {
               {selectedProductData.prices.yearly && (
                 <div
                   className={`interval-option ${selectedInterval === 'yearly' ? 'selected' : ''}`}
-                  onClick={() => !existingSubscription && handlePlanChange(undefined, 'yearly')}
+                  onClick={() => handlePlanChange(undefined, 'yearly')}
                   style={{
                     border: selectedInterval === 'yearly' ? '2px solid #635bff' : '1px solid #ddd',
                     borderRadius: '8px',
                     padding: '1rem',
-                    cursor: existingSubscription ? 'not-allowed' : 'pointer',
+                    cursor: 'pointer',
                     backgroundColor: selectedInterval === 'yearly' ? 'hsl(214, 15%, 15%)' : 'hsl(214, 15%, 15%)',
-                    opacity: existingSubscription ? 0.6 : 1,
                     flex: '1',
                     minWidth: '200px',
                     textAlign: 'center',
@@ -626,24 +1291,9 @@ export default function CheckoutPage() {
                     </div>
                   )}
                   <div style={{ fontWeight: 'bold', marginBottom: '0.5rem', color: '#FFFFFF' }}>Yearly</div>
-                  {validatedCoupon ? (
-                    <div>
-                      <div style={{
-                        fontSize: '0.9rem',
-                        color: '#B0B0B0',
-                        textDecoration: 'line-through'
-                      }}>
-                        {formatPrice(selectedProductData.prices.yearly.amount)}
-                      </div>
-                      <div style={{ fontSize: '1.2rem', color: '#22c55e' }}>
-                        {formatPrice(calculateDiscountedPrice(selectedProductData.prices.yearly.amount))}
-                      </div>
-                    </div>
-                  ) : (
-                    <div style={{ fontSize: '1.2rem', color: '#FFFFFF' }}>
-                      {formatPrice(selectedProductData.prices.yearly.amount)}
-                    </div>
-                  )}
+                  <div style={{ fontSize: '1.2rem', color: '#FFFFFF' }}>
+                    {formatPrice(selectedProductData.prices.yearly.amount)}
+                  </div>
                   <div style={{ fontSize: '0.8rem', color: '#B0B0B0' }}>per year</div>
                 </div>
               )}
@@ -651,8 +1301,97 @@ export default function CheckoutPage() {
           </div>
         )}
 
-        {/* Summary */}
-        {!clientSecret && !existingSubscription && selectedProductData?.prices[selectedInterval] && (
+        {/* Premium Servers - quantity on the subscription */}
+        {selectedProductData && isSubscription && (
+          <div style={{ marginBottom: '2rem' }}>
+            <h3 style={{ marginBottom: '0.5rem' }}>Premium Servers</h3>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+              <button
+                type="button"
+                onClick={() => handleQuantityChange(quantity - 1)}
+                disabled={quantity <= MIN_SERVERS}
+                style={{ padding: '0.5rem 0.9rem', borderRadius: '4px', border: '1px solid #ddd', cursor: 'pointer' }}
+              >
+                −
+              </button>
+              <input
+                type="number"
+                min={MIN_SERVERS}
+                max={MAX_SERVERS}
+                value={quantity}
+                onChange={(e) => handleQuantityChange(parseInt(e.target.value, 10))}
+                style={{ ...billingInputStyle, width: '5rem', marginBottom: 0, textAlign: 'center' }}
+              />
+              <button
+                type="button"
+                onClick={() => handleQuantityChange(quantity + 1)}
+                disabled={quantity >= MAX_SERVERS}
+                style={{ padding: '0.5rem 0.9rem', borderRadius: '4px', border: '1px solid #ddd', cursor: 'pointer' }}
+              >
+                +
+              </button>
+              {selectedProductData.prices[selectedInterval] && (
+                <span style={{ color: '#B0B0B0', fontSize: '0.9rem', marginLeft: '0.5rem' }}>
+                  {quantity} × {formatPrice(selectedProductData.prices[selectedInterval].amount)} ={' '}
+                  <strong style={{ color: '#FFFFFF' }}>{formatPrice(selectedProductData.prices[selectedInterval].amount * quantity)}</strong>
+                  {' '}per {selectedInterval === 'monthly' ? 'month' : 'year'}
+                </span>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Add-ons - extra items on the subscription */}
+        {selectedProductData?.addons?.length > 0 && isSubscription && (
+          <div style={{ marginBottom: '2rem' }}>
+            <h3 style={{ marginBottom: '0.5rem' }}>Add-ons</h3>
+            {selectedProductData.addons.map((addon) => (
+              <label
+                key={addon.id}
+                style={{
+                  display: 'flex',
+                  alignItems: 'flex-start',
+                  gap: '0.75rem',
+                  border: selectedAddons.includes(addon.id) ? '2px solid #635bff' : '1px solid #ddd',
+                  borderRadius: '8px',
+                  padding: '1rem',
+                  marginBottom: '0.5rem',
+                  cursor: addonsLocked || !addon.prices[selectedInterval] ? 'not-allowed' : 'pointer',
+                  opacity: addonsLocked || !addon.prices[selectedInterval] ? 0.6 : 1,
+                  backgroundColor: 'hsl(214, 15%, 15%)'
+                }}
+              >
+                <input
+                  type="checkbox"
+                  checked={selectedAddons.includes(addon.id)}
+                  onChange={() => handleAddonToggle(addon.id)}
+                  disabled={addonsLocked || !addon.prices[selectedInterval]}
+                  style={{ marginTop: '0.25rem' }}
+                />
+                <div style={{ flex: 1 }}>
+                  <div style={{ fontWeight: 'bold', color: '#FFFFFF' }}>{addon.name}</div>
+                  <div style={{ color: '#B0B0B0', fontSize: '0.9rem' }}>{addon.description}</div>
+                </div>
+                <div style={{ textAlign: 'right', color: '#FFFFFF', whiteSpace: 'nowrap' }}>
+                  {addon.prices[selectedInterval]
+                    ? `+${formatPrice(addon.prices[selectedInterval].amount)}`
+                    : 'N/A'}
+                  <div style={{ fontSize: '0.8rem', color: '#B0B0B0' }}>
+                    per {selectedInterval === 'monthly' ? 'month' : 'year'}
+                  </div>
+                </div>
+              </label>
+            ))}
+            {addonsLocked && (
+              <div style={{ fontSize: '0.8rem', color: '#B0B0B0' }}>
+                Your add-ons move to the new plan where it offers them. Change add-ons on your current plan.
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Summary - exact amounts from Stripe's invoice preview */}
+        {!clientSecret && isSubscription && !isCurrentSelection && selectedProductData?.prices[selectedInterval] && (
           <div style={{
             backgroundColor: 'hsl(214, 15%, 15%)',
             padding: '1rem',
@@ -660,47 +1399,101 @@ export default function CheckoutPage() {
             marginBottom: '2rem',
             border: '1px solid rgb(221, 221, 221)'
           }}>
-            <h4 style={{ margin: '0 0 0.5rem 0', color: '#FFFFFF' }}>Order Summary</h4>
+            <h4 style={{ margin: '0 0 0.5rem 0', color: '#FFFFFF' }}>
+              {existingSubscription ? 'Plan Change Summary' : 'Order Summary'}
+            </h4>
 
-            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
-              <span style={{ color: '#D0D0D0' }}>
-                {selectedProductData.name} - {selectedInterval === 'monthly' ? 'Monthly' : 'Yearly'}
-              </span>
-              <span style={{
-                fontWeight: 'bold',
-                color: validatedCoupon ? '#B0B0B0' : '#FFFFFF',
-                textDecoration: validatedCoupon ? 'line-through' : 'none'
-              }}>
-                {formatPrice(selectedProductData.prices[selectedInterval].amount)}
-              </span>
-            </div>
+            {existingSubscription && selectedPriceId === currentPriceId && quantity === currentQuantity && (
+              <div style={{ fontSize: '0.9rem', color: '#B0B0B0' }}>
+                New add-ons are charged the prorated amount today; removed ones are credited on your next invoice.
+              </div>
+            )}
 
-            {/* Show discount if applied */}
-            {validatedCoupon && (
-              <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
-                <span style={{ color: '#22c55e' }}>
-                  Discount ({validatedCoupon.percent_off ? `${validatedCoupon.percent_off}%` : formatPrice(validatedCoupon.amount_off)})
-                </span>
-                <span style={{ fontWeight: 'bold', color: '#22c55e' }}>
-                  -{formatPrice(getDiscountAmount(selectedProductData.prices[selectedInterval].amount))}
-                </span>
+            {previewLoading && !preview && (
+              <div style={{ fontSize: '0.9rem', color: '#B0B0B0' }}>Calculating your price...</div>
+            )}
+
+            {previewError && (
+              <div style={{ fontSize: '0.9rem', color: '#dc3545' }}>{previewError}</div>
+            )}
+
+            {preview && (
+              <div style={{ opacity: previewLoading ? 0.6 : 1 }}>
+                {preview.lines.map((line, index) => (
+                  <div key={index} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
+                    <span style={{ color: line.proration && line.amount < 0 ? '#22c55e' : '#D0D0D0', marginRight: '1rem' }}>
+                      {line.description}
+                    </span>
+                    <span style={{ fontWeight: 'bold', color: line.amount < 0 ? '#22c55e' : '#FFFFFF', whiteSpace: 'nowrap' }}>
+                      {formatPrice(line.amount, preview.currency)}
+                    </span>
+                  </div>
+                ))}
+
+                {preview.discount > 0 && (
+                  <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
+                    <span style={{ color: '#22c55e' }}>Discount</span>
+                    <span style={{ fontWeight: 'bold', color: '#22c55e' }}>-{formatPrice(preview.discount, preview.currency)}</span>
+                  </div>
+                )}
+
+                {preview.tax > 0 && !preview.taxInclusive && (
+                  <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
+                    <span style={{ color: '#D0D0D0' }}>Tax</span>
+                    <span style={{ fontWeight: 'bold', color: '#FFFFFF' }}>{formatPrice(preview.tax, preview.currency)}</span>
+                  </div>
+                )}
+
+                <div style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  marginTop: '0.5rem',
+                  paddingTop: '0.5rem',
+                  borderTop: '1px solid #444',
+                  fontSize: '1.1rem'
+                }}>
+                  <span style={{ color: '#FFFFFF', fontWeight: 'bold' }}>Due today</span>
+                  <span style={{ fontWeight: 'bold', color: '#FFFFFF' }}>{formatPrice(preview.dueToday, preview.currency)}</span>
+                </div>
+
+                {preview.tax > 0 && preview.taxInclusive && (
+                  <div style={{ fontSize: '0.8rem', color: '#B0B0B0', marginTop: '0.25rem', textAlign: 'right' }}>
+                    Includes {formatPrice(preview.tax, preview.currency)} tax
+                  </div>
+                )}
+
+                {!existingSubscription && (checkoutMode === 'hosted' || !taxDetails) && (
+                  <div style={{ fontSize: '0.8rem', color: '#B0B0B0', marginTop: '0.25rem' }}>
+                    {checkoutMode === 'hosted'
+                      ? 'Any tax is added on the payment page once you enter your billing address'
+                      : 'Any tax is added once you enter your billing address'}
+                  </div>
+                )}
+
+                {preview.timing === 'period_end' && (
+                  <div style={{ fontSize: '0.9rem', color: '#B0B0B0', marginTop: '0.5rem' }}>
+                    Your new plan starts on {new Date(preview.effectiveAt * 1000).toLocaleDateString()}, billed {formatPrice(preview.total, preview.currency)}
+                  </div>
+                )}
+
+                {preview.trial && (
+                  <div style={{ fontSize: '0.9rem', color: '#3b82f6', marginTop: '0.5rem' }}>
+                    🎁 {preview.trial.days} days free, then {formatPrice(preview.total, preview.currency)} per {selectedInterval === 'monthly' ? 'month' : 'year'}
+                    {!preview.trial.paymentMethodRequired && ' - no card required'}
+                  </div>
+                )}
+
+                {preview.nextBillingDate && (
+                  <div style={{ fontSize: '0.8rem', color: '#B0B0B0', marginTop: '0.5rem' }}>
+                    Next billing date: {new Date(preview.nextBillingDate * 1000).toLocaleDateString()}
+                  </div>
+                )}
               </div>
             )}
 
-            {/* Show final total */}
-            {validatedCoupon && (
-              <div style={{
-                display: 'flex',
-                justifyContent: 'space-between',
-                marginTop: '0.5rem',
-                paddingTop: '0.5rem',
-                borderTop: '1px solid #444',
-                fontSize: '1.1rem'
-              }}>
-                <span style={{ color: '#FFFFFF', fontWeight: 'bold' }}>Total</span>
-                <span style={{ fontWeight: 'bold', color: '#22c55e' }}>
-                  {formatPrice(calculateDiscountedPrice(selectedProductData.prices[selectedInterval].amount))}
-                </span>
+            {!existingSubscription && selectedProductData.trial && !preview?.trial && (
+              <div style={{ fontSize: '0.75rem', color: '#B0B0B0', marginTop: '0.5rem' }}>
+                Trials are for first-time subscribers
               </div>
             )}
 
@@ -712,6 +1505,88 @@ export default function CheckoutPage() {
           </div>
         )}
 
+        {/* Gift Details - how long, and optionally who it's for */}
+        {!clientSecret && isGift && selectedProductData && (
+          <div style={{ marginBottom: '2rem' }}>
+            <h3 style={{ marginBottom: '0.5rem' }}>Gift Details</h3>
+            <label htmlFor="gift-months" style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold' }}>
+              Length
+            </label>
+            <select
+              id="gift-months"
+              value={giftMonths || ''}
+              onChange={(e) => setGiftMonths(parseInt(e.target.value, 10))}
+              style={billingInputStyle}
+            >
+              {giftMonthOptions.map((months) => (
+                <option key={months} value={months}>{months} month{months === 1 ? '' : 's'}</option>
+              ))}
+            </select>
+            <input
+              type="email"
+              value={recipientEmail}
+              onChange={(e) => setRecipientEmail(e.target.value)}
+              placeholder="Recipient's email (optional - only they can redeem it)"
+              style={billingInputStyle}
+            />
+            <textarea
+              value={giftMessage}
+              onChange={(e) => setGiftMessage(e.target.value)}
+              placeholder="Message (optional)"
+              maxLength={500}
+              rows={3}
+              style={billingInputStyle}
+            />
+            <div style={{ fontSize: '0.8rem', color: '#B0B0B0' }}>
+              You&apos;ll get a code to pass on. Redeeming it starts {selectedProductData.name} for one server, free for the
+              gifted months - it ends by itself afterwards.
+            </div>
+          </div>
+        )}
+
+        {/* Gift Summary - the exact amount with tax comes back with the payment */}
+        {!clientSecret && isGift && giftPrice && giftMonths && (
+          <div style={{
+            backgroundColor: 'hsl(214, 15%, 15%)',
+            padding: '1rem',
+            borderRadius: '8px',
+            marginBottom: '2rem',
+            border: '1px solid rgb(221, 221, 221)'
+          }}>
+            <h4 style={{ margin: '0 0 0.5rem 0', color: '#FFFFFF' }}>Order Summary</h4>
+            <div style={{ color: '#D0D0D0', marginBottom: '0.5rem' }}>
+              {selectedProductData.name} - {giftMonths} month{giftMonths === 1 ? '' : 's'} × {formatPrice(giftPrice.amount)}
+            </div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '1.1rem' }}>
+              <span style={{ color: '#FFFFFF', fontWeight: 'bold' }}>Due today</span>
+              <span style={{ fontWeight: 'bold', color: '#FFFFFF' }}>{formatPrice(giftPrice.amount * giftMonths)}</span>
+            </div>
+            <div style={{ fontSize: '0.8rem', color: '#B0B0B0', marginTop: '0.5rem' }}>
+              Paid once - no renewals. Any tax is worked out from your billing address before you pay.
+            </div>
+          </div>
+        )}
+
+        {/* Lifetime Summary - the exact amount with tax comes back with the payment */}
+        {!clientSecret && isLifetime && lifetimePrice && (
+          <div style={{
+            backgroundColor: 'hsl(214, 15%, 15%)',
+            padding: '1rem',
+            borderRadius: '8px',
+            marginBottom: '2rem',
+            border: '1px solid rgb(221, 221, 221)'
+          }}>
+            <h4 style={{ margin: '0 0 0.5rem 0', color: '#FFFFFF' }}>Order Summary</h4>
+            <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '1.1rem' }}>
+              <span style={{ color: '#FFFFFF', fontWeight: 'bold' }}>{lifetimeProduct.name} - due today</span>
+              <span style={{ fontWeight: 'bold', color: '#FFFFFF' }}>{formatPrice(lifetimePrice.amount)}</span>
+            </div>
+            <div style={{ fontSize: '0.8rem', color: '#B0B0B0', marginTop: '0.5rem' }}>
+              Paid once - no renewals. Any tax is worked out from your billing address before you pay.
+            </div>
+          </div>
+        )}
+
         {error && products.length > 0 && (
           <div style={{
             color: '#dc3545',
@@ -722,23 +1597,53 @@ export default function CheckoutPage() {
             border: '1px solid #f5c6cb'
           }}>
             {error}
+            {signInRequired && (
+              <>
+                {' '}
+                <button
+                  type="button"
+                  onClick={sendSignInLink}
+                  disabled={changeLoading}
+                  style={{ background: 'none', border: 'none', color: '#635bff', textDecoration: 'underline', cursor: 'pointer', padding: 0 }}
+                >
+                  Email me a sign-in link
+                </button>
+              </>
+            )}
           </div>
         )}
 
-        {!clientSecret ? (
+        {existingSubscription && isSubscription ? (
           <button
             className="button"
-            onClick={handleCreateSubscription}
-            disabled={subscriptionLoading || !email || !selectedProduct}
+            onClick={handleChangeSubscription}
+            disabled={changeLoading || isCurrentSelection}
             style={{
               width: '100%',
               padding: '1rem',
               fontSize: '1.1rem',
-              backgroundColor: subscriptionLoading || !email || !selectedProduct ? '#ccc' : '#635bff',
-              cursor: subscriptionLoading || !email || !selectedProduct ? 'not-allowed' : 'pointer'
+              backgroundColor: changeLoading || isCurrentSelection ? '#ccc' : '#635bff',
+              cursor: changeLoading || isCurrentSelection ? 'not-allowed' : 'pointer'
             }}
           >
-            {subscriptionLoading ? 'Creating subscription...' : 'Continue to Payment'}
+            {changeLoading ? 'Changing plan...' : isCurrentSelection ? 'This is your current plan' : selectedPriceId !== currentPriceId ? 'Change Plan' : quantity !== currentQuantity ? 'Update Servers' : 'Update Add-ons'}
+          </button>
+        ) : !clientSecret ? (
+          <button
+            className="button"
+            onClick={isLifetime ? handleCreateLifetimePurchase : isGift ? handleCreateGiftPurchase : handleCreateSubscription}
+            disabled={subscriptionLoading || !email || !canPurchase}
+            style={{
+              width: '100%',
+              padding: '1rem',
+              fontSize: '1.1rem',
+              backgroundColor: subscriptionLoading || !email || !canPurchase ? '#ccc' : '#635bff',
+              cursor: subscriptionLoading || !email || !canPurchase ? 'not-allowed' : 'pointer'
+            }}
+          >
+            {subscriptionLoading
+              ? (checkoutMode === 'hosted' ? 'Redirecting to checkout...' : !isSubscription ? 'Preparing payment...' : 'Creating subscription...')
+              : isSubscription && selectedProductData?.trial ? 'Start Free Trial' : 'Continue to Payment'}
           </button>
         ) : (
           <Elements
@@ -766,7 +1671,27 @@ export default function CheckoutPage() {
               }
             }}
           >
-            <CheckoutForm clientSecret={clientSecret} />
+            {trialInfo && (
+              <p style={{ color: '#D0D0D0', fontSize: '0.9rem', marginBottom: '1rem' }}>
+                🎁 Your free trial runs until {new Date(trialInfo.endsAt * 1000).toLocaleDateString()}.
+                {trialInfo.paymentMethodRequired
+                  ? ' Add a card to continue - you won\'t be charged until the trial ends.'
+                  : ' Add a card now to keep your plan afterwards, or skip and add one later.'}
+              </p>
+            )}
+            {chargeInfo && chargeInfo.tax.amount > 0 && (
+              <p style={{ color: '#D0D0D0', fontSize: '0.9rem', marginBottom: '1rem' }}>
+                🧾 You&apos;ll be charged {formatPrice(chargeInfo.amountDue, chargeInfo.currency)},
+                including {formatPrice(chargeInfo.tax.amount, chargeInfo.currency)} tax.
+              </p>
+            )}
+            <CheckoutForm
+              clientSecret={clientSecret}
+              intentType={intentType}
+              subscriptionId={subscriptionId}
+              trial={trialInfo}
+              purchase={purchaseType}
+            />
           </Elements>
         )}
       </div>
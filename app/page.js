@@ -13,15 +13,9 @@ export default function Home() {
           <Link href="/checkout" className="button">
             Start Subscription
           </Link>
-          <a 
-            href="https://billing.stripe.com/p/login/test_cNifZh37N7Yo7jW0l3bo400" 
-            target="_blank" 
-            rel="noopener noreferrer"
-            className="button"
-            style={{ backgroundColor: '#6c757d' }}
-          >
+          <Link href="/account" className="button" style={{ backgroundColor: '#6c757d' }}>
             Customer Portal
-          </a>
+          </Link>
         </div>
       </div>
     </div>
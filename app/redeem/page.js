@@ -0,0 +1,192 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { useSearchParams } from 'next/navigation'
+import Link from 'next/link'
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.75rem',
+  border: '1px solid rgb(221, 221, 221)',
+  borderRadius: '4px',
+  fontSize: '1rem',
+  backgroundColor: 'hsl(214, 15%, 15%)',
+  color: 'white',
+  marginBottom: '1rem'
+}
+
+const panelStyle = {
+  backgroundColor: 'hsl(214, 15%, 15%)',
+  padding: '1rem',
+  borderRadius: '8px',
+  marginBottom: '1.5rem',
+  border: '1px solid rgb(221, 221, 221)'
+}
+
+const GIFT_STATUS_MESSAGES = {
+  pending: 'This gift is waiting for its payment to clear.',
+  redeemed: 'This gift has already been redeemed.',
+  revoked: 'This gift is no longer valid.'
+}
+
+// 🎁 Redeem a gift code bought on the checkout page
+export default function RedeemPage() {
+  const searchParams = useSearchParams()
+  const [code, setCode] = useState(searchParams.get('code') || '')
+  const [email, setEmail] = useState('')
+  const [gift, setGift] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [result, setResult] = useState(null)
+
+  // Show what the code is for before redeeming it
+  useEffect(() => {
+    const prefilledCode = searchParams.get('code')
+    if (prefilledCode) lookUpGift(prefilledCode)
+  }, [searchParams])
+
+  const lookUpGift = async (giftCode) => {
+    if (!giftCode) {
+      setGift(null)
+      return
+    }
+
+    try {
+      const response = await fetch(`/api/stripe/verify-gift?code=${encodeURIComponent(giftCode)}`)
+      const data = await response.json()
+
+      if (!response.ok) {
+        setGift(null)
+        setError(data.error || 'Gift code not found')
+        return
+      }
+
+      setGift(data)
+      setError('')
+    } catch (err) {
+      setGift(null)
+    }
+  }
+
+  const handleRedeem = async (event) => {
+    event.preventDefault()
+
+    if (!code || !email) {
+      setError('Please enter your gift code and email address')
+      return
+    }
+
+    setLoading(true)
+    setError('')
+
+    try {
+      const response = await fetch('/api/stripe/redeem-gift', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ code, email }),
+      })
+
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to redeem the gift')
+      }
+
+      setResult(data)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (result) {
+    return (
+      <div className="container">
+        <div className="card">
+          <div className="success">
+            <h1>🎁 Gift Redeemed!</h1>
+            <p>
+              You&apos;ve got {result.productName} for {result.months} month{result.months === 1 ? '' : 's'}, until{' '}
+              {new Date(result.endsAt * 1000).toLocaleDateString()}. It ends by itself - nothing will be charged.
+            </p>
+            <div style={{ marginTop: '2rem' }}>
+              <Link href="/account" className="button">
+                View Your Account
+              </Link>
+            </div>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="container">
+      <div className="card">
+        <h1>Redeem a Gift</h1>
+
+        {gift && (
+          <div style={panelStyle}>
+            <h4 style={{ margin: '0 0 0.5rem 0', color: '#FFFFFF' }}>
+              {gift.productName} - {gift.months} month{gift.months === 1 ? '' : 's'}
+            </h4>
+            {gift.message && (
+              <p style={{ color: '#D0D0D0', fontStyle: 'italic', margin: '0 0 0.5rem 0' }}>&ldquo;{gift.message}&rdquo;</p>
+            )}
+            {GIFT_STATUS_MESSAGES[gift.status] && (
+              <div style={{ fontSize: '0.9rem', color: '#ff9900' }}>{GIFT_STATUS_MESSAGES[gift.status]}</div>
+            )}
+            {gift.status === 'available' && gift.forSpecificRecipient && (
+              <div style={{ fontSize: '0.8rem', color: '#B0B0B0' }}>
+                This gift can only be redeemed with the email address it was sent to.
+              </div>
+            )}
+          </div>
+        )}
+
+        <form onSubmit={handleRedeem} style={{ marginTop: '1rem' }}>
+          <label htmlFor="gift-code" style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold' }}>
+            Gift Code
+          </label>
+          <input
+            type="text"
+            id="gift-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            onBlur={() => lookUpGift(code.trim())}
+            placeholder="GIFT-XXXX-XXXX-XXXX"
+            style={{ ...inputStyle, fontFamily: 'monospace' }}
+            required
+          />
+
+          <label htmlFor="email" style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold' }}>
+            Your Email Address
+          </label>
+          <input
+            type="email"
+            id="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="Enter your email"
+            style={inputStyle}
+            required
+          />
+
+          {error && <div className="error" style={{ marginBottom: '1rem' }}>{error}</div>}
+
+          <button
+            type="submit"
+            className="button"
+            disabled={loading || !code || !email}
+            style={{ width: '100%', padding: '1rem', fontSize: '1.1rem' }}
+          >
+            {loading ? 'Redeeming...' : 'Redeem Gift'}
+          </button>
+        </form>
+      </div>
+    </div>
+  )
+}
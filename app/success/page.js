@@ -7,6 +7,7 @@ import Link from 'next/link'
 export default function SuccessPage() {
   const [status, setStatus] = useState('loading')
   const [message, setMessage] = useState('')
+  const [giftCode, setGiftCode] = useState(null)
   const searchParams = useSearchParams()
 
   useEffect(() => {
@@ -14,13 +15,31 @@ export default function SuccessPage() {
     const paymentIntentClientSecret = searchParams.get('payment_intent_client_secret')
     const subscriptionId = searchParams.get('subscription_id')
     const isFree = searchParams.get('free') === 'true'
+    const isTrial = searchParams.get('trial') === 'true'
+    // Set by Stripe when returning from card entry (confirmSetup)
+    const redirectStatus = searchParams.get('redirect_status')
+    const setupIntentId = searchParams.get('setup_intent')
+    // Set by Stripe Checkout (hosted mode)
+    const sessionId = searchParams.get('session_id')
 
     if (paymentIntentId && paymentIntentClientSecret) {
       // Verify the payment status
       fetch(`/api/stripe/verify-payment?payment_intent_id=${paymentIntentId}`)
         .then(res => res.json())
         .then(data => {
-          if (data.status === 'succeeded') {
+          if (data.gift_code && ['succeeded', 'processing'].includes(data.status)) {
+            setStatus('success')
+            setGiftCode(data.gift_code)
+            setMessage(data.status === 'succeeded'
+              ? 'Your gift is ready! Send this code to the lucky recipient:'
+              : 'Thanks! Your payment is processing - this code can be redeemed once it clears:')
+          } else if (data.status === 'succeeded' && data.lifetime) {
+            setStatus('success')
+            setMessage('Your lifetime access is unlocked - no renewals, ever!')
+          } else if (data.status === 'processing' && data.lifetime) {
+            setStatus('success')
+            setMessage('Thanks! Your payment is processing - your lifetime access will unlock once it clears.')
+          } else if (data.status === 'succeeded') {
             setStatus('success')
             setMessage('Your subscription has been successfully activated!')
           } else {
@@ -32,6 +51,67 @@ export default function SuccessPage() {
           setStatus('error')
           setMessage('Failed to verify payment. Please contact support.')
         })
+    } else if ((subscriptionId || setupIntentId) && isTrial) {
+      if (redirectStatus === 'failed') {
+        setStatus('error')
+        setMessage('We couldn\'t save your card. Please try again.')
+        return
+      }
+
+      // Verify the trial is running (trials that need a card start here)
+      const query = subscriptionId ? `subscription_id=${subscriptionId}` : `setup_intent=${setupIntentId}`
+      fetch(`/api/stripe/verify-subscription?${query}`)
+        .then(res => res.json())
+        .then(data => {
+          if (data.status === 'trialing') {
+            setStatus('success')
+            setMessage(`Your free trial has started! It runs until ${new Date(data.trial_end * 1000).toLocaleDateString()}.`)
+          } else if (data.status === 'active') {
+            setStatus('success')
+            setMessage('Your subscription has been successfully activated!')
+          } else {
+            setStatus('error')
+            setMessage(`Subscription verification failed with status: ${data.status}. Please contact support.`)
+          }
+        })
+        .catch(() => {
+          setStatus('error')
+          setMessage('Failed to verify subscription. Please contact support.')
+        })
+    } else if (sessionId) {
+      // Verify the hosted Checkout Session
+      fetch(`/api/stripe/verify-checkout-session?session_id=${sessionId}`)
+        .then(res => res.json())
+        .then(data => {
+          if (data.status === 'complete' && data.gift_code) {
+            setStatus('success')
+            setGiftCode(data.gift_code)
+            setMessage(data.payment_status === 'paid'
+              ? 'Your gift is ready! Send this code to the lucky recipient:'
+              : 'Thanks! Your payment is processing - this code can be redeemed once it clears:')
+          } else if (data.status === 'complete' && data.mode === 'payment') {
+            setStatus('success')
+            setMessage(data.payment_status === 'paid'
+              ? 'Your lifetime access is unlocked - no renewals, ever!'
+              : 'Thanks! Your payment is processing - your lifetime access will unlock once it clears.')
+          } else if (data.status === 'complete' && data.subscription_status === 'trialing') {
+            setStatus('success')
+            setMessage(`Your free trial has started! It runs until ${new Date(data.trial_end * 1000).toLocaleDateString()}.`)
+          } else if (data.status === 'complete' && data.payment_status === 'unpaid') {
+            setStatus('success')
+            setMessage('Thanks! Your payment is processing - your subscription will activate once it clears.')
+          } else if (data.status === 'complete') {
+            setStatus('success')
+            setMessage('Your subscription has been successfully activated!')
+          } else {
+            setStatus('error')
+            setMessage(`Checkout verification failed with status: ${data.status}. Please contact support.`)
+          }
+        })
+        .catch(() => {
+          setStatus('error')
+          setMessage('Failed to verify checkout. Please contact support.')
+        })
     } else if (subscriptionId && isFree) {
       // Verify the subscription status
       fetch(`/api/stripe/verify-subscription?subscription_id=${subscriptionId}`)
@@ -61,7 +141,7 @@ export default function SuccessPage() {
         {status === 'loading' && (
           <div>
             <h1>Verifying Payment...</h1>
-            <p>Please wait while we confirm your subscription.</p>
+            <p>Please wait while we confirm your purchase.</p>
           </div>
         )}
 
@@ -69,6 +149,14 @@ export default function SuccessPage() {
           <div className="success">
             <h1>Welcome!</h1>
             <p>{message}</p>
+            {giftCode && (
+              <div style={{ margin: '1.5rem 0' }}>
+                <p style={{ fontSize: '1.5rem', fontFamily: 'monospace', fontWeight: 'bold' }}>{giftCode}</p>
+                <p style={{ fontSize: '0.9rem', color: '#666' }}>
+                  They can redeem it at <Link href={`/redeem?code=${giftCode}`}>/redeem</Link>
+                </p>
+              </div>
+            )}
             <div style={{ marginTop: '2rem' }}>
               <Link href="/" className="button">
                 Return Home
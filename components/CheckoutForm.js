@@ -7,7 +7,22 @@ import {
   PaymentElement
 } from '@stripe/react-stripe-js'
 
-export default function CheckoutForm({ clientSecret }) {
+// intentType 'setup' is used for free trials - the card is saved for when the
+// trial ends instead of being charged now. purchase is 'subscription', or
+// 'lifetime' / 'gift' for the one-off purchases.
+const SUCCESS_MESSAGES = {
+  subscription: 'Your subscription has been activated.',
+  lifetime: 'Your lifetime access will unlock in a moment.',
+  gift: 'Your gift code is on its way.'
+}
+
+const SUBMIT_LABELS = {
+  subscription: 'Subscribe Now',
+  lifetime: 'Pay Once',
+  gift: 'Buy Gift'
+}
+
+export default function CheckoutForm({ clientSecret, intentType = 'payment', subscriptionId, trial, purchase = 'subscription' }) {
   const stripe = useStripe()
   const elements = useElements()
   const [loading, setLoading] = useState(false)
@@ -30,14 +45,26 @@ export default function CheckoutForm({ clientSecret }) {
         throw new Error(submitError.message)
       }
 
-      // This is the key part for 3D Secure - confirmPayment handles the entire flow
-      const { error: confirmError } = await stripe.confirmPayment({
-        elements,
-        clientSecret,
-        confirmParams: {
-          return_url: `${window.location.origin}/success`,
-        },
-      })
+      // This is the key part for 3D Secure - confirmPayment/confirmSetup handle the entire flow
+      const { error: confirmError } = intentType === 'setup'
+        ? await stripe.confirmSetup({
+          elements,
+          clientSecret,
+          confirmParams: {
+            // Trials that need a card have no subscription yet - Stripe adds
+            // the setup_intent to the URL and the success page starts it
+            return_url: subscriptionId
+              ? `${window.location.origin}/success?subscription_id=${subscriptionId}&trial=true`
+              : `${window.location.origin}/success?trial=true`,
+          },
+        })
+        : await stripe.confirmPayment({
+          elements,
+          clientSecret,
+          confirmParams: {
+            return_url: `${window.location.origin}/success`,
+          },
+        })
 
       if (confirmError) {
         // This will handle cases where 3D Secure fails or user cancels
@@ -58,7 +85,7 @@ export default function CheckoutForm({ clientSecret }) {
     return (
       <div className="success">
         <h2>Payment Successful!</h2>
-        <p>Your subscription has been activated.</p>
+        <p>{SUCCESS_MESSAGES[purchase]}</p>
       </div>
     )
   }
@@ -87,8 +114,21 @@ export default function CheckoutForm({ clientSecret }) {
           disabled={!stripe || loading}
           style={{ margin: '1rem 0' }}
         >
-          {loading ? 'Processing...' : 'Subscribe Now'}
+          {loading ? 'Processing...' : intentType === 'setup' ? 'Start Free Trial' : SUBMIT_LABELS[purchase]}
         </button>
+
+        {/* Card-less trials can skip card entry - the trial is already running */}
+        {intentType === 'setup' && trial && !trial.paymentMethodRequired && (
+          <button
+            type="button"
+            className="button"
+            disabled={loading}
+            onClick={() => window.location.href = `/success?subscription_id=${subscriptionId}&trial=true`}
+            style={{ margin: '0 0 1rem 0', backgroundColor: '#6c757d' }}
+          >
+            Skip - start trial without a card
+          </button>
+        )}
       </form>
     </div>
   )
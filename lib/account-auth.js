@@ -0,0 +1,99 @@
+import crypto from 'crypto'
+
+// Proof that whoever is on the account page owns the email they typed. We
+// email the customer a sign-in link, and opening it sets a session cookie that
+// billing changes check. Both carry an HMAC signature made with
+// ACCOUNT_AUTH_SECRET. With no secret set, nobody can sign in.
+
+export const SESSION_COOKIE = 'account_session'
+
+// Response body for a billing change from someone who hasn't signed in
+export const SIGN_IN_REQUIRED = {
+  error: 'Please sign in with the link we email you first',
+  details: { signInRequired: true }
+}
+
+// How long a sign-in link works, and how long the session it starts lasts
+const SIGN_IN_LINK_TTL_MS = 15 * 60 * 1000
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000
+
+export function isAccountAuthEnabled() {
+  return !!process.env.ACCOUNT_AUTH_SECRET
+}
+
+function sign(body) {
+  return crypto.createHmac('sha256', process.env.ACCOUNT_AUTH_SECRET).update(body).digest('base64url')
+}
+
+function createToken(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url')
+  return `${body}.${sign(body)}`
+}
+
+// The payload of a token signed for purpose, or null if it's forged, expired
+// or meant for something else
+function readToken(token, purpose) {
+  if (!isAccountAuthEnabled() || typeof token !== 'string') return null
+
+  const [body, signature = ''] = token.split('.')
+  const expected = Buffer.from(sign(body))
+  const actual = Buffer.from(signature)
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null
+
+  let payload = null
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString())
+  } catch (error) {
+    return null
+  }
+
+  if (payload?.purpose !== purpose || !payload.email || !(payload.expiresAt > Date.now())) return null
+  return payload
+}
+
+export function createSignInToken(email) {
+  return createToken({ purpose: 'sign-in', email, expiresAt: Date.now() + SIGN_IN_LINK_TTL_MS })
+}
+
+// The email a sign-in link was sent to, or null
+export function verifySignInToken(token) {
+  return readToken(token, 'sign-in')?.email || null
+}
+
+// response is a NextResponse
+export function setSessionCookie(response, email) {
+  const token = createToken({ purpose: 'session', email, expiresAt: Date.now() + SESSION_TTL_MS })
+
+  response.cookies.set(SESSION_COOKIE, token, {
+    httpOnly: true,
+    // Cross-site POSTs don't carry the cookie
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/',
+    maxAge: SESSION_TTL_MS / 1000
+  })
+}
+
+export function clearSessionCookie(response) {
+  response.cookies.delete(SESSION_COOKIE)
+}
+
+// The signed-in email, or null
+export function getSessionEmail(request) {
+  return readToken(request.cookies.get(SESSION_COOKIE)?.value, 'session')?.email || null
+}
+
+// The email a billing change applies to: the signed-in one, as long as it's
+// the one the page sent (so a change can't land on a different account from
+// the one on screen). null means the caller has to sign in first.
+export function getAuthorizedEmail(request, email) {
+  const signedInEmail = getSessionEmail(request)
+  if (!signedInEmail) return null
+  if (email && email.trim().toLowerCase() !== signedInEmail.toLowerCase()) return null
+  return signedInEmail
+}
+
+// Only paths on this site, so a sign-in link can't send anyone elsewhere
+export function safeNextPath(next) {
+  return typeof next === 'string' && /^\/(?![/\\])/.test(next) ? next : '/account'
+}
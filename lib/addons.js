@@ -0,0 +1,127 @@
+import { stripe } from './stripe-server.js'
+
+// Optional add-ons sold as extra items on the tier subscription (created by
+// scripts/create-products.mjs). Add-on products and prices carry
+// addon: 'true' metadata, and the product's compatible_tiers lists the tiers
+// it can be bought with. Everything else on a subscription is the tier item.
+
+export function isAddonProduct(product) {
+  return product?.metadata?.addon === 'true'
+}
+
+export function isAddonPrice(price) {
+  return price?.metadata?.addon === 'true'
+}
+
+export function isCompatibleAddon(addonProduct, tier) {
+  return (addonProduct.metadata?.compatible_tiers || '').split(',').map(t => t.trim()).includes(tier)
+}
+
+// The tier item - older subscriptions only have this one
+export function getBaseItem(subscription) {
+  const items = subscription.items.data
+  return items.find(item => !isAddonPrice(item.price)) || items[0]
+}
+
+export function getAddonItems(subscription) {
+  return subscription.items.data.filter(item => isAddonPrice(item.price))
+}
+
+// Add-on prices by ID with their product expanded. Throws when one doesn't exist.
+export async function retrieveAddonPrices(priceIds = []) {
+  return await Promise.all([...new Set(priceIds)].map(priceId =>
+    stripe.prices.retrieve(priceId, { expand: ['product'] })
+  ))
+}
+
+// Error message for the customer, or null when every add-on can go with
+// basePrice (product expanded) - same currency and interval, compatible tier
+export function validateAddonPrices(basePrice, addonPrices) {
+  const tier = basePrice.product.metadata?.tier
+
+  for (const price of addonPrices) {
+    if (!isAddonPrice(price) || !price.active || !price.recurring) {
+      return 'That add-on is not available'
+    }
+    if (!isCompatibleAddon(price.product, tier)) {
+      return `${price.product.name} can't be added to ${basePrice.product.name}`
+    }
+    if (price.currency !== basePrice.currency || price.recurring.interval !== basePrice.recurring.interval) {
+      return `${price.product.name} must be billed in the same currency and interval as your plan`
+    }
+  }
+
+  return null
+}
+
+async function findAddonPrice(productId, interval, currency) {
+  const prices = await stripe.prices.list({ product: productId, active: true, limit: 100 })
+  return prices.data.find(price => price.recurring?.interval === interval && price.currency === currency) || null
+}
+
+// What happens to the current add-ons when the plan changes to newPrice
+// (product expanded): they move to the new billing interval, and ones the new
+// tier doesn't offer (or already includes) are dropped.
+//   updates    items for subscriptions.update / invoice previews
+//   nextItems  the add-ons as they'll be after the change, for schedule phases
+export async function planAddonChanges(subscription, newPrice) {
+  const tier = newPrice.product.metadata?.tier
+  const updates = []
+  const nextItems = []
+
+  for (const item of getAddonItems(subscription)) {
+    const product = typeof item.price.product === 'string'
+      ? await stripe.products.retrieve(item.price.product)
+      : item.price.product
+
+    const price = isCompatibleAddon(product, tier)
+      ? item.price.recurring.interval === newPrice.recurring.interval && item.price.currency === newPrice.currency
+        ? item.price
+        : await findAddonPrice(product.id, newPrice.recurring.interval, newPrice.currency)
+      : null
+
+    if (!price) {
+      updates.push({ id: item.id, deleted: true })
+      continue
+    }
+
+    if (price.id !== item.price.id) updates.push({ id: item.id, price: price.id })
+    nextItems.push({ price: price.id, quantity: item.quantity })
+  }
+
+  return { updates, nextItems }
+}
+
+// Sets the add-ons on a subscription to exactly addonPrices (validated).
+// New add-ons are charged the prorated amount straight away; removed ones are
+// credited on the next invoice. Returns { subscription, added, removed, clientSecret }.
+export async function updateSubscriptionAddons(subscription, addonPrices) {
+  const current = getAddonItems(subscription)
+  const wanted = new Set(addonPrices.map(price => price.id))
+
+  const added = addonPrices.filter(price => !current.some(item => item.price.id === price.id))
+  const removed = current.filter(item => !wanted.has(item.price.id))
+
+  const trialing = subscription.status === 'trialing'
+  const charging = added.length > 0 && !trialing
+
+  const updated = await stripe.subscriptions.update(subscription.id, {
+    items: [
+      ...added.map(price => ({ price: price.id })),
+      ...removed.map(item => ({ id: item.id, deleted: true }))
+    ],
+    proration_behavior: trialing ? 'none' : charging ? 'always_invoice' : 'create_prorations',
+    // pending_if_incomplete can't remove items, so only purely additive changes
+    // wait for the payment to succeed
+    ...(charging && removed.length === 0 ? { payment_behavior: 'pending_if_incomplete' } : {}),
+    expand: ['latest_invoice.payment_intent']
+  })
+
+  const paymentIntent = updated.latest_invoice?.payment_intent
+  const clientSecret = updated.pending_update && paymentIntent?.status === 'requires_action'
+    ? paymentIntent.client_secret
+    : null
+
+  console.log(`🧩 Updated add-ons on subscription ${subscription.id}: +${added.length} -${removed.length}${clientSecret ? ' (awaiting 3D Secure)' : ''}`)
+  return { subscription: updated, added, removed, clientSecret }
+}
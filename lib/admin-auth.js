@@ -0,0 +1,15 @@
+import crypto from 'crypto'
+
+// Admin-only API routes (reprocessing events, etc.) expect
+// `Authorization: Bearer <ADMIN_API_KEY>`. With no key configured they're
+// disabled entirely.
+export function isAdminRequest(request) {
+  const adminKey = process.env.ADMIN_API_KEY
+  if (!adminKey) return false
+
+  const provided = request.headers.get('authorization')?.replace(/^Bearer\s+/i, '') || ''
+  const expected = Buffer.from(adminKey)
+  const actual = Buffer.from(provided)
+
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected)
+}
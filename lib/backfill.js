@@ -0,0 +1,103 @@
+import { stripe } from './stripe-server.js'
+import { getImportRun, saveImportRun } from './storage.js'
+import { syncCustomerFromStripe } from './stripe-sync.js'
+
+// Initial import of every Stripe customer into storage, for adopting this
+// project on an existing Stripe account. Progress (the last customer imported)
+// is saved after each customer, so running it again after an interruption
+// resumes from there instead of starting over.
+
+const IMPORT_NAME = 'stripe-customers'
+
+export async function getBackfillStatus() {
+  return await getImportRun(IMPORT_NAME)
+}
+
+export async function backfillStripeCustomers({ restart = false, pageSize = 100 } = {}) {
+  let run = restart ? null : await getImportRun(IMPORT_NAME)
+
+  if (run?.status === 'completed') {
+    console.log(`✅ BACKFILL: Already completed at ${run.completedAt} - pass restart to import again`)
+    return run
+  }
+
+  if (!run) {
+    run = {
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      // Every write in a run carries the same stamp so later webhooks win over
+      // the import, and a resumed run doesn't overwrite fresher webhook data
+      sourceEventCreated: Math.floor(Date.now() / 1000),
+      cursor: null,
+      imported: 0,
+      failed: []
+    }
+    await saveImportRun(IMPORT_NAME, run)
+  } else {
+    console.log(`⏯️ BACKFILL: Resuming after ${run.cursor || 'the start'} (${run.imported} imported so far)`)
+    run.status = 'running'
+  }
+
+  const source = { eventId: 'backfill', eventCreated: run.sourceEventCreated }
+  const featureCache = new Map()
+
+  // Page manually rather than auto-paginating so the cursor always points at
+  // the last customer that was fully written
+  let hasMore = true
+  while (hasMore) {
+    const params = { limit: pageSize }
+    if (run.cursor) params.starting_after = run.cursor
+
+    const page = await stripe.customers.list(params)
+
+    for (const customer of page.data) {
+      try {
+        const { subscription, entitlementCount } = await syncCustomerFromStripe(customer, { source, featureCache })
+        run.imported++
+        console.log(`📥 BACKFILL: ${customer.id} (${customer.email || 'no email'}) - ${subscription ? subscription.status : 'no subscription'}, ${entitlementCount} entitlement(s)`)
+      } catch (error) {
+        console.error(`🚨 BACKFILL: Failed to import ${customer.id}:`, error.message)
+        run.failed = [...run.failed.filter(f => f.customerId !== customer.id), { customerId: customer.id, error: error.message }]
+      }
+
+      run.cursor = customer.id
+      await saveImportRun(IMPORT_NAME, run)
+    }
+
+    hasMore = page.has_more
+  }
+
+  run.status = 'completed'
+  run.completedAt = new Date().toISOString()
+  await saveImportRun(IMPORT_NAME, run)
+
+  console.log(`✅ BACKFILL: Imported ${run.imported} customer(s), ${run.failed.length} failed`)
+  return run
+}
+
+// Re-run only the customers that failed in the last run
+export async function retryFailedBackfill() {
+  const run = await getImportRun(IMPORT_NAME)
+  if (!run?.failed?.length) return run
+
+  const source = { eventId: 'backfill', eventCreated: run.sourceEventCreated }
+  const featureCache = new Map()
+  const stillFailing = []
+
+  for (const { customerId } of run.failed) {
+    try {
+      const customer = await stripe.customers.retrieve(customerId)
+      if (!customer.deleted) {
+        await syncCustomerFromStripe(customer, { source, featureCache })
+        run.imported++
+      }
+    } catch (error) {
+      console.error(`🚨 BACKFILL: Failed to import ${customerId} again:`, error.message)
+      stillFailing.push({ customerId, error: error.message })
+    }
+  }
+
+  run.failed = stillFailing
+  await saveImportRun(IMPORT_NAME, run)
+  return run
+}
@@ -0,0 +1,77 @@
+// Billing address and VAT ID collected at checkout. Stripe Tax works out the
+// rate from the address, and a VAT ID lets business customers reverse charge.
+// Shared by the checkout page and the API routes, so no server-only imports.
+
+// Countries we sell to, for the checkout form
+export const BILLING_COUNTRIES = {
+  GB: 'United Kingdom',
+  US: 'United States',
+  AT: 'Austria',
+  BE: 'Belgium',
+  CY: 'Cyprus',
+  DE: 'Germany',
+  EE: 'Estonia',
+  ES: 'Spain',
+  FI: 'Finland',
+  FR: 'France',
+  GR: 'Greece',
+  HR: 'Croatia',
+  IE: 'Ireland',
+  IT: 'Italy',
+  LT: 'Lithuania',
+  LU: 'Luxembourg',
+  LV: 'Latvia',
+  MT: 'Malta',
+  NL: 'Netherlands',
+  PT: 'Portugal',
+  SI: 'Slovenia',
+  SK: 'Slovakia'
+}
+
+// Stripe tax ID type for a VAT number from each country (none for the US)
+export function taxIdTypeForCountry(country) {
+  if (country === 'GB') return 'gb_vat'
+  if (country === 'US' || !BILLING_COUNTRIES[country]) return null
+  return 'eu_vat'
+}
+
+export function isCompleteAddress(address) {
+  return !!(address &&
+    BILLING_COUNTRIES[address.country] &&
+    address.line1?.trim() &&
+    address.city?.trim() &&
+    address.postal_code?.trim())
+}
+
+// Trimmed copy in the shape Stripe expects, with the VAT ID typed for the country
+export function normalizeBillingDetails(details) {
+  const address = details?.address || {}
+  const country = address.country
+  const taxIdValue = details?.taxId?.replace(/\s+/g, '').toUpperCase()
+
+  return {
+    name: details?.name?.trim() || null,
+    address: {
+      line1: address.line1?.trim() || '',
+      line2: address.line2?.trim() || '',
+      city: address.city?.trim() || '',
+      state: address.state?.trim() || '',
+      postal_code: address.postal_code?.trim() || '',
+      country
+    },
+    taxId: taxIdValue ? { type: taxIdTypeForCountry(country), value: taxIdValue } : null
+  }
+}
+
+// Error message for the customer, or null when the details can be used
+export function validateBillingDetails(details) {
+  if (!isCompleteAddress(details?.address)) {
+    return 'Please enter your billing address (street, city, postcode and country)'
+  }
+
+  if (details.taxId?.trim() && !taxIdTypeForCountry(details.address.country)) {
+    return `VAT IDs aren't supported for ${BILLING_COUNTRIES[details.address.country]}`
+  }
+
+  return null
+}
@@ -0,0 +1,145 @@
+import crypto from 'crypto'
+import { stripe } from './stripe-server.js'
+import { CANCELLATION_FEEDBACK } from './cancellations.js'
+import { isAddonProduct } from './addons.js'
+
+// Stripe Billing Portal sessions for the account page. The portal
+// configuration is generated from the live product catalog so the plans
+// customers can switch between always match what the checkout page sells.
+// Set STRIPE_PORTAL_CONFIGURATION_ID to use a configuration managed elsewhere.
+
+// 🎯 PORTAL CONFIGURATION - what customers can do in the portal
+export const PORTAL_OPTIONS = {
+  headline: 'Manage your premium subscription',
+  allowPlanSwitches: true,
+  // Upgrades are charged the prorated difference straight away, like the in-app flow
+  prorationBehavior: 'always_invoice',
+  allowPromotionCodes: true,
+  allowCancellation: true,
+  // 'at_period_end' or 'immediately'
+  cancellationMode: 'at_period_end',
+  // Email stays out - customers are looked up by it
+  customerUpdates: ['name', 'address', 'tax_id']
+}
+
+const MANAGED_BY = 'stripe-subscription-demo'
+
+// Checking the catalog takes a few API calls, so a synced configuration is
+// reused for a while before looking again
+const SYNC_INTERVAL_MS = 5 * 60 * 1000
+let lastSync = null
+
+// Every active tier product with its active recurring prices. Add-ons aren't
+// plans to switch to (and the portal can't switch subscriptions that have them).
+async function loadCatalog() {
+  const products = await stripe.products.list({ active: true, limit: 100 })
+  const prices = await stripe.prices.list({ active: true, type: 'recurring', limit: 100 })
+
+  return products.data
+    .filter(product => !isAddonProduct(product))
+    .map(product => ({
+      product: product.id,
+      prices: prices.data.filter(price => price.product === product.id).map(price => price.id).sort()
+    }))
+    .filter(entry => entry.prices.length > 0)
+    .sort((a, b) => a.product.localeCompare(b.product))
+}
+
+export async function buildPortalConfiguration(returnUrl) {
+  const catalog = await loadCatalog()
+
+  const params = {
+    business_profile: { headline: PORTAL_OPTIONS.headline },
+    default_return_url: returnUrl,
+    // Stripe's own sign-in page for customers who haven't signed in here
+    login_page: { enabled: true },
+    features: {
+      invoice_history: { enabled: true },
+      payment_method_update: { enabled: true },
+      customer_update: {
+        enabled: PORTAL_OPTIONS.customerUpdates.length > 0,
+        allowed_updates: PORTAL_OPTIONS.customerUpdates
+      },
+      subscription_update: {
+        enabled: PORTAL_OPTIONS.allowPlanSwitches && catalog.length > 0,
+        default_allowed_updates: ['price', ...(PORTAL_OPTIONS.allowPromotionCodes ? ['promotion_code'] : [])],
+        proration_behavior: PORTAL_OPTIONS.prorationBehavior,
+        products: catalog
+      },
+      subscription_cancel: {
+        enabled: PORTAL_OPTIONS.allowCancellation,
+        mode: PORTAL_OPTIONS.cancellationMode,
+        cancellation_reason: {
+          enabled: true,
+          options: Object.keys(CANCELLATION_FEEDBACK)
+        }
+      }
+    }
+  }
+
+  // Lets us tell whether the stored configuration is out of date
+  const hash = crypto.createHash('sha256').update(JSON.stringify(params)).digest('hex').slice(0, 16)
+  params.metadata = { managed_by: MANAGED_BY, config_hash: hash }
+
+  return params
+}
+
+// Reuses the generated configuration while the catalog and options are
+// unchanged, otherwise updates it (or creates the first one)
+export async function syncPortalConfiguration(returnUrl) {
+  const params = await buildPortalConfiguration(returnUrl)
+
+  let existing = null
+  for await (const configuration of stripe.billingPortal.configurations.list({ active: true, limit: 100 })) {
+    if (configuration.metadata?.managed_by === MANAGED_BY) {
+      existing = configuration
+      break
+    }
+  }
+
+  if (existing?.metadata.config_hash === params.metadata.config_hash) {
+    return { configuration: existing, changed: false }
+  }
+
+  if (existing) {
+    const configuration = await stripe.billingPortal.configurations.update(existing.id, params)
+    console.log(`🔧 Updated billing portal configuration ${configuration.id}`)
+    return { configuration, changed: true }
+  }
+
+  const configuration = await stripe.billingPortal.configurations.create(params)
+  console.log(`✨ Created billing portal configuration ${configuration.id}`)
+  return { configuration, changed: true }
+}
+
+async function getPortalConfiguration(returnUrl) {
+  if (lastSync && lastSync.returnUrl === returnUrl && Date.now() - lastSync.at < SYNC_INTERVAL_MS) {
+    return lastSync.configuration
+  }
+
+  const configuration = process.env.STRIPE_PORTAL_CONFIGURATION_ID
+    ? await stripe.billingPortal.configurations.retrieve(process.env.STRIPE_PORTAL_CONFIGURATION_ID)
+    : (await syncPortalConfiguration(returnUrl)).configuration
+
+  lastSync = { configuration, returnUrl, at: Date.now() }
+  return configuration
+}
+
+// Only for a customer who has signed in (see lib/account-auth.js) - a portal
+// session is logged in as them
+export async function createPortalSession(customerId, returnUrl) {
+  const configuration = await getPortalConfiguration(returnUrl)
+
+  return await stripe.billingPortal.sessions.create({
+    customer: customerId,
+    configuration: configuration.id,
+    return_url: returnUrl
+  })
+}
+
+// The portal's own login page, which emails the customer a one-time code -
+// safe to hand to anyone. null if the configuration has it turned off.
+export async function getPortalLoginUrl(returnUrl) {
+  const configuration = await getPortalConfiguration(returnUrl)
+  return configuration.login_page?.enabled ? configuration.login_page.url : null
+}
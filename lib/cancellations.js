@@ -0,0 +1,68 @@
+import { stripe } from './stripe-server.js'
+import { cancelPendingPlanChange } from './plan-changes.js'
+
+// Self-serve cancellation. The reason is passed to Stripe as
+// cancellation_details, so it shows up on the subscription and in the
+// customer.subscription.deleted Discord log.
+
+// Stripe's fixed set of cancellation feedback values
+export const CANCELLATION_FEEDBACK = {
+  too_expensive: 'It\'s too expensive',
+  missing_features: 'Some features are missing',
+  switched_service: 'I\'m switching to a different service',
+  unused: 'I don\'t use the service enough',
+  customer_service: 'Customer service was less than expected',
+  too_complex: 'Ease of use was less than expected',
+  low_quality: 'Quality was less than expected',
+  other: 'Other reason'
+}
+
+const MAX_COMMENT_LENGTH = 500
+
+export function isValidFeedback(feedback) {
+  return Object.hasOwn(CANCELLATION_FEEDBACK, feedback)
+}
+
+// Cancels at the end of the paid period unless `immediately` is set
+export async function cancelSubscription(subscription, { immediately = false, feedback = null, comment = null } = {}) {
+  const cancellationDetails = {
+    feedback: feedback || '',
+    comment: comment ? comment.trim().slice(0, MAX_COMMENT_LENGTH) : ''
+  }
+
+  // A scheduled downgrade would otherwise outlive the cancellation
+  await cancelPendingPlanChange(subscription)
+
+  if (immediately) {
+    const canceled = await stripe.subscriptions.cancel(subscription.id, {
+      cancellation_details: cancellationDetails
+    })
+    console.log(`🛑 Cancelled subscription ${subscription.id} immediately (${feedback || 'no reason given'})`)
+    return canceled
+  }
+
+  const updated = await stripe.subscriptions.update(subscription.id, {
+    cancel_at_period_end: true,
+    cancellation_details: cancellationDetails
+  })
+  console.log(`📅 Subscription ${subscription.id} will cancel at period end (${feedback || 'no reason given'})`)
+  return updated
+}
+
+export function isCancellationScheduled(subscription) {
+  return !!(subscription.cancel_at_period_end || subscription.cancel_at)
+}
+
+// Undo a cancellation that hasn't taken effect yet. Returns null when there's
+// nothing to undo.
+export async function reactivateSubscription(subscription) {
+  if (!isCancellationScheduled(subscription)) return null
+
+  // Stripe only accepts one of the two cancellation fields per update
+  const updated = await stripe.subscriptions.update(subscription.id, {
+    ...(subscription.cancel_at_period_end ? { cancel_at_period_end: false } : { cancel_at: '' }),
+    cancellation_details: { feedback: '', comment: '' }
+  })
+  console.log(`♻️ Reactivated subscription ${subscription.id}`)
+  return updated
+}
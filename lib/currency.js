@@ -0,0 +1,55 @@
+// Currencies we sell in, and how a visitor's currency is picked. Used on the
+// server, in the browser and in Discord logs, so it has no server-only imports.
+
+export const SUPPORTED_CURRENCIES = ['gbp', 'usd', 'eur']
+
+export const DEFAULT_CURRENCY = 'gbp'
+
+// Regions (from Accept-Language, e.g. en-US) that map to a currency we sell in
+const REGION_CURRENCIES = {
+  gb: 'gbp', uk: 'gbp', im: 'gbp', je: 'gbp', gg: 'gbp',
+  us: 'usd', pr: 'usd',
+  at: 'eur', be: 'eur', cy: 'eur', de: 'eur', ee: 'eur', es: 'eur', fi: 'eur',
+  fr: 'eur', gr: 'eur', hr: 'eur', ie: 'eur', it: 'eur', lt: 'eur', lu: 'eur',
+  lv: 'eur', mt: 'eur', nl: 'eur', pt: 'eur', si: 'eur', sk: 'eur'
+}
+
+// Languages that are a safe bet for euros when no region is given
+const LANGUAGE_CURRENCIES = {
+  de: 'eur', fr: 'eur', es: 'eur', it: 'eur', nl: 'eur', fi: 'eur', pt: 'eur',
+  el: 'eur', et: 'eur', lt: 'eur', lv: 'eur', sk: 'eur', sl: 'eur', mt: 'eur'
+}
+
+export function isSupportedCurrency(currency) {
+  return SUPPORTED_CURRENCIES.includes(currency?.toLowerCase())
+}
+
+// First currency implied by an Accept-Language header, in preference order
+export function currencyForLocale(acceptLanguage) {
+  const locales = (acceptLanguage || '')
+    .split(',')
+    .map(part => part.split(';')[0].trim().toLowerCase())
+    .filter(Boolean)
+
+  for (const locale of locales) {
+    const [language, region] = locale.split('-')
+    const currency = (region && REGION_CURRENCIES[region]) || LANGUAGE_CURRENCIES[language]
+    if (currency) return currency
+  }
+
+  return null
+}
+
+// An explicit override (e.g. ?currency=usd) wins, then the browser locale
+export function resolveCurrency({ override, acceptLanguage } = {}) {
+  if (isSupportedCurrency(override)) return override.toLowerCase()
+  return currencyForLocale(acceptLanguage) || DEFAULT_CURRENCY
+}
+
+// Stripe amounts are in the smallest unit - all our currencies have 2 decimals
+export function formatMoney(amount, currency = DEFAULT_CURRENCY, locale = 'en-US') {
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency: currency.toUpperCase(),
+  }).format(amount / 100)
+}
@@ -0,0 +1,52 @@
+import { stripe } from './stripe-server.js'
+import { getCustomerByEmail, forgetCustomer } from './storage.js'
+
+// Customers are identified by email only (see README) - these helpers find the
+// Stripe customer and their current subscription for the self-serve routes.
+
+export async function findStripeCustomerByEmail(email) {
+  const stored = await getCustomerByEmail(email)
+  if (stored?.stripeCustomerId) {
+    const customer = await stripe.customers.retrieve(stored.stripeCustomerId).catch(() => null)
+    if (customer && !customer.deleted) return customer
+  }
+
+  // Not in local storage yet (e.g. the webhook hasn't arrived) - ask Stripe
+  const customers = await stripe.customers.list({ email, limit: 1 })
+  return customers.data[0] || null
+}
+
+// Retrieve a stored customer from Stripe. If they were deleted there (and the
+// customer.deleted webhook hasn't caught up yet) forget the local record and
+// return null so the caller creates a fresh customer. `origin` names the
+// caller in the stale-write stamp.
+export async function retrieveLiveCustomer(customerId, origin) {
+  let customer = null
+  try {
+    customer = await stripe.customers.retrieve(customerId)
+  } catch (error) {
+    if (error.code !== 'resource_missing') throw error
+  }
+
+  if (customer && !customer.deleted) return customer
+
+  console.log(`🗑️ Stored customer ${customerId} no longer exists in Stripe - creating a new one`)
+  await forgetCustomer(customerId, { eventId: origin, eventCreated: Math.floor(Date.now() / 1000) })
+  return null
+}
+
+// The subscription self-serve changes apply to, with price and product expanded
+export async function findCurrentSubscription(email, { statuses = ['active', 'trialing'] } = {}) {
+  const customer = await findStripeCustomerByEmail(email)
+  if (!customer) return { customer: null, subscription: null }
+
+  const subscriptions = await stripe.subscriptions.list({
+    customer: customer.id,
+    status: 'all',
+    expand: ['data.items.data.price.product'],
+    limit: 100
+  })
+
+  const subscription = subscriptions.data.find(sub => statuses.includes(sub.status)) || null
+  return { customer, subscription }
+}
@@ -0,0 +1,35 @@
+// Transactional email (sign-in links), sent through Resend's HTTP API when
+// RESEND_API_KEY is set. Without a key, development servers log the message
+// instead so the link can be followed from the console. Production refuses,
+// because its logs shouldn't hold working sign-in links.
+export async function sendEmail({ to, subject, text }) {
+  if (!process.env.RESEND_API_KEY) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('Email is not configured (set RESEND_API_KEY and EMAIL_FROM)')
+    }
+
+    console.log(`📧 Email to ${to} (not sent - RESEND_API_KEY is not set)\nSubject: ${subject}\n\n${text}`)
+    return false
+  }
+
+  const response = await fetch('https://api.resend.com/emails', {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${process.env.RESEND_API_KEY}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      from: process.env.EMAIL_FROM,
+      to: [to],
+      subject,
+      text
+    })
+  })
+
+  if (!response.ok) {
+    throw new Error(`Sending email failed (${response.status}): ${await response.text()}`)
+  }
+
+  console.log(`📧 Sent "${subject}" to ${to}`)
+  return true
+}
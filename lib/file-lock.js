@@ -0,0 +1,169 @@
+import fs from 'fs/promises'
+import crypto from 'crypto'
+
+// Serialized access to a file, both within this process and across processes
+// (e.g. `next dev` plus a script running at the same time).
+//
+// Inside the process, callers queue up on a promise chain per file so only one
+// critical section runs at a time. Across processes, a `<file>.lock` file is
+// created with O_EXCL - whoever creates it owns the lock until it's removed.
+// A lock older than staleMs is assumed to belong to a crashed process and is
+// broken so one bad exit can't wedge every future write. staleMs is shorter
+// than timeoutMs, so writers wait out a crashed holder instead of failing.
+//
+// Breaking a lock happens under a second `<file>.lock.break` lock, and only
+// removes the exact lock file that was found to be stale. Two processes that
+// both see the same stale lock can't both remove it and both take over.
+
+const processQueues = new Map()
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+async function statOrNull(filePath) {
+  try {
+    return await fs.stat(filePath)
+  } catch (error) {
+    if (error.code === 'ENOENT') return null
+    throw error
+  }
+}
+
+const isSameFile = (a, b) => !!a && !!b && a.ino === b.ino && a.mtimeMs === b.mtimeMs
+
+// Remove staleStats' lock file if it's still the one in place. Returns without
+// doing anything if another process is breaking it right now.
+async function breakStaleLock(lockPath, staleStats, staleMs) {
+  const breakPath = `${lockPath}.break`
+
+  try {
+    await (await fs.open(breakPath, 'wx')).close()
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error
+
+    // A breaker that crashed mid-way would otherwise block breaking for good
+    const breakStats = await statOrNull(breakPath)
+    if (breakStats && Date.now() - breakStats.mtimeMs > staleMs) {
+      await fs.rm(breakPath, { force: true })
+    }
+    return
+  }
+
+  try {
+    // Someone may have broken and re-taken it since we looked
+    if (isSameFile(await statOrNull(lockPath), staleStats)) {
+      console.warn(`⚠️ LOCK: Removing stale lock ${lockPath}`)
+      await fs.rm(lockPath, { force: true })
+    }
+  } finally {
+    await fs.rm(breakPath, { force: true })
+  }
+}
+
+// Returns the token written into the lock file, needed to release it
+async function acquireLockFile(lockPath, { retryMs, timeoutMs, staleMs }) {
+  const startedAt = Date.now()
+  const token = crypto.randomUUID()
+
+  while (true) {
+    try {
+      const handle = await fs.open(lockPath, 'wx')
+      await handle.writeFile(JSON.stringify({ pid: process.pid, token, acquiredAt: new Date().toISOString() }))
+      await handle.close()
+      return token
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error
+    }
+
+    // Break locks left behind by a crashed process
+    try {
+      const stats = await fs.stat(lockPath)
+      if (Date.now() - stats.mtimeMs > staleMs) {
+        await breakStaleLock(lockPath, stats, staleMs)
+        continue
+      }
+    } catch (statError) {
+      // Lock was released between open and stat - just retry
+      if (statError.code === 'ENOENT') continue
+      throw statError
+    }
+
+    if (Date.now() - startedAt > timeoutMs) {
+      throw new Error(`Timed out after ${timeoutMs}ms waiting for lock ${lockPath}`)
+    }
+
+    await sleep(retryMs)
+  }
+}
+
+// Only remove the lock if it's still ours - if we overran staleMs it may have
+// been broken and taken by another process since
+async function releaseLockFile(lockPath, token) {
+  try {
+    const { token: owner } = JSON.parse(await fs.readFile(lockPath, 'utf8'))
+    if (owner !== token) {
+      console.warn(`⚠️ LOCK: ${lockPath} was taken over by another process - leaving it`)
+      return
+    }
+  } catch (error) {
+    // Gone already, or a half-written lock of someone else's
+    if (error.code === 'ENOENT' || error instanceof SyntaxError) return
+    throw error
+  }
+  await fs.rm(lockPath, { force: true })
+}
+
+export async function withFileLock(filePath, fn, options = {}) {
+  const lockOptions = {
+    retryMs: options.retryMs ?? 25,
+    timeoutMs: options.timeoutMs ?? 20000,
+    staleMs: options.staleMs ?? 10000,
+  }
+  if (lockOptions.staleMs >= lockOptions.timeoutMs) {
+    throw new Error('withFileLock: staleMs must be shorter than timeoutMs')
+  }
+  const lockPath = `${filePath}.lock`
+
+  // Per-process mutex: chain onto whatever is already running for this file
+  const previous = processQueues.get(lockPath) || Promise.resolve()
+  let release
+  const current = new Promise(resolve => { release = resolve })
+  const queued = previous.then(() => current)
+  processQueues.set(lockPath, queued)
+
+  await previous
+
+  try {
+    const token = await acquireLockFile(lockPath, lockOptions)
+    try {
+      return await fn()
+    } finally {
+      await releaseLockFile(lockPath, token)
+    }
+  } finally {
+    release()
+    // Drop the queue entry once nobody else is waiting behind us
+    if (processQueues.get(lockPath) === queued) {
+      processQueues.delete(lockPath)
+    }
+  }
+}
+
+// Write via a temp file + rename so readers only ever see the old or the new
+// contents, never a half-written file
+export async function writeFileAtomic(filePath, contents) {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`
+  try {
+    const handle = await fs.open(tempPath, 'w')
+    try {
+      await handle.writeFile(contents)
+      // Make sure the bytes are on disk before the rename makes them visible
+      await handle.sync()
+    } finally {
+      await handle.close()
+    }
+    await fs.rename(tempPath, filePath)
+  } catch (error) {
+    await fs.rm(tempPath, { force: true })
+    throw error
+  }
+}
@@ -0,0 +1,206 @@
+import crypto from 'crypto'
+import { stripe } from './stripe-server.js'
+import { revokeGift } from './storage.js'
+import { isAutomaticTaxEnabled, calculatePaymentTax } from './tax.js'
+import { isAddonPrice } from './addons.js'
+
+// Gift subscriptions: the buyer pays once for a number of months of a tier's
+// monthly price, and gets a code to pass on. Redeeming it gives the recipient
+// a normal subscription with a 100%-off coupon for those months, set to end
+// when they run out - so entitlements come from Stripe like any other plan.
+// The gift itself lives in storage (see GIFTS in lib/storage.js).
+
+export const GIFT_MONTHS = [1, 3, 6, 12]
+
+// No 0/O or 1/I, so codes survive being read out or retyped
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+
+export function generateGiftCode() {
+  const bytes = crypto.randomBytes(12)
+  const chars = [...bytes].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length])
+  return `GIFT-${chars.slice(0, 4).join('')}-${chars.slice(4, 8).join('')}-${chars.slice(8).join('')}`
+}
+
+export function normalizeGiftCode(code) {
+  return String(code || '').trim().toUpperCase()
+}
+
+export function isGiftPaymentIntent(paymentIntent) {
+  return paymentIntent?.metadata?.gift === 'true' && !!paymentIntent.metadata.gift_code
+}
+
+// Error message for the buyer, or null when price (product expanded) can be
+// gifted for that many months
+export function validateGiftPurchase(price, months) {
+  if (!GIFT_MONTHS.includes(months)) {
+    return `Gifts are for ${GIFT_MONTHS.join(', ')} months`
+  }
+  if (!price.active || price.recurring?.interval !== 'month' || isAddonPrice(price) || !price.product.metadata?.tier) {
+    return 'Gifts are bought with a tier\'s monthly price'
+  }
+  return null
+}
+
+function giftMetadata(price, months, code) {
+  return {
+    gift: 'true',
+    gift_code: code,
+    price_id: price.id,
+    product_id: price.product.id,
+    months: String(months)
+  }
+}
+
+function giftDescription(price, months) {
+  return `Gift: ${months} month${months === 1 ? '' : 's'} of ${price.product.name}`
+}
+
+// PaymentIntent for the gift on the checkout page, with tax from calculatePaymentTax
+export async function createGiftPaymentIntent(customer, price, months, code) {
+  const { amountTotal, tax, calculationId } = await calculatePaymentTax(customer.id, {
+    amount: price.unit_amount * months,
+    currency: price.currency,
+    productId: price.product.id,
+    reference: code,
+    taxBehavior: price.tax_behavior
+  })
+
+  const paymentIntent = await stripe.paymentIntents.create({
+    customer: customer.id,
+    amount: amountTotal,
+    currency: price.currency,
+    description: giftDescription(price, months),
+    receipt_email: customer.email || undefined,
+    automatic_payment_methods: { enabled: true },
+    metadata: {
+      ...giftMetadata(price, months, code),
+      ...(calculationId ? { tax_calculation: calculationId } : {})
+    }
+  })
+
+  console.log(`🎁 Created gift PaymentIntent ${paymentIntent.id} (${code}) for customer ${customer.id}`)
+  return { paymentIntent, tax }
+}
+
+// Hosted mode: a Checkout Session in payment mode for the same amount
+export async function createGiftCheckoutSession(customer, price, months, code, appUrl) {
+  const session = await stripe.checkout.sessions.create({
+    mode: 'payment',
+    customer: customer.id,
+    line_items: [{
+      price_data: {
+        currency: price.currency,
+        product: price.product.id,
+        unit_amount: price.unit_amount * months,
+        tax_behavior: price.tax_behavior === 'inclusive' ? 'inclusive' : 'exclusive'
+      },
+      quantity: 1
+    }],
+    success_url: `${appUrl}/success?session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${appUrl}/checkout?canceled=true`,
+    metadata: giftMetadata(price, months, code),
+    payment_intent_data: {
+      description: giftDescription(price, months),
+      metadata: giftMetadata(price, months, code)
+    },
+    billing_address_collection: 'required',
+    tax_id_collection: { enabled: true },
+    customer_update: { address: 'auto', name: 'auto' },
+    ...(isAutomaticTaxEnabled() ? { automatic_tax: { enabled: true } } : {})
+  })
+
+  console.log(`🛒 Created gift Checkout Session ${session.id} (${code}) for customer ${customer.id}`)
+  return session
+}
+
+// Months from now as a unix timestamp, the way Stripe counts billing months
+function addMonths(months) {
+  const date = new Date()
+  date.setUTCMonth(date.getUTCMonth() + months)
+  return Math.floor(date.getTime() / 1000)
+}
+
+// Every gift of the same product and length shares one coupon, so failed
+// redemptions don't leave coupons behind. Customers only ever enter promotion
+// codes, so it can't be used outside a gift.
+async function getGiftCoupon(gift) {
+  const id = `gift-${gift.productId}-${gift.months}m`
+
+  try {
+    return await stripe.coupons.retrieve(id)
+  } catch (error) {
+    if (error.code !== 'resource_missing') throw error
+  }
+
+  try {
+    return await stripe.coupons.create({
+      id,
+      percent_off: 100,
+      duration: 'repeating',
+      duration_in_months: gift.months,
+      applies_to: { products: [gift.productId] },
+      // Stripe caps coupon names at 40 characters
+      name: `Gift: ${gift.months} month${gift.months === 1 ? '' : 's'} of ${gift.productName}`.slice(0, 40),
+      metadata: { gift: 'true', product_id: gift.productId, months: String(gift.months) }
+    })
+  } catch (error) {
+    // Another redemption created it first
+    if (error.code !== 'resource_already_exists') throw error
+    return await stripe.coupons.retrieve(id)
+  }
+}
+
+// The recipient's subscription for a gift: free for the gifted months through
+// the gift coupon, then cancelled rather than billed. Nothing is due, so it's
+// active straight away without a card.
+export async function createGiftSubscription(gift, customer) {
+  const coupon = await getGiftCoupon(gift)
+
+  const subscription = await stripe.subscriptions.create({
+    customer: customer.id,
+    items: [{ price: gift.priceId, quantity: 1 }],
+    coupon: coupon.id,
+    cancel_at: addMonths(gift.months),
+    proration_behavior: 'none',
+    metadata: {
+      plan: `${gift.productId}_month`,
+      product: gift.productName,
+      gift_code: gift.code,
+      gift_recipient: customer.email || ''
+    }
+  })
+
+  console.log(`🎁 Created gift subscription ${subscription.id} (${gift.code}) for customer ${customer.id}`)
+  return subscription
+}
+
+// The subscription an earlier redemption of gift already created, or null.
+// Normally it was recorded on the gift; a redemption that crashed straight
+// after creating it is found by its metadata instead (Stripe's search index
+// catches up well within GIFT_REDEMPTION_TIMEOUT_MS).
+export async function findGiftSubscription(gift) {
+  if (gift.subscriptionId) {
+    return await stripe.subscriptions.retrieve(gift.subscriptionId)
+  }
+
+  const found = await stripe.subscriptions.search({
+    query: `metadata['gift_code']:'${gift.code}'`,
+    limit: 1
+  })
+  return found.data[0] || null
+}
+
+// A refunded or disputed payment takes back the gift it paid for, not the
+// buyer's own access. Returns true if paymentIntentId paid for a gift.
+export async function revokeGiftForPayment(paymentIntentId, reason) {
+  if (!paymentIntentId) return false
+
+  const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId)
+  if (!isGiftPaymentIntent(paymentIntent)) return false
+
+  const revoked = await revokeGift(paymentIntent.metadata.gift_code, reason)
+  if (!revoked) {
+    console.log(`⚠️ Gift ${paymentIntent.metadata.gift_code} was already redeemed - cancel the recipient's subscription by hand if needed`)
+  }
+  return true
+}
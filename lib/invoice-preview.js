@@ -0,0 +1,116 @@
+import { stripe } from './stripe-server.js'
+import { classifyPlanChange, getQuantityProrationBehavior } from './plan-changes.js'
+import { isAutomaticTaxEnabled, summarizeInvoiceTax } from './tax.js'
+import { getBaseItem, planAddonChanges } from './addons.js'
+
+// What a customer will actually be charged, straight from Stripe's invoice
+// preview - prorations, discounts and tax included - for either a new
+// subscription or a change to their current one.
+
+function sumAmounts(entries) {
+  return (entries || []).reduce((total, entry) => total + entry.amount, 0)
+}
+
+function summarizeInvoice(invoice) {
+  const lines = invoice.lines.data.map(line => ({
+    description: line.description,
+    amount: line.amount,
+    proration: line.proration ?? line.parent?.subscription_item_details?.proration ?? false,
+    periodStart: line.period?.start,
+    periodEnd: line.period?.end
+  }))
+
+  const prorationLines = lines.filter(line => line.proration)
+  const tax = summarizeInvoiceTax(invoice)
+
+  return {
+    currency: invoice.currency,
+    lines,
+    subtotal: invoice.subtotal,
+    discount: sumAmounts(invoice.total_discount_amounts),
+    tax: tax.amount,
+    taxInclusive: tax.inclusive,
+    total: invoice.total,
+    amountDue: invoice.amount_due,
+    prorationCredit: -sumAmounts(prorationLines.filter(line => line.amount < 0)),
+    prorationCharge: sumAmounts(prorationLines.filter(line => line.amount > 0))
+  }
+}
+
+// subscription: the customer's current subscription (price.product expanded),
+// or null for a new one. price must have its product expanded. billingDetails
+// (from normalizeBillingDetails) lets Stripe Tax price a new subscription
+// before the address is saved on the customer. addonPrices (validated) are
+// added to a new subscription; on a plan change add-ons follow the plan.
+export async function previewSubscriptionInvoice({ customerId = null, subscription = null, price, promoCodeId = null, quantity = 1, billingDetails = null, addonPrices = [] }) {
+  // Lines and discount amounts come back inline - nothing needs expanding
+  const params = {}
+  if (customerId) params.customer = customerId
+  if (promoCodeId) params.discounts = [{ promotion_code: promoCodeId }]
+
+  // Tax can only be worked out once there's an address to go on
+  if (isAutomaticTaxEnabled() && billingDetails) {
+    params.customer_details = {
+      address: billingDetails.address,
+      tax_ids: billingDetails.taxId ? [billingDetails.taxId] : []
+    }
+    params.automatic_tax = { enabled: true }
+  } else if (subscription?.automatic_tax?.enabled) {
+    params.automatic_tax = { enabled: true }
+  }
+
+  // New subscription - the first invoice, and the renewal after it
+  if (!subscription) {
+    params.subscription_details = {
+      items: [{ price: price.id, quantity }, ...addonPrices.map(addonPrice => ({ price: addonPrice.id }))]
+    }
+
+    const invoice = await stripe.invoices.createPreview(params)
+    const summary = summarizeInvoice(invoice)
+
+    return {
+      type: 'new',
+      timing: 'immediate',
+      dueToday: summary.amountDue,
+      nextBillingDate: Math.max(...summary.lines.map(line => line.periodEnd || 0)) || null,
+      ...summary
+    }
+  }
+
+  // Change to an existing subscription - mirror what applyPlanChange will do
+  const item = getBaseItem(subscription)
+  const type = item.price.id === price.id ? 'quantity' : classifyPlanChange(item.price, price)
+  const addonUpdates = type === 'quantity' ? [] : (await planAddonChanges(subscription, price)).updates
+  const immediate = type !== 'downgrade' || subscription.status === 'trialing'
+  const prorationBehavior = type === 'quantity'
+    ? getQuantityProrationBehavior(subscription, quantity)
+    : immediate && subscription.status !== 'trialing' ? 'always_invoice' : 'none'
+  // Fewer servers leave a credit on the next invoice instead of charging now
+  const prorate = prorationBehavior === 'always_invoice'
+
+  params.subscription = subscription.id
+  params.subscription_details = {
+    items: [{ id: item.id, price: price.id, quantity }, ...addonUpdates],
+    proration_behavior: prorationBehavior,
+    ...(prorationBehavior !== 'none' ? { proration_date: Math.floor(Date.now() / 1000) } : {})
+  }
+
+  const invoice = await stripe.invoices.createPreview(params)
+  const summary = summarizeInvoice(invoice)
+
+  // With always_invoice the preview is the proration invoice charged right now;
+  // otherwise it's the next renewal at the new price, less any proration credit
+  return {
+    type,
+    timing: immediate ? 'immediate' : 'period_end',
+    dueToday: prorate ? summary.amountDue : 0,
+    effectiveAt: immediate ? Math.floor(Date.now() / 1000) : subscription.current_period_end,
+    // Switching billing interval restarts the period, which the invoice lines reflect
+    nextBillingDate: subscription.status === 'trialing'
+      ? subscription.trial_end
+      : prorate
+        ? Math.max(subscription.current_period_end, ...summary.lines.map(line => line.periodEnd || 0))
+        : subscription.current_period_end,
+    ...summary
+  }
+}
@@ -0,0 +1,186 @@
+import { stripe } from './stripe-server.js'
+import { getCustomer, saveCustomerLifetimeAccess } from './storage.js'
+import { isAutomaticTaxEnabled, calculatePaymentTax } from './tax.js'
+
+// The one-off "Lifetime" purchase (created by scripts/create-products.mjs) is
+// paid with a PaymentIntent instead of a subscription. Its product and price
+// carry lifetime: 'true' metadata and the product's servers metadata is how
+// many premium servers it covers. Stripe doesn't create entitlements for
+// one-off payments, so the product's features are granted locally once the
+// payment succeeds (see saveCustomerLifetimeAccess).
+
+export function isLifetimeProduct(product) {
+  return product?.metadata?.lifetime === 'true'
+}
+
+export function isLifetimePrice(price) {
+  return price?.metadata?.lifetime === 'true' && !price.recurring
+}
+
+export function isLifetimePaymentIntent(paymentIntent) {
+  return paymentIntent?.metadata?.lifetime === 'true' && !!paymentIntent.metadata.price_id
+}
+
+function lifetimeMetadata(price) {
+  return {
+    lifetime: 'true',
+    price_id: price.id,
+    product_id: price.product.id
+  }
+}
+
+// A lifetime payment of the customer's that has gone through (or is still
+// clearing) and hasn't been refunded. Stored access can lag behind Stripe -
+// the webhook may not have landed yet - so purchases check here as well.
+export async function findPaidLifetimePayment(customerId) {
+  const paymentIntents = await stripe.paymentIntents.list({
+    customer: customerId,
+    expand: ['data.latest_charge'],
+    limit: 100
+  })
+
+  return paymentIntents.data.find(paymentIntent =>
+    isLifetimePaymentIntent(paymentIntent) &&
+    ['succeeded', 'processing'].includes(paymentIntent.status) &&
+    !paymentIntent.latest_charge?.refunded
+  ) || null
+}
+
+// PaymentIntent for price (product expanded) on the checkout page, with tax
+// from calculatePaymentTax. An unpaid attempt for the same price is reused
+// rather than piling up new ones.
+export async function createLifetimePaymentIntent(customer, price) {
+  const { amountTotal: amount, tax, calculationId } = await calculatePaymentTax(customer.id, {
+    amount: price.unit_amount,
+    currency: price.currency,
+    productId: price.product.id,
+    reference: price.id,
+    taxBehavior: price.tax_behavior
+  })
+
+  const recent = await stripe.paymentIntents.list({ customer: customer.id, limit: 10 })
+  const unpaid = recent.data.find(paymentIntent =>
+    isLifetimePaymentIntent(paymentIntent) &&
+    paymentIntent.metadata.price_id === price.id &&
+    paymentIntent.status === 'requires_payment_method'
+  )
+
+  if (unpaid) {
+    // An empty string removes a tax calculation left over from an earlier attempt
+    const paymentIntent = await stripe.paymentIntents.update(unpaid.id, {
+      amount,
+      metadata: { ...lifetimeMetadata(price), tax_calculation: calculationId || '' }
+    })
+    console.log(`🔄 Resuming lifetime PaymentIntent ${paymentIntent.id} for customer ${customer.id}`)
+    return { paymentIntent, tax, resumed: true }
+  }
+
+  const paymentIntent = await stripe.paymentIntents.create({
+    customer: customer.id,
+    amount,
+    currency: price.currency,
+    description: price.product.name,
+    receipt_email: customer.email || undefined,
+    automatic_payment_methods: { enabled: true },
+    metadata: {
+      ...lifetimeMetadata(price),
+      ...(calculationId ? { tax_calculation: calculationId } : {})
+    }
+  })
+
+  console.log(`♾️ Created lifetime PaymentIntent ${paymentIntent.id} for customer ${customer.id}`)
+  return { paymentIntent, tax, resumed: false }
+}
+
+// Hosted mode: a Checkout Session in payment mode. Stripe's page collects the
+// address and works out tax itself; the PaymentIntent it creates carries the
+// same metadata, so access is granted the same way.
+export async function createLifetimeCheckoutSession(customer, price, appUrl) {
+  const session = await stripe.checkout.sessions.create({
+    mode: 'payment',
+    customer: customer.id,
+    line_items: [{ price: price.id, quantity: 1 }],
+    success_url: `${appUrl}/success?session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${appUrl}/checkout?canceled=true`,
+    metadata: lifetimeMetadata(price),
+    payment_intent_data: {
+      description: price.product.name,
+      metadata: lifetimeMetadata(price)
+    },
+    billing_address_collection: 'required',
+    tax_id_collection: { enabled: true },
+    customer_update: { address: 'auto', name: 'auto' },
+    ...(isAutomaticTaxEnabled() ? { automatic_tax: { enabled: true } } : {})
+  })
+
+  console.log(`🛒 Created lifetime Checkout Session ${session.id} for customer ${customer.id}`)
+  return session
+}
+
+// Store lifetime access for a succeeded lifetime PaymentIntent, granting every
+// feature attached to the product
+export async function grantLifetimeAccess(paymentIntent, source = {}) {
+  // A payment refunded before this ran (a late or retried webhook) grants nothing
+  const current = await stripe.paymentIntents.retrieve(paymentIntent.id, { expand: ['latest_charge'] })
+  if (current.latest_charge?.refunded) {
+    console.log(`↩️ Lifetime payment ${paymentIntent.id} has been refunded - not granting access`)
+    return false
+  }
+
+  const price = await stripe.prices.retrieve(paymentIntent.metadata.price_id, { expand: ['product'] })
+  const productFeatures = await stripe.products.listFeatures(price.product.id, { limit: 100 })
+
+  const entitlements = {}
+  for (const { entitlement_feature: feature } of productFeatures.data) {
+    entitlements[feature.id] = {
+      stripeEntitlementId: null,
+      featureId: feature.id,
+      featureLookupKey: feature.lookup_key,
+      featureName: feature.name || feature.lookup_key,
+      status: 'active',
+      type: 'lifetime',
+      metadata: feature.metadata || {},
+      updatedAt: new Date().toISOString()
+    }
+  }
+
+  return await saveCustomerLifetimeAccess(paymentIntent.customer, {
+    paymentIntentId: paymentIntent.id,
+    priceId: price.id,
+    productId: price.product.id,
+    productName: price.product.name,
+    amount: paymentIntent.amount_received,
+    currency: paymentIntent.currency,
+    servers: parseInt(price.product.metadata?.servers || 1, 10),
+    purchasedAt: new Date(paymentIntent.created * 1000).toISOString(),
+    entitlements
+  }, source)
+}
+
+// A lifetime payment for a customer who already has lifetime access from a
+// different one - two purchases that raced each other past the checks above
+export async function isDuplicateLifetimePayment(paymentIntent) {
+  if (!isLifetimePaymentIntent(paymentIntent) || !paymentIntent.customer) return false
+
+  const customer = await getCustomer(paymentIntent.customer)
+  return !!customer?.lifetime && customer.lifetime.paymentIntentId !== paymentIntent.id
+}
+
+// Give a duplicate lifetime payment back in full. The idempotency key makes a
+// retried webhook find the same refund instead of trying to create another.
+export async function refundDuplicateLifetimePayment(paymentIntent) {
+  const customer = await getCustomer(paymentIntent.customer)
+
+  const refund = await stripe.refunds.create({
+    payment_intent: paymentIntent.id,
+    reason: 'duplicate',
+    metadata: {
+      lifetime_duplicate_of: customer?.lifetime?.paymentIntentId || ''
+    }
+  }, {
+    idempotencyKey: `lifetime-duplicate-refund-${paymentIntent.id}`
+  })
+
+  console.log(`↩️ Refunded duplicate lifetime payment ${paymentIntent.id} for customer ${paymentIntent.customer} (${refund.id})`)
+  return refund
+}
@@ -0,0 +1,58 @@
+import { stripe } from './stripe-server.js'
+import { suspendCustomerEntitlements, restoreCustomerEntitlements } from './storage.js'
+
+// Self-serve pausing uses Stripe's pause_collection: the subscription stays
+// active but no payments are collected until it resumes.
+//
+// pause_collection behaviours:
+//   void                invoices are voided - the customer isn't charged for the pause
+//   keep_as_draft       invoices stay as drafts to be collected later
+//   mark_uncollectible  invoices are finalized and marked uncollectible
+export const PAUSE_BEHAVIORS = ['void', 'keep_as_draft', 'mark_uncollectible']
+
+export const MAX_PAUSE_DAYS = 90
+
+// Whether customers keep their features while paused: 'keep' (default, the
+// Stripe entitlements stay active) or 'revoke' (suspended locally until resumed)
+export function getPausedEntitlementPolicy() {
+  return process.env.PAUSED_ENTITLEMENTS === 'revoke' ? 'revoke' : 'keep'
+}
+
+export function isPaused(subscription) {
+  return !!subscription.pause_collection
+}
+
+export async function pauseSubscription(subscription, { resumesAt, behavior = 'void' }) {
+  const updated = await stripe.subscriptions.update(subscription.id, {
+    pause_collection: {
+      behavior,
+      resumes_at: resumesAt
+    }
+  })
+  console.log(`⏸️ Paused subscription ${subscription.id} until ${new Date(resumesAt * 1000).toISOString()} (${behavior})`)
+  return updated
+}
+
+export async function resumeSubscription(subscription) {
+  const updated = await stripe.subscriptions.update(subscription.id, {
+    pause_collection: ''
+  })
+  console.log(`▶️ Resumed subscription ${subscription.id}`)
+  return updated
+}
+
+// Called from the webhook whenever pause_collection changes. Only adds or lifts
+// the 'paused' reason, so a dispute or failed payment is never lifted.
+export async function applyPausedEntitlementPolicy(customerId, subscription) {
+  if (!isPaused(subscription)) {
+    return await restoreCustomerEntitlements(customerId, { reason: 'paused' })
+  }
+
+  if (getPausedEntitlementPolicy() !== 'revoke') return false
+
+  return await suspendCustomerEntitlements(customerId, {
+    reason: 'paused',
+    subscriptionId: subscription.id,
+    resumesAt: subscription.pause_collection.resumes_at
+  })
+}
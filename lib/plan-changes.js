@@ -0,0 +1,143 @@
+import { stripe } from './stripe-server.js'
+import { getBaseItem, planAddonChanges } from './addons.js'
+
+// Self-serve plan changes. Upgrades apply immediately and the prorated
+// difference is invoiced straight away; downgrades wait until the end of the
+// paid period using a subscription schedule, so nobody loses what they paid for.
+
+const INTERVAL_RANK = { day: 0, week: 1, month: 2, year: 3 }
+
+// Both prices need their product expanded. Tiers are ranked by the product's
+// `priority` metadata; within a tier, a longer billing interval counts as an upgrade.
+export function classifyPlanChange(currentPrice, newPrice) {
+  if (currentPrice.id === newPrice.id) return 'none'
+
+  const currentTier = parseInt(currentPrice.product.metadata?.priority || 0)
+  const newTier = parseInt(newPrice.product.metadata?.priority || 0)
+  if (newTier !== currentTier) return newTier > currentTier ? 'upgrade' : 'downgrade'
+
+  return INTERVAL_RANK[newPrice.recurring.interval] > INTERVAL_RANK[currentPrice.recurring.interval]
+    ? 'upgrade'
+    : 'downgrade'
+}
+
+// A downgrade waiting for the end of the period, if any
+export async function getPendingPlanChange(subscription) {
+  const scheduleId = typeof subscription.schedule === 'string' ? subscription.schedule : subscription.schedule?.id
+  if (!scheduleId) return null
+
+  const schedule = await stripe.subscriptionSchedules.retrieve(scheduleId)
+  if (!schedule.metadata?.pending_price_id || schedule.status !== 'active') return null
+
+  return {
+    scheduleId: schedule.id,
+    priceId: schedule.metadata.pending_price_id,
+    effectiveAt: schedule.phases[0]?.end_date || subscription.current_period_end
+  }
+}
+
+export async function cancelPendingPlanChange(subscription) {
+  const pending = await getPendingPlanChange(subscription)
+  if (!pending) return false
+
+  // Releasing keeps the subscription exactly as it is now
+  await stripe.subscriptionSchedules.release(pending.scheduleId)
+  console.log(`↩️ Cancelled pending plan change for subscription ${subscription.id}`)
+  return true
+}
+
+// subscription and newPrice must have price.product expanded. quantity
+// defaults to the current number of servers; add-ons follow the plan (see
+// planAddonChanges). Returns
+// { type, timing, subscription, effectiveAt, clientSecret } - clientSecret is
+// set when the proration payment needs 3D Secure.
+export async function applyPlanChange(subscription, newPrice, { quantity } = {}) {
+  const item = getBaseItem(subscription)
+  const type = classifyPlanChange(item.price, newPrice)
+  const newQuantity = quantity ?? item.quantity
+  const addons = await planAddonChanges(subscription, newPrice)
+
+  // Whatever was scheduled before is replaced by this change
+  await cancelPendingPlanChange(subscription)
+
+  // Trials have nothing to prorate, so any change just swaps the price
+  if (type === 'upgrade' || subscription.status === 'trialing') {
+    const updated = await stripe.subscriptions.update(subscription.id, {
+      items: [{ id: item.id, price: newPrice.id, quantity: newQuantity }, ...addons.updates],
+      proration_behavior: subscription.status === 'trialing' ? 'none' : 'always_invoice',
+      // If the proration payment fails the subscription stays on the old plan
+      // (pending updates can't remove items, so not when add-ons are dropped)
+      ...(addons.updates.some(update => update.deleted) ? {} : { payment_behavior: 'pending_if_incomplete' }),
+      expand: ['latest_invoice.payment_intent']
+    })
+
+    const paymentIntent = updated.latest_invoice?.payment_intent
+    const clientSecret = updated.pending_update && paymentIntent?.status === 'requires_action'
+      ? paymentIntent.client_secret
+      : null
+
+    console.log(`⬆️ ${type === 'upgrade' ? 'Upgraded' : 'Changed'} subscription ${subscription.id} to ${newPrice.id}${clientSecret ? ' (awaiting 3D Secure)' : ''}`)
+    return { type, timing: 'immediate', subscription: updated, effectiveAt: Math.floor(Date.now() / 1000), clientSecret }
+  }
+
+  // Downgrade: keep the current plan until the period ends, then switch
+  const schedule = await stripe.subscriptionSchedules.create({ from_subscription: subscription.id })
+  const currentPhase = schedule.phases[0]
+  // Existing discounts carry over - each keeps its own end date
+  const discounts = (currentPhase.discounts || [])
+    .filter(d => d.discount)
+    .map(d => ({ discount: typeof d.discount === 'string' ? d.discount : d.discount.id }))
+
+  await stripe.subscriptionSchedules.update(schedule.id, {
+    end_behavior: 'release',
+    phases: [
+      {
+        items: subscription.items.data.map(current => ({ price: current.price.id, quantity: current.quantity })),
+        start_date: currentPhase.start_date,
+        end_date: subscription.current_period_end,
+        discounts
+      },
+      {
+        items: [{ price: newPrice.id, quantity: newQuantity }, ...addons.nextItems],
+        iterations: 1,
+        proration_behavior: 'none',
+        discounts
+      }
+    ],
+    metadata: { pending_price_id: newPrice.id }
+  })
+
+  console.log(`⬇️ Scheduled downgrade of subscription ${subscription.id} to ${newPrice.id} at ${new Date(subscription.current_period_end * 1000).toISOString()}`)
+  return { type, timing: 'period_end', subscription, effectiveAt: subscription.current_period_end, clientSecret: null }
+}
+
+// Adding servers is charged the prorated amount straight away, like an
+// upgrade; removing them leaves a credit on the next invoice. Trials have
+// nothing to prorate.
+export function getQuantityProrationBehavior(subscription, quantity) {
+  if (subscription.status === 'trialing') return 'none'
+  return quantity > getBaseItem(subscription).quantity ? 'always_invoice' : 'create_prorations'
+}
+
+// Same plan, different number of servers. Returns
+// { subscription, previousQuantity, clientSecret } like applyPlanChange.
+export async function changeSubscriptionQuantity(subscription, quantity) {
+  const item = getBaseItem(subscription)
+  const prorationBehavior = getQuantityProrationBehavior(subscription, quantity)
+
+  const updated = await stripe.subscriptions.update(subscription.id, {
+    items: [{ id: item.id, quantity }],
+    proration_behavior: prorationBehavior,
+    // If the prorated charge fails the subscription keeps its current servers
+    ...(prorationBehavior === 'always_invoice' ? { payment_behavior: 'pending_if_incomplete' } : {}),
+    expand: ['latest_invoice.payment_intent']
+  })
+
+  const paymentIntent = updated.latest_invoice?.payment_intent
+  const clientSecret = updated.pending_update && paymentIntent?.status === 'requires_action'
+    ? paymentIntent.client_secret
+    : null
+
+  console.log(`🖥️ Changed subscription ${subscription.id} from ${item.quantity} to ${quantity} servers${clientSecret ? ' (awaiting 3D Secure)' : ''}`)
+  return { subscription: updated, previousQuantity: item.quantity, clientSecret }
+}
@@ -0,0 +1,233 @@
+import { stripe } from './stripe-server.js'
+import {
+  getAllCustomers,
+  forgetCustomer,
+  saveCustomerSubscription,
+  saveCustomerEntitlements,
+  suspendCustomerEntitlements,
+  restoreCustomerEntitlements,
+  getSuspensionReasons,
+} from './storage.js'
+import {
+  buildSubscriptionRecord,
+  buildEntitlementRecords,
+  pickCurrentSubscription,
+  listCustomerSubscriptions,
+  listActiveEntitlements,
+  syncCustomerFromStripe,
+} from './stripe-sync.js'
+
+// Compares local storage against live Stripe data and (optionally) fixes it.
+// Local state drifts whenever a webhook is missed, e.g. `stripe listen` wasn't
+// running. Each problem found is reported as an issue:
+//
+//   missing_locally        Stripe customer with a live subscription we don't store
+//   missing_in_stripe      stored customer that no longer exists in Stripe
+//   subscription_mismatch  stored subscription differs from the current one in Stripe
+//   stale_entitlements     stored active entitlements differ from Stripe's
+//   stale_suspension       suspended for a failed payment but the subscription is healthy again
+//   missing_suspension     subscription is past_due/unpaid but access isn't suspended
+
+const SUSPENDED_STATUSES = ['past_due', 'unpaid']
+const HEALTHY_STATUSES = ['active', 'trialing']
+const LIVE_STATUSES = ['active', 'trialing', 'past_due', 'unpaid', 'paused']
+
+// Fields compared between stored and live subscriptions
+const SUBSCRIPTION_FIELDS = ['stripeSubscriptionId', 'status', 'priceId', 'quantity', 'cancelAtPeriodEnd']
+
+function entitlementKeys(entitlements) {
+  return Object.values(entitlements || {})
+    .filter(ent => ent.status === 'active')
+    .map(ent => ent.featureLookupKey)
+    .sort()
+}
+
+async function isDeletedInStripe(customerId) {
+  try {
+    const customer = await stripe.customers.retrieve(customerId)
+    return customer.deleted === true
+  } catch (error) {
+    if (error.code === 'resource_missing') return true
+    throw error
+  }
+}
+
+// Fixes are stamped with when the Stripe data was fetched. Anything a webhook
+// stored before then is already reflected in that data, so the fix has to win
+// over it, while webhooks created after the fetch still get through
+const RECONCILIATION = 'reconciliation'
+
+function stripeNow() {
+  return Math.floor(Date.now() / 1000)
+}
+
+async function reconcileCustomer(customerId, stored, { apply, featureCache }) {
+  const issues = []
+  const addIssue = (type, message, details = {}) => {
+    issues.push({ customerId, email: stored.email || null, type, message, ...details, fixed: false })
+    return issues[issues.length - 1]
+  }
+
+  if (await isDeletedInStripe(customerId)) {
+    const issue = addIssue('missing_in_stripe', 'Customer no longer exists in Stripe')
+    // Nothing in Stripe can be newer than a deletion, so no stamp is needed
+    if (apply) issue.fixed = await forgetCustomer(customerId, { eventId: RECONCILIATION })
+    return issues
+  }
+
+  const source = { eventId: RECONCILIATION, eventCreated: stripeNow() }
+  const subscriptions = await listCustomerSubscriptions(customerId)
+  const current = pickCurrentSubscription(subscriptions)
+
+  // Subscription
+  if (current) {
+    const expected = buildSubscriptionRecord(current)
+    const differing = SUBSCRIPTION_FIELDS.filter(field => stored.subscription?.[field] !== expected[field])
+
+    if (differing.length > 0) {
+      const issue = addIssue('subscription_mismatch', `Subscription differs in: ${differing.join(', ')}`, {
+        expected: Object.fromEntries(differing.map(field => [field, expected[field]])),
+        actual: Object.fromEntries(differing.map(field => [field, stored.subscription?.[field] ?? null]))
+      })
+
+      if (apply) {
+        issue.fixed = await saveCustomerSubscription(customerId, expected, source)
+      }
+    }
+  } else if (stored.subscription && LIVE_STATUSES.includes(stored.subscription.status)) {
+    // Nothing to copy from Stripe - report it so someone can look
+    addIssue('subscription_mismatch', `Stored subscription is '${stored.subscription.status}' but Stripe has no subscriptions`, {
+      expected: null,
+      actual: { stripeSubscriptionId: stored.subscription.stripeSubscriptionId, status: stored.subscription.status }
+    })
+  }
+
+  // Suspension flags - only payment failures are managed here, other
+  // suspension reasons are left alone
+  const status = current?.status
+  const reasons = getSuspensionReasons(stored)
+  const staleSuspension = reasons.includes('payment_failed') && HEALTHY_STATUSES.includes(status)
+  const missingSuspension = !reasons.includes('payment_failed') && SUSPENDED_STATUSES.includes(status)
+
+  if (staleSuspension) {
+    const issue = addIssue('stale_suspension', `Suspended for a failed payment but subscription is '${status}'`)
+    if (apply) issue.fixed = await restoreCustomerEntitlements(customerId, { reason: 'payment_failed' })
+  }
+
+  if (missingSuspension) {
+    const issue = addIssue('missing_suspension', `Subscription is '${status}' but access isn't suspended`)
+    if (apply) {
+      issue.fixed = await suspendCustomerEntitlements(customerId, {
+        reason: 'payment_failed',
+        subscriptionId: current.id,
+        detectedBy: 'reconciliation'
+      })
+    }
+  }
+
+  // Entitlements - compare what the customer will hold once suspension is
+  // sorted out (suspended customers intentionally hold none)
+  const remainingReasons = staleSuspension ? reasons.filter(reason => reason !== 'payment_failed') : reasons
+  const willBeSuspended = missingSuspension || remainingReasons.length > 0
+  if (!willBeSuspended) {
+    const activeEntitlements = await listActiveEntitlements(customerId)
+    const expectedKeys = activeEntitlements.map(ent => ent.lookup_key).sort()
+    const actualKeys = entitlementKeys(staleSuspension ? stored.suspendedEntitlements : stored.entitlements)
+
+    const missing = expectedKeys.filter(key => !actualKeys.includes(key))
+    const extra = actualKeys.filter(key => !expectedKeys.includes(key))
+
+    if (missing.length > 0 || extra.length > 0) {
+      const issue = addIssue('stale_entitlements', 'Stored entitlements differ from Stripe', { missing, extra })
+
+      if (apply) {
+        const records = await buildEntitlementRecords(activeEntitlements, featureCache)
+        issue.fixed = await saveCustomerEntitlements(customerId, records, source)
+      }
+    }
+  }
+
+  return issues
+}
+
+// Customers with a live subscription in Stripe that storage doesn't know about
+async function findMissingCustomers(storedCustomers, { apply, featureCache }) {
+  const issues = []
+  const seen = new Set()
+
+  const fetchedAt = stripeNow()
+  for await (const subscription of stripe.subscriptions.list({ status: 'all', limit: 100 })) {
+    const customerId = typeof subscription.customer === 'string' ? subscription.customer : subscription.customer.id
+    if (storedCustomers[customerId] || seen.has(customerId) || !LIVE_STATUSES.includes(subscription.status)) continue
+    seen.add(customerId)
+
+    const customer = await stripe.customers.retrieve(customerId)
+    if (customer.deleted) continue
+
+    const issue = {
+      customerId,
+      email: customer.email || null,
+      type: 'missing_locally',
+      message: `Customer has a '${subscription.status}' subscription in Stripe but isn't stored locally`,
+      fixed: false
+    }
+    issues.push(issue)
+
+    if (apply) {
+      const source = { eventId: RECONCILIATION, eventCreated: fetchedAt }
+      await syncCustomerFromStripe(customer, { source, featureCache })
+      issue.fixed = true
+    }
+  }
+
+  return issues
+}
+
+export async function reconcileWithStripe({ apply = false, customerIds = null } = {}) {
+  console.log(`🔍 RECONCILE: Comparing local storage with Stripe${apply ? ' (applying fixes)' : ''}`)
+
+  const featureCache = new Map()
+
+  const storedCustomers = await getAllCustomers()
+  const targetIds = customerIds || Object.keys(storedCustomers)
+  const issues = []
+  const errors = []
+
+  for (const customerId of targetIds) {
+    const stored = storedCustomers[customerId]
+    if (!stored) {
+      errors.push({ customerId, error: 'Customer not found in local storage' })
+      continue
+    }
+
+    // Tombstones of customers deleted in Stripe have nothing left to compare
+    if (stored.deleted) continue
+
+    try {
+      issues.push(...await reconcileCustomer(customerId, stored, { apply, featureCache }))
+    } catch (error) {
+      console.error(`🚨 RECONCILE: Failed to check customer ${customerId}:`, error.message)
+      errors.push({ customerId, error: error.message })
+    }
+  }
+
+  // Only look for unknown customers when reconciling everything
+  if (!customerIds) {
+    try {
+      issues.push(...await findMissingCustomers(storedCustomers, { apply, featureCache }))
+    } catch (error) {
+      console.error('🚨 RECONCILE: Failed to look for missing customers:', error.message)
+      errors.push({ customerId: null, error: error.message })
+    }
+  }
+
+  console.log(`🔍 RECONCILE: Checked ${targetIds.length} customer(s), found ${issues.length} issue(s)`)
+
+  return {
+    checkedAt: new Date().toISOString(),
+    applied: apply,
+    checked: targetIds.length,
+    issues,
+    errors
+  }
+}
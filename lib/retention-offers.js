@@ -0,0 +1,134 @@
+import { stripe } from './stripe-server.js'
+import { applyPlanChange } from './plan-changes.js'
+import { getRetentionOfferStats } from './storage.js'
+import { getBaseItem } from './addons.js'
+
+// Save offers shown before a cancellation goes through. The first offer that
+// matches the customer's cancellation reason and current plan is offered.
+//
+//   type: 'discount'   adds couponId to the subscription (create the coupon
+//                      with scripts/create-coupons.mjs)
+//   type: 'downgrade'  switches to the targetTier product at the end of the
+//                      period, through the normal plan-change flow
+//   reasons            cancellation feedback values it applies to (omit for all,
+//                      'none' for customers who didn't give a reason)
+export const RETENTION_OFFERS = [
+  {
+    id: 'downgrade_to_core',
+    type: 'downgrade',
+    title: 'Switch to Core Tier instead',
+    description: 'Keep your premium server and priority support for less - your plan changes at the end of this billing period.',
+    targetTier: 'core',
+    reasons: ['too_expensive', 'unused', 'too_complex']
+  },
+  {
+    id: 'half_off_3_months',
+    type: 'discount',
+    title: '50% off for the next 3 months',
+    description: 'Stay with us and pay half price for your next 3 months.',
+    couponId: 'retention-50-off-3-months',
+    reasons: ['too_expensive', 'unused', 'missing_features', 'other', 'none']
+  }
+]
+
+export function getOfferById(offerId) {
+  return RETENTION_OFFERS.find(offer => offer.id === offerId) || null
+}
+
+// Previously accepted offers are kept on the subscription so nobody gets the
+// same deal twice
+function getAcceptedOffers(subscription) {
+  return (subscription.metadata?.retention_offers_accepted || '').split(',').filter(Boolean)
+}
+
+// Same interval and currency price on the target tier, or null when there's nothing cheaper to move to
+async function findDowngradePrice(subscription, targetTier) {
+  const currentPrice = getBaseItem(subscription).price
+  const currentPriority = parseInt(currentPrice.product.metadata?.priority || 0)
+
+  const products = await stripe.products.list({ active: true, limit: 100 })
+  const target = products.data.find(product => product.metadata?.tier === targetTier)
+  if (!target || parseInt(target.metadata?.priority || 0) >= currentPriority) return null
+
+  const prices = await stripe.prices.list({ product: target.id, active: true, limit: 100 })
+  const price = prices.data.find(p =>
+    p.recurring?.interval === currentPrice.recurring.interval && p.currency === currentPrice.currency
+  )
+
+  return price ? { ...price, product: target } : null
+}
+
+// subscription needs items.data.price.product expanded. Returns the offer to
+// show (with anything needed to accept it), or null.
+export async function findRetentionOffer(subscription, reason) {
+  const reasonKey = reason || 'none'
+  const accepted = getAcceptedOffers(subscription)
+
+  for (const offer of RETENTION_OFFERS) {
+    if (offer.reasons && !offer.reasons.includes(reasonKey)) continue
+    if (accepted.includes(offer.id)) continue
+
+    if (offer.type === 'discount') {
+      // Don't stack a save offer on top of an existing discount
+      if (subscription.discount || subscription.discounts?.length > 0) continue
+      return { ...offer }
+    }
+
+    if (offer.type === 'downgrade') {
+      const price = await findDowngradePrice(subscription, offer.targetTier)
+      if (!price) continue
+      return { ...offer, priceId: price.id, amount: price.unit_amount, currency: price.currency, interval: price.recurring.interval }
+    }
+  }
+
+  return null
+}
+
+export async function acceptRetentionOffer(subscription, offer) {
+  const metadata = {
+    retention_offers_accepted: [...getAcceptedOffers(subscription), offer.id].join(',')
+  }
+
+  if (offer.type === 'discount') {
+    const updated = await stripe.subscriptions.update(subscription.id, {
+      discounts: [{ coupon: offer.couponId }],
+      metadata
+    })
+    console.log(`🎁 Retention offer ${offer.id} applied to subscription ${subscription.id}`)
+    return { subscription: updated, timing: 'immediate', effectiveAt: Math.floor(Date.now() / 1000) }
+  }
+
+  const price = await findDowngradePrice(subscription, offer.targetTier)
+  if (!price) throw new Error('This offer is no longer available for your plan')
+
+  await stripe.subscriptions.update(subscription.id, { metadata })
+  const result = await applyPlanChange(subscription, price)
+  console.log(`🎁 Retention offer ${offer.id} accepted for subscription ${subscription.id}`)
+  return { subscription: result.subscription, timing: result.timing, effectiveAt: result.effectiveAt }
+}
+
+function rate(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : null
+}
+
+// Accept/decline rates (percent of responses) per offer and per reason
+export async function getRetentionOfferReport() {
+  const stored = await getRetentionOfferStats()
+
+  return RETENTION_OFFERS.map(offer => {
+    const stats = stored[offer.id] || { shown: 0, accepted: 0, declined: 0, byReason: {} }
+
+    return {
+      offerId: offer.id,
+      title: offer.title,
+      shown: stats.shown,
+      accepted: stats.accepted,
+      declined: stats.declined,
+      acceptRate: rate(stats.accepted, stats.accepted + stats.declined),
+      byReason: Object.fromEntries(Object.entries(stats.byReason).map(([reason, counts]) => [reason, {
+        ...counts,
+        acceptRate: rate(counts.accepted, counts.accepted + counts.declined)
+      }]))
+    }
+  })
+}
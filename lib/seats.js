@@ -0,0 +1,14 @@
+// Premium servers are sold per seat: the subscription quantity is how many
+// servers the customer can run premium on, on any tier. Shared by the checkout
+// page and the API routes, so no server-only imports.
+
+export const MIN_SERVERS = 1
+export const MAX_SERVERS = 25
+
+// Error message for the customer, or null when the quantity can be used
+export function validateQuantity(quantity) {
+  if (!Number.isInteger(quantity) || quantity < MIN_SERVERS || quantity > MAX_SERVERS) {
+    return `Number of servers must be a whole number from ${MIN_SERVERS} to ${MAX_SERVERS}`
+  }
+  return null
+}
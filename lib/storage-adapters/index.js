@@ -0,0 +1,55 @@
+import { createJsonFileAdapter } from './json-file.js'
+import { createSqliteAdapter } from './sqlite.js'
+import { createMemoryAdapter } from './memory.js'
+
+// Every adapter implements the same small async interface over named
+// collections of JSON records (e.g. 'customers'):
+//
+//   get(collection, id)              -> record | null
+//   list(collection)                 -> { [id]: record }
+//   set(collection, id, record)      -> void
+//   remove(collection, id)           -> boolean (true if something was deleted)
+//   update(collection, id, updater)  -> record after the update
+//   prune(collection, predicate)     -> number of records removed
+//   dump()                           -> { [collection]: { [id]: record } }
+//
+// update() is the read-modify-write primitive lib/storage.js builds on. The
+// updater is a synchronous function that receives the current record (or null)
+// and returns the new record, or undefined to leave it untouched. prune()
+// removes every record for which predicate(record, id) is true in one write.
+const ADAPTERS = {
+  json: createJsonFileAdapter,
+  sqlite: createSqliteAdapter,
+  memory: createMemoryAdapter,
+}
+
+let activeAdapter = null
+
+export function createStorageAdapter(name, options = {}) {
+  const factory = ADAPTERS[name]
+  if (!factory) {
+    throw new Error(`Unknown storage adapter '${name}' (expected one of: ${Object.keys(ADAPTERS).join(', ')})`)
+  }
+  return factory(options)
+}
+
+// Adapter selected by STORAGE_ADAPTER (defaults to the JSON file)
+export function getStorageAdapter() {
+  if (!activeAdapter) {
+    const name = (process.env.STORAGE_ADAPTER || 'json').toLowerCase()
+    const options = {
+      json: { file: process.env.STORAGE_JSON_FILE },
+      sqlite: { file: process.env.STORAGE_SQLITE_FILE },
+      memory: {},
+    }[name]
+
+    activeAdapter = createStorageAdapter(name, options)
+    console.log(`🗄️ Using '${activeAdapter.name}' storage adapter`)
+  }
+  return activeAdapter
+}
+
+// Swap the adapter at runtime (mainly for tests using the memory adapter)
+export function setStorageAdapter(adapter) {
+  activeAdapter = adapter
+}
@@ -0,0 +1,117 @@
+import fs from 'fs/promises'
+import path from 'path'
+import { withFileLock, writeFileAtomic } from '../file-lock.js'
+
+// JSON file adapter - the original storage behaviour. Every collection is a
+// top-level key in a single file (e.g. { customers: { cus_123: {...} } }).
+// Writes hold a file lock for the whole read-modify-write and replace the
+// file atomically, so concurrent webhooks can't clobber each other.
+export function createJsonFileAdapter(options = {}) {
+  const dataFile = options.file || path.join(process.cwd(), 'data', 'users.json')
+
+  // Ensure data directory exists
+  async function ensureDataDir() {
+    const dataDir = path.dirname(dataFile)
+    try {
+      await fs.access(dataDir)
+    } catch {
+      await fs.mkdir(dataDir, { recursive: true })
+    }
+  }
+
+  // Read data from JSON file
+  async function readData() {
+    try {
+      await ensureDataDir()
+      const data = await fs.readFile(dataFile, 'utf8')
+      return JSON.parse(data)
+    } catch (error) {
+      // If file doesn't exist, return empty structure
+      if (error.code === 'ENOENT') {
+        return {
+          customers: {}
+        }
+      }
+      // Anything else (e.g. invalid JSON) must not be treated as "empty" -
+      // the next write would wipe every stored customer
+      throw new Error(`Failed to read ${dataFile}: ${error.message}`)
+    }
+  }
+
+  // Write data to JSON file (temp file + rename)
+  async function writeData(data) {
+    await ensureDataDir()
+    await writeFileAtomic(dataFile, JSON.stringify(data, null, 2))
+  }
+
+  // Run a read-modify-write with the file locked
+  async function locked(fn) {
+    await ensureDataDir()
+    return withFileLock(dataFile, fn)
+  }
+
+  return {
+    name: 'json',
+
+    async get(collection, id) {
+      const data = await readData()
+      return data[collection]?.[id] || null
+    },
+
+    async list(collection) {
+      const data = await readData()
+      return data[collection] || {}
+    },
+
+    async set(collection, id, record) {
+      await locked(async () => {
+        const data = await readData()
+        data[collection] = data[collection] || {}
+        data[collection][id] = record
+        await writeData(data)
+      })
+    },
+
+    async remove(collection, id) {
+      return locked(async () => {
+        const data = await readData()
+        if (!data[collection]?.[id]) return false
+        delete data[collection][id]
+        await writeData(data)
+        return true
+      })
+    },
+
+    async update(collection, id, updater) {
+      return locked(async () => {
+        const data = await readData()
+        const current = data[collection]?.[id] || null
+        const next = updater(current)
+
+        // Returning undefined from the updater means "leave the record alone"
+        if (next === undefined) return current
+
+        data[collection] = data[collection] || {}
+        data[collection][id] = next
+        await writeData(data)
+        return next
+      })
+    },
+
+    async prune(collection, predicate) {
+      return locked(async () => {
+        const data = await readData()
+        const ids = Object.keys(data[collection] || {}).filter(id => predicate(data[collection][id], id))
+        if (ids.length === 0) return 0
+
+        for (const id of ids) delete data[collection][id]
+        await writeData(data)
+        return ids.length
+      })
+    },
+
+    async dump() {
+      return await readData()
+    }
+  }
+}
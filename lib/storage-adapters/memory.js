@@ -0,0 +1,63 @@
+// In-memory adapter - nothing touches disk, so tests and throwaway runs start
+// from a clean slate every process. Records are cloned on the way in and out
+// so callers can't mutate stored state by accident.
+export function createMemoryAdapter(options = {}) {
+  const collections = structuredClone(options.initialData || { customers: {} })
+
+  const clone = (value) => (value === null || value === undefined ? value : structuredClone(value))
+
+  return {
+    name: 'memory',
+
+    async get(collection, id) {
+      return clone(collections[collection]?.[id]) || null
+    },
+
+    async list(collection) {
+      return clone(collections[collection]) || {}
+    },
+
+    async set(collection, id, record) {
+      collections[collection] = collections[collection] || {}
+      collections[collection][id] = clone(record)
+    },
+
+    async remove(collection, id) {
+      if (!collections[collection]?.[id]) return false
+      delete collections[collection][id]
+      return true
+    },
+
+    async update(collection, id, updater) {
+      const current = clone(collections[collection]?.[id]) || null
+      const next = updater(current)
+
+      // Returning undefined from the updater means "leave the record alone"
+      if (next === undefined) return current
+
+      collections[collection] = collections[collection] || {}
+      collections[collection][id] = clone(next)
+      return clone(next)
+    },
+
+    async prune(collection, predicate) {
+      let removed = 0
+      for (const [id, record] of Object.entries(collections[collection] || {})) {
+        if (!predicate(clone(record), id)) continue
+        delete collections[collection][id]
+        removed++
+      }
+      return removed
+    },
+
+    async dump() {
+      return clone(collections)
+    },
+
+    // Test helper - wipe everything between test cases
+    async reset() {
+      for (const key of Object.keys(collections)) delete collections[key]
+      collections.customers = {}
+    }
+  }
+}
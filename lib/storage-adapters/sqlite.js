@@ -0,0 +1,127 @@
+import fs from 'fs'
+import path from 'path'
+
+// Embedded SQLite adapter. Records are stored as JSON documents in a single
+// key/value table so the storage layer doesn't need a schema per collection.
+// better-sqlite3 is an optional dependency and is only loaded when this
+// adapter is selected.
+export function createSqliteAdapter(options = {}) {
+  const dbFile = options.file || path.join(process.cwd(), 'data', 'storage.db')
+  let dbPromise = null
+
+  async function getDb() {
+    if (!dbPromise) {
+      dbPromise = (async () => {
+        let Database
+        try {
+          Database = (await import('better-sqlite3')).default
+        } catch (error) {
+          throw new Error(`SQLite storage requires the 'better-sqlite3' package (${error.message})`)
+        }
+
+        fs.mkdirSync(path.dirname(dbFile), { recursive: true })
+
+        const db = new Database(dbFile)
+        db.pragma('journal_mode = WAL')
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS records (
+            collection TEXT NOT NULL,
+            id TEXT NOT NULL,
+            data TEXT NOT NULL,
+            updated_at TEXT NOT NULL,
+            PRIMARY KEY (collection, id)
+          )
+        `)
+
+        console.log(`🗄️ SQLite storage opened at ${dbFile}`)
+        return db
+      })()
+    }
+    return dbPromise
+  }
+
+  function readRecord(db, collection, id) {
+    const row = db.prepare('SELECT data FROM records WHERE collection = ? AND id = ?').get(collection, id)
+    return row ? JSON.parse(row.data) : null
+  }
+
+  function writeRecord(db, collection, id, record) {
+    db.prepare(`
+      INSERT INTO records (collection, id, data, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `).run(collection, id, JSON.stringify(record), new Date().toISOString())
+  }
+
+  return {
+    name: 'sqlite',
+
+    async get(collection, id) {
+      const db = await getDb()
+      return readRecord(db, collection, id)
+    },
+
+    async list(collection) {
+      const db = await getDb()
+      const rows = db.prepare('SELECT id, data FROM records WHERE collection = ?').all(collection)
+      return Object.fromEntries(rows.map(row => [row.id, JSON.parse(row.data)]))
+    },
+
+    async set(collection, id, record) {
+      const db = await getDb()
+      writeRecord(db, collection, id, record)
+    },
+
+    async remove(collection, id) {
+      const db = await getDb()
+      const result = db.prepare('DELETE FROM records WHERE collection = ? AND id = ?').run(collection, id)
+      return result.changes > 0
+    },
+
+    async update(collection, id, updater) {
+      const db = await getDb()
+
+      // Read and write inside one transaction so another process can't slip
+      // a write in between (better-sqlite3 transactions are synchronous)
+      const runUpdate = db.transaction(() => {
+        const current = readRecord(db, collection, id)
+        const next = updater(current)
+
+        // Returning undefined from the updater means "leave the record alone"
+        if (next === undefined) return current
+
+        writeRecord(db, collection, id, next)
+        return next
+      })
+
+      return runUpdate.immediate()
+    },
+
+    async prune(collection, predicate) {
+      const db = await getDb()
+      const deleteRecord = db.prepare('DELETE FROM records WHERE collection = ? AND id = ?')
+
+      const runPrune = db.transaction(() => {
+        const rows = db.prepare('SELECT id, data FROM records WHERE collection = ?').all(collection)
+        let removed = 0
+        for (const row of rows) {
+          if (!predicate(JSON.parse(row.data), row.id)) continue
+          removed += deleteRecord.run(collection, row.id).changes
+        }
+        return removed
+      })
+
+      return runPrune.immediate()
+    },
+
+    async dump() {
+      const db = await getDb()
+      const rows = db.prepare('SELECT collection, id, data FROM records').all()
+      const data = { customers: {} }
+      for (const row of rows) {
+        data[row.collection] = data[row.collection] || {}
+        data[row.collection][row.id] = JSON.parse(row.data)
+      }
+      return data
+    }
+  }
+}
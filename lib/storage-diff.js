@@ -0,0 +1,54 @@
+// Field-level diff between two snapshots of stored records, used by the
+// replay and reconciliation scripts to show what would change in storage.
+const IGNORED_FIELDS = ['updatedAt']
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+// Returns [{ path, before, after }] for every leaf that differs
+export function diffRecords(before, after, path = '') {
+  if (JSON.stringify(before) === JSON.stringify(after)) return []
+
+  if (!isPlainObject(before) || !isPlainObject(after)) {
+    return [{ path: path || '(record)', before, after }]
+  }
+
+  const changes = []
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)])
+
+  for (const key of keys) {
+    if (IGNORED_FIELDS.includes(key)) continue
+    changes.push(...diffRecords(before[key], after[key], path ? `${path}.${key}` : key))
+  }
+
+  return changes
+}
+
+// Diff two { [id]: record } collections
+export function diffCollections(before = {}, after = {}) {
+  const added = []
+  const removed = []
+  const changed = []
+
+  for (const id of Object.keys(after)) {
+    if (!(id in before)) {
+      added.push(id)
+      continue
+    }
+    const changes = diffRecords(before[id], after[id])
+    if (changes.length > 0) changed.push({ id, changes })
+  }
+
+  for (const id of Object.keys(before)) {
+    if (!(id in after)) removed.push(id)
+  }
+
+  return { added, removed, changed }
+}
+
+export function formatValue(value) {
+  if (value === undefined) return '(unset)'
+  const json = JSON.stringify(value)
+  return json.length > 80 ? `${json.slice(0, 77)}...` : json
+}
@@ -1,87 +1,237 @@
-import fs from 'fs/promises'
-import path from 'path'
+import crypto from 'crypto'
+import { getStorageAdapter } from './storage-adapters/index.js'
 
-const DATA_FILE = path.join(process.cwd(), 'data', 'users.json')
+// All persistence goes through the adapter selected by STORAGE_ADAPTER
+// (json file by default, see lib/storage-adapters)
+const CUSTOMERS = 'customers'
+const PROCESSED_EVENTS = 'processedEvents'
+const REJECTED_UPDATES = 'rejectedUpdates'
+const WEBHOOK_QUEUE = 'webhookQueue'
+const DEAD_LETTERS = 'deadLetters'
+const IMPORT_RUNS = 'importRuns'
+const RETENTION_OFFER_STATS = 'retentionOfferStats'
+const GIFTS = 'gifts'
 
-// Ensure data directory exists
-async function ensureDataDir() {
-  const dataDir = path.dirname(DATA_FILE)
-  try {
-    await fs.access(dataDir)
-  } catch {
-    await fs.mkdir(dataDir, { recursive: true })
-  }
+// ===== STALE WRITE PROTECTION =====
+// Stripe doesn't guarantee delivery order, so customer, subscription and
+// entitlement writes can carry the `event.created` of the event that produced
+// them ({ eventId, eventCreated } as the last argument). Anything older than
+// what's already stored is rejected and logged instead of overwriting newer data.
+
+// Statuses a subscription can never leave - a late update for the same
+// subscription must not resurrect it even if the timestamps tie
+const TERMINAL_SUBSCRIPTION_STATUSES = ['canceled', 'incomplete_expired']
+
+function isStaleWrite(storedEventCreated, incomingEventCreated) {
+  if (!storedEventCreated || !incomingEventCreated) return false
+  return incomingEventCreated < storedEventCreated
 }
 
-// Read data from JSON file
-async function readData() {
-  try {
-    await ensureDataDir()
-    const data = await fs.readFile(DATA_FILE, 'utf8')
-    return JSON.parse(data)
-  } catch (error) {
-    // If file doesn't exist, return empty structure
-    return {
-      customers: {}
-    }
+// Only the most recent rejections are kept - they're for spotting problems,
+// not an audit trail, and the JSON adapter rewrites the whole file per write
+const MAX_REJECTED_UPDATES = 500
+
+async function logRejectedUpdate(entry) {
+  const id = crypto.randomUUID()
+  console.warn(`⏪ STALE: Rejected ${entry.kind} update for customer ${entry.customerId} from event ${entry.eventId || 'unknown'} - ${entry.reason}`)
+
+  await getStorageAdapter().set(REJECTED_UPDATES, id, {
+    id,
+    ...entry,
+    rejectedAt: new Date().toISOString()
+  })
+
+  const rejected = Object.values(await getStorageAdapter().list(REJECTED_UPDATES))
+  if (rejected.length > MAX_REJECTED_UPDATES) {
+    const oldest = new Set(rejected
+      .sort((a, b) => a.rejectedAt.localeCompare(b.rejectedAt))
+      .slice(0, rejected.length - MAX_REJECTED_UPDATES)
+      .map(record => record.id))
+    await getStorageAdapter().prune(REJECTED_UPDATES, (record, recordId) => oldest.has(recordId))
   }
 }
 
-// Write data to JSON file
-async function writeData(data) {
-  await ensureDataDir()
-  await fs.writeFile(DATA_FILE, JSON.stringify(data, null, 2))
+export async function getRejectedUpdates() {
+  const rejected = await getStorageAdapter().list(REJECTED_UPDATES)
+  return Object.values(rejected).sort((a, b) => a.rejectedAt.localeCompare(b.rejectedAt))
 }
 
 // ===== CUSTOMER OPERATIONS =====
 
-export async function saveCustomer(customerId, customerData) {
-  const data = await readData()
-  
-  // Preserve existing nested data if it exists
-  const existingCustomer = data.customers[customerId]
-  const existingEntitlements = existingCustomer?.entitlements || {}
-  const existingSubscription = existingCustomer?.subscription || null
-  const existingSuspensionInfo = existingCustomer?.suspensionInfo || null
-  const existingSuspendedEntitlements = existingCustomer?.suspendedEntitlements || {}
-  
-  data.customers[customerId] = {
-    ...customerData,
-    entitlements: existingEntitlements,
-    subscription: existingSubscription,
-    suspensionInfo: existingSuspensionInfo,
-    suspendedEntitlements: existingSuspendedEntitlements,
-    updatedAt: new Date().toISOString()
+export async function saveCustomer(customerId, customerData, source = {}) {
+  let rejection = null
+
+  await getStorageAdapter().update(CUSTOMERS, customerId, (existingCustomer) => {
+    // A deleted customer never comes back - late updates must not revive the tombstone
+    if (existingCustomer?.deleted === true) {
+      rejection = {
+        storedEventCreated: existingCustomer.sourceEventCreated || null,
+        reason: `customer was deleted at ${existingCustomer.deletedAt}`
+      }
+      return undefined
+    }
+
+    if (isStaleWrite(existingCustomer?.sourceEventCreated, source.eventCreated)) {
+      rejection = {
+        storedEventCreated: existingCustomer.sourceEventCreated,
+        reason: `event created ${source.eventCreated} is older than stored ${existingCustomer.sourceEventCreated}`
+      }
+      return undefined
+    }
+
+    // Preserve existing nested data if it exists
+    const existingEntitlements = existingCustomer?.entitlements || {}
+    const existingSubscription = existingCustomer?.subscription || null
+    const existingSuspensionInfo = existingCustomer?.suspensionInfo || null
+    const existingSuspendedEntitlements = existingCustomer?.suspendedEntitlements || {}
+    const existingDisputes = existingCustomer?.disputes || {}
+    const existingLifetime = existingCustomer?.lifetime || null
+
+    return {
+      ...customerData,
+      entitlements: existingEntitlements,
+      entitlementsSourceEventCreated: existingCustomer?.entitlementsSourceEventCreated || null,
+      subscription: existingSubscription,
+      suspended: existingCustomer?.suspended === true,
+      suspensionInfo: existingSuspensionInfo,
+      suspendedEntitlements: existingSuspendedEntitlements,
+      disputes: existingDisputes,
+      lifetime: existingLifetime,
+      sourceEventCreated: source.eventCreated || existingCustomer?.sourceEventCreated || null,
+      updatedAt: new Date().toISOString()
+    }
+  })
+
+  if (rejection) {
+    await logRejectedUpdate({ kind: 'customer', customerId, eventId: source.eventId, eventCreated: source.eventCreated, ...rejection })
+    return false
   }
-  
-  await writeData(data)
+
+  return true
 }
 
 export async function getCustomer(customerId) {
-  const data = await readData()
-  return data.customers[customerId] || null
+  return await getStorageAdapter().get(CUSTOMERS, customerId)
 }
 
 export async function getCustomerByEmail(email) {
-  const data = await readData()
-  return Object.values(data.customers).find(customer => customer.email === email) || null
+  const customers = await getStorageAdapter().list(CUSTOMERS)
+  return Object.values(customers).find(customer => customer.email === email && !customer.deleted) || null
+}
+
+// What happens to a customer's record once they're deleted in Stripe:
+// 'tombstone' (default) keeps an anonymized stub so late webhooks for the
+// customer are recognised and rejected, 'delete' removes the record entirely
+export function getCustomerDeletionPolicy() {
+  return process.env.CUSTOMER_DELETION_POLICY === 'delete' ? 'delete' : 'tombstone'
+}
+
+export async function forgetCustomer(customerId, source = {}) {
+  const policy = getCustomerDeletionPolicy()
+
+  if (policy === 'delete') {
+    const removed = await getStorageAdapter().remove(CUSTOMERS, customerId)
+    console.log(`🗑️ ${removed ? 'Deleted' : 'No local record for'} customer ${customerId}`)
+    return removed
+  }
+
+  let rejection = null
+
+  const tombstoned = await getStorageAdapter().update(CUSTOMERS, customerId, (customer) => {
+    if (!customer || customer.deleted === true) return undefined
+
+    if (isStaleWrite(customer.sourceEventCreated, source.eventCreated)) {
+      rejection = {
+        storedEventCreated: customer.sourceEventCreated,
+        reason: `event created ${source.eventCreated} is older than stored ${customer.sourceEventCreated}`
+      }
+      return undefined
+    }
+
+    // Personal data and access go; billing history (subscription, disputes) stays
+    return {
+      stripeCustomerId: customer.stripeCustomerId || customerId,
+      email: null,
+      name: null,
+      metadata: {},
+      created: customer.created || null,
+      deleted: true,
+      deletedAt: new Date().toISOString(),
+      entitlements: {},
+      entitlementsSourceEventCreated: customer.entitlementsSourceEventCreated || null,
+      subscription: customer.subscription || null,
+      suspended: false,
+      suspensionInfo: null,
+      suspendedEntitlements: {},
+      disputes: customer.disputes || {},
+      lifetime: customer.lifetime ? { ...customer.lifetime, entitlements: {} } : null,
+      sourceEventCreated: source.eventCreated || customer.sourceEventCreated || null,
+      updatedAt: new Date().toISOString()
+    }
+  })
+
+  if (rejection) {
+    await logRejectedUpdate({ kind: 'customer', customerId, eventId: source.eventId, eventCreated: source.eventCreated, ...rejection })
+    return false
+  }
+
+  if (!tombstoned) {
+    console.log(`🗑️ No local record for customer ${customerId}`)
+    return false
+  }
+
+  console.log(`🪦 Tombstoned customer ${customerId}`)
+  return true
 }
 
 // ===== SUBSCRIPTION OPERATIONS (nested in customer) =====
 
-export async function saveCustomerSubscription(customerId, subscriptionData) {
-  const data = await readData()
-  
-  if (!data.customers[customerId]) {
+export async function saveCustomerSubscription(customerId, subscriptionData, source = {}) {
+  let rejection = null
+
+  const saved = await getStorageAdapter().update(CUSTOMERS, customerId, (customer) => {
+    if (!customer) return undefined
+
+    const existing = customer.subscription
+
+    if (isStaleWrite(existing?.sourceEventCreated, source.eventCreated)) {
+      rejection = {
+        storedEventCreated: existing.sourceEventCreated,
+        reason: `event created ${source.eventCreated} is older than stored ${existing.sourceEventCreated}`
+      }
+      return undefined
+    }
+
+    if (existing?.stripeSubscriptionId === subscriptionData.stripeSubscriptionId &&
+      TERMINAL_SUBSCRIPTION_STATUSES.includes(existing.status) &&
+      !TERMINAL_SUBSCRIPTION_STATUSES.includes(subscriptionData.status)) {
+      rejection = {
+        storedEventCreated: existing.sourceEventCreated || null,
+        reason: `subscription ${existing.stripeSubscriptionId} is already ${existing.status} - refusing to set status '${subscriptionData.status}'`
+      }
+      return undefined
+    }
+
+    customer.subscription = {
+      ...subscriptionData,
+      sourceEventCreated: source.eventCreated || null
+    }
+    customer.updatedAt = new Date().toISOString()
+    return customer
+  })
+
+  if (rejection) {
+    await logRejectedUpdate({ kind: 'subscription', customerId, eventId: source.eventId, eventCreated: source.eventCreated, ...rejection })
+    return false
+  }
+
+  if (!saved) {
     console.warn(`Customer ${customerId} not found when saving subscription`)
-    return
+    return false
   }
-  
-  data.customers[customerId].subscription = subscriptionData
-  data.customers[customerId].updatedAt = new Date().toISOString()
-  
-  await writeData(data)
+
   console.log(`💾 Saved subscription for customer ${customerId}`)
+  return true
 }
 
 export async function getCustomerSubscription(customerId) {
@@ -91,20 +241,55 @@ export async function getCustomerSubscription(customerId) {
 
 // ===== ENTITLEMENT OPERATIONS (nested in customer) =====
 
-export async function saveCustomerEntitlements(customerId, entitlements) {
-  const data = await readData()
-  
-  if (!data.customers[customerId]) {
-    console.warn(`Customer ${customerId} not found when saving entitlements`)
-    return
+export async function saveCustomerEntitlements(customerId, entitlements, source = {}) {
+  let rejection = null
+  let deleted = false
+
+  const saved = await getStorageAdapter().update(CUSTOMERS, customerId, (customer) => {
+    if (!customer) return undefined
+    if (customer.deleted === true) {
+      // The update hands back the unchanged tombstone, so remember why
+      deleted = true
+      return undefined
+    }
+
+    if (isStaleWrite(customer.entitlementsSourceEventCreated, source.eventCreated)) {
+      rejection = {
+        storedEventCreated: customer.entitlementsSourceEventCreated,
+        reason: `event created ${source.eventCreated} is older than stored ${customer.entitlementsSourceEventCreated}`
+      }
+      return undefined
+    }
+
+    // Replace all entitlements for this customer (overwrite approach). While
+    // suspended they're held in suspendedEntitlements so Stripe still thinking
+    // the customer is entitled doesn't quietly lift the suspension.
+    const stamped = Object.fromEntries(
+      Object.entries(entitlements).map(([id, ent]) => [id, { ...ent, sourceEventCreated: source.eventCreated || null }])
+    )
+    if (customer.suspended === true) {
+      customer.suspendedEntitlements = stamped
+      console.log(`🔒 Customer ${customerId} is suspended - holding entitlements until restored`)
+    } else {
+      customer.entitlements = stamped
+    }
+    customer.entitlementsSourceEventCreated = source.eventCreated || customer.entitlementsSourceEventCreated || null
+    customer.updatedAt = new Date().toISOString()
+    return customer
+  })
+
+  if (rejection) {
+    await logRejectedUpdate({ kind: 'entitlements', customerId, eventId: source.eventId, eventCreated: source.eventCreated, ...rejection })
+    return false
+  }
+
+  if (!saved || deleted) {
+    console.warn(`Customer ${customerId} not found (or deleted) when saving entitlements`)
+    return false
   }
-  
-  // Replace all entitlements for this customer (overwrite approach)
-  data.customers[customerId].entitlements = entitlements
-  data.customers[customerId].updatedAt = new Date().toISOString()
-  
-  await writeData(data)
+
   console.log(`💾 Saved ${Object.keys(entitlements).length} entitlements for customer ${customerId}`)
+  return true
 }
 
 export async function getCustomerEntitlements(customerId) {
@@ -112,9 +297,111 @@ export async function getCustomerEntitlements(customerId) {
   return customer?.entitlements || {}
 }
 
+// Subscription entitlements plus any lifetime ones (see LIFETIME ACCESS)
 export async function getActiveEntitlementsByCustomer(customerId) {
-  const entitlements = await getCustomerEntitlements(customerId)
-  return Object.values(entitlements).filter(ent => ent.status === 'active')
+  const customer = await getCustomer(customerId)
+  const entitlements = Object.values(customer?.entitlements || {}).filter(ent => ent.status === 'active')
+  if (!hasLifetimeAccess(customer)) return entitlements
+
+  // A feature from both only counts once
+  const covered = new Set(entitlements.map(ent => ent.featureLookupKey))
+  return [
+    ...entitlements,
+    ...Object.values(customer.lifetime.entitlements || {}).filter(ent => !covered.has(ent.featureLookupKey))
+  ]
+}
+
+// ===== LIFETIME ACCESS (nested in customer) =====
+// A one-off lifetime purchase grants its product's features locally - Stripe
+// only creates entitlements for subscriptions. They're kept apart from
+// `entitlements`, so entitlement summary webhooks can't overwrite them and a
+// payment_failed (or paused) suspension doesn't take them away.
+
+// Suspension reasons that hold back lifetime access too - a chargeback or
+// refund takes back what was paid for
+const LIFETIME_SUSPENSION_REASONS = ['dispute', 'refunded']
+
+function hasLifetimeAccess(customer) {
+  if (!customer?.lifetime || customer.deleted === true) return false
+  return !getSuspensionReasons(customer).some(reason => LIFETIME_SUSPENSION_REASONS.includes(reason))
+}
+
+// lifetime: { paymentIntentId, priceId, productId, productName, amount,
+// currency, servers, purchasedAt, entitlements }. A customer only has one at a
+// time - a second purchase is refused by the checkout, and the first one is
+// kept until it's refunded (see revokeCustomerLifetimeAccess).
+export async function saveCustomerLifetimeAccess(customerId, lifetime, source = {}) {
+  let rejection = null
+  let deleted = false
+
+  const saved = await getStorageAdapter().update(CUSTOMERS, customerId, (customer) => {
+    if (!customer) return undefined
+    if (customer.deleted === true) {
+      deleted = true
+      return undefined
+    }
+
+    const existing = customer.lifetime
+    if (existing && existing.paymentIntentId !== lifetime.paymentIntentId) {
+      rejection = {
+        storedEventCreated: existing.sourceEventCreated || null,
+        reason: `customer already has lifetime access from ${existing.paymentIntentId}`
+      }
+      return undefined
+    }
+
+    if (isStaleWrite(existing?.sourceEventCreated, source.eventCreated)) {
+      rejection = {
+        storedEventCreated: existing.sourceEventCreated,
+        reason: `event created ${source.eventCreated} is older than stored ${existing.sourceEventCreated}`
+      }
+      return undefined
+    }
+
+    customer.lifetime = {
+      ...lifetime,
+      sourceEventCreated: source.eventCreated || null
+    }
+    customer.updatedAt = new Date().toISOString()
+    return customer
+  })
+
+  if (rejection) {
+    await logRejectedUpdate({ kind: 'lifetime', customerId, eventId: source.eventId, eventCreated: source.eventCreated, ...rejection })
+    return false
+  }
+
+  if (!saved || deleted) {
+    console.warn(`Customer ${customerId} not found (or deleted) when saving lifetime access`)
+    return false
+  }
+
+  console.log(`♾️ Saved lifetime access (${Object.keys(lifetime.entitlements).length} features) for customer ${customerId}`)
+  return true
+}
+
+// A fully refunded lifetime purchase is taken back outright rather than
+// suspended, so the customer can buy it again. Only removes the access that
+// came from paymentIntentId.
+export async function revokeCustomerLifetimeAccess(customerId, paymentIntentId) {
+  let revoked = false
+
+  await getStorageAdapter().update(CUSTOMERS, customerId, (customer) => {
+    if (!customer || customer.lifetime?.paymentIntentId !== paymentIntentId) return undefined
+
+    customer.lifetime = null
+    customer.updatedAt = new Date().toISOString()
+    revoked = true
+    return customer
+  })
+
+  if (revoked) console.log(`♾️ Revoked lifetime access from ${paymentIntentId} for customer ${customerId}`)
+  return revoked
+}
+
+export async function getCustomerLifetimeAccess(customerId) {
+  const customer = await getCustomer(customerId)
+  return customer?.lifetime || null
 }
 
 // ===== FEATURE ACCESS HELPERS =====
@@ -133,117 +420,713 @@ export async function getCustomerFeatures(customerId) {
   }))
 }
 
+// How many servers the customer can run premium on - the subscription
+// quantity (0 without an active subscription or while suspended), or the
+// lifetime purchase's servers if that's more
+export async function getCustomerServerLimit(customerId) {
+  const customer = await getCustomer(customerId)
+  if (!customer) return 0
+
+  const lifetimeServers = hasLifetimeAccess(customer) ? customer.lifetime.servers ?? 1 : 0
+  if (customer.suspended === true) return lifetimeServers
+
+  const subscribed = Object.values(customer.entitlements || {}).some(ent => ent.status === 'active')
+  return Math.max(subscribed ? customer.subscription?.quantity ?? 1 : 0, lifetimeServers)
+}
+
 // ===== SUSPENSION OPERATIONS =====
 
+// A customer can be suspended for several reasons at once (e.g. a failed
+// payment during a dispute). suspensionInfo.reasons holds each active reason's
+// info; the top-level fields describe the earliest one still active. Access
+// only comes back once every reason has been lifted.
+export function getSuspensionReasons(customer) {
+  if (customer?.suspended !== true) return []
+  const info = customer.suspensionInfo || {}
+  // Records from before reasons were tracked separately
+  if (!info.reasons) return info.reason ? [info.reason] : []
+  return Object.keys(info.reasons)
+}
+
+function getSuspensionReasonInfo(customer) {
+  const info = customer.suspensionInfo || {}
+  return info.reasons || (info.reason ? { [info.reason]: info } : {})
+}
+
+function buildSuspensionInfo(reasons) {
+  const [primary] = Object.values(reasons)
+    .sort((a, b) => a.suspendedAt.localeCompare(b.suspendedAt))
+  return { ...primary, reasons }
+}
+
+// Every dispute still open against the customer. Each one keeps them
+// suspended, so winning one doesn't give access back while another is open.
+function getOpenDisputeIds(disputeInfo) {
+  if (!disputeInfo) return []
+  return disputeInfo.disputeIds || (disputeInfo.disputeId ? [disputeInfo.disputeId] : [])
+}
+
 export async function suspendCustomerEntitlements(customerId, suspensionInfo = {}) {
   try {
     console.log(`🔒 SUSPENDING: Starting suspension for customer ${customerId}`)
-    
-    const data = await readData()
-    
-    if (!data.customers[customerId]) {
+
+    const updated = await getStorageAdapter().update(CUSTOMERS, customerId, (customer) => {
+      if (!customer) return undefined
+
+      const reason = suspensionInfo.reason || 'unknown'
+
+      // If already suspended, add this reason alongside the existing ones
+      if (customer.suspended === true) {
+        console.log(`⚠️ SUSPENDING: Customer ${customerId} is already suspended - adding reason '${reason}'`)
+
+        const reasons = getSuspensionReasonInfo(customer)
+        customer.suspensionInfo = buildSuspensionInfo({
+          ...reasons,
+          [reason]: {
+            ...suspensionInfo,
+            reason,
+            ...(suspensionInfo.disputeId
+              ? { disputeIds: [...new Set([...getOpenDisputeIds(reasons[reason]), suspensionInfo.disputeId])] }
+              : {}),
+            suspendedAt: reasons[reason]?.suspendedAt || new Date().toISOString(),
+            lastAttemptAt: new Date().toISOString()
+          }
+        })
+        customer.updatedAt = new Date().toISOString()
+        return customer
+      }
+
+      console.log(`🔒 SUSPENDING: Current entitlements:`, Object.keys(customer.entitlements || {}))
+
+      // Mark customer as suspended
+      customer.suspended = true
+      customer.suspensionInfo = buildSuspensionInfo({
+        [reason]: {
+          ...suspensionInfo,
+          reason,
+          ...(suspensionInfo.disputeId ? { disputeIds: [suspensionInfo.disputeId] } : {}),
+          suspendedAt: new Date().toISOString()
+        }
+      })
+
+      // Move entitlements to suspended state
+      if (customer.entitlements && Object.keys(customer.entitlements).length > 0) {
+        customer.suspendedEntitlements = customer.entitlements
+        customer.entitlements = {}
+        console.log(`🔒 SUSPENDING: Moved ${Object.keys(customer.suspendedEntitlements).length} entitlements to suspended state`)
+      } else {
+        console.log(`🔒 SUSPENDING: No entitlements to suspend (already empty)`)
+      }
+
+      customer.updatedAt = new Date().toISOString()
+      return customer
+    })
+
+    if (!updated) {
       console.warn(`⚠️ SUSPENDING: Customer ${customerId} not found for suspension`)
       return false
     }
-    
-    const customer = data.customers[customerId]
-    
-    // If already suspended, just update suspension info
-    if (customer.suspended === true) {
-      console.log(`⚠️ SUSPENDING: Customer ${customerId} is already suspended - updating suspension info only`)
-      
-      customer.suspensionInfo = {
-        ...customer.suspensionInfo,
-        ...suspensionInfo,
-        suspendedAt: customer.suspensionInfo?.suspendedAt || new Date().toISOString(),
-        lastAttemptAt: new Date().toISOString()
-      }
-      
-      await writeData(data)
-      console.log(`🔒 SUSPENDING: Updated suspension info for already-suspended customer ${customerId}`)
-      return true
-    }
-    
-    console.log(`🔒 SUSPENDING: Current entitlements:`, Object.keys(customer.entitlements || {}))
-    
-    // Mark customer as suspended
-    customer.suspended = true
-    customer.suspensionInfo = {
-      ...suspensionInfo,
-      suspendedAt: new Date().toISOString()
-    }
-    
-    // Move entitlements to suspended state
-    if (customer.entitlements && Object.keys(customer.entitlements).length > 0) {
-      customer.suspendedEntitlements = customer.entitlements
-      customer.entitlements = {}
-      console.log(`🔒 SUSPENDING: Moved ${Object.keys(customer.suspendedEntitlements).length} entitlements to suspended state`)
-    } else {
-      console.log(`🔒 SUSPENDING: No entitlements to suspend (already empty)`)
-    }
-    
-    customer.updatedAt = new Date().toISOString()
-    await writeData(data)
-    
+
     console.log(`🔒 SUSPENDING: Customer ${customerId} suspended successfully`)
     return true
-    
+
   } catch (error) {
     console.error('🚨 SUSPENDING: Error suspending customer entitlements:', error)
     throw error
   }
 }
 
-export async function restoreCustomerEntitlements(customerId) {
+// Pass { reason } to only lift that reason, e.g. a successful payment must
+// not undo a suspension for a chargeback. Access is restored once no reasons
+// are left; without a reason every suspension is lifted. Returns true if the
+// reason was lifted, even if others keep the customer suspended.
+//
+// A closed dispute passes { reason: 'dispute', disputeId }: only that dispute
+// is taken off the open ones, and the reason is lifted once none are left.
+export async function restoreCustomerEntitlements(customerId, { reason, disputeId } = {}) {
   try {
     console.log(`🔓 RESTORING: Starting restoration for customer ${customerId}`)
-    
-    const data = await readData()
-    
-    if (!data.customers[customerId]) {
+    let skipped = false
+    let stillSuspended = false
+
+    const updated = await getStorageAdapter().update(CUSTOMERS, customerId, (customer) => {
+      if (!customer) return undefined
+
+      if (!customer.suspended) {
+        console.log(`✅ RESTORING: Customer ${customerId} is not suspended - nothing to restore`)
+        return undefined
+      }
+
+      const reasons = getSuspensionReasons(customer)
+
+      if (reason && !reasons.includes(reason)) {
+        console.log(`⚠️ RESTORING: Customer ${customerId} is suspended for '${reasons.join("', '")}', not '${reason}' - leaving suspended`)
+        skipped = true
+        return undefined
+      }
+
+      if (disputeId) {
+        const reasonInfo = getSuspensionReasonInfo(customer)
+        const openDisputes = getOpenDisputeIds(reasonInfo.dispute)
+
+        if (!openDisputes.includes(disputeId)) {
+          console.log(`⚠️ RESTORING: Customer ${customerId} isn't suspended for dispute ${disputeId} - leaving suspended`)
+          skipped = true
+          return undefined
+        }
+
+        const stillOpen = openDisputes.filter(id => id !== disputeId)
+        if (stillOpen.length > 0) {
+          console.log(`⚠️ RESTORING: Dispute ${disputeId} closed for customer ${customerId} - still suspended for dispute(s) ${stillOpen.join(', ')}`)
+          customer.suspensionInfo = buildSuspensionInfo({
+            ...reasonInfo,
+            dispute: { ...reasonInfo.dispute, disputeIds: stillOpen }
+          })
+          customer.updatedAt = new Date().toISOString()
+          skipped = true
+          return customer
+        }
+      }
+
+      const remaining = reason ? reasons.filter(other => other !== reason) : []
+      if (remaining.length > 0) {
+        console.log(`⚠️ RESTORING: Lifted '${reason}' for customer ${customerId} - still suspended for '${remaining.join("', '")}'`)
+        const rest = { ...getSuspensionReasonInfo(customer) }
+        delete rest[reason]
+        customer.suspensionInfo = buildSuspensionInfo(rest)
+        customer.updatedAt = new Date().toISOString()
+        stillSuspended = true
+        return customer
+      }
+
+      // Restore entitlements from suspended state
+      if (customer.suspendedEntitlements && Object.keys(customer.suspendedEntitlements).length > 0) {
+        customer.entitlements = customer.suspendedEntitlements
+        customer.suspendedEntitlements = {}
+        console.log(`🔓 RESTORING: Restored ${Object.keys(customer.entitlements).length} entitlements`)
+      }
+
+      // Clear suspension
+      customer.suspended = false
+      customer.suspensionInfo = null
+      customer.updatedAt = new Date().toISOString()
+      return customer
+    })
+
+    if (!updated) {
       console.warn(`⚠️ RESTORING: Customer ${customerId} not found for restoration`)
       return false
     }
-    
-    const customer = data.customers[customerId]
-    
-    if (!customer.suspended) {
-      console.log(`✅ RESTORING: Customer ${customerId} is not suspended - nothing to restore`)
-      return true
-    }
-    
-    // Restore entitlements from suspended state
-    if (customer.suspendedEntitlements && Object.keys(customer.suspendedEntitlements).length > 0) {
-      customer.entitlements = customer.suspendedEntitlements
-      customer.suspendedEntitlements = {}
-      console.log(`🔓 RESTORING: Restored ${Object.keys(customer.entitlements).length} entitlements`)
-    }
-    
-    // Clear suspension
-    customer.suspended = false
-    customer.suspensionInfo = null
-    customer.updatedAt = new Date().toISOString()
-    
-    await writeData(data)
-    
+
+    if (skipped) return false
+    if (stillSuspended) return true
+
     console.log(`🔓 RESTORING: Customer ${customerId} restored successfully`)
     return true
-    
+
   } catch (error) {
     console.error('🚨 RESTORING: Error restoring customer entitlements:', error)
     throw error
   }
 }
 
+// ===== DISPUTES =====
+
+// Disputes are kept on the customer record keyed by dispute ID. Like other
+// webhook writes, an update from an older event than the stored one is ignored.
+export async function saveCustomerDispute(customerId, dispute, source = {}) {
+  let rejection = null
+
+  const saved = await getStorageAdapter().update(CUSTOMERS, customerId, (customer) => {
+    if (!customer) return undefined
+
+    const existing = customer.disputes?.[dispute.id]
+    if (isStaleWrite(existing?.sourceEventCreated, source.eventCreated)) {
+      rejection = {
+        storedEventCreated: existing.sourceEventCreated,
+        reason: `event created ${source.eventCreated} is older than stored ${existing.sourceEventCreated}`
+      }
+      return undefined
+    }
+
+    customer.disputes = {
+      ...customer.disputes,
+      [dispute.id]: {
+        ...existing,
+        ...dispute,
+        sourceEventCreated: source.eventCreated || null
+      }
+    }
+    customer.updatedAt = new Date().toISOString()
+    return customer
+  })
+
+  if (rejection) {
+    await logRejectedUpdate({ kind: 'dispute', customerId, eventId: source.eventId, eventCreated: source.eventCreated, ...rejection })
+    return false
+  }
+
+  if (!saved) {
+    console.warn(`Customer ${customerId} not found when saving dispute ${dispute.id}`)
+    return false
+  }
+
+  console.log(`💾 Saved dispute ${dispute.id} (${dispute.status}) for customer ${customerId}`)
+  return true
+}
+
+export async function getCustomerDisputes(customerId) {
+  const customer = await getCustomer(customerId)
+  return customer?.disputes || {}
+}
+
+// ===== PROCESSED EVENT LEDGER =====
+
+// An event stuck in 'processing' longer than this is assumed to have crashed
+// mid-way and may be picked up again. The webhook queue's lock is longer (see
+// lib/webhooks/queue.js), so a reclaimed queue item finds the claim expired.
+export const EVENT_PROCESSING_TIMEOUT_MS = 5 * 60 * 1000
+
+// Atomically claim a Stripe event for processing. Returns { claimed, record }
+// where claimed is false if the event already succeeded (or is being handled
+// right now by another delivery). force skips those checks and forgets which
+// listeners already ran, so every listener runs again.
+//
+// A replay leaves out listeners with outside side effects and records them as
+// skipped. The event still counts as succeeded for other replays, but any
+// other run (redelivery, queue, reprocess) claims it to run just those.
+export async function claimEventForProcessing(event, { force = false, replay = false } = {}) {
+  let claimed = false
+
+  const record = await getStorageAdapter().update(PROCESSED_EVENTS, event.id, (existing) => {
+    if (existing && !force) {
+      if (existing.status === 'succeeded' && (replay || getSkippedEventListeners(existing).length === 0)) {
+        return undefined
+      }
+
+      const startedAt = existing.startedAt ? new Date(existing.startedAt).getTime() : 0
+      if (existing.status === 'processing' && Date.now() - startedAt < EVENT_PROCESSING_TIMEOUT_MS) {
+        return undefined
+      }
+    }
+
+    claimed = true
+    return {
+      eventId: event.id,
+      type: event.type,
+      eventCreated: event.created,
+      status: 'processing',
+      attempts: (existing?.attempts || 0) + 1,
+      forced: force,
+      // Listeners that already succeeded, or were skipped by a replay, on an
+      // earlier attempt (see recordEventListenerSucceeded)
+      listeners: force ? {} : existing?.listeners || {},
+      firstReceivedAt: existing?.firstReceivedAt || new Date().toISOString(),
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      error: null
+    }
+  })
+
+  return { claimed, record }
+}
+
+// Record how processing went ('succeeded' or 'failed')
+export async function recordEventOutcome(eventId, outcome, error = null) {
+  return await getStorageAdapter().update(PROCESSED_EVENTS, eventId, (existing) => {
+    if (!existing) return undefined
+
+    return {
+      ...existing,
+      status: outcome,
+      completedAt: new Date().toISOString(),
+      error: error ? error.message || String(error) : null
+    }
+  })
+}
+
+// One listener finished - retries of the event skip it, so a failure in
+// another listener doesn't repeat its side effects (e.g. Discord posts)
+export async function recordEventListenerSucceeded(eventId, listenerName) {
+  return await getStorageAdapter().update(PROCESSED_EVENTS, eventId, (existing) => {
+    if (!existing) return undefined
+
+    return {
+      ...existing,
+      listeners: {
+        ...existing.listeners,
+        [listenerName]: { status: 'succeeded', completedAt: new Date().toISOString() }
+      }
+    }
+  })
+}
+
+// A replay ran the event without these listeners (see claimEventForProcessing)
+export async function recordEventListenerSkipped(eventId, listenerName) {
+  return await getStorageAdapter().update(PROCESSED_EVENTS, eventId, (existing) => {
+    if (!existing) return undefined
+
+    return {
+      ...existing,
+      listeners: {
+        ...existing.listeners,
+        [listenerName]: { status: 'skipped', reason: 'replay', completedAt: new Date().toISOString() }
+      }
+    }
+  })
+}
+
+export function getSucceededEventListeners(record) {
+  return Object.entries(record?.listeners || {})
+    .filter(([, listener]) => listener.status === 'succeeded')
+    .map(([name]) => name)
+}
+
+export function getSkippedEventListeners(record) {
+  return Object.entries(record?.listeners || {})
+    .filter(([, listener]) => listener.status === 'skipped')
+    .map(([name]) => name)
+}
+
+export async function getProcessedEvent(eventId) {
+  return await getStorageAdapter().get(PROCESSED_EVENTS, eventId)
+}
+
+export async function getProcessedEvents() {
+  return await getStorageAdapter().list(PROCESSED_EVENTS)
+}
+
+// Forget an event so the next delivery of it is processed again
+export async function clearProcessedEvent(eventId) {
+  return await getStorageAdapter().remove(PROCESSED_EVENTS, eventId)
+}
+
+// Stripe stops retrying an event after 3 days, so a ledger entry is no use
+// long before this. Pruning runs at most once per interval per process.
+const PROCESSED_EVENT_RETENTION_MS = 30 * 24 * 60 * 60 * 1000
+const PROCESSED_EVENT_PRUNE_INTERVAL_MS = 60 * 60 * 1000
+let processedEventsPrunedAt = 0
+
+export async function pruneProcessedEvents({ force = false } = {}) {
+  const now = Date.now()
+  if (!force && now - processedEventsPrunedAt < PROCESSED_EVENT_PRUNE_INTERVAL_MS) return 0
+  processedEventsPrunedAt = now
+
+  const removed = await getStorageAdapter().prune(PROCESSED_EVENTS, (record) => {
+    // Never drop an event that's being handled right now
+    if (record.status === 'processing') return false
+    const receivedAt = new Date(record.firstReceivedAt || record.startedAt || 0).getTime()
+    return now - receivedAt > PROCESSED_EVENT_RETENTION_MS
+  })
+
+  if (removed > 0) console.log(`🧹 Pruned ${removed} processed event(s) older than 30 days`)
+  return removed
+}
+
+// ===== WEBHOOK QUEUE =====
+
+// Persist a verified event so it can be processed after the webhook has
+// already been acknowledged. Enqueuing the same event twice is a no-op.
+export async function enqueueWebhookEvent(event) {
+  let enqueued = false
+
+  await getStorageAdapter().update(WEBHOOK_QUEUE, event.id, (existing) => {
+    if (existing) return undefined
+
+    enqueued = true
+    return {
+      eventId: event.id,
+      type: event.type,
+      event,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date().toISOString(),
+      lockedUntil: null,
+      lastError: null,
+      enqueuedAt: new Date().toISOString()
+    }
+  })
+
+  return enqueued
+}
+
+export async function getQueuedWebhookEvents() {
+  return await getStorageAdapter().list(WEBHOOK_QUEUE)
+}
+
+// Atomically take a due queue item. Items left 'processing' past their lock
+// (e.g. the worker crashed) become claimable again.
+export async function claimQueuedWebhookEvent(eventId, lockMs) {
+  let claimed = false
+  const now = Date.now()
+
+  const item = await getStorageAdapter().update(WEBHOOK_QUEUE, eventId, (existing) => {
+    if (!existing) return undefined
+
+    const isDue = existing.status === 'pending' && new Date(existing.nextAttemptAt).getTime() <= now
+    const isAbandoned = existing.status === 'processing' && new Date(existing.lockedUntil).getTime() <= now
+    if (!isDue && !isAbandoned) return undefined
+
+    claimed = true
+    return {
+      ...existing,
+      status: 'processing',
+      attempts: existing.attempts + 1,
+      lockedUntil: new Date(now + lockMs).toISOString()
+    }
+  })
+
+  return claimed ? item : null
+}
+
+export async function rescheduleQueuedWebhookEvent(eventId, nextAttemptAt, error) {
+  return await getStorageAdapter().update(WEBHOOK_QUEUE, eventId, (existing) => {
+    if (!existing) return undefined
+
+    return {
+      ...existing,
+      status: 'pending',
+      nextAttemptAt,
+      lockedUntil: null,
+      lastError: error?.message || String(error)
+    }
+  })
+}
+
+export async function removeQueuedWebhookEvent(eventId) {
+  return await getStorageAdapter().remove(WEBHOOK_QUEUE, eventId)
+}
+
+// ===== DEAD LETTERS =====
+
+// Move an event that exhausted its retries out of the queue
+export async function moveWebhookEventToDeadLetter(eventId, error) {
+  const item = await getStorageAdapter().get(WEBHOOK_QUEUE, eventId)
+  if (!item) return false
+
+  await getStorageAdapter().set(DEAD_LETTERS, eventId, {
+    eventId: item.eventId,
+    type: item.type,
+    event: item.event,
+    attempts: item.attempts,
+    lastError: error?.message || String(error),
+    enqueuedAt: item.enqueuedAt,
+    deadLetteredAt: new Date().toISOString()
+  })
+  await getStorageAdapter().remove(WEBHOOK_QUEUE, eventId)
+
+  console.warn(`💀 Moved event ${eventId} (${item.type}) to dead letters after ${item.attempts} attempts`)
+  return true
+}
+
+export async function getDeadLetters() {
+  return await getStorageAdapter().list(DEAD_LETTERS)
+}
+
+export async function getDeadLetter(eventId) {
+  return await getStorageAdapter().get(DEAD_LETTERS, eventId)
+}
+
+export async function removeDeadLetter(eventId) {
+  return await getStorageAdapter().remove(DEAD_LETTERS, eventId)
+}
+
+// ===== IMPORT PROGRESS =====
+
+// Progress of long-running imports (e.g. the Stripe customer backfill), so an
+// interrupted run can carry on where it stopped
+export async function getImportRun(name) {
+  return await getStorageAdapter().get(IMPORT_RUNS, name)
+}
+
+export async function saveImportRun(name, run) {
+  await getStorageAdapter().set(IMPORT_RUNS, name, {
+    ...run,
+    updatedAt: new Date().toISOString()
+  })
+}
+
+// ===== RETENTION OFFERS =====
+
+// Running counts of how each save offer does, overall and per cancellation
+// reason. outcome is 'shown', 'accepted' or 'declined'.
+export async function recordRetentionOfferOutcome(offerId, reason, outcome) {
+  const reasonKey = reason || 'none'
+
+  await getStorageAdapter().update(RETENTION_OFFER_STATS, offerId, (current) => {
+    const stats = current || { offerId, shown: 0, accepted: 0, declined: 0, byReason: {} }
+    const byReason = stats.byReason[reasonKey] || { shown: 0, accepted: 0, declined: 0 }
+
+    return {
+      ...stats,
+      [outcome]: stats[outcome] + 1,
+      byReason: {
+        ...stats.byReason,
+        [reasonKey]: { ...byReason, [outcome]: byReason[outcome] + 1 }
+      },
+      updatedAt: new Date().toISOString()
+    }
+  })
+}
+
+export async function getRetentionOfferStats() {
+  return await getStorageAdapter().list(RETENTION_OFFER_STATS)
+}
+
+// ===== GIFTS =====
+
+// Gift codes bought for someone else, keyed by code. status goes pending
+// (awaiting payment) → available → redeeming → redeemed, or revoked when the
+// payment is refunded or disputed before the code is used.
+
+// A redemption stuck in 'redeeming' longer than this is assumed to have
+// crashed part-way and the code can be claimed again. The new claim finishes
+// with the subscription the old one created, if it got that far (see
+// findGiftSubscription in lib/gifts.js).
+const GIFT_REDEMPTION_TIMEOUT_MS = 5 * 60 * 1000
+
+export async function createGift(gift) {
+  let created = false
+
+  await getStorageAdapter().update(GIFTS, gift.code, (existing) => {
+    if (existing) return undefined
+
+    created = true
+    return {
+      ...gift,
+      status: 'pending',
+      createdAt: new Date().toISOString()
+    }
+  })
+
+  return created
+}
+
+export async function getGift(code) {
+  return await getStorageAdapter().get(GIFTS, code)
+}
+
+export async function getGifts() {
+  return await getStorageAdapter().list(GIFTS)
+}
+
+// The payment went through - the code can be redeemed. Returns the gift, or
+// null if it had already moved on (replays, revoked).
+export async function markGiftPaid(code, { paymentIntentId, amount }) {
+  let paid = false
+
+  const gift = await getStorageAdapter().update(GIFTS, code, (existing) => {
+    if (!existing || existing.status !== 'pending') return undefined
+
+    paid = true
+    return {
+      ...existing,
+      status: 'available',
+      paymentIntentId,
+      amount: amount ?? existing.amount,
+      paidAt: new Date().toISOString()
+    }
+  })
+
+  if (paid) console.log(`🎁 Gift ${code} paid - ready to redeem`)
+  return paid ? gift : null
+}
+
+// Atomically take an available gift for redemption by email. Returns the gift,
+// or null if it can't be redeemed right now.
+export async function claimGiftForRedemption(code, email) {
+  let claimed = false
+  const now = Date.now()
+
+  const gift = await getStorageAdapter().update(GIFTS, code, (existing) => {
+    if (!existing) return undefined
+
+    const abandoned = existing.status === 'redeeming' &&
+      now - new Date(existing.redeemingAt).getTime() >= GIFT_REDEMPTION_TIMEOUT_MS
+    if (existing.status !== 'available' && !abandoned) return undefined
+
+    claimed = true
+    return {
+      ...existing,
+      status: 'redeeming',
+      redeemingAt: new Date(now).toISOString(),
+      redeemingEmail: email
+    }
+  })
+
+  return claimed ? gift : null
+}
+
+// Remembered as soon as the subscription exists, so a redemption that stalls
+// before completing can't lead to a second one
+export async function recordGiftSubscription(code, subscriptionId) {
+  return await getStorageAdapter().update(GIFTS, code, (existing) => {
+    if (!existing || existing.status !== 'redeeming') return undefined
+
+    return { ...existing, subscriptionId }
+  })
+}
+
+export async function completeGiftRedemption(code, redemption) {
+  return await getStorageAdapter().update(GIFTS, code, (existing) => {
+    if (!existing || existing.status !== 'redeeming') return undefined
+
+    console.log(`🎁 Gift ${code} redeemed by ${redemption.email}`)
+    return {
+      ...existing,
+      status: 'redeemed',
+      redeemingAt: null,
+      redeemingEmail: null,
+      redeemedBy: redemption,
+      redeemedAt: new Date().toISOString()
+    }
+  })
+}
+
+// Redemption failed - put the code back so it can be tried again
+export async function releaseGiftRedemption(code, error) {
+  return await getStorageAdapter().update(GIFTS, code, (existing) => {
+    if (!existing || existing.status !== 'redeeming') return undefined
+
+    return {
+      ...existing,
+      status: 'available',
+      redeemingAt: null,
+      redeemingEmail: null,
+      lastRedemptionError: error?.message || String(error)
+    }
+  })
+}
+
+// Refunded or disputed before it was used. Redeemed gifts are left alone - the
+// recipient's subscription has to be cancelled by hand.
+export async function revokeGift(code, reason) {
+  let revoked = false
+
+  await getStorageAdapter().update(GIFTS, code, (existing) => {
+    if (!existing || !['pending', 'available'].includes(existing.status)) return undefined
+
+    revoked = true
+    return {
+      ...existing,
+      status: 'revoked',
+      revokedReason: reason,
+      revokedAt: new Date().toISOString()
+    }
+  })
+
+  if (revoked) console.log(`🚫 Gift ${code} revoked (${reason})`)
+  return revoked
+}
+
 // ===== UTILITY FUNCTIONS =====
 
 export async function getAllData() {
-  return await readData()
+  return await getStorageAdapter().dump()
 }
 
 export async function getAllCustomers() {
-  const data = await readData()
-  return data.customers || {}
+  return await getStorageAdapter().list(CUSTOMERS)
 }
 
 // Get customer with clean entitlements format
@@ -0,0 +1,158 @@
+import { stripe } from './stripe-server.js'
+import {
+  saveCustomer,
+  saveCustomerSubscription,
+  saveCustomerEntitlements,
+  suspendCustomerEntitlements,
+} from './storage.js'
+import { getBaseItem, isAddonPrice } from './addons.js'
+
+// Helpers that turn live Stripe objects into the records lib/storage.js keeps.
+// Shared by the webhook handlers, reconciliation and the backfill import so
+// every path stores the same shape.
+
+// Statuses that mean "this is the customer's current subscription", best first
+const CURRENT_SUBSCRIPTION_STATUSES = ['active', 'trialing', 'past_due', 'unpaid', 'paused', 'incomplete']
+
+function productIdOf(price) {
+  return typeof price?.product === 'string' ? price.product : price?.product?.id
+}
+
+// priceId/productId/quantity describe the tier item; items lists every item,
+// add-ons included
+export function buildSubscriptionRecord(subscription) {
+  const baseItem = getBaseItem(subscription)
+
+  return {
+    stripeSubscriptionId: subscription.id,
+    status: subscription.status,
+    priceId: baseItem?.price?.id,
+    productId: productIdOf(baseItem?.price),
+    // Number of premium servers paid for
+    quantity: baseItem?.quantity ?? 1,
+    items: subscription.items.data.map(item => ({
+      itemId: item.id,
+      priceId: item.price.id,
+      productId: productIdOf(item.price),
+      quantity: item.quantity ?? 1,
+      addon: isAddonPrice(item.price)
+    })),
+    currentPeriodStart: subscription.current_period_start,
+    currentPeriodEnd: subscription.current_period_end,
+    cancelAtPeriodEnd: subscription.cancel_at_period_end,
+    cancelAt: subscription.cancel_at,
+    canceledAt: subscription.canceled_at,
+    endedAt: subscription.ended_at,
+    cancellationDetails: subscription.cancellation_details || null,
+    trialStart: subscription.trial_start,
+    trialEnd: subscription.trial_end,
+    pauseCollection: subscription.pause_collection,
+    metadata: subscription.metadata,
+  }
+}
+
+// Pick the subscription storage should reflect: the "most alive" one, or the
+// most recently created if they're all finished
+export function pickCurrentSubscription(subscriptions) {
+  if (subscriptions.length === 0) return null
+
+  for (const status of CURRENT_SUBSCRIPTION_STATUSES) {
+    const match = subscriptions.find(sub => sub.status === status)
+    if (match) return match
+  }
+
+  return [...subscriptions].sort((a, b) => b.created - a.created)[0]
+}
+
+export async function listCustomerSubscriptions(customerId) {
+  const subscriptions = []
+  for await (const subscription of stripe.subscriptions.list({ customer: customerId, status: 'all', limit: 100 })) {
+    subscriptions.push(subscription)
+  }
+  return subscriptions
+}
+
+export async function listActiveEntitlements(customerId) {
+  const entitlements = []
+  for await (const entitlement of stripe.entitlements.activeEntitlements.list({ customer: customerId, limit: 100 })) {
+    entitlements.push(entitlement)
+  }
+  return entitlements
+}
+
+// Build the { [entitlementId]: record } map stored under a customer, looking
+// up each feature's name and metadata (entitlement.feature is just an ID).
+// featureCache can be shared across customers to avoid refetching features.
+export async function buildEntitlementRecords(entitlements, featureCache = new Map()) {
+  const customerEntitlements = {}
+
+  for (const entitlement of entitlements) {
+    // Get feature details since entitlement.feature is just an ID
+    let featureName = 'Unknown Feature'
+    let featureMetadata = {}
+
+    try {
+      // Fetch the full feature object
+      if (!featureCache.has(entitlement.feature)) {
+        featureCache.set(entitlement.feature, await stripe.entitlements.features.retrieve(entitlement.feature))
+      }
+      const feature = featureCache.get(entitlement.feature)
+      featureName = feature.name || feature.lookup_key
+      featureMetadata = feature.metadata || {}
+      console.log(`  🔍 Retrieved feature details: ${featureName} (${feature.lookup_key})`)
+    } catch (featureError) {
+      console.warn(`  ⚠️ Could not retrieve feature ${entitlement.feature}:`, featureError.message)
+      // Use lookup_key from entitlement as fallback
+      featureName = entitlement.lookup_key || 'Unknown Feature'
+    }
+
+    customerEntitlements[entitlement.id] = {
+      stripeEntitlementId: entitlement.id,
+      featureId: entitlement.feature,
+      featureLookupKey: entitlement.lookup_key,
+      featureName: featureName,
+      status: 'active',
+      type: entitlement.type,
+      value: entitlement.value,
+      metadata: featureMetadata,
+      updatedAt: new Date().toISOString()
+    }
+  }
+
+  return customerEntitlements
+}
+
+export function buildCustomerRecord(customer) {
+  return {
+    stripeCustomerId: customer.id,
+    email: customer.email,
+    name: customer.name,
+    metadata: customer.metadata,
+    created: customer.created
+  }
+}
+
+// Write a Stripe customer, their current subscription and active entitlements
+// through the storage API. Customers whose subscription is past_due/unpaid are
+// suspended the same way invoice.payment_failed would.
+export async function syncCustomerFromStripe(customer, { source = {}, featureCache = new Map() } = {}) {
+  await saveCustomer(customer.id, buildCustomerRecord(customer), source)
+
+  const subscription = pickCurrentSubscription(await listCustomerSubscriptions(customer.id))
+  if (subscription) {
+    await saveCustomerSubscription(customer.id, buildSubscriptionRecord(subscription), source)
+  }
+
+  const entitlements = await buildEntitlementRecords(await listActiveEntitlements(customer.id), featureCache)
+  await saveCustomerEntitlements(customer.id, entitlements, source)
+
+  if (subscription && ['past_due', 'unpaid'].includes(subscription.status)) {
+    await suspendCustomerEntitlements(customer.id, {
+      reason: 'payment_failed',
+      subscriptionId: subscription.id,
+      detectedBy: source.eventId || 'sync'
+    })
+  }
+
+  return { subscription, entitlementCount: Object.keys(entitlements).length }
+}
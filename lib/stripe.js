@@ -3,4 +3,7 @@ import { loadStripe } from '@stripe/stripe-js'
 // Client-side Stripe - used for payment forms and 3D Secure
 export const stripePromise = loadStripe(
   process.env.NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY
-)
\ No newline at end of file
+)
+// Set per environment: 'elements' (default) takes payment on our own checkout
+// page, 'hosted' redirects to a Stripe Checkout Session
+export const checkoutMode = process.env.NEXT_PUBLIC_CHECKOUT_MODE === 'hosted' ? 'hosted' : 'elements'
@@ -0,0 +1,96 @@
+import { stripe } from './stripe-server.js'
+
+// Stripe Tax for new subscriptions. It has to be switched on in the Dashboard
+// (Settings → Tax) with a registration for each country you collect tax in.
+// Off unless STRIPE_AUTOMATIC_TAX=true - without that setup Stripe rejects
+// every subscription that asks for automatic tax.
+export function isAutomaticTaxEnabled() {
+  return process.env.STRIPE_AUTOMATIC_TAX === 'true'
+}
+
+// details from normalizeBillingDetails. Stored on the customer so renewals are
+// taxed for the same address, and checked straight away so a bad address fails
+// here rather than when the subscription is created.
+export async function saveCustomerBillingDetails(customerId, details) {
+  await stripe.customers.update(customerId, {
+    address: details.address,
+    ...(details.name ? { name: details.name } : {}),
+    ...(isAutomaticTaxEnabled() ? { tax: { validate_location: 'immediately' } } : {})
+  })
+
+  if (!details.taxId) return
+
+  const taxIds = await stripe.customers.listTaxIds(customerId, { limit: 100 })
+  const known = taxIds.data.some(taxId => taxId.type === details.taxId.type && taxId.value === details.taxId.value)
+
+  if (!known) {
+    await stripe.customers.createTaxId(customerId, details.taxId)
+    console.log(`🧾 Added ${details.taxId.type} tax ID to customer ${customerId}`)
+  }
+}
+
+// Tax for a one-off PaymentIntent (lifetime and gift purchases), which Stripe
+// Tax can't add by itself. Worked out from the customer's saved address with a
+// tax calculation, recorded once paid (see recordTaxTransaction). Returns
+// { amountTotal, tax: { amount, inclusive }, calculationId }.
+export async function calculatePaymentTax(customerId, { amount, currency, productId, reference, taxBehavior }) {
+  if (!isAutomaticTaxEnabled()) {
+    return { amountTotal: amount, tax: { amount: 0, inclusive: false }, calculationId: null }
+  }
+
+  const calculation = await stripe.tax.calculations.create({
+    currency,
+    customer: customerId,
+    line_items: [{
+      amount,
+      product: productId,
+      reference,
+      tax_behavior: taxBehavior === 'inclusive' ? 'inclusive' : 'exclusive'
+    }]
+  })
+
+  return {
+    amountTotal: calculation.amount_total,
+    tax: {
+      amount: calculation.tax_amount_exclusive + calculation.tax_amount_inclusive,
+      inclusive: calculation.tax_amount_inclusive > 0
+    },
+    calculationId: calculation.id
+  }
+}
+
+// Stripe Tax only reports tax from a calculation once it's recorded as a
+// transaction. Safe to call more than once for the same payment.
+export async function recordTaxTransaction(paymentIntent) {
+  const calculation = paymentIntent.metadata?.tax_calculation
+  if (!calculation) return null
+
+  const transaction = await stripe.tax.transactions.createFromCalculation(
+    { calculation, reference: paymentIntent.id },
+    { idempotencyKey: `payment-tax-${paymentIntent.id}` }
+  )
+
+  console.log(`🧾 Recorded tax transaction ${transaction.id} for payment ${paymentIntent.id}`)
+  return transaction
+}
+
+// The tax on an invoice and whether it's already included in the prices
+export function summarizeInvoiceTax(invoice) {
+  const taxes = invoice.total_tax_amounts || invoice.total_taxes || []
+
+  return {
+    amount: invoice.tax ?? taxes.reduce((total, tax) => total + tax.amount, 0),
+    inclusive: taxes.some(tax => tax.inclusive || tax.tax_behavior === 'inclusive')
+  }
+}
+
+// A message for the customer when Stripe rejected their address or VAT ID
+export function describeTaxError(error) {
+  if (error.code === 'customer_tax_location_invalid') {
+    return "We couldn't work out tax for that billing address - please check it"
+  }
+  if (error.code === 'tax_id_invalid') {
+    return "That VAT ID doesn't look right - please check it or leave it blank"
+  }
+  return null
+}
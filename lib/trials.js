@@ -0,0 +1,101 @@
+import { stripe } from './stripe-server.js'
+import { isAutomaticTaxEnabled } from './tax.js'
+
+// Free trials are configured per product through metadata set by
+// scripts/create-products.mjs:
+//   trial_days                      length of the trial (0 or missing = no trial)
+//   trial_requires_payment_method   'false' lets customers start without a card
+
+export function getProductTrial(product) {
+  const days = parseInt(product?.metadata?.trial_days || 0)
+  if (!(days > 0)) return null
+
+  return {
+    days,
+    paymentMethodRequired: product.metadata.trial_requires_payment_method !== 'false'
+  }
+}
+
+// One trial per customer - anyone who has subscribed before pays straight away
+export function isEligibleForTrial(previousSubscriptions) {
+  return !previousSubscriptions.some(sub => sub.trial_start || ['active', 'past_due', 'unpaid', 'canceled'].includes(sub.status))
+}
+
+// 💳 Trials that need a card don't exist until the card is saved. The checkout
+// only gets a SetupIntent carrying the requested plan in its metadata; the
+// subscription (and with it the entitlements) is created from that once the
+// SetupIntent succeeds - by the setup_intent.succeeded webhook or by the
+// success page, whichever gets there first.
+export async function createCardTrialSetupIntent(customerId, { priceId, quantity = 1, addonPriceIds = [], promoCodeId = null, planType, productName, trial }) {
+  return stripe.setupIntents.create({
+    customer: customerId,
+    usage: 'off_session',
+    metadata: {
+      trial_price_id: priceId,
+      trial_quantity: String(quantity),
+      trial_addon_price_ids: [...new Set(addonPriceIds)].join(','),
+      trial_days: String(trial.days),
+      trial_promotion_code: promoCodeId || '',
+      plan: planType,
+      product: productName || 'Unknown'
+    }
+  })
+}
+
+export function isCardTrialSetupIntent(setupIntent) {
+  return !!setupIntent?.metadata?.trial_price_id
+}
+
+// Returns the trial subscription for a succeeded card-trial SetupIntent,
+// creating it the first time. Null if the card isn't saved yet, or the
+// customer has subscribed since (one trial per customer still applies).
+export async function startCardTrial(setupIntent) {
+  if (!isCardTrialSetupIntent(setupIntent) || setupIntent.status !== 'succeeded' || !setupIntent.payment_method) {
+    return null
+  }
+
+  const customerId = typeof setupIntent.customer === 'string' ? setupIntent.customer : setupIntent.customer.id
+  const paymentMethodId = typeof setupIntent.payment_method === 'string' ? setupIntent.payment_method : setupIntent.payment_method.id
+
+  const subscriptions = await stripe.subscriptions.list({ customer: customerId, status: 'all', limit: 100 })
+  const started = subscriptions.data.find(sub => sub.metadata?.trial_setup_intent === setupIntent.id)
+  if (started) return started
+
+  if (!isEligibleForTrial(subscriptions.data)) {
+    console.log(`🎁 Not starting a trial from ${setupIntent.id} - customer ${customerId} has subscribed before`)
+    return null
+  }
+
+  const { metadata } = setupIntent
+  const addonPriceIds = metadata.trial_addon_price_ids ? metadata.trial_addon_price_ids.split(',') : []
+
+  const subscriptionConfig = {
+    customer: customerId,
+    items: [{ price: metadata.trial_price_id, quantity: parseInt(metadata.trial_quantity) || 1 }, ...addonPriceIds.map(price => ({ price }))],
+    default_payment_method: paymentMethodId,
+    trial_period_days: parseInt(metadata.trial_days),
+    trial_settings: { end_behavior: { missing_payment_method: 'cancel' } },
+    metadata: {
+      plan: metadata.plan,
+      product: metadata.product,
+      trial_requires_payment_method: 'true',
+      trial_setup_intent: setupIntent.id
+    }
+  }
+
+  if (isAutomaticTaxEnabled()) {
+    subscriptionConfig.automatic_tax = { enabled: true }
+  }
+
+  if (metadata.trial_promotion_code) {
+    subscriptionConfig.promotion_code = metadata.trial_promotion_code
+  }
+
+  // Both the webhook and the success page can get here at the same time
+  const subscription = await stripe.subscriptions.create(subscriptionConfig, {
+    idempotencyKey: `card-trial-${setupIntent.id}`
+  })
+
+  console.log(`🎁 Trial started after card was saved: ${subscription.id} (ends ${new Date(subscription.trial_end * 1000).toISOString()})`)
+  return subscription
+}
@@ -0,0 +1,54 @@
+// Discord logging utility
+export async function sendDiscordLog(embed) {
+  if (!process.env.DISCORD_WEBHOOK_URL) {
+    return // Skip if no webhook URL configured
+  }
+
+  try {
+    await fetch(process.env.DISCORD_WEBHOOK_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        embeds: [embed]
+      })
+    })
+  } catch (error) {
+    console.error('Discord logging failed:', error.message)
+    // Don't throw - we don't want Discord failures to break Stripe processing
+  }
+}
+
+// Helper function to format cancellation reasons
+export function formatCancellationReason(reason) {
+  const reasonMap = {
+    'cancellation_requested': 'Customer Requested',
+    'payment_failed': 'Payment Failed',
+    'product_discontinued': 'Product Discontinued',
+    'customer_service': 'Customer Service',
+    'unknown': 'Unknown'
+  }
+  return reasonMap[reason] || reason.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())
+}
+
+// Helper function to format feedback
+export function formatFeedback(feedback) {
+  const feedbackMap = {
+    'unused': '🚫 Unused',
+    'too_expensive': '💸 Too Expensive',
+    'too_complex': '🤯 Too Complex',
+    'low_quality': '👎 Low Quality',
+    'missing_features': '🔧 Missing Features',
+    'switched_service': '🔄 Switched Service',
+    'customer_service': '📞 Customer Service Issues',
+    'other': '❓ Other'
+  }
+  return feedbackMap[feedback] || (feedback ? feedback.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()) : null)
+}
+
+export function formatBillingInterval(interval) {
+  return interval === 'month' ? 'Monthly' :
+    interval === 'year' ? 'Yearly' :
+      (interval || 'Unknown')
+}
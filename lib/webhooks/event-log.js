@@ -0,0 +1,54 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+// Append-only log of every verified webhook event (one JSON event per line),
+// used by scripts/replay-events.mjs to rebuild storage without going back to
+// Stripe. Set STRIPE_EVENT_LOG_FILE=off to disable it.
+function getEventLogFile() {
+  const configured = process.env.STRIPE_EVENT_LOG_FILE
+  if (configured === 'off') return null
+  return configured || path.join(process.cwd(), 'logs', 'stripe-events.jsonl')
+}
+
+export async function appendToEventLog(event) {
+  const logFile = getEventLogFile()
+  if (!logFile) return
+
+  try {
+    await fs.mkdir(path.dirname(logFile), { recursive: true })
+    await fs.appendFile(logFile, JSON.stringify(event) + '\n')
+  } catch (error) {
+    // The log is a convenience - never fail a webhook because of it
+    console.warn(`⚠️ Could not append event ${event.id} to event log:`, error.message)
+  }
+}
+
+// Read logged events created within [since, until] (unix seconds), oldest
+// first, de-duplicated by event ID
+export async function readEventLog({ since = 0, until = Infinity } = {}) {
+  const logFile = getEventLogFile()
+  if (!logFile) return []
+
+  let contents
+  try {
+    contents = await fs.readFile(logFile, 'utf8')
+  } catch (error) {
+    if (error.code === 'ENOENT') return []
+    throw error
+  }
+
+  const events = new Map()
+  for (const line of contents.split('\n')) {
+    if (!line.trim()) continue
+    try {
+      const event = JSON.parse(line)
+      if (event.created >= since && event.created <= until) {
+        events.set(event.id, event)
+      }
+    } catch {
+      console.warn('⚠️ Skipping unreadable event log line')
+    }
+  }
+
+  return [...events.values()].sort((a, b) => a.created - b.created)
+}
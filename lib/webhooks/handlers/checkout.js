@@ -0,0 +1,38 @@
+import { stripe } from '../../stripe-server.js'
+import { saveCustomerSubscription } from '../../storage.js'
+import { buildSubscriptionRecord } from '../../stripe-sync.js'
+import { onStripeEvent } from '../registry.js'
+
+// Hosted Checkout Sessions (see create-checkout-session). The subscription's
+// own invoice and subscription events still arrive as usual; completing the
+// session just confirms it straight away.
+
+export async function handleCheckoutSessionCompleted(event, { source }) {
+  const session = event.data.object
+  console.log(`🛒 Checkout Session completed: ${session.id} (${session.mode}, ${session.payment_status})`)
+
+  if (session.mode !== 'subscription' || !session.subscription || !session.customer) return
+
+  // Bank debits and other delayed methods confirm later through the invoice webhooks
+  if (session.payment_status === 'unpaid') {
+    console.log(`⏳ Payment for ${session.subscription} is still processing - waiting for the invoice`)
+    return
+  }
+
+  const subscription = await stripe.subscriptions.retrieve(session.subscription)
+
+  if (['active', 'trialing'].includes(subscription.status)) {
+    await saveCustomerSubscription(session.customer, buildSubscriptionRecord(subscription), source)
+    console.log(`💾 Saved subscription ${subscription.id} from Checkout for customer: ${session.customer}`)
+  }
+}
+
+// Nothing was bought, so there's nothing to store - the Discord log listener
+// reports the abandoned checkout
+export async function handleCheckoutSessionExpired(event) {
+  const session = event.data.object
+  console.log(`⌛ Checkout Session expired without payment: ${session.id} (customer ${session.customer || 'none'})`)
+}
+
+onStripeEvent('checkout.session.completed', handleCheckoutSessionCompleted)
+onStripeEvent('checkout.session.expired', handleCheckoutSessionExpired)
@@ -0,0 +1,25 @@
+import { saveCustomer, forgetCustomer, getCustomerDeletionPolicy } from '../../storage.js'
+import { onStripeEvent } from '../registry.js'
+
+export async function handleCustomerSaved(event, { source }) {
+  const customer = event.data.object
+  console.log("**[customer.created/updated] CUSTOMER OBJECT**", customer);
+  await saveCustomer(customer.id, {
+    stripeCustomerId: customer.id,
+    email: customer.email,
+    name: customer.name,
+    created: customer.created,
+  }, source)
+  console.log('Customer saved:', customer.id)
+}
+
+// Deleted in Stripe (dashboard, API or scripts/wipe.mjs) - drop or anonymize
+// the local record depending on CUSTOMER_DELETION_POLICY
+export async function handleCustomerDeleted(event, { source }) {
+  const customer = event.data.object
+  console.log(`🗑️ Customer deleted in Stripe: ${customer.id} (policy: ${getCustomerDeletionPolicy()})`)
+  await forgetCustomer(customer.id, source)
+}
+
+onStripeEvent(['customer.created', 'customer.updated'], handleCustomerSaved)
+onStripeEvent('customer.deleted', handleCustomerDeleted)
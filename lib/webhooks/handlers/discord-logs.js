@@ -0,0 +1,538 @@
+import { stripe } from '../../stripe-server.js'
+import { onStripeEvent } from '../registry.js'
+import { sendDiscordLog, formatCancellationReason, formatFeedback, formatBillingInterval } from '../discord.js'
+import { isSubscriptionInvoice, isInitialPaymentAttempt, getChargeCustomerId } from '../helpers.js'
+import { formatMoney } from '../../currency.js'
+import { summarizeInvoiceTax } from '../../tax.js'
+import { getBaseItem, getAddonItems } from '../../addons.js'
+import { isLifetimePaymentIntent } from '../../lifetime.js'
+import { isGiftPaymentIntent } from '../../gifts.js'
+
+// Discord log posts. These run as separate listeners after the core handlers
+// so a Discord outage never affects storage, and other services can be hooked
+// in the same way.
+
+export async function logPaymentSucceeded(event) {
+  const invoiceSucceeded = event.data.object
+  const subscriptionId = invoiceSucceeded.parent?.subscription_details?.subscription
+
+  if (!subscriptionId || !invoiceSucceeded.customer) return
+
+  try {
+    const customer = await stripe.customers.retrieve(invoiceSucceeded.customer)
+    console.log('[invoice.payment_succeeded] **CUSTOMER OBJECT**', customer)
+
+    // ✅ FIX: Use the correct subscription ID from the nested structure
+    const subscription = await stripe.subscriptions.retrieve(subscriptionId)
+    console.log('[invoice.payment_succeeded] **SUBSCRIPTION OBJECT**', subscription)
+
+    // Get the product name from the subscription
+    const priceId = getBaseItem(subscription).price?.id
+    const price = await stripe.prices.retrieve(priceId)
+    const product = await stripe.products.retrieve(price.product)
+    const addonNames = await Promise.all(getAddonItems(subscription).map(async item =>
+      (await stripe.products.retrieve(item.price.product)).name
+    ))
+
+    // The zero-amount invoice at the start of a trial
+    const trialStarted = subscription.status === 'trialing' && invoiceSucceeded.amount_paid === 0
+    const trialDays = trialStarted ? Math.round((subscription.trial_end - subscription.trial_start) / (24 * 60 * 60)) : 0
+    const tax = summarizeInvoiceTax(invoiceSucceeded)
+    const taxIds = (invoiceSucceeded.customer_tax_ids || []).map(taxId => taxId.value)
+
+    await sendDiscordLog({
+      title: trialStarted ? '🎁 Free Trial Started' : '💰 Subscription Payment Succeeded',
+      color: trialStarted ? 0x3b82f6 : 0x00ff00, // Blue / green
+      fields: [
+        // Row 1: Name and Email (2 columns)
+        {
+          name: '👤 Customer Name',
+          value: customer.name || 'Not provided',
+          inline: true
+        },
+        {
+          name: '📧 Email',
+          value: customer.email || 'Unknown',
+          inline: true
+        },
+
+        // Row 2: Customer ID (full width)
+        {
+          name: '🆔 Customer ID',
+          value: `\`${customer.id}\``,
+          inline: false
+        },
+
+        // Row 3: Plan details
+        {
+          name: '📦 Plan',
+          value: product.name || 'Unknown',
+          inline: true
+        },
+        {
+          name: '🔄 Cycle',
+          value: formatBillingInterval(price.recurring.interval),
+          inline: true
+        },
+        {
+          name: '💰 Amount',
+          value: trialStarted
+            ? `Free for ${trialDays} days, then ${formatMoney(price.unit_amount, price.currency)}`
+            : formatMoney(invoiceSucceeded.amount_paid, invoiceSucceeded.currency),
+          inline: true
+        },
+
+        // Row 4: Add-ons (only if any, full width)
+        ...(addonNames.length > 0 ? [{
+          name: '🧩 Add-ons',
+          value: addonNames.join(', '),
+          inline: false
+        }] : []),
+
+        // Row 5: Tax and VAT ID (only if charged / given)
+        ...(tax.amount > 0 ? [{
+          name: '🧾 Tax',
+          value: `${formatMoney(tax.amount, invoiceSucceeded.currency)}${tax.inclusive ? ' (included)' : ''}`,
+          inline: true
+        }] : []),
+        ...(taxIds.length > 0 ? [{
+          name: '🏢 VAT ID',
+          value: taxIds.join(', '),
+          inline: true
+        }] : []),
+
+        // Row 6: Discount (only if exists, full width)
+        ...(subscription.discount?.coupon ? [{
+          name: '🎟️ Discount Applied',
+          value: `**${subscription.discount.coupon.name}** - ${subscription.discount.coupon.percent_off
+            ? `${subscription.discount.coupon.percent_off}% off`
+            : `${formatMoney(subscription.discount.coupon.amount_off, subscription.discount.coupon.currency)} off`
+            }`,
+          inline: false
+        }] : []),
+
+        // Row 7: Invoice ID (full width)
+        {
+          name: '🧾 Invoice ID',
+          value: `\`${invoiceSucceeded.id}\``,
+          inline: false
+        }
+      ],
+      timestamp: new Date().toISOString()
+    })
+
+  } catch (discordError) {
+    console.error('Discord logging failed for payment succeeded:', discordError.message)
+  }
+}
+
+export async function logPaymentFailed(event) {
+  const invoiceFailed = event.data.object
+
+  if (!isSubscriptionInvoice(invoiceFailed) || !invoiceFailed.customer || isInitialPaymentAttempt(invoiceFailed)) return
+
+  // Discord logging for payment failures
+  try {
+    const customer = await stripe.customers.retrieve(invoiceFailed.customer)
+
+    await sendDiscordLog({
+      title: '🚨 Subscription Payment Failed',
+      color: 0xff0000, // Red
+      fields: [
+        { name: 'Customer', value: customer.email || 'Unknown', inline: true },
+        { name: 'Amount Due', value: formatMoney(invoiceFailed.amount_due, invoiceFailed.currency), inline: true },
+        { name: 'Attempt', value: `${invoiceFailed.attempt_count}`, inline: true },
+        { name: 'Billing Reason', value: invoiceFailed.billing_reason, inline: true },
+        { name: 'Invoice ID', value: invoiceFailed.id, inline: false }
+      ],
+      timestamp: new Date().toISOString()
+    })
+  } catch (discordError) {
+    console.error('Discord logging failed for payment failed:', discordError.message)
+  }
+}
+
+export async function logSubscriptionCancelled(event) {
+  const deletedSubscription = event.data.object
+
+  try {
+    const customer = await stripe.customers.retrieve(deletedSubscription.customer)
+    const product = await stripe.products.retrieve(getBaseItem(deletedSubscription).price.product)
+
+    // Calculate subscription duration
+    const subscriptionDuration = deletedSubscription.ended_at - deletedSubscription.created
+    const durationDays = Math.floor(subscriptionDuration / (24 * 60 * 60))
+
+    // Get cancellation reason
+    const cancellationReason = deletedSubscription.cancellation_details?.reason || 'unknown'
+    const cancellationFeedback = deletedSubscription.cancellation_details?.feedback
+    const cancellationComment = deletedSubscription.cancellation_details?.comment
+
+    // Calculate billing cycle info
+    const billingCycle = deletedSubscription.plan?.interval === 'month' ? 'Monthly' : 'Yearly'
+    const planAmount = deletedSubscription.plan
+      ? formatMoney(deletedSubscription.plan.amount, deletedSubscription.plan.currency)
+      : 'Unknown'
+
+    await sendDiscordLog({
+      title: '❌ Subscription Cancelled',
+      color: 0xff9900, // Orange
+      fields: [
+        // Row 1: Customer Name and Email
+        {
+          name: '👤 Customer Name',
+          value: customer.name || 'Not provided',
+          inline: true
+        },
+        {
+          name: '📧 Email',
+          value: customer.email || 'Unknown',
+          inline: true
+        },
+
+        // Row 2: Customer ID
+        {
+          name: '🆔 Customer ID',
+          value: `\`${customer.id}\``,
+          inline: false
+        },
+
+        // Row 3: Plan details
+        {
+          name: '📦 Plan',
+          value: product.name || 'Unknown',
+          inline: true
+        },
+        {
+          name: '🔄 Cycle',
+          value: billingCycle,
+          inline: true
+        },
+        {
+          name: '💰 Value',
+          value: planAmount,
+          inline: true
+        },
+
+        // Row 4: Duration
+        {
+          name: '⏱️ Subscription Duration',
+          value: `${durationDays} day${durationDays !== 1 ? 's' : ''}`,
+          inline: false
+        },
+
+        // Row 5: Cancellation reason and feedback (combined if both exist)
+        ...(() => {
+          const formattedReason = formatCancellationReason(cancellationReason)
+          const formattedFeedback = formatFeedback(cancellationFeedback)
+
+          // If we have both reason and feedback, combine them intelligently
+          if (cancellationReason !== 'cancellation_requested' && formattedFeedback) {
+            return [{
+              name: '❓ Cancellation Details',
+              value: `**Reason:** ${formattedReason}\n**Feedback:** ${formattedFeedback}`,
+              inline: false
+            }]
+          }
+          // If only non-default reason
+          else if (cancellationReason !== 'cancellation_requested') {
+            return [{
+              name: '❓ Cancellation Reason',
+              value: formattedReason,
+              inline: false
+            }]
+          }
+          // If only feedback (and reason is default)
+          else if (formattedFeedback) {
+            return [{
+              name: '💭 Customer Feedback',
+              value: formattedFeedback,
+              inline: false
+            }]
+          }
+          // Neither - return empty array
+          return []
+        })(),
+
+        // Row 6: Comment (only if exists)
+        ...(cancellationComment ? [{
+          name: '💬 Customer Comment',
+          value: `"${cancellationComment}"`,
+          inline: false
+        }] : []),
+
+        // Row 7: Subscription ID
+        {
+          name: '🔗 Subscription ID',
+          value: `\`${deletedSubscription.id}\``,
+          inline: false
+        }
+      ],
+      timestamp: new Date().toISOString()
+    })
+  } catch (discordError) {
+    console.error('Discord logging failed for subscription deleted:', discordError.message)
+  }
+}
+
+export async function logTrialWillEnd(event) {
+  const trialSubscription = event.data.object
+
+  try {
+    const customer = await stripe.customers.retrieve(trialSubscription.customer)
+    const product = await stripe.products.retrieve(getBaseItem(trialSubscription).price.product)
+    const hasCard = !!(trialSubscription.default_payment_method || customer.invoice_settings?.default_payment_method)
+
+    await sendDiscordLog({
+      title: '⏳ Free Trial Ending Soon',
+      color: hasCard ? 0x3b82f6 : 0xff9900, // Blue / orange
+      fields: [
+        { name: '📧 Email', value: customer.email || 'Unknown', inline: true },
+        { name: '📦 Plan', value: product.name || 'Unknown', inline: true },
+        { name: '📅 Trial Ends', value: `<t:${trialSubscription.trial_end}:R>`, inline: true },
+        {
+          name: '💳 Next Step',
+          value: hasCard ? 'Card on file - first payment will be taken' : 'No card on file - subscription will be cancelled',
+          inline: false
+        },
+        { name: '🔗 Subscription ID', value: `\`${trialSubscription.id}\``, inline: false }
+      ],
+      timestamp: new Date().toISOString()
+    })
+  } catch (discordError) {
+    console.error('Discord logging failed for trial will end:', discordError.message)
+  }
+}
+
+// Cancellations requested from the account page, and their reversal. The
+// subscription only ends (and logSubscriptionCancelled fires) at period end.
+export async function logCancellationScheduled(event) {
+  const subscription = event.data.object
+  const previousAttributes = event.data.previous_attributes
+
+  if (!previousAttributes ||
+    !('cancel_at_period_end' in previousAttributes || 'cancel_at' in previousAttributes)) return
+
+  const scheduled = !!(subscription.cancel_at_period_end || subscription.cancel_at)
+
+  try {
+    const customer = await stripe.customers.retrieve(subscription.customer)
+    const product = await stripe.products.retrieve(getBaseItem(subscription).price.product)
+    const feedback = formatFeedback(subscription.cancellation_details?.feedback)
+    const comment = subscription.cancellation_details?.comment
+
+    await sendDiscordLog({
+      title: scheduled ? '📅 Cancellation Scheduled' : '♻️ Subscription Reactivated',
+      color: scheduled ? 0xff9900 : 0x00ff00, // Orange / green
+      fields: [
+        { name: '📧 Email', value: customer.email || 'Unknown', inline: true },
+        { name: '📦 Plan', value: product.name || 'Unknown', inline: true },
+        ...(scheduled ? [
+          { name: '📅 Access Ends', value: `<t:${subscription.cancel_at || subscription.current_period_end}:R>`, inline: true },
+          ...(feedback ? [{ name: '💭 Customer Feedback', value: feedback, inline: false }] : []),
+          ...(comment ? [{ name: '💬 Customer Comment', value: `"${comment}"`, inline: false }] : [])
+        ] : []),
+        { name: '🔗 Subscription ID', value: `\`${subscription.id}\``, inline: false }
+      ],
+      timestamp: new Date().toISOString()
+    })
+  } catch (discordError) {
+    console.error('Discord logging failed for cancellation update:', discordError.message)
+  }
+}
+
+export async function logPauseChanged(event) {
+  const subscription = event.data.object
+  const previousAttributes = event.data.previous_attributes
+
+  if (!previousAttributes || !('pause_collection' in previousAttributes)) return
+
+  const paused = subscription.pause_collection
+
+  try {
+    const customer = await stripe.customers.retrieve(subscription.customer)
+    const product = await stripe.products.retrieve(getBaseItem(subscription).price.product)
+
+    await sendDiscordLog({
+      title: paused ? '⏸️ Subscription Paused' : '▶️ Subscription Resumed',
+      color: paused ? 0x6c757d : 0x00ff00, // Grey / green
+      fields: [
+        { name: '📧 Email', value: customer.email || 'Unknown', inline: true },
+        { name: '📦 Plan', value: product.name || 'Unknown', inline: true },
+        ...(paused ? [
+          { name: '📅 Resumes', value: paused.resumes_at ? `<t:${paused.resumes_at}:D>` : 'Manually', inline: true },
+          { name: '🧾 Invoices', value: paused.behavior, inline: true }
+        ] : []),
+        { name: '🔗 Subscription ID', value: `\`${subscription.id}\``, inline: false }
+      ],
+      timestamp: new Date().toISOString()
+    })
+  } catch (discordError) {
+    console.error('Discord logging failed for pause change:', discordError.message)
+  }
+}
+
+export async function logLifetimePurchase(event) {
+  const paymentIntent = event.data.object
+  if (!isLifetimePaymentIntent(paymentIntent) || !paymentIntent.customer) return
+
+  try {
+    const customer = await stripe.customers.retrieve(paymentIntent.customer)
+
+    await sendDiscordLog({
+      title: '♾️ Lifetime Access Purchased',
+      color: 0xffd700, // Gold
+      fields: [
+        { name: '👤 Customer Name', value: customer.name || 'Not provided', inline: true },
+        { name: '📧 Email', value: customer.email || 'Unknown', inline: true },
+        { name: '🆔 Customer ID', value: `\`${customer.id}\``, inline: false },
+        { name: '📦 Product', value: paymentIntent.description || 'Lifetime', inline: true },
+        { name: '💰 Amount', value: formatMoney(paymentIntent.amount_received, paymentIntent.currency), inline: true },
+        { name: '💳 Payment ID', value: `\`${paymentIntent.id}\``, inline: false }
+      ],
+      timestamp: new Date().toISOString()
+    })
+  } catch (discordError) {
+    console.error('Discord logging failed for lifetime purchase:', discordError.message)
+  }
+}
+
+export async function logGiftPurchased(event) {
+  const paymentIntent = event.data.object
+  if (!isGiftPaymentIntent(paymentIntent) || !paymentIntent.customer) return
+
+  try {
+    const customer = await stripe.customers.retrieve(paymentIntent.customer)
+
+    await sendDiscordLog({
+      title: '🎁 Gift Purchased',
+      color: 0xe83e8c, // Pink
+      fields: [
+        { name: '👤 Buyer', value: customer.name || 'Not provided', inline: true },
+        { name: '📧 Email', value: customer.email || 'Unknown', inline: true },
+        { name: '🆔 Customer ID', value: `\`${customer.id}\``, inline: false },
+        { name: '📦 Gift', value: paymentIntent.description || 'Gift', inline: true },
+        { name: '💰 Amount', value: formatMoney(paymentIntent.amount_received, paymentIntent.currency), inline: true },
+        { name: '🎟️ Code', value: `\`${paymentIntent.metadata.gift_code}\``, inline: false }
+      ],
+      timestamp: new Date().toISOString()
+    })
+  } catch (discordError) {
+    console.error('Discord logging failed for gift purchase:', discordError.message)
+  }
+}
+
+export async function logCheckoutExpired(event) {
+  const session = event.data.object
+  if (session.mode !== 'subscription' && session.metadata?.lifetime !== 'true' && session.metadata?.gift !== 'true') return
+
+  try {
+    const lineItems = await stripe.checkout.sessions.listLineItems(session.id, { limit: 1 })
+    const item = lineItems.data[0]
+
+    await sendDiscordLog({
+      title: '⌛ Checkout Abandoned',
+      color: 0x6c757d, // Grey
+      fields: [
+        { name: '📧 Email', value: session.customer_details?.email || session.customer_email || 'Unknown', inline: true },
+        { name: '📦 Plan', value: item?.description || session.metadata?.product || 'Unknown', inline: true },
+        { name: '💰 Value', value: item ? formatMoney(item.amount_total, item.currency) : 'Unknown', inline: true },
+        { name: '🛒 Session ID', value: `\`${session.id}\``, inline: false }
+      ],
+      timestamp: new Date().toISOString()
+    })
+  } catch (discordError) {
+    console.error('Discord logging failed for expired checkout:', discordError.message)
+  }
+}
+
+// Disputes and refunds get their own loud embed so they stand out from the
+// routine payment logs
+async function logChargeAlert(chargeId, { title, color, fields }) {
+  const customerId = await getChargeCustomerId(chargeId)
+  const customer = customerId ? await stripe.customers.retrieve(customerId) : null
+
+  await sendDiscordLog({
+    title,
+    color,
+    fields: [
+      { name: '📧 Email', value: customer?.email || 'Unknown', inline: true },
+      { name: '🆔 Customer ID', value: customerId ? `\`${customerId}\`` : 'None', inline: true },
+      ...fields,
+      { name: '💳 Charge ID', value: `\`${chargeId}\``, inline: false }
+    ],
+    timestamp: new Date().toISOString()
+  })
+}
+
+export async function logDisputeCreated(event) {
+  const dispute = event.data.object
+
+  try {
+    await logChargeAlert(dispute.charge, {
+      title: '⚖️ Chargeback Opened - Access Suspended',
+      color: 0x8b0000, // Dark red
+      fields: [
+        { name: '💰 Disputed Amount', value: formatMoney(dispute.amount, dispute.currency), inline: true },
+        { name: '❓ Reason', value: formatCancellationReason(dispute.reason), inline: true },
+        ...(dispute.evidence_details?.due_by ? [{
+          name: '📅 Evidence Due',
+          value: `<t:${dispute.evidence_details.due_by}:R>`,
+          inline: true
+        }] : []),
+        { name: '🔗 Dispute ID', value: `\`${dispute.id}\``, inline: false }
+      ]
+    })
+  } catch (discordError) {
+    console.error('Discord logging failed for dispute created:', discordError.message)
+  }
+}
+
+export async function logDisputeClosed(event) {
+  const dispute = event.data.object
+  const won = ['won', 'warning_closed'].includes(dispute.status)
+
+  try {
+    await logChargeAlert(dispute.charge, {
+      title: won ? '⚖️ Dispute Won - Access Restored' : '⚖️ Dispute Lost - Access Stays Suspended',
+      color: won ? 0x00ff00 : 0x8b0000, // Green / dark red
+      fields: [
+        { name: '💰 Disputed Amount', value: formatMoney(dispute.amount, dispute.currency), inline: true },
+        { name: '📊 Outcome', value: formatCancellationReason(dispute.status), inline: true },
+        { name: '🔗 Dispute ID', value: `\`${dispute.id}\``, inline: false }
+      ]
+    })
+  } catch (discordError) {
+    console.error('Discord logging failed for dispute closed:', discordError.message)
+  }
+}
+
+export async function logChargeRefunded(event) {
+  const charge = event.data.object
+
+  try {
+    await logChargeAlert(charge.id, {
+      title: charge.refunded ? '↩️ Charge Refunded - Access Suspended' : '↩️ Charge Partially Refunded',
+      color: 0x9b59b6, // Purple
+      fields: [
+        { name: '💰 Refunded', value: formatMoney(charge.amount_refunded, charge.currency), inline: true },
+        { name: '💳 Original Charge', value: formatMoney(charge.amount, charge.currency), inline: true }
+      ]
+    })
+  } catch (discordError) {
+    console.error('Discord logging failed for charge refunded:', discordError.message)
+  }
+}
+
+onStripeEvent('invoice.payment_succeeded', logPaymentSucceeded, { replayable: false })
+onStripeEvent('invoice.payment_failed', logPaymentFailed, { replayable: false })
+onStripeEvent('customer.subscription.deleted', logSubscriptionCancelled, { replayable: false })
+onStripeEvent('customer.subscription.updated', logCancellationScheduled, { replayable: false })
+onStripeEvent('customer.subscription.updated', logPauseChanged, { replayable: false })
+onStripeEvent('customer.subscription.trial_will_end', logTrialWillEnd, { replayable: false })
+onStripeEvent('payment_intent.succeeded', logLifetimePurchase, { replayable: false })
+onStripeEvent('payment_intent.succeeded', logGiftPurchased, { replayable: false })
+onStripeEvent('checkout.session.expired', logCheckoutExpired, { replayable: false })
+onStripeEvent('charge.dispute.created', logDisputeCreated, { replayable: false })
+onStripeEvent('charge.dispute.closed', logDisputeClosed, { replayable: false })
+onStripeEvent('charge.refunded', logChargeRefunded, { replayable: false })
@@ -0,0 +1,129 @@
+import { stripe } from '../../stripe-server.js'
+import {
+  saveCustomerDispute,
+  suspendCustomerEntitlements,
+  restoreCustomerEntitlements,
+  revokeCustomerLifetimeAccess,
+} from '../../storage.js'
+import { revokeGiftForPayment } from '../../gifts.js'
+import { isLifetimePaymentIntent, isDuplicateLifetimePayment } from '../../lifetime.js'
+import { onStripeEvent } from '../registry.js'
+import { getChargeCustomerId } from '../helpers.js'
+
+// Chargebacks and refunds revoke access. A won dispute gives it back; a lost
+// dispute or a full refund stays suspended until someone restores it by hand.
+// A refunded lifetime purchase is removed rather than suspended.
+
+// Dispute outcomes that mean the customer keeps their money's worth
+const RESOLVED_IN_OUR_FAVOUR = ['won', 'warning_closed']
+
+function buildDisputeRecord(dispute, event) {
+  return {
+    id: dispute.id,
+    chargeId: dispute.charge,
+    paymentIntentId: dispute.payment_intent || null,
+    amount: dispute.amount,
+    currency: dispute.currency,
+    reason: dispute.reason,
+    status: dispute.status,
+    openedAt: new Date(dispute.created * 1000).toISOString(),
+    evidenceDueBy: dispute.evidence_details?.due_by
+      ? new Date(dispute.evidence_details.due_by * 1000).toISOString()
+      : null,
+    ...(event.type === 'charge.dispute.closed' ? { closedAt: new Date(event.created * 1000).toISOString() } : {})
+  }
+}
+
+export async function handleDisputeCreated(event, { source }) {
+  const dispute = event.data.object
+  console.log(`⚖️ Dispute opened: ${dispute.id} on charge ${dispute.charge} (${dispute.reason})`)
+
+  const customerId = await getChargeCustomerId(dispute.charge)
+  if (!customerId) {
+    console.log(`⚖️ Charge ${dispute.charge} has no customer - nothing to suspend`)
+    return
+  }
+
+  // A stale write means the dispute has already moved on (e.g. closed) - don't suspend
+  const saved = await saveCustomerDispute(customerId, buildDisputeRecord(dispute, event), source)
+  if (!saved) return
+
+  // 🎁 A disputed gift payment revokes the gift, not the buyer's access
+  if (await revokeGiftForPayment(dispute.payment_intent, 'dispute')) return
+
+  await suspendCustomerEntitlements(customerId, {
+    reason: 'dispute',
+    disputeId: dispute.id,
+    chargeId: dispute.charge,
+    disputeReason: dispute.reason,
+    amount: dispute.amount,
+    currency: dispute.currency
+  })
+  console.log(`🔒 Access suspended for customer ${customerId} pending dispute ${dispute.id}`)
+}
+
+export async function handleDisputeClosed(event, { source }) {
+  const dispute = event.data.object
+  console.log(`⚖️ Dispute closed: ${dispute.id} - ${dispute.status}`)
+
+  const customerId = await getChargeCustomerId(dispute.charge)
+  if (!customerId) return
+
+  const saved = await saveCustomerDispute(customerId, buildDisputeRecord(dispute, event), source)
+  if (!saved) return
+
+  if (!RESOLVED_IN_OUR_FAVOUR.includes(dispute.status)) {
+    console.log(`🔒 Dispute ${dispute.id} was ${dispute.status} - customer ${customerId} stays suspended`)
+    return
+  }
+
+  // Only this dispute's part of the suspension is lifted - it stays while
+  // another dispute is still open
+  if (await restoreCustomerEntitlements(customerId, { reason: 'dispute', disputeId: dispute.id })) {
+    console.log(`🔓 Dispute ${dispute.id} ${dispute.status} - dispute suspension lifted for customer ${customerId}`)
+  }
+}
+
+export async function handleChargeRefunded(event) {
+  const charge = event.data.object
+  console.log(`↩️ Charge refunded: ${charge.id} (${charge.amount_refunded}/${charge.amount})`)
+
+  // Partial refunds (goodwill credits, proration) don't revoke access
+  if (!charge.refunded) {
+    console.log(`↩️ Charge ${charge.id} only partially refunded - access unchanged`)
+    return
+  }
+
+  const customerId = await getChargeCustomerId(charge)
+  if (!customerId) return
+
+  // 🎁 A refunded gift payment revokes the gift, not the buyer's access
+  if (await revokeGiftForPayment(charge.payment_intent, 'refunded')) return
+
+  // ♾️ Refunding a duplicate lifetime payment leaves the access from the first
+  // one alone. Refunding the purchase itself takes that access back instead of
+  // suspending the customer, so they can buy it again.
+  const paymentIntent = charge.payment_intent ? await stripe.paymentIntents.retrieve(charge.payment_intent) : null
+  if (isLifetimePaymentIntent(paymentIntent)) {
+    if (await isDuplicateLifetimePayment(paymentIntent)) {
+      console.log(`♾️ Charge ${charge.id} was a duplicate lifetime payment - access unchanged`)
+      return
+    }
+
+    await revokeCustomerLifetimeAccess(customerId, paymentIntent.id)
+    return
+  }
+
+  await suspendCustomerEntitlements(customerId, {
+    reason: 'refunded',
+    chargeId: charge.id,
+    invoiceId: charge.invoice || null,
+    amountRefunded: charge.amount_refunded,
+    currency: charge.currency
+  })
+  console.log(`🔒 Access suspended for customer ${customerId} after full refund of ${charge.id}`)
+}
+
+onStripeEvent('charge.dispute.created', handleDisputeCreated)
+onStripeEvent('charge.dispute.closed', handleDisputeClosed)
+onStripeEvent('charge.refunded', handleChargeRefunded)
@@ -0,0 +1,41 @@
+import { stripe } from '../../stripe-server.js'
+import { saveCustomer, saveCustomerEntitlements } from '../../storage.js'
+import { buildCustomerRecord, buildEntitlementRecords } from '../../stripe-sync.js'
+import { onStripeEvent } from '../registry.js'
+
+// 🆕 NEW: Handle entitlement summary updates
+export async function handleEntitlementSummaryUpdated(event, { source }) {
+  const entitlementSummary = event.data.object
+
+  try {
+    console.log('🎯 Processing entitlement summary update for customer:', entitlementSummary.customer)
+
+    // Get the full customer data
+    const customer = await stripe.customers.retrieve(entitlementSummary.customer)
+
+    if (customer.deleted) {
+      console.log(`🗑️ Customer ${entitlementSummary.customer} was deleted - ignoring entitlement update`)
+      return
+    }
+
+    // Save/update customer info (without entitlements first)
+    await saveCustomer(customer.id, buildCustomerRecord(customer), source)
+
+    const entitlements = entitlementSummary.entitlements?.data || []
+    console.log(`📋 Found ${entitlements.length} entitlements to process`)
+
+    // Build entitlements object to nest under customer
+    const customerEntitlements = await buildEntitlementRecords(entitlements)
+
+    // Save all entitlements at once (overwrites existing)
+    await saveCustomerEntitlements(customer.id, customerEntitlements, source)
+
+    console.log(`✅ Updated ${entitlements.length} entitlements for customer ${customer.email}`)
+
+  } catch (error) {
+    console.error('Error handling entitlement summary update:', error)
+    throw error
+  }
+}
+
+onStripeEvent('entitlements.active_entitlement_summary.updated', handleEntitlementSummaryUpdated)
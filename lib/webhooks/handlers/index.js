@@ -0,0 +1,10 @@
+// Registers every webhook listener. Listeners for the same event run in the
+// order their modules are imported here, so core storage handlers come first.
+import './customers.js'
+import './payment-intents.js'
+import './invoices.js'
+import './subscriptions.js'
+import './checkout.js'
+import './entitlements.js'
+import './disputes.js'
+import './discord-logs.js'
@@ -0,0 +1,178 @@
+import { stripe } from '../../stripe-server.js'
+import { saveCustomerSubscription, suspendCustomerEntitlements, restoreCustomerEntitlements } from '../../storage.js'
+import { buildSubscriptionRecord } from '../../stripe-sync.js'
+import { onStripeEvent } from '../registry.js'
+import { getInvoiceSubscriptionId, isSubscriptionInvoice, isInitialPaymentAttempt } from '../helpers.js'
+import { formatMoney } from '../../currency.js'
+import { getBaseItem } from '../../addons.js'
+
+export async function handleInvoicePaymentSucceeded(event, { source, replay }) {
+  const invoiceSucceeded = event.data.object
+  console.log('Invoice payment succeeded:', invoiceSucceeded.id)
+  console.log('[invoice.payment_succeeded] **INVOICE OBJECT**', invoiceSucceeded);
+
+  const subscriptionId = invoiceSucceeded.parent?.subscription_details?.subscription
+
+  if (!subscriptionId || !invoiceSucceeded.customer) {
+    console.log('Not a subscription invoice or missing customer/subscription info')
+    console.log('Debug info:', {
+      hasSubscriptionId: !!subscriptionId,
+      hasCustomer: !!invoiceSucceeded.customer,
+      parentType: invoiceSucceeded.parent?.type,
+      billingReason: invoiceSucceeded.billing_reason
+    })
+    return
+  }
+
+  // 🔄 RESTORE ACCESS: If this was a subscription invoice, restore access
+  console.log(`✅ Payment succeeded - restoring access for customer: ${invoiceSucceeded.customer}`)
+
+  // Get the subscription to check if it was previously past_due
+  const subscription = await stripe.subscriptions.retrieve(subscriptionId)
+
+  // Trials get a zero-amount invoice up front - that counts as confirmation too
+  if (['active', 'trialing'].includes(subscription.status)) {
+    console.log(`🔓 Restoring entitlements for customer: ${invoiceSucceeded.customer}`)
+
+    // ✅ SAVE SUBSCRIPTION DATA ON SUCCESSFUL PAYMENT
+    await saveCustomerSubscription(invoiceSucceeded.customer, buildSubscriptionRecord(subscription), source)
+    console.log(`💾 Saved subscription data for customer: ${invoiceSucceeded.customer}`)
+
+    // Only lifts a payment_failed suspension - disputes and refunds stay suspended
+    await restoreCustomerEntitlements(invoiceSucceeded.customer, { reason: 'payment_failed' })
+  }
+
+  // Replays only rebuild local state - don't touch anything in Stripe
+  if (replay) return
+
+  // 🧹 CLEANUP: Clean up other incomplete subscriptions
+  try {
+    console.log(`🧹 Cleaning up incomplete subscriptions for customer: ${invoiceSucceeded.customer}`)
+    console.log(`✅ Successful subscription: ${subscriptionId}`)
+
+    // Get all incomplete subscriptions for this customer
+    const incompleteSubscriptions = await stripe.subscriptions.list({
+      customer: invoiceSucceeded.customer,
+      status: 'incomplete',
+      limit: 100
+    })
+
+    if (incompleteSubscriptions.data.length > 0) {
+      console.log(`Found ${incompleteSubscriptions.data.length} incomplete subscriptions to clean up`)
+      let cleanedCount = 0
+
+      for (const incompleteSub of incompleteSubscriptions.data) {
+        // Don't cancel the subscription that just succeeded
+        if (incompleteSub.id !== subscriptionId) {
+          try {
+            await stripe.subscriptions.cancel(incompleteSub.id)
+            cleanedCount++
+            console.log(`✅ Cancelled incomplete subscription: ${incompleteSub.id}`)
+          } catch (cancelError) {
+            console.warn(`⚠️ Failed to cancel subscription ${incompleteSub.id}:`, cancelError.message)
+          }
+        } else {
+          console.log(`🎯 Skipping successful subscription: ${incompleteSub.id}`)
+        }
+      }
+      console.log(`🎉 Successfully cleaned up ${cleanedCount} incomplete subscriptions for customer ${invoiceSucceeded.customer}`)
+    } else {
+      console.log(`✨ No incomplete subscriptions to clean up for customer ${invoiceSucceeded.customer}`)
+    }
+  } catch (cleanupError) {
+    console.error('Error during incomplete subscription cleanup:', cleanupError)
+    // Don't fail the webhook if cleanup fails
+  }
+
+  // ✅ FIX: Update customer metadata to reflect the actual purchased plan
+  try {
+    const priceId = getBaseItem(subscription).price?.id
+    const price = await stripe.prices.retrieve(priceId)
+    const product = await stripe.products.retrieve(price.product)
+
+    await stripe.customers.update(invoiceSucceeded.customer, {
+      metadata: {
+        plan: `${product.id}_${price.recurring.interval}`,
+        product: product.name
+      }
+    })
+    console.log(`🔄 Updated customer metadata to reflect purchased plan: ${product.name}`)
+  } catch (metadataError) {
+    console.error('Failed to update customer plan metadata:', metadataError.message)
+  }
+}
+
+export async function handleInvoicePaymentFailed(event) {
+  const invoiceFailed = event.data.object
+  console.log('🚨 Invoice payment failed:', invoiceFailed.id)
+
+  // 🔍 DEBUG: Log the invoice object to see what we're working with
+  console.log('🔍 Invoice details:', {
+    id: invoiceFailed.id,
+    customer: invoiceFailed.customer,
+    subscription: getInvoiceSubscriptionId(invoiceFailed),
+    billing_reason: invoiceFailed.billing_reason,
+    amount_due: invoiceFailed.amount_due,
+    attempt_count: invoiceFailed.attempt_count
+  })
+
+  if (isInitialPaymentAttempt(invoiceFailed)) {
+    console.log('🔍 Skipping suspension for initial payment attempt (likely 3D Secure flow)')
+    return
+  }
+
+  if (!isSubscriptionInvoice(invoiceFailed) || !invoiceFailed.customer) {
+    console.log('🔍 Not a subscription invoice or missing customer:', {
+      hasSubscription: !!getInvoiceSubscriptionId(invoiceFailed),
+      hasCustomer: !!invoiceFailed.customer,
+      billingReason: invoiceFailed.billing_reason
+    })
+    return
+  }
+
+  console.log(`🔒 Payment failed for subscription invoice - suspending access`)
+  console.log(`📋 Billing reason: ${invoiceFailed.billing_reason}`)
+
+  try {
+    // Get subscription details
+    const customer = await stripe.customers.retrieve(invoiceFailed.customer)
+
+    console.log(`🚨 Suspending access for customer: ${customer.email} (${customer.id})`)
+    console.log(`💰 Failed amount: ${formatMoney(invoiceFailed.amount_due, invoiceFailed.currency)}`)
+    console.log(`📅 Attempt: ${invoiceFailed.attempt_count}`)
+
+    // Suspend customer entitlements immediately
+    await suspendCustomerEntitlements(invoiceFailed.customer, {
+      reason: 'payment_failed',
+      failedInvoiceId: invoiceFailed.id,
+      subscriptionId: getInvoiceSubscriptionId(invoiceFailed),
+      billingReason: invoiceFailed.billing_reason,
+      suspendedAt: new Date().toISOString(),
+      attemptCount: invoiceFailed.attempt_count,
+      amountDue: invoiceFailed.amount_due
+    })
+
+    console.log(`🔒 Access suspended for customer ${customer.email}`)
+
+  } catch (suspendError) {
+    console.error('Error suspending customer access:', suspendError)
+    // Don't fail the webhook if suspension fails
+  }
+}
+
+export async function handleInvoiceUpcoming(event) {
+  const upcomingInvoice = event.data.object
+  const upcomingSubscriptionId = getInvoiceSubscriptionId(upcomingInvoice)
+  console.log(`📅 Upcoming invoice for customer ${upcomingInvoice.customer} (subscription: ${upcomingSubscriptionId})`)
+  console.log(`Amount due: ${upcomingInvoice.amount_due / 100} ${upcomingInvoice.currency.toUpperCase()}`)
+}
+
+export async function handleInvoiceCreated(event) {
+  const createdInvoice = event.data.object
+  console.log(`📄 Invoice created: ${createdInvoice.id} for customer ${createdInvoice.customer}`)
+}
+
+onStripeEvent('invoice.payment_succeeded', handleInvoicePaymentSucceeded)
+onStripeEvent('invoice.payment_failed', handleInvoicePaymentFailed)
+onStripeEvent('invoice.upcoming', handleInvoiceUpcoming)
+onStripeEvent('invoice.created', handleInvoiceCreated)
@@ -0,0 +1,95 @@
+import { stripe } from '../../stripe-server.js'
+import { saveCustomer, markGiftPaid } from '../../storage.js'
+import { buildCustomerRecord } from '../../stripe-sync.js'
+import {
+  isLifetimePaymentIntent,
+  grantLifetimeAccess,
+  isDuplicateLifetimePayment,
+  refundDuplicateLifetimePayment
+} from '../../lifetime.js'
+import { isGiftPaymentIntent } from '../../gifts.js'
+import { recordTaxTransaction } from '../../tax.js'
+import { isCardTrialSetupIntent, startCardTrial } from '../../trials.js'
+import { onStripeEvent } from '../registry.js'
+
+export async function handlePaymentIntentSucceeded(event, { source }) {
+  const paymentIntentSucceeded = event.data.object
+  // ❌ REMOVED: savePayment call - no longer needed
+  console.log('Payment succeeded:', paymentIntentSucceeded.id)
+
+  // 🎁 GIFT: The code can be redeemed from now on
+  if (isGiftPaymentIntent(paymentIntentSucceeded)) {
+    await markGiftPaid(paymentIntentSucceeded.metadata.gift_code, {
+      paymentIntentId: paymentIntentSucceeded.id,
+      amount: paymentIntentSucceeded.amount_received
+    })
+    return
+  }
+
+  // Subscription payments are handled from their invoice
+  if (!isLifetimePaymentIntent(paymentIntentSucceeded) || !paymentIntentSucceeded.customer) return
+
+  // ♾️ LIFETIME: The customer may not be stored yet if this beat customer.created
+  const customer = await stripe.customers.retrieve(paymentIntentSucceeded.customer)
+  if (customer.deleted) {
+    console.log(`🗑️ Customer ${paymentIntentSucceeded.customer} was deleted - not granting lifetime access`)
+    return
+  }
+
+  await saveCustomer(customer.id, buildCustomerRecord(customer), source)
+  if (await grantLifetimeAccess(paymentIntentSucceeded, source)) {
+    console.log(`♾️ Lifetime access granted to customer ${customer.email}`)
+  }
+}
+
+// A second lifetime payment doesn't grant anything (saveCustomerLifetimeAccess
+// keeps the first), so the money goes back. Runs after the handler above has
+// stored whichever payment landed first.
+export async function handleDuplicateLifetimePayment(event) {
+  const paymentIntent = event.data.object
+  if (!await isDuplicateLifetimePayment(paymentIntent)) return
+
+  await refundDuplicateLifetimePayment(paymentIntent)
+}
+
+// One-off payments taxed with a tax calculation (lifetime and gift purchases)
+export async function handlePaymentTaxTransaction(event) {
+  await recordTaxTransaction(event.data.object)
+}
+
+export async function handlePaymentIntentFailed(event) {
+  const paymentIntentFailed = event.data.object
+  // ❌ REMOVED: savePayment call - no longer needed
+  console.log('Payment failed:', paymentIntentFailed.id)
+}
+
+// Trials collect the card with a SetupIntent. Trials that need a card only
+// start now (see startCardTrial). For card-less trials Stripe attaches the
+// card from the subscription's own pending_setup_intent automatically;
+// SetupIntents we had to create ourselves carry the subscription ID in
+// metadata instead.
+export async function handleSetupIntentSucceeded(event) {
+  const setupIntent = event.data.object
+  const subscriptionId = setupIntent.metadata?.subscription_id
+  console.log('Setup intent succeeded:', setupIntent.id)
+
+  if (isCardTrialSetupIntent(setupIntent)) {
+    await startCardTrial(setupIntent)
+    return
+  }
+
+  if (!subscriptionId || !setupIntent.payment_method) return
+
+  await stripe.subscriptions.update(subscriptionId, {
+    default_payment_method: setupIntent.payment_method
+  })
+  console.log(`💳 Saved card as default payment method for subscription ${subscriptionId}`)
+}
+
+onStripeEvent('payment_intent.succeeded', handlePaymentIntentSucceeded)
+// Writes to Stripe, so replays skip it
+onStripeEvent('payment_intent.succeeded', handlePaymentTaxTransaction, { replayable: false })
+onStripeEvent('payment_intent.succeeded', handleDuplicateLifetimePayment, { replayable: false })
+onStripeEvent('payment_intent.payment_failed', handlePaymentIntentFailed)
+// Writes to Stripe, so replays skip it
+onStripeEvent('setup_intent.succeeded', handleSetupIntentSucceeded, { replayable: false })
@@ -0,0 +1,124 @@
+import { saveCustomerSubscription } from '../../storage.js'
+import { buildSubscriptionRecord } from '../../stripe-sync.js'
+import { applyPausedEntitlementPolicy } from '../../pauses.js'
+import { onStripeEvent } from '../registry.js'
+
+export async function handleSubscriptionCreated(event, { source }) {
+  const createdSubscription = event.data.object
+
+  // 🎁 Trials start without a payment, so there's no confirmation to wait for
+  if (createdSubscription.status === 'trialing') {
+    await saveCustomerSubscription(createdSubscription.customer, buildSubscriptionRecord(createdSubscription), source)
+    console.log(`🎁 Trial subscription created: ${createdSubscription.id} (ends ${new Date(createdSubscription.trial_end * 1000).toISOString()})`)
+    return
+  }
+
+  // ❌ REMOVED: Don't save subscription data here - wait for payment confirmation
+  console.log('Subscription created (waiting for payment):', createdSubscription.id)
+  console.log('Status:', createdSubscription.status)
+}
+
+export async function handleSubscriptionUpdated(event, { source }) {
+  const updatedSubscription = event.data.object
+  const previousAttributes = event.data.previous_attributes
+
+  // 🔄 Check if subscription status changed from past_due to active (payment recovered)
+  if (updatedSubscription.status === 'active' &&
+    previousAttributes?.status === 'past_due') {
+    console.log(`🎉 Subscription recovered from past_due: ${updatedSubscription.id}`)
+    console.log(`🔓 Customer should regain access: ${updatedSubscription.customer}`)
+
+    // ✅ UPDATE SUBSCRIPTION DATA ON RECOVERY
+    await saveCustomerSubscription(updatedSubscription.customer, buildSubscriptionRecord(updatedSubscription), source)
+    console.log(`💾 Updated subscription data for recovered customer: ${updatedSubscription.customer}`)
+  }
+
+  // Check if subscription became past_due
+  if (updatedSubscription.status === 'past_due' &&
+    previousAttributes?.status !== 'past_due') {
+    console.log(`🚨 Subscription became past due: ${updatedSubscription.id}`)
+    console.log(`🔒 Customer access should be suspended: ${updatedSubscription.customer}`)
+    // Access should already be suspended by invoice.payment_failed webhook
+  }
+
+  // Check for other status changes
+  if (previousAttributes?.status &&
+    previousAttributes.status !== updatedSubscription.status) {
+    console.log(`📊 Subscription status changed: ${previousAttributes.status} → ${updatedSubscription.status}`)
+  }
+
+  // 🔁 Plan, server count or add-ons changed - a self-serve change or a scheduled downgrade
+  // taking effect. Changes with pending_if_incomplete only show up here once they're paid for.
+  if (previousAttributes?.items && !updatedSubscription.pending_update) {
+    await saveCustomerSubscription(updatedSubscription.customer, buildSubscriptionRecord(updatedSubscription), source)
+    console.log(`🔁 Plan changed for subscription ${updatedSubscription.id} → ${updatedSubscription.items.data.map(item => `${item.price.id} × ${item.quantity}`).join(', ')}`)
+    return
+  }
+
+  // ⏸️ Payment collection paused or resumed (e.g. from the account page)
+  if (previousAttributes && 'pause_collection' in previousAttributes) {
+    await saveCustomerSubscription(updatedSubscription.customer, buildSubscriptionRecord(updatedSubscription), source)
+    await applyPausedEntitlementPolicy(updatedSubscription.customer, updatedSubscription)
+    console.log(updatedSubscription.pause_collection
+      ? `⏸️ Subscription ${updatedSubscription.id} paused until ${updatedSubscription.pause_collection.resumes_at ? new Date(updatedSubscription.pause_collection.resumes_at * 1000).toISOString() : 'further notice'}`
+      : `▶️ Subscription ${updatedSubscription.id} resumed`)
+    return
+  }
+
+  // 📅 Cancellation scheduled or undone (e.g. from the account page)
+  if (previousAttributes &&
+    ('cancel_at_period_end' in previousAttributes || 'cancel_at' in previousAttributes)) {
+    await saveCustomerSubscription(updatedSubscription.customer, buildSubscriptionRecord(updatedSubscription), source)
+    console.log(updatedSubscription.cancel_at_period_end || updatedSubscription.cancel_at
+      ? `📅 Subscription ${updatedSubscription.id} set to cancel (${updatedSubscription.cancellation_details?.feedback || 'no reason given'})`
+      : `♻️ Subscription ${updatedSubscription.id} reactivated`)
+    return
+  }
+
+  // ❌ REMOVED: Don't automatically save all subscription updates - only save on confirmed payments
+  console.log('Subscription updated:', updatedSubscription.id)
+}
+
+export async function handleSubscriptionDeleted(event, { source }) {
+  const deletedSubscription = event.data.object
+  console.log("[customer.subscription.deleted] **DELETED SUBSCRIPTION OBJECT**", deletedSubscription);
+
+  await saveCustomerSubscription(deletedSubscription.customer, {
+    stripeSubscriptionId: deletedSubscription.id,
+    status: 'canceled',
+    canceledAt: deletedSubscription.canceled_at,
+    endedAt: deletedSubscription.ended_at,
+    cancellationDetails: deletedSubscription.cancellation_details || null,
+  }, source)
+  console.log('Subscription canceled/deleted:', deletedSubscription.id)
+}
+
+export async function handleSubscriptionPaused(event, { source }) {
+  const pausedSubscription = event.data.object
+  await saveCustomerSubscription(pausedSubscription.customer, buildSubscriptionRecord(pausedSubscription), source)
+  console.log('Subscription paused:', pausedSubscription.id)
+}
+
+export async function handleSubscriptionResumed(event, { source }) {
+  const resumedSubscription = event.data.object
+  await saveCustomerSubscription(resumedSubscription.customer, buildSubscriptionRecord(resumedSubscription), source)
+  console.log('Subscription resumed:', resumedSubscription.id)
+}
+
+// Sent 3 days before a trial ends - the notification itself is posted by
+// the Discord log listener
+export async function handleTrialWillEnd(event) {
+  const trialSubscription = event.data.object
+  console.log(`⏳ Trial ending soon: ${trialSubscription.id} (customer ${trialSubscription.customer}, ends ${new Date(trialSubscription.trial_end * 1000).toISOString()})`)
+
+  if (!trialSubscription.default_payment_method) {
+    console.log(`💳 No card on file for ${trialSubscription.id} - it will be cancelled when the trial ends`)
+  }
+}
+
+onStripeEvent('customer.subscription.created', handleSubscriptionCreated)
+onStripeEvent('customer.subscription.updated', handleSubscriptionUpdated)
+onStripeEvent('customer.subscription.deleted', handleSubscriptionDeleted)
+onStripeEvent('customer.subscription.paused', handleSubscriptionPaused)
+onStripeEvent('customer.subscription.resumed', handleSubscriptionResumed)
+onStripeEvent('customer.subscription.trial_will_end', handleTrialWillEnd)
@@ -0,0 +1,33 @@
+import { stripe } from '../stripe-server.js'
+
+// Small helpers shared by more than one webhook listener
+
+// ✅ CORRECT: Get subscription ID from the nested structure
+export function getInvoiceSubscriptionId(invoice) {
+  return invoice.parent?.subscription_details?.subscription || invoice.subscription || null
+}
+
+export function isSubscriptionInvoice(invoice) {
+  // Check if this is a subscription invoice (multiple ways to detect)
+  return !!(getInvoiceSubscriptionId(invoice) ||
+    invoice.billing_reason === 'subscription_create' ||
+    invoice.billing_reason === 'subscription_cycle' ||
+    invoice.billing_reason === 'subscription_update')
+}
+
+// The first attempt of a new subscription's invoice "fails" while 3D Secure
+// is still in progress - that must not suspend anyone
+export function isInitialPaymentAttempt(invoice) {
+  return invoice.billing_reason === 'subscription_create' &&
+    invoice.attempt_count === 0
+}
+
+// Disputes and refunds only reference the charge - look up who paid
+export async function getChargeCustomerId(chargeOrId) {
+  const charge = typeof chargeOrId === 'string'
+    ? await stripe.charges.retrieve(chargeOrId)
+    : chargeOrId
+
+  if (!charge.customer) return null
+  return typeof charge.customer === 'string' ? charge.customer : charge.customer.id
+}
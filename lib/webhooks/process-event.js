@@ -0,0 +1,53 @@
+import {
+  claimEventForProcessing,
+  recordEventOutcome,
+  recordEventListenerSucceeded,
+  recordEventListenerSkipped,
+  getSucceededEventListeners,
+  pruneProcessedEvents
+} from '../storage.js'
+import { dispatchStripeEvent } from './registry.js'
+import './handlers/index.js'
+
+// Run a Stripe event through the handlers at most once. Stripe redelivers
+// events (timeouts, manual resends, retries after a 500), so every event is
+// claimed in the processed-events ledger first and skipped if it has already
+// been handled. Pass { force: true } to deliberately run it again.
+//
+// Pass { replay: true } when rebuilding state from old events so listeners
+// with outside side effects are skipped. They're recorded as skipped in the
+// ledger, and a later non-replay run of the event (e.g. the reprocess
+// endpoint) runs just them.
+//
+// Returns { status: 'processed' | 'duplicate' }. Handler errors are recorded
+// in the ledger and re-thrown so the caller can ask Stripe to retry. Each
+// listener's success is recorded as it happens, and a retry only runs the
+// listeners that haven't succeeded yet.
+export async function processStripeEvent(event, { force = false, replay = false } = {}) {
+  const { claimed, record } = await claimEventForProcessing(event, { force, replay })
+
+  if (!claimed) {
+    console.log(`⏭️ Skipping already-handled event ${event.id} (${event.type}) - ledger status: ${record?.status}`)
+    return { status: 'duplicate', record }
+  }
+
+  if (force) {
+    console.log(`🔁 Force reprocessing event ${event.id} (${event.type})`)
+  }
+
+  try {
+    await dispatchStripeEvent(event, {
+      replay,
+      skipListeners: getSucceededEventListeners(record),
+      onListenerSucceeded: (name) => recordEventListenerSucceeded(event.id, name),
+      onListenerSkipped: (name) => recordEventListenerSkipped(event.id, name)
+    })
+  } catch (error) {
+    await recordEventOutcome(event.id, 'failed', error)
+    throw error
+  }
+
+  const completed = await recordEventOutcome(event.id, 'succeeded')
+  await pruneProcessedEvents()
+  return { status: 'processed', record: completed }
+}
@@ -0,0 +1,101 @@
+import {
+  enqueueWebhookEvent,
+  getQueuedWebhookEvents,
+  claimQueuedWebhookEvent,
+  rescheduleQueuedWebhookEvent,
+  removeQueuedWebhookEvent,
+  moveWebhookEventToDeadLetter,
+  getDeadLetter,
+  removeDeadLetter,
+  EVENT_PROCESSING_TIMEOUT_MS,
+} from '../storage.js'
+import { processStripeEvent } from './process-event.js'
+
+// Webhooks are acknowledged as soon as the event is queued; the worker below
+// does the actual Stripe API calls / Discord posts. Failed events are retried
+// with exponential backoff (base * 2^(attempt - 1), capped) and moved to the
+// dead-letter list once they run out of attempts.
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || 8)
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || 30 * 1000)
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000 // 6 hours
+// Outlasts the ledger's processing claim, so by the time a crashed worker's
+// item is picked up again the event itself can be claimed too
+const LOCK_MS = EVENT_PROCESSING_TIMEOUT_MS + 60 * 1000
+
+export function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS)
+}
+
+export async function enqueueStripeEvent(event) {
+  const enqueued = await enqueueWebhookEvent(event)
+  console.log(enqueued
+    ? `📥 Queued event ${event.id} (${event.type})`
+    : `📥 Event ${event.id} is already queued`)
+  return enqueued
+}
+
+async function processQueuedEvent(item) {
+  try {
+    const { status, record } = await processStripeEvent(item.event)
+
+    // Still claimed in the ledger (a crashed run, or another delivery in
+    // progress) - it hasn't been applied yet, so try again once the claim ends
+    if (status === 'duplicate' && record?.status === 'processing') {
+      const retryAt = new Date(record.startedAt).getTime() + EVENT_PROCESSING_TIMEOUT_MS
+      await rescheduleQueuedWebhookEvent(item.eventId, new Date(Math.max(retryAt, Date.now())).toISOString(), 'event is still being processed')
+      console.warn(`🔁 Event ${item.eventId} is still claimed in the ledger - retrying after ${new Date(retryAt).toISOString()}`)
+      return 'retrying'
+    }
+
+    await removeQueuedWebhookEvent(item.eventId)
+    return 'processed'
+  } catch (error) {
+    if (item.attempts >= MAX_ATTEMPTS) {
+      await moveWebhookEventToDeadLetter(item.eventId, error)
+      return 'dead_lettered'
+    }
+
+    const delay = getRetryDelay(item.attempts)
+    await rescheduleQueuedWebhookEvent(item.eventId, new Date(Date.now() + delay).toISOString(), error)
+    console.warn(`🔁 Event ${item.eventId} failed (attempt ${item.attempts}/${MAX_ATTEMPTS}) - retrying in ${Math.round(delay / 1000)}s: ${error.message}`)
+    return 'retrying'
+  }
+}
+
+// Process every queue item that is due, oldest first
+export async function processWebhookQueue({ limit = 50 } = {}) {
+  const queued = Object.values(await getQueuedWebhookEvents())
+    .sort((a, b) => (a.event.created || 0) - (b.event.created || 0))
+
+  const results = { processed: 0, retrying: 0, dead_lettered: 0 }
+
+  for (const candidate of queued) {
+    if (results.processed + results.retrying + results.dead_lettered >= limit) break
+
+    // Another worker may have taken it, or it isn't due yet
+    const item = await claimQueuedWebhookEvent(candidate.eventId, LOCK_MS)
+    if (!item) continue
+
+    const outcome = await processQueuedEvent(item)
+    results[outcome]++
+  }
+
+  if (results.processed || results.retrying || results.dead_lettered) {
+    console.log(`📤 Webhook queue run: ${results.processed} processed, ${results.retrying} retrying, ${results.dead_lettered} dead-lettered`)
+  }
+
+  return results
+}
+
+// Put a dead-lettered event back on the queue with a fresh set of attempts
+export async function replayDeadLetter(eventId) {
+  const deadLetter = await getDeadLetter(eventId)
+  if (!deadLetter) return false
+
+  await removeQueuedWebhookEvent(eventId)
+  await enqueueWebhookEvent(deadLetter.event)
+  await removeDeadLetter(eventId)
+
+  console.log(`♻️ Replaying dead-lettered event ${eventId} (${deadLetter.type})`)
+  return true
+}
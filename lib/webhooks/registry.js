@@ -0,0 +1,99 @@
+// Webhook handler registry. Each Stripe event type can have any number of
+// listeners, registered from their own modules (see lib/webhooks/handlers).
+// Listeners run in registration order and receive (event, context), where
+// context.source is the { eventId, eventCreated } stamp for storage writes and
+// context.replay is true when old events are being replayed to rebuild state.
+// Listeners that only notify the outside world (Discord, emails, ...) should
+// register with { replayable: false } so replays don't repeat them.
+//
+// Listener names (the function name unless { name } is given) must be unique
+// per event type - the processed-events ledger tracks which listeners already
+// succeeded by name, so a retry only runs the ones that failed.
+//
+// To hook another service into Stripe events (e.g. the Discord bot), add a
+// module under lib/webhooks/handlers that calls onStripeEvent() and import it
+// from lib/webhooks/handlers/index.js.
+
+const listeners = new Map()
+
+export function onStripeEvent(eventTypes, handler, { name, replayable = true } = {}) {
+  const types = Array.isArray(eventTypes) ? eventTypes : [eventTypes]
+  const listenerName = name || handler.name || 'anonymous'
+
+  for (const type of types) {
+    if (!listeners.has(type)) listeners.set(type, [])
+
+    // Registering the same function twice for a type is a no-op
+    const existing = listeners.get(type)
+    if (existing.some(listener => listener.handler === handler)) continue
+
+    if (existing.some(listener => listener.name === listenerName)) {
+      throw new Error(`A listener named '${listenerName}' is already registered for ${type} - pass { name } to tell them apart`)
+    }
+
+    existing.push({ name: listenerName, handler, replayable })
+  }
+}
+
+export function getStripeEventListeners(eventType) {
+  return listeners.get(eventType) || []
+}
+
+export function getRegisteredEventTypes() {
+  return [...listeners.keys()]
+}
+
+// Run every listener for the event. One listener failing doesn't stop the
+// others, but the dispatch as a whole throws so the event gets retried.
+// skipListeners names listeners that already succeeded on an earlier attempt;
+// onListenerSucceeded(name) is awaited after each one that succeeds now, and
+// onListenerSkipped(name) after each non-replayable one a replay leaves out.
+export async function dispatchStripeEvent(event, { replay = false, skipListeners = [], onListenerSucceeded, onListenerSkipped } = {}) {
+  const allListeners = getStripeEventListeners(event.type)
+  const eventListeners = allListeners.filter(listener => !replay || listener.replayable)
+
+  if (onListenerSkipped) {
+    for (const { name } of allListeners.filter(listener => !eventListeners.includes(listener))) {
+      if (!skipListeners.includes(name)) await onListenerSkipped(name)
+    }
+  }
+
+  if (eventListeners.length === 0) {
+    console.log(`Unhandled event type: ${event.type}`)
+    return { handled: 0 }
+  }
+
+  const context = {
+    // Stamped on stored records so late, out-of-order deliveries can't
+    // overwrite newer state (see lib/storage.js)
+    source: { eventId: event.id, eventCreated: event.created },
+    replay
+  }
+
+  const failures = []
+
+  for (const { name, handler } of eventListeners) {
+    if (skipListeners.includes(name)) {
+      console.log(`⏭️ Listener '${name}' already handled ${event.id} - skipping`)
+      continue
+    }
+
+    try {
+      await handler(event, context)
+    } catch (error) {
+      console.error(`🚨 Webhook listener '${name}' failed for ${event.type}:`, error)
+      failures.push({ name, error })
+      continue
+    }
+
+    if (onListenerSucceeded) await onListenerSucceeded(name)
+  }
+
+  if (failures.length > 0) {
+    const error = new Error(`${failures.length} listener(s) failed for ${event.type}: ${failures.map(f => `${f.name} (${f.error.message})`).join(', ')}`)
+    error.failures = failures
+    throw error
+  }
+
+  return { handled: eventListeners.length }
+}
@@ -17,6 +17,18 @@ const COUPONS_CONFIG = [
             type: 'unlimited_access'
         }
     },
+    {
+        id: 'retention-50-off-3-months',
+        name: 'Retention Offer - 50% Off for 3 Months',
+        percent_off: 50,
+        duration: 'repeating',
+        duration_in_months: 3,
+        description: 'Save offer shown to customers who are about to cancel (lib/retention-offers.js)',
+        metadata: {
+            program: 'retention',
+            type: 'save_offer'
+        }
+    },
     // You can add more coupons here and re-run the script safely
 ]
 
@@ -61,6 +73,7 @@ async function createCoupons() {
                     name: couponConfig.name,
                     percent_off: couponConfig.percent_off,
                     duration: couponConfig.duration,
+                    duration_in_months: couponConfig.duration_in_months,
                     metadata: {
                         description: couponConfig.description,
                         ...couponConfig.metadata,
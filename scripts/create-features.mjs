@@ -5,65 +5,53 @@ dotenv.config()
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY)
 
 const FEATURES_CONFIG = [
-    {
-        name: 'Premium Server Access',
-        lookup_key: 'single_premium_server',
-        description: 'Access to one premium Discord server',
-        order: 1,
-    },
     {
         name: 'Extended Limits',
         lookup_key: 'extended_limits',
         description: 'Higher rate limits and extended functionality',
-        order: 2,
+        order: 1,
     },
     {
         name: 'Priority Support',
         lookup_key: 'priority_support',
         description: 'Priority customer support and faster response times',
-        order: 3,
+        order: 2,
     },
     {
         name: "Credit Shoutout",
         lookup_key: 'credit_shoutout',
         description: 'Your name will be displayed in the credits list',
-        order: 4,
+        order: 3,
     },
     {
         name: 'Translation Commands',
         lookup_key: 'translation_commands',
         description: 'Multi-language translation capabilities',
-        order: 5,
+        order: 4,
     },
     {
         name: 'AI Integration',
         lookup_key: 'ai_integration',
         description: 'AI-powered bot responses and commands',
-        order: 6,
+        order: 5,
     },
     {
         name: 'Feature Suggestions',
         lookup_key: 'feature_suggestions',
         description: 'Suggest new features and improvements',
-        order: 7,
+        order: 6,
     },
     {
         name: 'Custom Bot Name',
         lookup_key: 'custom_bot_name',
         description: 'Customize the bot\'s name',
-        order: 8,
+        order: 7,
     },
     {
         name: '1-1 Support',
         lookup_key: 'personal_support',
         description: '1-1 support with the developer',
-        order: 9,
-    },
-    {
-        name: 'Three Premium Servers',
-        lookup_key: 'three_premium_servers',
-        description: 'Access to three premium Discord servers',
-        order: 10,
+        order: 8,
     },
 ]
 
@@ -0,0 +1,29 @@
+// Create or update the Billing Portal configuration from the product catalog
+//
+// Usage:
+//   pnpm run create:portal
+//
+// Run it after changing products or prices. The portal-session route also
+// syncs it on demand, so this is only needed to check the result up front.
+import 'dotenv/config'
+import { syncPortalConfiguration, PORTAL_OPTIONS } from '../lib/billing-portal.js'
+
+const returnUrl = `${process.env.APP_URL || 'http://localhost:3000'}/account`
+
+try {
+  console.log('🔧 Syncing billing portal configuration...')
+  const { configuration, changed } = await syncPortalConfiguration(returnUrl)
+  const update = configuration.features.subscription_update
+
+  console.log(`${changed ? '✅ Saved' : '💡 Already up to date:'} ${configuration.id}`)
+  console.log(`    Plan switches: ${update.enabled ? `${update.products.length} product(s)` : 'disabled'}`)
+  console.log(`    Cancellation: ${PORTAL_OPTIONS.allowCancellation ? PORTAL_OPTIONS.cancellationMode : 'disabled'}`)
+  console.log(`    Returns to: ${returnUrl}`)
+
+  if (process.env.STRIPE_PORTAL_CONFIGURATION_ID && process.env.STRIPE_PORTAL_CONFIGURATION_ID !== configuration.id) {
+    console.log(`\n⚠️  STRIPE_PORTAL_CONFIGURATION_ID is set to ${process.env.STRIPE_PORTAL_CONFIGURATION_ID}, so portal sessions use that one instead`)
+  }
+} catch (error) {
+  console.error('❌ Failed to sync billing portal configuration:', error.message)
+  process.exit(1)
+}
@@ -1,5 +1,6 @@
 import Stripe from 'stripe'
 import dotenv from 'dotenv'
+import { formatMoney } from '../lib/currency.js'
 
 dotenv.config()
 
@@ -10,31 +11,36 @@ console.log('- STRIPE_SECRET_KEY starts with:', process.env.STRIPE_SECRET_KEY?.s
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY)
 
 // 🎯 PRODUCT CONFIGURATION - Edit this to add/modify products
+// Free trials: set metadata.trial_days, and trial_requires_payment_method: false
+// to let customers start the trial without entering a card
+// Prices: one amount per currency (in pence/cents) for each billing interval
+// Server counts aren't features - a tier is sold per server and the
+// subscription quantity is the limit (see lib/seats.js)
 const PRODUCTS_CONFIG = [
   {
     name: 'Core Tier',
     description: 'Ideal for individuals and small servers ready to go premium',
     features: [
-      'single_premium_server',
       'extended_limits',
       'priority_support',
       'credit_shoutout'
     ],
     prices: {
-      monthly: { amount: 300, interval: 'month' }, // £3.00
-      yearly: { amount: 3000, interval: 'year' }   // £30.00
+      monthly: { interval: 'month', amounts: { gbp: 300, usd: 400, eur: 350 } },
+      yearly: { interval: 'year', amounts: { gbp: 3000, usd: 4000, eur: 3500 } }
     },
     metadata: {
       tier: 'core',
       priority: 1,
-      popular: false
+      popular: false,
+      trial_days: 7,
+      trial_requires_payment_method: false
     }
   },
   {
     name: 'Plus Tier',
     description: 'Perfect for multilingual servers and teams needing smart, AI-powered help',
     features: [
-      'single_premium_server',
       'extended_limits',
       'priority_support',
       'credit_shoutout',
@@ -43,13 +49,15 @@ const PRODUCTS_CONFIG = [
       'feature_suggestions'
     ],
     prices: {
-      monthly: { amount: 500, interval: 'month' }, // £5.00
-      yearly: { amount: 5000, interval: 'year' }   // £50.00
+      monthly: { interval: 'month', amounts: { gbp: 500, usd: 600, eur: 600 } },
+      yearly: { interval: 'year', amounts: { gbp: 5000, usd: 6000, eur: 6000 } }
     },
     metadata: {
       tier: 'plus',
       priority: 2,
-      popular: true
+      popular: true,
+      trial_days: 14,
+      trial_requires_payment_method: true
     }
   },
   {
@@ -63,12 +71,11 @@ const PRODUCTS_CONFIG = [
       'translation_commands',
       'feature_suggestions',
       'custom_bot_name',
-      'personal_support',
-      'three_premium_servers'
+      'personal_support'
     ],
     prices: {
-      monthly: { amount: 1000, interval: 'month' }, // £10.00
-      yearly: { amount: 10000, interval: 'year' }   // £100.00
+      monthly: { interval: 'month', amounts: { gbp: 1000, usd: 1300, eur: 1200 } },
+      yearly: { interval: 'year', amounts: { gbp: 10000, usd: 13000, eur: 12000 } }
     },
     metadata: {
       tier: 'ultra',
@@ -78,7 +85,103 @@ const PRODUCTS_CONFIG = [
   },
 ]
 
-const currency = 'gbp'
+// 🧩 ADD-ON CONFIGURATION - optional extras added to a tier subscription as
+// extra items. compatible_tiers lists the tiers they can be bought with; the
+// features are granted through Stripe entitlements like the tier's own.
+const ADDONS_CONFIG = [
+  {
+    name: 'AI Integration Add-on',
+    description: 'Smart, AI-powered help on top of your Core Tier',
+    features: [
+      'ai_integration'
+    ],
+    prices: {
+      monthly: { interval: 'month', amounts: { gbp: 150, usd: 200, eur: 175 } },
+      yearly: { interval: 'year', amounts: { gbp: 1500, usd: 2000, eur: 1750 } }
+    },
+    metadata: {
+      addon: 'true',
+      addon_key: 'ai_integration',
+      compatible_tiers: 'core'
+    }
+  },
+  {
+    name: 'Translation Add-on',
+    description: 'Translation commands for multilingual Core Tier servers',
+    features: [
+      'translation_commands'
+    ],
+    prices: {
+      monthly: { interval: 'month', amounts: { gbp: 100, usd: 150, eur: 125 } },
+      yearly: { interval: 'year', amounts: { gbp: 1000, usd: 1500, eur: 1250 } }
+    },
+    metadata: {
+      addon: 'true',
+      addon_key: 'translation',
+      compatible_tiers: 'core'
+    }
+  },
+  {
+    name: 'Custom Bot Name Add-on',
+    description: 'Give the bot your own name on Core or Plus Tier',
+    features: [
+      'custom_bot_name'
+    ],
+    prices: {
+      monthly: { interval: 'month', amounts: { gbp: 200, usd: 250, eur: 225 } },
+      yearly: { interval: 'year', amounts: { gbp: 2000, usd: 2500, eur: 2250 } }
+    },
+    metadata: {
+      addon: 'true',
+      addon_key: 'custom_bot_name',
+      compatible_tiers: 'core,plus'
+    }
+  }
+]
+
+// ♾️ LIFETIME - a one-off purchase instead of a subscription. Stripe only
+// creates entitlements for subscriptions, so the features attached here are
+// granted locally once the payment succeeds. servers is how many premium
+// servers it covers.
+const LIFETIME_CONFIG = {
+  name: 'Lifetime',
+  description: 'Pay once and keep Plus Tier features on one server forever',
+  features: [
+    'extended_limits',
+    'priority_support',
+    'credit_shoutout',
+    'ai_integration',
+    'translation_commands',
+    'feature_suggestions'
+  ],
+  prices: {
+    lifetime: { amounts: { gbp: 7500, usd: 9000, eur: 9000 } }
+  },
+  metadata: {
+    lifetime: 'true',
+    servers: 1
+  }
+}
+
+const TRIAL_METADATA_KEYS = ['trial_days', 'trial_requires_payment_method']
+
+// Tiers are matched by their tier metadata, add-ons by their addon_key and
+// the lifetime product by its lifetime flag
+function metadataKey(metadata = {}) {
+  return metadata.tier || metadata.addon_key || (metadata.lifetime === 'true' ? 'lifetime' : undefined)
+}
+
+function configKey(productConfig) {
+  return metadataKey(productConfig.metadata)
+}
+
+// 🧾 STRIPE TAX - UK and EU prices include VAT, US prices have sales tax added
+// on top. Stripe only lets tax_behavior be set once, so existing prices that
+// never had one are updated and the rest are left alone.
+const TAX_BEHAVIOR = { gbp: 'inclusive', eur: 'inclusive', usd: 'exclusive' }
+
+// Software as a service (electronically supplied services)
+const TAX_CODE = 'txcd_10103000'
 
 // Helper function to get feature ID from lookup_key
 async function getFeatureIdByLookupKey(lookupKey) {
@@ -109,9 +212,9 @@ async function findExistingActiveProduct(productConfig) {
       limit: 100
     })
 
-    // Look for a product with the same tier in metadata
-    const existingProduct = products.data.find(product => 
-      product.metadata?.tier === productConfig.metadata.tier
+    // Look for a product with the same tier (or add-on key) in metadata
+    const existingProduct = products.data.find(product =>
+      metadataKey(product.metadata) === configKey(productConfig)
     )
 
     return existingProduct || null
@@ -121,22 +224,106 @@ async function findExistingActiveProduct(productConfig) {
   }
 }
 
+// Existing products are skipped, but trial settings can still change - keep
+// their metadata in sync with the config
+async function syncTrialMetadata(product, productConfig) {
+  const metadata = {}
+  for (const key of TRIAL_METADATA_KEYS) {
+    // An empty string removes the key in Stripe
+    const value = productConfig.metadata[key] === undefined ? '' : String(productConfig.metadata[key])
+    if ((product.metadata?.[key] || '') !== value) metadata[key] = value
+  }
+
+  if (Object.keys(metadata).length === 0) return false
+
+  await stripe.products.update(product.id, { metadata })
+  console.log(`    🎁 Updated trial settings: ${JSON.stringify(metadata)}`)
+  return true
+}
+
+function priceMetadata(productConfig) {
+  // Add-on prices are told apart from tier prices on a subscription by this
+  if (productConfig.metadata.addon) {
+    return { addon: 'true', addon_key: productConfig.metadata.addon_key }
+  }
+  if (productConfig.metadata.lifetime) {
+    return { lifetime: 'true' }
+  }
+  return { plan: productConfig.metadata.tier, tier: productConfig.metadata.tier }
+}
+
+// Prices without an interval in the config (the lifetime purchase) are one-off
+async function createPrice(productId, productConfig, interval, currency, amount) {
+  const recurringInterval = productConfig.prices[interval].interval
+  const price = await stripe.prices.create({
+    product: productId,
+    unit_amount: amount,
+    currency: currency,
+    tax_behavior: TAX_BEHAVIOR[currency] || 'exclusive',
+    ...(recurringInterval ? { recurring: { interval: recurringInterval } } : {}),
+    metadata: {
+      interval: interval,
+      ...priceMetadata(productConfig)
+    }
+  })
+
+  console.log(`✅ Created ${interval} price: ${price.id} (${formatMoney(amount, currency)}, tax ${price.tax_behavior})`)
+  return price
+}
+
+// Existing products are skipped, but currencies added to the config later
+// still need their prices, and older prices need a tax behaviour
+async function syncMissingPrices(product, productConfig) {
+  const existingPrices = await stripe.prices.list({ product: product.id, active: true, limit: 100 })
+  let created = 0
+
+  for (const [interval, priceConfig] of Object.entries(productConfig.prices)) {
+    for (const [currency, amount] of Object.entries(priceConfig.amounts)) {
+      const existing = existingPrices.data.find(price =>
+        price.currency === currency && price.recurring?.interval === priceConfig.interval
+      )
+
+      if (existing) {
+        if (existing.tax_behavior === 'unspecified') {
+          const taxBehavior = TAX_BEHAVIOR[currency] || 'exclusive'
+          await stripe.prices.update(existing.id, { tax_behavior: taxBehavior })
+          console.log(`    🧾 Set ${interval} ${currency.toUpperCase()} price to tax ${taxBehavior}`)
+        }
+        continue
+      }
+
+      console.log(`    💱 Adding missing ${interval} ${currency.toUpperCase()} price`)
+      await createPrice(product.id, productConfig, interval, currency, amount)
+      created++
+    }
+  }
+
+  return created
+}
+
 async function createProducts() {
   try {
-    console.log(`🚀 Creating ${PRODUCTS_CONFIG.length} products with pricing and features...`)
+    const allProducts = [...PRODUCTS_CONFIG, ...ADDONS_CONFIG, LIFETIME_CONFIG]
+    console.log(`🚀 Creating ${PRODUCTS_CONFIG.length} products, ${ADDONS_CONFIG.length} add-ons and the lifetime purchase with pricing and features...`)
 
     const createdProducts = []
     const skippedProducts = []
 
-    for (const productConfig of PRODUCTS_CONFIG) {
-      console.log(`\n🔍 Checking product: ${productConfig.name} (${productConfig.metadata.tier})`)
+    for (const productConfig of allProducts) {
+      console.log(`\n🔍 Checking product: ${productConfig.name} (${configKey(productConfig)})`)
 
       // Check if a similar active product already exists
       const existingProduct = await findExistingActiveProduct(productConfig)
       
       if (existingProduct) {
-        console.log(`⚠️  Active product with tier '${productConfig.metadata.tier}' already exists - skipping`)
+        console.log(`⚠️  Active product '${configKey(productConfig)}' already exists - skipping`)
         console.log(`    Existing: ${existingProduct.name} (${existingProduct.id})`)
+        await syncTrialMetadata(existingProduct, productConfig)
+        await syncMissingPrices(existingProduct, productConfig)
+        if (existingProduct.tax_code !== TAX_CODE) {
+          await stripe.products.update(existingProduct.id, { tax_code: TAX_CODE })
+          console.log(`    🧾 Updated tax code to ${TAX_CODE}`)
+        }
         
         skippedProducts.push({
           config: productConfig,
@@ -150,6 +337,7 @@ async function createProducts() {
         // Remove custom ID - let Stripe generate it
         name: productConfig.name,
         description: productConfig.description,
+        tax_code: TAX_CODE,
         metadata: {
           features: productConfig.features.join(', '),
           ...productConfig.metadata,
@@ -161,6 +349,9 @@ async function createProducts() {
       try {
         const product = await stripe.products.create(productPayload)
         console.log(`✅ Created product: ${product.id}`)
+        if (productConfig.metadata.trial_days) {
+          console.log(`🎁 Free trial: ${productConfig.metadata.trial_days} days${productConfig.metadata.trial_requires_payment_method === false ? ' (no card required)' : ''}`)
+        }
 
         // Attach features to the product
         console.log(`\n🔗 Attaching ${productConfig.features.length} features to ${product.name}...`)
@@ -186,39 +377,27 @@ async function createProducts() {
           }
         }
 
-        // Create prices for this product
+        // Create prices for this product - one per interval and currency
         const prices = {}
 
         for (const [interval, priceConfig] of Object.entries(productConfig.prices)) {
-          console.log(`\n💰 Creating ${interval} price for ${productConfig.name}...`)
-
-          const price = await stripe.prices.create({
-            product: product.id,
-            unit_amount: priceConfig.amount,
-            currency: currency,
-            recurring: {
-              interval: priceConfig.interval
-            },
-            metadata: {
-              plan: productConfig.metadata.tier,
-              interval: interval,
-              tier: productConfig.metadata.tier
+          for (const [currency, amount] of Object.entries(priceConfig.amounts)) {
+            console.log(`\n💰 Creating ${interval} ${currency.toUpperCase()} price for ${productConfig.name}...`)
+
+            const price = await createPrice(product.id, productConfig, interval, currency, amount)
+            prices[`${interval} ${currency.toUpperCase()}`] = {
+              id: price.id,
+              amount,
+              currency
             }
-          })
-
-          prices[interval] = {
-            id: price.id,
-            amount: priceConfig.amount
           }
-
-          console.log(`✅ Created ${interval} price: ${price.id} (£${(priceConfig.amount / 100).toFixed(2)})`)
         }
 
         createdProducts.push({
           product: {
             id: product.id,
             name: product.name,
-            tier: productConfig.metadata.tier,
+            tier: configKey(productConfig),
             features: productConfig.features
           },
           prices
@@ -250,7 +429,7 @@ async function createProducts() {
         console.log(`  • ${product.name} (${product.tier.toUpperCase()})`)
         console.log(`    Product ID: ${product.id}`)
         Object.entries(prices).forEach(([interval, price]) => {
-          console.log(`    ${interval}: ${price.id} (£${(price.amount / 100).toFixed(2)})`)
+          console.log(`    ${interval}: ${price.id} (${formatMoney(price.amount, price.currency)})`)
         })
       })
     }
@@ -0,0 +1,76 @@
+// Import every Stripe customer, their subscription and active entitlements
+// into local storage - for adopting this project on an existing Stripe account
+//
+// Usage:
+//   pnpm run import -- [--restart] [--retry-failed] [--page-size 50]
+//
+// Re-running after an interruption resumes after the last imported customer.
+// --restart       ignore saved progress and import everything again
+// --retry-failed  only retry customers that failed in the last run
+import 'dotenv/config'
+import { backfillStripeCustomers, retryFailedBackfill, getBackfillStatus } from '../lib/backfill.js'
+
+function parseArgs(argv) {
+  const args = { restart: false, retryFailed: false, pageSize: 100 }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    switch (arg) {
+      case '--restart': args.restart = true; break
+      case '--retry-failed': args.retryFailed = true; break
+      case '--page-size': args.pageSize = parseInt(argv[++i]); break
+      default:
+        throw new Error(`Unknown argument: ${arg}`)
+    }
+  }
+
+  if (!(args.pageSize >= 1 && args.pageSize <= 100)) {
+    throw new Error('--page-size must be between 1 and 100')
+  }
+
+  return args
+}
+
+async function importCustomers() {
+  try {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      throw new Error('STRIPE_SECRET_KEY not found in environment variables')
+    }
+
+    const args = parseArgs(process.argv.slice(2))
+
+    console.log('📥 Importing Stripe customers into local storage...')
+
+    const run = args.retryFailed
+      ? await retryFailedBackfill()
+      : await backfillStripeCustomers({ restart: args.restart, pageSize: args.pageSize })
+
+    if (!run) {
+      console.log('\n⚠️ No previous import found - run without --retry-failed first')
+      return
+    }
+
+    console.log('\n' + '='.repeat(60))
+    console.log(run.status === 'completed' ? '🎉 IMPORT COMPLETE' : '⏸️ IMPORT STOPPED')
+    console.log('='.repeat(60))
+    console.log(`✅ Imported: ${run.imported}`)
+    console.log(`❌ Failed: ${run.failed.length}`)
+
+    run.failed.forEach(({ customerId, error }) => console.log(`  ${customerId}: ${error}`))
+
+    if (run.failed.length > 0) {
+      console.log('\n💡 Use --retry-failed to try the failed customers again')
+    }
+
+  } catch (error) {
+    console.error('\n❌ IMPORT FAILED:', error.message)
+
+    const run = await getBackfillStatus().catch(() => null)
+    if (run?.cursor) {
+      console.log(`💡 Progress saved after ${run.cursor} - run the import again to resume`)
+    }
+    process.exit(1)
+  }
+}
+
+importCustomers()
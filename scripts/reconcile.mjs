@@ -0,0 +1,97 @@
+// Compare local storage with live Stripe subscriptions and entitlements
+//
+// Usage:
+//   pnpm run reconcile -- [--apply] [--customer cus_123 --customer cus_456]
+//
+// --apply     fix what was found (default is report only)
+// --customer  only check these customers (skips the missing-customer scan)
+import 'dotenv/config'
+import { reconcileWithStripe } from '../lib/reconcile.js'
+import { formatValue } from '../lib/storage-diff.js'
+
+const ISSUE_LABELS = {
+  missing_locally: '➕ Missing locally',
+  missing_in_stripe: '👻 Missing in Stripe',
+  subscription_mismatch: '🔄 Subscription mismatch',
+  stale_entitlements: '🎫 Stale entitlements',
+  stale_suspension: '🔓 Stale suspension',
+  missing_suspension: '🔒 Missing suspension'
+}
+
+function parseArgs(argv) {
+  const args = { apply: false, customerIds: [] }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    switch (arg) {
+      case '--apply': args.apply = true; break
+      case '--customer': args.customerIds.push(argv[++i]); break
+      default:
+        throw new Error(`Unknown argument: ${arg}`)
+    }
+  }
+
+  return args
+}
+
+function printIssue(issue, apply) {
+  const status = apply ? (issue.fixed ? ' ✅ fixed' : ' ⚠️ not fixed') : ''
+  console.log(`  ${issue.customerId} (${issue.email || 'no email'})${status}`)
+  console.log(`      ${issue.message}`)
+
+  if (issue.expected) {
+    for (const [field, expected] of Object.entries(issue.expected)) {
+      console.log(`      ${field}: ${formatValue(issue.actual?.[field])} → ${formatValue(expected)}`)
+    }
+  }
+  if (issue.missing?.length > 0) console.log(`      missing: ${issue.missing.join(', ')}`)
+  if (issue.extra?.length > 0) console.log(`      extra: ${issue.extra.join(', ')}`)
+}
+
+async function reconcile() {
+  try {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      throw new Error('STRIPE_SECRET_KEY not found in environment variables')
+    }
+
+    const args = parseArgs(process.argv.slice(2))
+    if (!args.apply) console.log('🧪 REPORT ONLY - pass --apply to fix the issues found')
+
+    const report = await reconcileWithStripe({
+      apply: args.apply,
+      customerIds: args.customerIds.length > 0 ? args.customerIds : null
+    })
+
+    console.log('\n' + '='.repeat(60))
+    console.log(args.apply ? '🎉 RECONCILIATION COMPLETE' : '🔍 RECONCILIATION REPORT')
+    console.log('='.repeat(60))
+
+    if (report.issues.length === 0) {
+      console.log(`\n✨ ${report.checked} customer(s) checked - storage matches Stripe`)
+    }
+
+    for (const [type, label] of Object.entries(ISSUE_LABELS)) {
+      const issues = report.issues.filter(issue => issue.type === type)
+      if (issues.length === 0) continue
+
+      console.log(`\n${label} (${issues.length})`)
+      issues.forEach(issue => printIssue(issue, args.apply))
+    }
+
+    if (report.errors.length > 0) {
+      console.log(`\n❌ Errors (${report.errors.length})`)
+      report.errors.forEach(({ customerId, error }) => console.log(`  ${customerId || 'scan'}: ${error}`))
+    }
+
+    const fixed = report.issues.filter(issue => issue.fixed).length
+    console.log(`\n📊 ${report.checked} checked, ${report.issues.length} issue(s)${args.apply ? `, ${fixed} fixed` : ''}, ${report.errors.length} error(s)`)
+
+    if (report.errors.length > 0) process.exit(1)
+
+  } catch (error) {
+    console.error('\n❌ RECONCILIATION FAILED:', error.message)
+    process.exit(1)
+  }
+}
+
+reconcile()
@@ -0,0 +1,183 @@
+// Rebuild local storage by replaying Stripe events through the webhook handlers
+//
+// Usage:
+//   pnpm run replay -- [--since 7d|2025-07-01] [--until 2025-07-31]
+//                      [--source stripe|local] [--types customer.updated,invoice.payment_succeeded]
+//                      [--force] [--dry-run]
+//
+// --source stripe  pages through stripe.events.list (Stripe keeps 30 days)
+// --source local   reads the webhook event log (logs/stripe-events.jsonl)
+// --force          also re-run events the ledger says already succeeded
+// --dry-run        run against an in-memory copy of storage and report the diff
+import 'dotenv/config'
+import Stripe from 'stripe'
+import { getStorageAdapter, setStorageAdapter, createStorageAdapter } from '../lib/storage-adapters/index.js'
+import { processStripeEvent } from '../lib/webhooks/process-event.js'
+import { getSkippedEventListeners } from '../lib/storage.js'
+import { readEventLog } from '../lib/webhooks/event-log.js'
+import { diffCollections, formatValue } from '../lib/storage-diff.js'
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY)
+
+function parseArgs(argv) {
+  const args = { since: '30d', until: null, source: 'stripe', types: [], force: false, dryRun: false }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    switch (arg) {
+      case '--since': args.since = argv[++i]; break
+      case '--until': args.until = argv[++i]; break
+      case '--source': args.source = argv[++i]; break
+      case '--types': args.types = argv[++i].split(',').map(t => t.trim()).filter(Boolean); break
+      case '--force': args.force = true; break
+      case '--dry-run': args.dryRun = true; break
+      default:
+        throw new Error(`Unknown argument: ${arg}`)
+    }
+  }
+
+  if (!['stripe', 'local'].includes(args.source)) {
+    throw new Error(`--source must be 'stripe' or 'local' (got '${args.source}')`)
+  }
+
+  return args
+}
+
+// Accepts relative windows (30d, 12h) or anything Date can parse
+function toUnixSeconds(value) {
+  if (!value) return null
+
+  const relative = value.match(/^(\d+)([dh])$/)
+  if (relative) {
+    const seconds = parseInt(relative[1]) * (relative[2] === 'd' ? 86400 : 3600)
+    return Math.floor(Date.now() / 1000) - seconds
+  }
+
+  const date = new Date(value)
+  if (isNaN(date.getTime())) throw new Error(`Invalid date: ${value}`)
+  return Math.floor(date.getTime() / 1000)
+}
+
+async function fetchStripeEvents({ since, until, types }) {
+  const created = { gte: since }
+  if (until) created.lte = until
+
+  const events = []
+  const params = { created, limit: 100 }
+  if (types.length > 0) params.types = types
+
+  // Stripe returns newest first - collect everything, then sort oldest first
+  for await (const event of stripe.events.list(params)) {
+    events.push(event)
+    if (events.length % 100 === 0) {
+      console.log(`  📄 Fetched ${events.length} events...`)
+    }
+  }
+
+  return events.sort((a, b) => a.created - b.created)
+}
+
+function printDiff(before, after, dryRun) {
+  const { added, removed, changed } = diffCollections(before.customers, after.customers)
+
+  if (added.length === 0 && removed.length === 0 && changed.length === 0) {
+    console.log('\n✨ No changes - storage already matches these events')
+    return
+  }
+
+  console.log(dryRun ? '\n📝 Changes that would be written:' : '\n📝 Changes written:')
+
+  for (const id of added) {
+    const customer = after.customers[id]
+    console.log(`  ➕ ${id} (${customer.email || 'no email'}) - new customer`)
+  }
+
+  for (const id of removed) {
+    console.log(`  ➖ ${id} - removed`)
+  }
+
+  for (const { id, changes } of changed) {
+    console.log(`  ✏️  ${id} (${after.customers[id].email || 'no email'})`)
+    for (const change of changes) {
+      console.log(`      ${change.path}: ${formatValue(change.before)} → ${formatValue(change.after)}`)
+    }
+  }
+
+  console.log(`\n📊 ${added.length} added, ${changed.length} changed, ${removed.length} removed`)
+}
+
+async function replayEvents() {
+  try {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      throw new Error('STRIPE_SECRET_KEY not found in environment variables')
+    }
+
+    const args = parseArgs(process.argv.slice(2))
+    const since = toUnixSeconds(args.since)
+    const until = toUnixSeconds(args.until)
+
+    console.log(`🔁 Replaying events from ${args.source === 'stripe' ? 'Stripe' : 'the local event log'}`)
+    console.log(`📅 Window: ${new Date(since * 1000).toISOString()} → ${until ? new Date(until * 1000).toISOString() : 'now'}`)
+    if (args.types.length > 0) console.log(`🏷️  Types: ${args.types.join(', ')}`)
+    if (args.dryRun) console.log('🧪 DRY RUN - storage will not be modified')
+
+    let events = args.source === 'stripe'
+      ? await fetchStripeEvents({ since, until, types: args.types })
+      : await readEventLog({ since, until: until || Infinity })
+
+    if (args.types.length > 0) {
+      events = events.filter(event => args.types.includes(event.type))
+    }
+
+    console.log(`\n📦 Found ${events.length} event(s) to replay`)
+
+    // Dry runs work on an in-memory copy so the real storage is never touched
+    const realAdapter = getStorageAdapter()
+    const before = await realAdapter.dump()
+    if (args.dryRun) {
+      setStorageAdapter(createStorageAdapter('memory', { initialData: before }))
+    }
+
+    const results = { processed: 0, duplicate: 0, failed: 0 }
+    // Events whose non-replayable listeners (Discord logs, ...) never ran
+    const withSkippedListeners = []
+
+    for (const event of events) {
+      try {
+        const result = await processStripeEvent(event, { force: args.force, replay: true })
+        results[result.status]++
+        if (result.status === 'processed' && getSkippedEventListeners(result.record).length > 0) {
+          withSkippedListeners.push(event.id)
+        }
+      } catch (error) {
+        results.failed++
+        console.error(`❌ Failed to replay ${event.id} (${event.type}): ${error.message}`)
+      }
+    }
+
+    const after = await getStorageAdapter().dump()
+
+    console.log('\n' + '='.repeat(60))
+    console.log(args.dryRun ? '🧪 DRY RUN COMPLETE' : '🎉 REPLAY COMPLETE')
+    console.log('='.repeat(60))
+    console.log(`✅ Processed: ${results.processed}`)
+    console.log(`⏭️  Skipped (already handled): ${results.duplicate}`)
+    console.log(`❌ Failed: ${results.failed}`)
+
+    printDiff(before, after, args.dryRun)
+
+    if (withSkippedListeners.length > 0 && !args.dryRun) {
+      console.log(`\n⏭️  ${withSkippedListeners.length} event(s) have listeners that replays skip - they're recorded as skipped in the ledger, and reprocessing an event runs them`)
+    }
+
+    if (results.duplicate > 0 && !args.force) {
+      console.log('\n💡 Use --force to re-run events that were already handled')
+    }
+
+  } catch (error) {
+    console.error('\n❌ REPLAY FAILED:', error.message)
+    process.exit(1)
+  }
+}
+
+replayEvents()
@@ -0,0 +1,33 @@
+// Long-running webhook queue worker - picks up retries whose backoff has
+// elapsed. Run alongside `pnpm run dev` / `pnpm start`.
+import 'dotenv/config'
+import { processWebhookQueue } from '../lib/webhooks/queue.js'
+
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_WORKER_INTERVAL_MS || 5000)
+
+let stopping = false
+
+async function runWorker() {
+  console.log(`👷 Webhook worker started (polling every ${POLL_INTERVAL_MS / 1000}s)`)
+
+  while (!stopping) {
+    try {
+      await processWebhookQueue()
+    } catch (error) {
+      console.error('❌ Worker run failed:', error.message)
+    }
+
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS))
+  }
+
+  console.log('👋 Webhook worker stopped')
+}
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    console.log(`\n🛑 Received ${signal}, finishing current run...`)
+    stopping = true
+  })
+}
+
+runWorker()
@@ -0,0 +1,73 @@
+import { resetStorage, makeEvent } from './helpers.mjs'
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  saveCustomer,
+  getCustomer,
+  getCustomerByEmail,
+  saveCustomerSubscription,
+  saveCustomerEntitlements,
+  getRejectedUpdates,
+} from '../lib/storage.js'
+import { handleCustomerDeleted, handleCustomerSaved } from '../lib/webhooks/handlers/customers.js'
+
+const CUSTOMER_ID = 'cus_deleted'
+
+beforeEach(async () => {
+  resetStorage()
+  await saveCustomer(CUSTOMER_ID, { email: 'gone@example.com', name: 'Gone' }, { eventCreated: 100 })
+  await saveCustomerSubscription(CUSTOMER_ID, { stripeSubscriptionId: 'sub_deleted', status: 'canceled' }, { eventCreated: 100 })
+  await saveCustomerEntitlements(CUSTOMER_ID, { ent_1: { lookupKey: 'extended_limits' } }, { eventCreated: 100 })
+})
+
+afterEach(() => {
+  delete process.env.CUSTOMER_DELETION_POLICY
+})
+
+async function deleteCustomer(created) {
+  const event = makeEvent('customer.deleted', { created, object: { id: CUSTOMER_ID } })
+  await handleCustomerDeleted(event, { source: { eventId: event.id, eventCreated: created } })
+}
+
+test('a deleted customer is tombstoned by default - no personal data or access, billing history kept', async () => {
+  await deleteCustomer(200)
+
+  const tombstone = await getCustomer(CUSTOMER_ID)
+  assert.equal(tombstone.deleted, true)
+  assert.equal(tombstone.email, null)
+  assert.equal(tombstone.name, null)
+  assert.deepEqual(tombstone.entitlements, {})
+  assert.equal(tombstone.subscription.stripeSubscriptionId, 'sub_deleted')
+  assert.equal(await getCustomerByEmail('gone@example.com'), null)
+})
+
+test('late updates for a tombstoned customer are rejected', async () => {
+  await deleteCustomer(200)
+
+  const late = makeEvent('customer.updated', { created: 300, object: { id: CUSTOMER_ID, email: 'gone@example.com' } })
+  await handleCustomerSaved(late, { source: { eventId: late.id, eventCreated: 300 } })
+  assert.equal(await saveCustomerEntitlements(CUSTOMER_ID, { ent_2: { lookupKey: 'ai_integration' } }, { eventCreated: 300 }), false)
+
+  const tombstone = await getCustomer(CUSTOMER_ID)
+  assert.equal(tombstone.email, null)
+  assert.deepEqual(tombstone.entitlements, {})
+
+  const [rejected] = await getRejectedUpdates()
+  assert.equal(rejected.eventId, late.id)
+  assert.match(rejected.reason, /was deleted/)
+})
+
+test('a deletion older than the stored customer is rejected', async () => {
+  await deleteCustomer(50)
+
+  const customer = await getCustomer(CUSTOMER_ID)
+  assert.equal(customer.deleted, undefined)
+  assert.equal(customer.email, 'gone@example.com')
+})
+
+test('CUSTOMER_DELETION_POLICY=delete removes the record entirely', async () => {
+  process.env.CUSTOMER_DELETION_POLICY = 'delete'
+  await deleteCustomer(200)
+
+  assert.equal(await getCustomer(CUSTOMER_ID), null)
+})
@@ -0,0 +1,86 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { withFileLock, writeFileAtomic } from '../lib/file-lock.js'
+
+let dir
+let filePath
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-lock-'))
+  filePath = path.join(dir, 'users.json')
+})
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true })
+})
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// A lock file left by another process, with its mtime moved by ageMs
+async function foreignLock(ageMs) {
+  const lockPath = `${filePath}.lock`
+  await fs.writeFile(lockPath, JSON.stringify({ pid: 999999, token: 'someone-else' }))
+  const time = new Date(Date.now() - ageMs)
+  await fs.utimes(lockPath, time, time)
+  return lockPath
+}
+
+test('critical sections for the same file never overlap', async () => {
+  let running = 0
+  let overlapped = false
+  const order = []
+
+  await Promise.all([1, 2, 3].map(n => withFileLock(filePath, async () => {
+    running++
+    if (running > 1) overlapped = true
+    await sleep(10)
+    order.push(n)
+    running--
+  })))
+
+  assert.equal(overlapped, false)
+  assert.deepEqual(order, [1, 2, 3])
+  await assert.rejects(fs.stat(`${filePath}.lock`), { code: 'ENOENT' })
+})
+
+test('a stale lock from a crashed process is broken', async () => {
+  await foreignLock(60000)
+
+  const result = await withFileLock(filePath, async () => 'done', { staleMs: 1000, timeoutMs: 2000 })
+  assert.equal(result, 'done')
+  await assert.rejects(fs.stat(`${filePath}.lock`), { code: 'ENOENT' })
+})
+
+test('a live lock held elsewhere times out instead of being broken', async () => {
+  // Fresh for the whole wait
+  const lockPath = await foreignLock(-60000)
+
+  await assert.rejects(
+    withFileLock(filePath, async () => 'never', { retryMs: 5, staleMs: 50, timeoutMs: 100 }),
+    /Timed out/
+  )
+  assert.equal(JSON.parse(await fs.readFile(lockPath, 'utf8')).token, 'someone-else')
+})
+
+test('a lock taken over by another process is left in place on release', async () => {
+  await withFileLock(filePath, async () => {
+    await fs.writeFile(`${filePath}.lock`, JSON.stringify({ pid: 999999, token: 'someone-else' }))
+  })
+
+  assert.equal(JSON.parse(await fs.readFile(`${filePath}.lock`, 'utf8')).token, 'someone-else')
+})
+
+test('staleMs has to be shorter than timeoutMs', async () => {
+  await assert.rejects(withFileLock(filePath, async () => {}, { staleMs: 100, timeoutMs: 100 }), /staleMs/)
+})
+
+test('an atomic write leaves only the new contents behind', async () => {
+  await writeFileAtomic(filePath, 'old')
+  await writeFileAtomic(filePath, 'new')
+
+  assert.equal(await fs.readFile(filePath, 'utf8'), 'new')
+  assert.deepEqual(await fs.readdir(dir), ['users.json'])
+})
@@ -0,0 +1,126 @@
+import { resetStorage, stubStripe, restoreStripe, stripeList } from './helpers.mjs'
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  createGift,
+  getGift,
+  markGiftPaid,
+  claimGiftForRedemption,
+  recordGiftSubscription,
+  completeGiftRedemption,
+  releaseGiftRedemption,
+} from '../lib/storage.js'
+import { getStorageAdapter } from '../lib/storage-adapters/index.js'
+import { stripe } from '../lib/stripe-server.js'
+import { createGiftSubscription, findGiftSubscription, revokeGiftForPayment } from '../lib/gifts.js'
+
+const CODE = 'GIFT-TEST-CODE-0001'
+
+function stripeError(code) {
+  return Object.assign(new Error(code), { code })
+}
+
+beforeEach(async () => {
+  resetStorage()
+  await createGift({
+    code: CODE,
+    productId: 'prod_plus',
+    productName: 'Plus Tier',
+    priceId: 'price_plus_monthly',
+    months: 3,
+    currency: 'gbp',
+    amount: 2997,
+    paymentIntentId: 'pi_gift'
+  })
+})
+
+afterEach(() => {
+  restoreStripe()
+})
+
+test('an unpaid gift can\'t be claimed, and a paid one only once at a time', async () => {
+  assert.equal(await claimGiftForRedemption(CODE, 'friend@example.com'), null)
+
+  await markGiftPaid(CODE, { paymentIntentId: 'pi_gift', amount: 2997 })
+  const claimed = await claimGiftForRedemption(CODE, 'friend@example.com')
+  assert.equal(claimed.status, 'redeeming')
+  assert.equal(await claimGiftForRedemption(CODE, 'someone-else@example.com'), null)
+
+  // A failed redemption puts it back
+  await releaseGiftRedemption(CODE, new Error('card declined'))
+  assert.equal((await getGift(CODE)).status, 'available')
+  assert.ok(await claimGiftForRedemption(CODE, 'someone-else@example.com'))
+
+  await completeGiftRedemption(CODE, { email: 'someone-else@example.com', customerId: 'cus_friend', subscriptionId: 'sub_gift' })
+  const redeemed = await getGift(CODE)
+  assert.equal(redeemed.status, 'redeemed')
+  assert.equal(await claimGiftForRedemption(CODE, 'friend@example.com'), null)
+})
+
+test('an abandoned claim can be taken over and finishes with the subscription it created', async () => {
+  await markGiftPaid(CODE, { paymentIntentId: 'pi_gift', amount: 2997 })
+  await claimGiftForRedemption(CODE, 'friend@example.com')
+  await recordGiftSubscription(CODE, 'sub_gift')
+
+  // Still fresh - nobody else gets it
+  assert.equal(await claimGiftForRedemption(CODE, 'friend@example.com'), null)
+
+  await getStorageAdapter().update('gifts', CODE, (gift) => ({
+    ...gift,
+    redeemingAt: new Date(Date.now() - 6 * 60 * 1000).toISOString()
+  }))
+
+  const reclaimed = await claimGiftForRedemption(CODE, 'friend@example.com')
+  assert.equal(reclaimed.subscriptionId, 'sub_gift')
+
+  stubStripe(stripe.subscriptions, 'retrieve', async (id) => ({ id, customer: 'cus_friend' }))
+  stubStripe(stripe.subscriptions, 'search', async () => assert.fail('the stored subscription should be used'))
+  assert.equal((await findGiftSubscription(reclaimed)).id, 'sub_gift')
+})
+
+test('a subscription that was never recorded is found by its gift_code metadata', async () => {
+  let query = null
+  stubStripe(stripe.subscriptions, 'search', async (params) => {
+    query = params.query
+    return stripeList([{ id: 'sub_found', metadata: { gift_code: CODE } }])
+  })
+
+  assert.equal((await findGiftSubscription(await getGift(CODE))).id, 'sub_found')
+  assert.equal(query, `metadata['gift_code']:'${CODE}'`)
+})
+
+test('gifts of the same product and length share one coupon', async () => {
+  const coupons = {}
+  stubStripe(stripe.coupons, 'retrieve', async (id) => {
+    if (!coupons[id]) throw stripeError('resource_missing')
+    return coupons[id]
+  })
+  stubStripe(stripe.coupons, 'create', async (params) => {
+    if (coupons[params.id]) throw stripeError('resource_already_exists')
+    coupons[params.id] = { ...params }
+    return coupons[params.id]
+  })
+  const created = []
+  stubStripe(stripe.subscriptions, 'create', async (params) => {
+    created.push(params)
+    return { id: `sub_${created.length}`, ...params }
+  })
+
+  const gift = await getGift(CODE)
+  await createGiftSubscription(gift, { id: 'cus_a', email: 'a@example.com' })
+  await createGiftSubscription({ ...gift, code: 'GIFT-TEST-CODE-0002' }, { id: 'cus_b', email: 'b@example.com' })
+
+  assert.deepEqual(Object.keys(coupons), ['gift-prod_plus-3m'])
+  assert.deepEqual(created.map(params => params.coupon), ['gift-prod_plus-3m', 'gift-prod_plus-3m'])
+  assert.equal(created[0].metadata.gift_code, CODE)
+})
+
+test('refunding the gift payment revokes an unredeemed code', async () => {
+  stubStripe(stripe.paymentIntents, 'retrieve', async (id) => ({ id, metadata: { gift: 'true', gift_code: CODE } }))
+  await markGiftPaid(CODE, { paymentIntentId: 'pi_gift', amount: 2997 })
+
+  assert.equal(await revokeGiftForPayment('pi_gift', 'refunded'), true)
+  const gift = await getGift(CODE)
+  assert.equal(gift.status, 'revoked')
+  assert.equal(await claimGiftForRedemption(CODE, 'friend@example.com'), null)
+})
@@ -0,0 +1,52 @@
+// Shared setup for `pnpm test`. Import this first: the env has to be in place
+// before lib/stripe-server.js and the storage adapter are loaded. Nothing here
+// talks to Stripe - the key only has to exist.
+import crypto from 'crypto'
+import { createStorageAdapter, setStorageAdapter } from '../lib/storage-adapters/index.js'
+
+process.env.STORAGE_ADAPTER = 'memory'
+process.env.STRIPE_SECRET_KEY = 'sk_test_dummy'
+
+// Fresh, empty memory adapter for each test
+export function resetStorage() {
+  const adapter = createStorageAdapter('memory')
+  setStorageAdapter(adapter)
+  return adapter
+}
+
+export function makeEvent(type, { created = Math.floor(Date.now() / 1000), object = {} } = {}) {
+  return {
+    id: `evt_test_${crypto.randomUUID()}`,
+    type,
+    created,
+    data: { object }
+  }
+}
+
+// Swap a Stripe SDK method for the length of a test; restoreStripe() puts
+// every stubbed method back
+const stubbed = []
+
+export function stubStripe(resource, method, impl) {
+  stubbed.push([resource, method, resource[method]])
+  resource[method] = impl
+}
+
+export function restoreStripe() {
+  while (stubbed.length > 0) {
+    const [resource, method, original] = stubbed.pop()
+    resource[method] = original
+  }
+}
+
+// Stand-in for a Stripe list call: iterable with `for await` like the
+// auto-paginating SDK result, with the page under `data`
+export function stripeList(items) {
+  return {
+    data: items,
+    has_more: false,
+    async *[Symbol.asyncIterator]() {
+      yield* items
+    }
+  }
+}
@@ -0,0 +1,88 @@
+import { resetStorage, makeEvent } from './helpers.mjs'
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  claimEventForProcessing,
+  recordEventOutcome,
+  getProcessedEvent,
+  pruneProcessedEvents,
+  EVENT_PROCESSING_TIMEOUT_MS,
+} from '../lib/storage.js'
+import { getStorageAdapter } from '../lib/storage-adapters/index.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+beforeEach(() => {
+  resetStorage()
+})
+
+// Move a ledger entry's timestamps into the past
+async function backdate(eventId, fields) {
+  await getStorageAdapter().update('processedEvents', eventId, (record) => ({ ...record, ...fields }))
+}
+
+test('an event is claimed once and then reported as a duplicate', async () => {
+  const event = makeEvent('test.ledger')
+
+  const first = await claimEventForProcessing(event)
+  assert.equal(first.claimed, true)
+  assert.equal(first.record.status, 'processing')
+
+  // Still being handled
+  const second = await claimEventForProcessing(event)
+  assert.equal(second.claimed, false)
+
+  await recordEventOutcome(event.id, 'succeeded')
+  const third = await claimEventForProcessing(event)
+  assert.equal(third.claimed, false)
+  assert.equal(third.record.status, 'succeeded')
+})
+
+test('a failed event can be claimed again, and force reclaims a succeeded one', async () => {
+  const event = makeEvent('test.ledger')
+
+  await claimEventForProcessing(event)
+  await recordEventOutcome(event.id, 'failed', new Error('boom'))
+  assert.equal((await getProcessedEvent(event.id)).error, 'boom')
+
+  const retry = await claimEventForProcessing(event)
+  assert.equal(retry.claimed, true)
+  assert.equal(retry.record.attempts, 2)
+
+  await recordEventOutcome(event.id, 'succeeded')
+  const forced = await claimEventForProcessing(event, { force: true })
+  assert.equal(forced.claimed, true)
+  assert.equal(forced.record.forced, true)
+})
+
+test('a claim left processing past the timeout can be taken over', async () => {
+  const event = makeEvent('test.ledger')
+  await claimEventForProcessing(event)
+
+  await backdate(event.id, { startedAt: new Date(Date.now() - EVENT_PROCESSING_TIMEOUT_MS - 1000).toISOString() })
+
+  const reclaimed = await claimEventForProcessing(event)
+  assert.equal(reclaimed.claimed, true)
+  assert.equal(reclaimed.record.attempts, 2)
+})
+
+test('pruning drops old finished entries and keeps recent or in-progress ones', async () => {
+  const old = makeEvent('test.ledger')
+  const oldInProgress = makeEvent('test.ledger')
+  const recent = makeEvent('test.ledger')
+
+  for (const event of [old, oldInProgress, recent]) {
+    await claimEventForProcessing(event)
+  }
+  await recordEventOutcome(old.id, 'succeeded')
+  await recordEventOutcome(recent.id, 'succeeded')
+
+  const longAgo = new Date(Date.now() - 31 * DAY_MS).toISOString()
+  await backdate(old.id, { firstReceivedAt: longAgo })
+  await backdate(oldInProgress.id, { firstReceivedAt: longAgo })
+
+  assert.equal(await pruneProcessedEvents({ force: true }), 1)
+  assert.equal(await getProcessedEvent(old.id), null)
+  assert.ok(await getProcessedEvent(oldInProgress.id))
+  assert.ok(await getProcessedEvent(recent.id))
+})
@@ -0,0 +1,105 @@
+import { resetStorage, makeEvent, stubStripe, restoreStripe, stripeList } from './helpers.mjs'
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { saveCustomer, getCustomer, saveCustomerLifetimeAccess, getSuspensionReasons } from '../lib/storage.js'
+import { stripe } from '../lib/stripe-server.js'
+import { grantLifetimeAccess, isDuplicateLifetimePayment } from '../lib/lifetime.js'
+import { handleChargeRefunded } from '../lib/webhooks/handlers/disputes.js'
+
+const CUSTOMER_ID = 'cus_lifetime'
+let paymentIntents = {}
+
+function lifetimePaymentIntent(id, { refunded = false } = {}) {
+  return {
+    id,
+    customer: CUSTOMER_ID,
+    status: 'succeeded',
+    amount_received: 7500,
+    currency: 'gbp',
+    created: Math.floor(Date.now() / 1000),
+    latest_charge: { id: `ch_${id}`, refunded },
+    metadata: { lifetime: 'true', price_id: 'price_lifetime', product_id: 'prod_lifetime' }
+  }
+}
+
+function refundEvent(paymentIntentId) {
+  return makeEvent('charge.refunded', {
+    object: { id: `ch_${paymentIntentId}`, customer: CUSTOMER_ID, payment_intent: paymentIntentId, refunded: true, amount: 7500, amount_refunded: 7500, currency: 'gbp' }
+  })
+}
+
+beforeEach(async () => {
+  resetStorage()
+  paymentIntents = {
+    pi_first: lifetimePaymentIntent('pi_first'),
+    pi_second: lifetimePaymentIntent('pi_second')
+  }
+
+  stubStripe(stripe.paymentIntents, 'retrieve', async (id) => paymentIntents[id])
+  stubStripe(stripe.prices, 'retrieve', async (id) => ({ id, product: { id: 'prod_lifetime', name: 'Lifetime', metadata: { servers: '3' } } }))
+  stubStripe(stripe.products, 'listFeatures', () => stripeList([
+    { entitlement_feature: { id: 'feat_premium', lookup_key: 'premium', name: 'Premium', metadata: {} } }
+  ]))
+
+  await saveCustomer(CUSTOMER_ID, { email: 'forever@example.com' })
+})
+
+afterEach(() => {
+  restoreStripe()
+})
+
+test('only the first lifetime payment grants access; the other is a duplicate', async () => {
+  assert.equal(await grantLifetimeAccess(paymentIntents.pi_first), true)
+  assert.equal(await grantLifetimeAccess(paymentIntents.pi_second), false)
+
+  assert.equal((await getCustomer(CUSTOMER_ID)).lifetime.paymentIntentId, 'pi_first')
+  assert.equal(await isDuplicateLifetimePayment(paymentIntents.pi_first), false)
+  assert.equal(await isDuplicateLifetimePayment(paymentIntents.pi_second), true)
+})
+
+test('refunding the duplicate leaves the first purchase\'s access alone', async () => {
+  await grantLifetimeAccess(paymentIntents.pi_first)
+
+  await handleChargeRefunded(refundEvent('pi_second'), { source: {} })
+
+  const customer = await getCustomer(CUSTOMER_ID)
+  assert.equal(customer.lifetime.paymentIntentId, 'pi_first')
+  assert.deepEqual(getSuspensionReasons(customer), [])
+})
+
+test('refunding the purchase itself removes it so it can be bought again', async () => {
+  await grantLifetimeAccess(paymentIntents.pi_first)
+
+  await handleChargeRefunded(refundEvent('pi_first'), { source: {} })
+
+  let customer = await getCustomer(CUSTOMER_ID)
+  assert.equal(customer.lifetime, null)
+  assert.deepEqual(getSuspensionReasons(customer), [])
+
+  // The refunded payment is no longer in the way of a new one
+  assert.equal(await isDuplicateLifetimePayment(paymentIntents.pi_second), false)
+  assert.equal(await grantLifetimeAccess(paymentIntents.pi_second), true)
+  customer = await getCustomer(CUSTOMER_ID)
+  assert.equal(customer.lifetime.paymentIntentId, 'pi_second')
+})
+
+test('a payment refunded before its webhook is handled grants nothing', async () => {
+  paymentIntents.pi_first = lifetimePaymentIntent('pi_first', { refunded: true })
+
+  assert.equal(await grantLifetimeAccess(paymentIntents.pi_first), false)
+  assert.equal((await getCustomer(CUSTOMER_ID)).lifetime, null)
+})
+
+test('an older event can\'t overwrite stored lifetime access', async () => {
+  const lifetime = { paymentIntentId: 'pi_first', entitlements: {} }
+  assert.equal(await saveCustomerLifetimeAccess(CUSTOMER_ID, lifetime, { eventCreated: 200 }), true)
+  assert.equal(await saveCustomerLifetimeAccess(CUSTOMER_ID, { ...lifetime, servers: 9 }, { eventCreated: 100 }), false)
+  assert.equal((await getCustomer(CUSTOMER_ID)).lifetime.servers, undefined)
+})
+
+test('a deleted customer isn\'t given lifetime access', async () => {
+  await saveCustomer(CUSTOMER_ID, { deleted: true, email: null })
+
+  assert.equal(await grantLifetimeAccess(paymentIntents.pi_first), false)
+  assert.ok(!(await getCustomer(CUSTOMER_ID)).lifetime)
+})
@@ -0,0 +1,116 @@
+import { resetStorage, makeEvent } from './helpers.mjs'
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  claimEventForProcessing,
+  getQueuedWebhookEvents,
+  getDeadLetter,
+  getProcessedEvent,
+  EVENT_PROCESSING_TIMEOUT_MS,
+} from '../lib/storage.js'
+import { getStorageAdapter } from '../lib/storage-adapters/index.js'
+import { onStripeEvent } from '../lib/webhooks/registry.js'
+import { enqueueStripeEvent, processWebhookQueue, replayDeadLetter } from '../lib/webhooks/queue.js'
+
+let handled = []
+let failing = false
+
+onStripeEvent('test.queue', async function recordQueuedEvent(event) {
+  if (failing) throw new Error('listener down')
+  handled.push(event.id)
+})
+
+beforeEach(() => {
+  resetStorage()
+  handled = []
+  failing = false
+})
+
+async function getQueueItem(eventId) {
+  return (await getQueuedWebhookEvents())[eventId] || null
+}
+
+test('an event is queued once and removed after processing', async () => {
+  const event = makeEvent('test.queue')
+
+  assert.equal(await enqueueStripeEvent(event), true)
+  assert.equal(await enqueueStripeEvent(event), false)
+
+  const results = await processWebhookQueue()
+  assert.deepEqual(results, { processed: 1, retrying: 0, dead_lettered: 0 })
+  assert.deepEqual(handled, [event.id])
+  assert.equal(await getQueueItem(event.id), null)
+  assert.equal((await getProcessedEvent(event.id)).status, 'succeeded')
+})
+
+test('a failing event is retried later and dead-lettered once out of attempts', async () => {
+  const event = makeEvent('test.queue')
+  await enqueueStripeEvent(event)
+  failing = true
+
+  assert.deepEqual(await processWebhookQueue(), { processed: 0, retrying: 1, dead_lettered: 0 })
+  const item = await getQueueItem(event.id)
+  assert.equal(item.status, 'pending')
+  assert.equal(item.attempts, 1)
+  assert.match(item.lastError, /listener down/)
+  assert.ok(new Date(item.nextAttemptAt).getTime() > Date.now())
+
+  // Not due yet
+  assert.deepEqual(await processWebhookQueue(), { processed: 0, retrying: 0, dead_lettered: 0 })
+
+  // Due, on its last attempt
+  await getStorageAdapter().update('webhookQueue', event.id, (existing) => ({
+    ...existing,
+    attempts: 7,
+    nextAttemptAt: new Date().toISOString()
+  }))
+  assert.deepEqual(await processWebhookQueue(), { processed: 0, retrying: 0, dead_lettered: 1 })
+  assert.equal(await getQueueItem(event.id), null)
+  assert.ok(await getDeadLetter(event.id))
+
+  // Replaying puts it back with fresh attempts
+  failing = false
+  assert.equal(await replayDeadLetter(event.id), true)
+  assert.equal((await getQueueItem(event.id)).attempts, 0)
+  assert.deepEqual(await processWebhookQueue(), { processed: 1, retrying: 0, dead_lettered: 0 })
+  assert.deepEqual(handled, [event.id])
+})
+
+test('an item whose event is still claimed in the ledger is kept and rescheduled', async () => {
+  const event = makeEvent('test.queue')
+  const { record } = await claimEventForProcessing(event)
+  await enqueueStripeEvent(event)
+
+  assert.deepEqual(await processWebhookQueue(), { processed: 0, retrying: 1, dead_lettered: 0 })
+  assert.deepEqual(handled, [])
+
+  const item = await getQueueItem(event.id)
+  assert.equal(item.status, 'pending')
+  assert.equal(item.lastError, 'event is still being processed')
+  assert.equal(
+    new Date(item.nextAttemptAt).getTime(),
+    new Date(record.startedAt).getTime() + EVENT_PROCESSING_TIMEOUT_MS
+  )
+})
+
+test('a crashed worker\'s item is picked up once its lock and the ledger claim expire', async () => {
+  const event = makeEvent('test.queue')
+  await claimEventForProcessing(event)
+  await enqueueStripeEvent(event)
+
+  // The worker claimed both, then died
+  const past = (ms) => new Date(Date.now() - ms).toISOString()
+  await getStorageAdapter().update('webhookQueue', event.id, (existing) => ({
+    ...existing,
+    status: 'processing',
+    attempts: 1,
+    lockedUntil: past(1000)
+  }))
+  await getStorageAdapter().update('processedEvents', event.id, (existing) => ({
+    ...existing,
+    startedAt: past(EVENT_PROCESSING_TIMEOUT_MS + 1000)
+  }))
+
+  assert.deepEqual(await processWebhookQueue(), { processed: 1, retrying: 0, dead_lettered: 0 })
+  assert.deepEqual(handled, [event.id])
+})
@@ -0,0 +1,89 @@
+import { resetStorage, stubStripe, restoreStripe, stripeList } from './helpers.mjs'
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { saveCustomer, saveCustomerSubscription, getCustomer, getCustomerSubscription } from '../lib/storage.js'
+import { stripe } from '../lib/stripe-server.js'
+import { reconcileWithStripe } from '../lib/reconcile.js'
+
+const CUSTOMER_ID = 'cus_reconcile'
+const now = () => Math.floor(Date.now() / 1000)
+
+function liveSubscription(fields = {}) {
+  return {
+    id: 'sub_live',
+    customer: CUSTOMER_ID,
+    status: 'active',
+    created: now() - 30 * 86400,
+    start_date: now() - 30 * 86400,
+    current_period_start: now() - 3600,
+    current_period_end: now() + 29 * 86400,
+    cancel_at_period_end: false,
+    items: { data: [{ id: 'si_base', quantity: 3, price: { id: 'price_plus', product: 'prod_plus', metadata: {} } }] },
+    metadata: {},
+    ...fields
+  }
+}
+
+beforeEach(async () => {
+  resetStorage()
+  stubStripe(stripe.customers, 'retrieve', async (id) => ({ id, email: 'drift@example.com', created: now() - 60 * 86400 }))
+  stubStripe(stripe.subscriptions, 'list', () => stripeList([liveSubscription()]))
+  stubStripe(stripe.entitlements.activeEntitlements, 'list', () => stripeList([]))
+  await saveCustomer(CUSTOMER_ID, { email: 'drift@example.com' })
+})
+
+afterEach(() => {
+  restoreStripe()
+})
+
+test('--apply fixes a subscription a newer webhook stamped before the missed change', async () => {
+  // invoice.payment_succeeded stored the subscription after the period began;
+  // the quantity change that came later was missed
+  const stamped = now() - 60
+  await saveCustomerSubscription(CUSTOMER_ID, {
+    stripeSubscriptionId: 'sub_live',
+    status: 'active',
+    priceId: 'price_plus',
+    quantity: 1,
+    cancelAtPeriodEnd: false
+  }, { eventId: 'evt_invoice', eventCreated: stamped })
+
+  const report = await reconcileWithStripe({ apply: true, customerIds: [CUSTOMER_ID] })
+
+  const [issue] = report.issues
+  assert.equal(issue.type, 'subscription_mismatch')
+  assert.deepEqual(issue.expected, { quantity: 3 })
+  assert.equal(issue.fixed, true)
+
+  const stored = await getCustomerSubscription(CUSTOMER_ID)
+  assert.equal(stored.quantity, 3)
+  assert.ok(stored.sourceEventCreated >= stamped)
+})
+
+test('a webhook created after the fix still applies', async () => {
+  await saveCustomerSubscription(CUSTOMER_ID, { stripeSubscriptionId: 'sub_live', status: 'past_due', priceId: 'price_plus', quantity: 3 })
+  await reconcileWithStripe({ apply: true, customerIds: [CUSTOMER_ID] })
+
+  const later = (await getCustomerSubscription(CUSTOMER_ID)).sourceEventCreated + 1
+  assert.equal(await saveCustomerSubscription(CUSTOMER_ID, { stripeSubscriptionId: 'sub_live', status: 'canceled' }, { eventCreated: later }), true)
+})
+
+test('a customer deleted in Stripe is forgotten', async () => {
+  stubStripe(stripe.customers, 'retrieve', async (id) => ({ id, deleted: true }))
+
+  const report = await reconcileWithStripe({ apply: true, customerIds: [CUSTOMER_ID] })
+
+  assert.equal(report.issues[0].type, 'missing_in_stripe')
+  assert.equal(report.issues[0].fixed, true)
+  const stored = await getCustomer(CUSTOMER_ID)
+  assert.ok(!stored || stored.deleted)
+})
+
+test('without --apply nothing is written', async () => {
+  await saveCustomerSubscription(CUSTOMER_ID, { stripeSubscriptionId: 'sub_live', status: 'active', priceId: 'price_plus', quantity: 1, cancelAtPeriodEnd: false })
+
+  const report = await reconcileWithStripe({ customerIds: [CUSTOMER_ID] })
+
+  assert.equal(report.issues[0].fixed, false)
+  assert.equal((await getCustomerSubscription(CUSTOMER_ID)).quantity, 1)
+})
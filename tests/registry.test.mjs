@@ -0,0 +1,116 @@
+import { resetStorage, makeEvent } from './helpers.mjs'
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { getProcessedEvent } from '../lib/storage.js'
+import { onStripeEvent, getStripeEventListeners, dispatchStripeEvent } from '../lib/webhooks/registry.js'
+import { processStripeEvent } from '../lib/webhooks/process-event.js'
+
+beforeEach(() => {
+  resetStorage()
+})
+
+test('listeners run in registration order with the event\'s source stamp', async () => {
+  const calls = []
+  async function first(event, context) {
+    calls.push(['first', context.source])
+  }
+
+  onStripeEvent('test.registry_order', first)
+  onStripeEvent(['test.registry_order', 'test.registry_other'], async function second() {
+    calls.push(['second'])
+  })
+
+  // Registering the same function again is a no-op
+  onStripeEvent('test.registry_order', first)
+  assert.equal(getStripeEventListeners('test.registry_order').length, 2)
+  assert.equal(getStripeEventListeners('test.registry_other').length, 1)
+
+  const event = makeEvent('test.registry_order', { created: 123 })
+  assert.deepEqual(await dispatchStripeEvent(event), { handled: 2 })
+  assert.deepEqual(calls, [['first', { eventId: event.id, eventCreated: 123 }], ['second']])
+})
+
+test('two different listeners can\'t share a name for one event type', () => {
+  onStripeEvent('test.registry_names', async () => {}, { name: 'dup' })
+  assert.throws(() => onStripeEvent('test.registry_names', async () => {}, { name: 'dup' }), /already registered/)
+})
+
+test('one listener failing doesn\'t stop the others', async () => {
+  const calls = []
+  onStripeEvent('test.registry_failure', async function broken() {
+    throw new Error('boom')
+  })
+  onStripeEvent('test.registry_failure', async function after() {
+    calls.push('after')
+  })
+
+  await assert.rejects(dispatchStripeEvent(makeEvent('test.registry_failure')), (error) => {
+    assert.deepEqual(error.failures.map(f => f.name), ['broken'])
+    return true
+  })
+  assert.deepEqual(calls, ['after'])
+})
+
+test('a retry only runs the listeners that failed', async () => {
+  const calls = { notify: 0, flaky: 0 }
+  let flakyFails = true
+
+  onStripeEvent('test.listener_retry', async function notify() {
+    calls.notify++
+  })
+  onStripeEvent('test.listener_retry', async function flaky() {
+    calls.flaky++
+    if (flakyFails) throw new Error('temporary failure')
+  })
+
+  const event = makeEvent('test.listener_retry')
+
+  await assert.rejects(processStripeEvent(event), /flaky \(temporary failure\)/)
+  const failed = await getProcessedEvent(event.id)
+  assert.equal(failed.status, 'failed')
+  assert.deepEqual(Object.keys(failed.listeners), ['notify'])
+
+  flakyFails = false
+  const retried = await processStripeEvent(event)
+  assert.equal(retried.status, 'processed')
+  assert.deepEqual(calls, { notify: 1, flaky: 2 })
+
+  // Delivered again after succeeding - nothing runs
+  const duplicate = await processStripeEvent(event)
+  assert.equal(duplicate.status, 'duplicate')
+  assert.deepEqual(calls, { notify: 1, flaky: 2 })
+
+  // Forcing it runs every listener again
+  await processStripeEvent(event, { force: true })
+  assert.deepEqual(calls, { notify: 2, flaky: 3 })
+})
+
+test('a replay records the listeners it skips and a later run only runs those', async () => {
+  const calls = { rebuild: 0, announce: 0 }
+
+  onStripeEvent('test.replay_skip', async function rebuild() {
+    calls.rebuild++
+  })
+  onStripeEvent('test.replay_skip', async function announce() {
+    calls.announce++
+  }, { replayable: false })
+
+  const event = makeEvent('test.replay_skip')
+
+  const replayed = await processStripeEvent(event, { replay: true })
+  assert.equal(replayed.status, 'processed')
+  assert.equal(replayed.record.status, 'succeeded')
+  assert.equal(replayed.record.listeners.announce.status, 'skipped')
+  assert.deepEqual(calls, { rebuild: 1, announce: 0 })
+
+  // Another replay leaves it alone
+  assert.equal((await processStripeEvent(event, { replay: true })).status, 'duplicate')
+
+  // A normal run picks up just the skipped listener
+  await processStripeEvent(event)
+  assert.deepEqual(calls, { rebuild: 1, announce: 1 })
+  assert.equal((await getProcessedEvent(event.id)).listeners.announce.status, 'succeeded')
+
+  assert.equal((await processStripeEvent(event)).status, 'duplicate')
+  assert.deepEqual(calls, { rebuild: 1, announce: 1 })
+})
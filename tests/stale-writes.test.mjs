@@ -0,0 +1,70 @@
+import { resetStorage } from './helpers.mjs'
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  saveCustomer,
+  getCustomer,
+  saveCustomerSubscription,
+  getCustomerSubscription,
+  getRejectedUpdates,
+} from '../lib/storage.js'
+
+const CUSTOMER_ID = 'cus_test'
+
+beforeEach(async () => {
+  resetStorage()
+  await saveCustomer(CUSTOMER_ID, { email: 'test@example.com' })
+})
+
+function subscription(status, fields = {}) {
+  return { stripeSubscriptionId: 'sub_test', status, ...fields }
+}
+
+test('an older event can\'t overwrite a newer subscription', async () => {
+  assert.equal(await saveCustomerSubscription(CUSTOMER_ID, subscription('active'), { eventId: 'evt_new', eventCreated: 200 }), true)
+  assert.equal(await saveCustomerSubscription(CUSTOMER_ID, subscription('past_due'), { eventId: 'evt_old', eventCreated: 100 }), false)
+
+  const stored = await getCustomerSubscription(CUSTOMER_ID)
+  assert.equal(stored.status, 'active')
+  assert.equal(stored.sourceEventCreated, 200)
+
+  const [rejected] = await getRejectedUpdates()
+  assert.equal(rejected.kind, 'subscription')
+  assert.equal(rejected.eventId, 'evt_old')
+  assert.equal(rejected.storedEventCreated, 200)
+})
+
+test('newer events, and writes without a timestamp, are applied', async () => {
+  await saveCustomerSubscription(CUSTOMER_ID, subscription('active'), { eventCreated: 100 })
+  assert.equal(await saveCustomerSubscription(CUSTOMER_ID, subscription('past_due'), { eventCreated: 200 }), true)
+  assert.equal((await getCustomerSubscription(CUSTOMER_ID)).status, 'past_due')
+
+  assert.equal(await saveCustomerSubscription(CUSTOMER_ID, subscription('active')), true)
+  assert.equal((await getCustomerSubscription(CUSTOMER_ID)).status, 'active')
+  assert.deepEqual(await getRejectedUpdates(), [])
+})
+
+test('a cancelled subscription isn\'t brought back by a same-second update', async () => {
+  await saveCustomerSubscription(CUSTOMER_ID, subscription('canceled'), { eventCreated: 100 })
+  assert.equal(await saveCustomerSubscription(CUSTOMER_ID, subscription('active'), { eventCreated: 100 }), false)
+  assert.equal((await getCustomerSubscription(CUSTOMER_ID)).status, 'canceled')
+})
+
+test('an older customer update is rejected', async () => {
+  await saveCustomer(CUSTOMER_ID, { email: 'new@example.com' }, { eventCreated: 200 })
+  assert.equal(await saveCustomer(CUSTOMER_ID, { email: 'old@example.com' }, { eventCreated: 100 }), false)
+  assert.equal((await getCustomer(CUSTOMER_ID)).email, 'new@example.com')
+})
+
+test('only the most recent rejected updates are kept', async () => {
+  await saveCustomerSubscription(CUSTOMER_ID, subscription('active'), { eventCreated: 1000 })
+
+  for (let i = 0; i < 505; i++) {
+    await saveCustomerSubscription(CUSTOMER_ID, subscription('past_due'), { eventId: `evt_${i}`, eventCreated: 1 })
+  }
+
+  const rejected = await getRejectedUpdates()
+  assert.equal(rejected.length, 500)
+  assert.ok(!rejected.some(entry => entry.eventId === 'evt_0'))
+  assert.ok(rejected.some(entry => entry.eventId === 'evt_504'))
+})
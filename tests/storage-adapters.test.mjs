@@ -0,0 +1,85 @@
+import { test, describe, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { createStorageAdapter } from '../lib/storage-adapters/index.js'
+
+// Every adapter has to behave the same - run one set of cases against each,
+// with the file-backed ones in a temp directory
+const ADAPTERS = {
+  memory: () => ({}),
+  json: (dir) => ({ file: path.join(dir, 'users.json') }),
+  sqlite: (dir) => ({ file: path.join(dir, 'storage.db') }),
+}
+
+for (const [name, options] of Object.entries(ADAPTERS)) {
+  describe(`${name} adapter`, () => {
+    let dir
+    let adapter
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), `storage-${name}-`))
+      adapter = createStorageAdapter(name, options(dir))
+    })
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true })
+    })
+
+    test('set, get, list and remove records', async () => {
+      assert.equal(await adapter.get('customers', 'cus_1'), null)
+
+      await adapter.set('customers', 'cus_1', { email: 'one@example.com' })
+      await adapter.set('customers', 'cus_2', { email: 'two@example.com' })
+
+      assert.deepEqual(await adapter.get('customers', 'cus_1'), { email: 'one@example.com' })
+      assert.deepEqual(Object.keys(await adapter.list('customers')).sort(), ['cus_1', 'cus_2'])
+
+      assert.equal(await adapter.remove('customers', 'cus_1'), true)
+      assert.equal(await adapter.remove('customers', 'cus_1'), false)
+      assert.equal(await adapter.get('customers', 'cus_1'), null)
+    })
+
+    test('update writes what the updater returns, and nothing for undefined', async () => {
+      const created = await adapter.update('customers', 'cus_1', (current) => {
+        assert.equal(current, null)
+        return { email: 'one@example.com', count: 1 }
+      })
+      assert.deepEqual(created, { email: 'one@example.com', count: 1 })
+
+      const updated = await adapter.update('customers', 'cus_1', (current) => ({ ...current, count: current.count + 1 }))
+      assert.equal(updated.count, 2)
+
+      await adapter.update('customers', 'cus_1', () => undefined)
+      assert.equal((await adapter.get('customers', 'cus_1')).count, 2)
+    })
+
+    test('concurrent updates of one record are all applied', async () => {
+      await adapter.set('customers', 'cus_1', { count: 0 })
+
+      await Promise.all(Array.from({ length: 10 }, () =>
+        adapter.update('customers', 'cus_1', (current) => ({ count: current.count + 1 }))
+      ))
+
+      assert.equal((await adapter.get('customers', 'cus_1')).count, 10)
+    })
+
+    test('collections are kept apart and dumped together', async () => {
+      await adapter.set('customers', 'shared_id', { kind: 'customer' })
+      await adapter.set('processedEvents', 'shared_id', { kind: 'event' })
+
+      const dump = await adapter.dump()
+      assert.equal(dump.customers.shared_id.kind, 'customer')
+      assert.equal(dump.processedEvents.shared_id.kind, 'event')
+    })
+
+    test('prune removes the records the predicate matches', async () => {
+      await adapter.set('processedEvents', 'evt_old', { age: 40 })
+      await adapter.set('processedEvents', 'evt_new', { age: 1 })
+
+      assert.equal(await adapter.prune('processedEvents', (record) => record.age > 30), 1)
+      assert.deepEqual(Object.keys(await adapter.list('processedEvents')), ['evt_new'])
+    })
+  })
+}
@@ -0,0 +1,100 @@
+import { resetStorage, makeEvent, stubStripe, restoreStripe } from './helpers.mjs'
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  saveCustomer,
+  getCustomer,
+  saveCustomerEntitlements,
+  suspendCustomerEntitlements,
+  restoreCustomerEntitlements,
+  getSuspensionReasons,
+} from '../lib/storage.js'
+import { stripe } from '../lib/stripe-server.js'
+import { handleDisputeCreated, handleDisputeClosed } from '../lib/webhooks/handlers/disputes.js'
+
+const CUSTOMER_ID = 'cus_suspended'
+
+const ENTITLEMENTS = {
+  ent_premium: { stripeEntitlementId: 'ent_premium', featureLookupKey: 'premium', status: 'active' }
+}
+
+function disputeEvent(type, id, status = 'needs_response') {
+  return makeEvent(type, {
+    object: {
+      id,
+      charge: `ch_${id}`,
+      payment_intent: null,
+      amount: 1000,
+      currency: 'gbp',
+      reason: 'fraudulent',
+      status,
+      created: Math.floor(Date.now() / 1000)
+    }
+  })
+}
+
+async function deliver(handler, event) {
+  await handler(event, { source: { eventId: event.id, eventCreated: event.created } })
+}
+
+beforeEach(async () => {
+  resetStorage()
+  stubStripe(stripe.charges, 'retrieve', async (id) => ({ id, customer: CUSTOMER_ID }))
+  await saveCustomer(CUSTOMER_ID, { email: 'suspended@example.com' })
+  await saveCustomerEntitlements(CUSTOMER_ID, ENTITLEMENTS)
+})
+
+afterEach(() => {
+  restoreStripe()
+})
+
+test('access only comes back once every suspension reason is lifted', async () => {
+  await suspendCustomerEntitlements(CUSTOMER_ID, { reason: 'payment_failed' })
+  await suspendCustomerEntitlements(CUSTOMER_ID, { reason: 'dispute', disputeId: 'dp_1' })
+
+  let customer = await getCustomer(CUSTOMER_ID)
+  assert.deepEqual(getSuspensionReasons(customer).sort(), ['dispute', 'payment_failed'])
+  assert.deepEqual(customer.entitlements, {})
+
+  // A successful payment only lifts its own reason
+  assert.equal(await restoreCustomerEntitlements(CUSTOMER_ID, { reason: 'payment_failed' }), true)
+  customer = await getCustomer(CUSTOMER_ID)
+  assert.deepEqual(getSuspensionReasons(customer), ['dispute'])
+  assert.deepEqual(customer.entitlements, {})
+
+  // ...and can't lift one it didn't cause
+  assert.equal(await restoreCustomerEntitlements(CUSTOMER_ID, { reason: 'payment_failed' }), false)
+
+  await restoreCustomerEntitlements(CUSTOMER_ID, { reason: 'dispute', disputeId: 'dp_1' })
+  customer = await getCustomer(CUSTOMER_ID)
+  assert.equal(customer.suspended, false)
+  assert.deepEqual(Object.keys(customer.entitlements), ['ent_premium'])
+})
+
+test('winning one dispute keeps the customer suspended while another is open', async () => {
+  await deliver(handleDisputeCreated, disputeEvent('charge.dispute.created', 'dp_1'))
+  await deliver(handleDisputeCreated, disputeEvent('charge.dispute.created', 'dp_2'))
+
+  let customer = await getCustomer(CUSTOMER_ID)
+  assert.deepEqual(customer.suspensionInfo.reasons.dispute.disputeIds, ['dp_1', 'dp_2'])
+
+  await deliver(handleDisputeClosed, disputeEvent('charge.dispute.closed', 'dp_2', 'won'))
+  customer = await getCustomer(CUSTOMER_ID)
+  assert.equal(customer.suspended, true)
+  assert.deepEqual(customer.suspensionInfo.reasons.dispute.disputeIds, ['dp_1'])
+  assert.deepEqual(customer.entitlements, {})
+
+  await deliver(handleDisputeClosed, disputeEvent('charge.dispute.closed', 'dp_1', 'won'))
+  customer = await getCustomer(CUSTOMER_ID)
+  assert.equal(customer.suspended, false)
+  assert.deepEqual(Object.keys(customer.entitlements), ['ent_premium'])
+})
+
+test('a lost dispute leaves the customer suspended', async () => {
+  await deliver(handleDisputeCreated, disputeEvent('charge.dispute.created', 'dp_1'))
+  await deliver(handleDisputeClosed, disputeEvent('charge.dispute.closed', 'dp_1', 'lost'))
+
+  const customer = await getCustomer(CUSTOMER_ID)
+  assert.deepEqual(getSuspensionReasons(customer), ['dispute'])
+  assert.equal(customer.disputes.dp_1.status, 'lost')
+})